@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { claimTask, deliverTask, ensureBusRoot } from '../lib/agentbus.mjs';
+import { agentControlLogPath, controlAgent, resolveAgentLaunch } from '../lib/agent-control.mjs';
+
+const roster = {
+  schemaVersion: 2,
+  sessionName: 'test-cockpit',
+  orchestratorName: 'orchestrator',
+  daddyChatName: 'daddy',
+  autopilotName: 'autopilot',
+  agents: [
+    { name: 'frontend', kind: 'codex-worker', workdir: '$AGENTIC_WORKTREES_DIR/frontend', startCommand: 'node scripts/agent-codex-worker.mjs --agent frontend' },
+    { name: 'orchestrator', kind: 'node-worker', workdir: '$REPO_ROOT', startCommand: 'node scripts/agent-orchestrator-worker.mjs --agent orchestrator' },
+    { name: 'autopilot', kind: 'codex-worker', workdir: '$REPO_ROOT', startCommand: 'node scripts/agent-codex-worker.mjs --agent autopilot' },
+    { name: 'daddy', kind: 'codex-chat', workdir: '$REPO_ROOT', startCommand: 'bash "$COCKPIT_ROOT/scripts/agentic/codex-chat-supervisor.sh"' },
+  ],
+};
+
+// Fake tmux: logs every call, answers list-panes from a file, and turns a pane back into a shell
+// prompt when it receives Ctrl-C.
+function tmuxStub({ log, panes, session }) {
+  return [
+    '#!/usr/bin/env bash',
+    `printf '%s\\n' "$*" >>'${log}'`,
+    'case "$1" in',
+    `  has-session) [ -f '${session}' ] ;;`,
+    `  list-panes) cat '${panes}' 2>/dev/null || true ;;`,
+    `  send-keys) if [ "\${@: -1}" = "C-c" ]; then sed -i "s/\\tnode$/\\tbash/" '${panes}'; fi ;;`,
+    'esac',
+    '',
+  ].join('\n');
+}
+
+async function setup() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-control-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  const files = {
+    log: path.join(tmp, 'tmux.log'),
+    panes: path.join(tmp, 'panes.tsv'),
+    session: path.join(tmp, 'session'),
+  };
+  const tmuxBin = path.join(tmp, 'tmux');
+  await fs.writeFile(tmuxBin, tmuxStub(files), 'utf8');
+  await fs.chmod(tmuxBin, 0o755);
+  await fs.writeFile(files.session, '', 'utf8');
+  const opts = {
+    busRoot,
+    roster,
+    rosterPath: path.join(tmp, 'ROSTER.json'),
+    cockpitRoot: '/opt/cockpit',
+    projectRoot: path.join(tmp, 'project'),
+    worktreesDir: path.join(tmp, 'worktrees'),
+    tmuxBin,
+    stopGraceMs: 2000,
+  };
+  const calls = async () => (await fs.readFile(files.log, 'utf8').catch(() => '')).split('\n').filter(Boolean);
+  const audit = async () =>
+    (await fs.readFile(agentControlLogPath(busRoot), 'utf8').catch(() => ''))
+      .split('\n')
+      .filter(Boolean)
+      .map((l) => JSON.parse(l));
+  return { tmp, busRoot, files, opts, calls, audit };
+}
+
+test('resolveAgentLaunch builds the agents-up.sh launch line', async () => {
+  const { opts } = await setup();
+  const frontend = resolveAgentLaunch({ ...opts, agentName: 'frontend' });
+  assert.equal(frontend.workdir, path.join(opts.worktreesDir, 'frontend'));
+  assert.equal(frontend.command, "node '/opt/cockpit/scripts/agent-codex-worker.mjs' --agent frontend");
+  assert.equal(
+    frontend.line,
+    [
+      `cd '${frontend.workdir}'`,
+      `export AGENTIC_PROJECT_ROOT='${opts.projectRoot}'`,
+      `export AGENTIC_BUS_DIR='${opts.busRoot}'`,
+      `export AGENTIC_ROSTER_PATH='${opts.rosterPath}'`,
+      `export VALUA_REPO_ROOT='${opts.projectRoot}'`,
+      `export VALUA_AGENT_BUS_DIR='${opts.busRoot}'`,
+      `export VALUA_AGENT_ROSTER_PATH='${opts.rosterPath}'`,
+      frontend.command,
+    ].join(' && '),
+  );
+
+  const orchestrator = resolveAgentLaunch({ ...opts, agentName: 'orchestrator' });
+  assert.equal(orchestrator.workdir, opts.projectRoot);
+  assert.match(orchestrator.command, / --tmux-target 'test-cockpit:cockpit\.0'$/);
+
+  const daddy = resolveAgentLaunch({ ...opts, agentName: 'daddy' });
+  assert.equal(daddy.command, 'bash "/opt/cockpit/scripts/agentic/codex-chat-supervisor.sh"');
+  assert.match(daddy.line, /export COCKPIT_ROOT='\/opt\/cockpit'/);
+
+  assert.throws(() => resolveAgentLaunch({ ...opts, agentName: 'autopilot' }), /dedicated workdir/);
+  assert.throws(() => resolveAgentLaunch({ ...opts, agentName: 'nope' }), /Unknown agent/);
+});
+
+test('controlAgent asks to confirm before restarting a worker with in_progress work, then restarts it in its pane', async () => {
+  const { busRoot, files, opts, calls, audit } = await setup();
+  await fs.writeFile(files.panes, '%3\tagents\tfrontend\t4242\tnode\n', 'utf8');
+  await deliverTask({ busRoot, meta: { id: 'msg_1', to: ['frontend'], from: 'daddy', priority: 'P2', title: 't', signals: { kind: 'EXECUTE' } }, body: 'x' });
+  await claimTask({ busRoot, agentName: 'frontend', taskId: 'msg_1' });
+
+  const refused = await controlAgent({ ...opts, agentName: 'frontend', action: 'restart' });
+  assert.deepEqual([refused.ok, refused.reason, refused.inProgress], [false, 'confirm_required', ['msg_1']]);
+  assert.deepEqual(await calls(), []);
+  assert.deepEqual(await audit(), []);
+
+  const done = await controlAgent({ ...opts, agentName: 'frontend', action: 'restart', confirm: true, actor: 'tester' });
+  assert.equal(done.ok, true);
+  assert.equal(done.paneId, '%3');
+  const sent = (await calls()).filter((c) => c.startsWith('send-keys'));
+  assert.equal(sent[0], 'send-keys -t %3 C-c');
+  assert.match(sent[1], /^send-keys -t %3 cd '.*\/worktrees\/frontend' && export AGENTIC_PROJECT_ROOT=.* --agent frontend C-m$/);
+
+  const [entry] = await audit();
+  assert.deepEqual(
+    [entry.action, entry.agent, entry.actor, entry.confirmed, entry.inProgress, entry.outcome],
+    ['restart', 'frontend', 'tester', true, ['msg_1'], 'ok'],
+  );
+});
+
+test('controlAgent start opens a window when the pane is gone and refuses to double-start', async () => {
+  const { files, opts, calls, audit } = await setup();
+  const started = await controlAgent({ ...opts, agentName: 'frontend', action: 'start' });
+  assert.equal(started.ok, true);
+  const log = await calls();
+  assert.ok(log.includes(`new-window -d -t test-cockpit -n frontend -c ${path.join(opts.worktreesDir, 'frontend')}`));
+  assert.ok(log.includes('select-pane -t test-cockpit:frontend.0 -T frontend'));
+  assert.ok(log.some((c) => c.startsWith('send-keys -t test-cockpit:frontend.0 cd ')));
+
+  await fs.writeFile(files.panes, '%7\tfrontend\tfrontend\t4243\tnode\n', 'utf8');
+  const again = await controlAgent({ ...opts, agentName: 'frontend', action: 'start' });
+  assert.deepEqual([again.ok, again.reason], [false, 'already_running']);
+  assert.deepEqual((await audit()).map((e) => e.outcome), ['ok', 'refused']);
+
+  const stopped = await controlAgent({ ...opts, agentName: 'frontend', action: 'stop' });
+  assert.deepEqual([stopped.ok, stopped.forced], [true, false]);
+  assert.match(await fs.readFile(files.panes, 'utf8'), /\tbash\n$/);
+
+  await fs.rm(files.session);
+  const noSession = await controlAgent({ ...opts, agentName: 'frontend', action: 'start' });
+  assert.equal(noSession.reason, 'no_session');
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { claimTask, deliverTask, ensureBusRoot } from '../lib/agentbus.mjs';
+import { readAgentHealth } from '../lib/agent-health.mjs';
+import { writeTaskLease } from '../lib/task-lease.mjs';
+
+const DEAD_PID = 2 ** 22 + 12345;
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [
+    { name: 'busy', kind: 'codex-worker' },
+    { name: 'crashed', kind: 'codex-worker' },
+    { name: 'hung', kind: 'codex-worker' },
+    { name: 'resting', kind: 'codex-worker' },
+    { name: 'off', kind: 'codex-worker' },
+    { name: 'daddy-orchestrator', kind: 'node-worker' },
+    { name: 'daddy', kind: 'codex-chat' },
+  ],
+};
+
+async function writeJson(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(value) + '\n', 'utf8');
+}
+
+async function claim(busRoot, agentName, taskId) {
+  await deliverTask({ busRoot, meta: { id: taskId, to: [agentName], from: 'daddy', priority: 'P2', title: `t ${taskId}`, signals: { kind: 'EXECUTE' } }, body: 'x' });
+  await claimTask({ busRoot, agentName, taskId });
+}
+
+test('readAgentHealth reports locks, leases, sessions and cooldown, and flags dead/stuck workers', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-health-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  const lock = (agent, pid) => writeJson(path.join(busRoot, 'state', 'worker-locks', `${agent}.lock.json`), { agent, pid, acquiredAt: '2026-10-19T10:00:00.000Z', token: 'x' });
+
+  await lock('busy', process.pid);
+  await claim(busRoot, 'busy', 'msg_busy');
+  await writeTaskLease({ busRoot, agentName: 'busy', taskId: 'msg_busy' });
+  await writeJson(path.join(busRoot, 'state', 'codex-task-sessions', 'busy', 'msg_busy.json'), { threadId: 'thr_1' });
+  await fs.writeFile(path.join(busRoot, 'state', 'busy.session-id'), '# pinned\nsess_1\n', 'utf8');
+
+  await lock('crashed', DEAD_PID);
+
+  await lock('hung', process.pid);
+  await claim(busRoot, 'hung', 'msg_hung');
+  await writeTaskLease({ busRoot, agentName: 'hung', taskId: 'msg_hung', ttlMs: 1000 });
+
+  await lock('resting', process.pid);
+
+  const now = Date.now();
+  await writeJson(path.join(busRoot, 'state', 'openai-rpm-cooldown.json'), {
+    updatedAt: new Date(now).toISOString(),
+    retryAtMs: now + 60_000,
+    reason: 'rate_limited',
+    sourceAgent: 'busy',
+  });
+
+  const health = await readAgentHealth({ busRoot, roster, now: now + 5000 });
+  const by = Object.fromEntries(health.agents.map((a) => [a.agent, a]));
+  assert.deepEqual(
+    health.agents.map((a) => [a.agent, a.status]),
+    [
+      ['busy', 'busy'],
+      ['crashed', 'dead'],
+      ['hung', 'stuck'],
+      ['resting', 'idle'],
+      ['off', 'stopped'],
+      ['daddy-orchestrator', 'unknown'],
+      ['daddy', 'unknown'],
+    ],
+  );
+
+  assert.deepEqual(by.busy.lock, { pid: process.pid, acquiredAt: '2026-10-19T10:00:00.000Z', alive: true });
+  assert.deepEqual(by.busy.inProgress.map((t) => [t.taskId, t.title, t.lease, t.threadId]), [['msg_busy', 't msg_busy', 'active', 'thr_1']]);
+  assert.ok(by.busy.heartbeatAgeMs >= 5000 && by.busy.heartbeatAgeMs < 60_000);
+  assert.equal(by.busy.sessionId, 'sess_1');
+  assert.equal(by.busy.threadId, 'thr_1');
+  assert.deepEqual(by.busy.problems, []);
+
+  assert.equal(by.crashed.lock.alive, false);
+  assert.match(by.crashed.problems[0], /dead pid/);
+  assert.match(by.hung.problems[0], /msg_hung: no heartbeat/);
+  assert.equal(by.off.lock, null);
+
+  assert.equal(health.cooldown.active, true);
+  assert.equal(health.cooldown.sourceAgent, 'busy');
+  assert.ok(health.cooldown.remainingMs > 50_000);
+  assert.equal((await readAgentHealth({ busRoot, roster, now: now + 120_000 })).cooldown.active, false);
+});
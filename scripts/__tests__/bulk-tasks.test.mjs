@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { claimTask, deliverTask, ensureBusRoot, openTask, reassignTask } from '../lib/agentbus.mjs';
+import { runBulkTaskAction } from '../lib/bulk-tasks.mjs';
+import { streamBusEvents } from '../lib/bus-events.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'frontend' }, { name: 'backend' }, { name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-bulk-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+async function deliver(busRoot, id, to = ['frontend'], priority = 'P2') {
+  await deliverTask({ busRoot, meta: { id, to, from: 'daddy', priority, title: id, signals: { kind: 'EXECUTE' } }, body: 'do it' });
+}
+
+const readReceipt = async (busRoot, agent, id) =>
+  JSON.parse(await fs.readFile(path.join(busRoot, 'receipts', agent, `${id}.json`), 'utf8'));
+
+test('reassignTask moves the packet, notes the move and leaves an audit receipt on the original agent', async () => {
+  const { busRoot } = await mkBusRoot();
+  await deliver(busRoot, 'msg_r', ['frontend', 'qa']);
+
+  const res = await reassignTask({ busRoot, roster, fromAgent: 'frontend', toAgent: 'backend', taskId: 'msg_r', by: 'ops', reason: 'frontend is down' });
+  assert.equal(res.fromState, 'new');
+  assert.deepEqual(res.to, ['backend', 'qa']);
+
+  const moved = await openTask({ busRoot, agentName: 'backend', taskId: 'msg_r', markSeen: false });
+  assert.equal(moved.state, 'new');
+  assert.deepEqual(moved.meta.to, ['backend', 'qa']);
+  assert.match(moved.body, /^do it\n\n---\n\n### Update \(.+\) from ops\n\nReassigned from frontend to backend \(was new\): frontend is down\n$/);
+
+  const receipt = await readReceipt(busRoot, 'frontend', 'msg_r');
+  assert.equal(receipt.outcome, 'skipped');
+  assert.deepEqual(receipt.receiptExtra, { reassignedTo: 'backend', reassignedBy: 'ops', reason: 'frontend is down', fromState: 'new' });
+  assert.equal((await openTask({ busRoot, agentName: 'frontend', taskId: 'msg_r', markSeen: false })).state, 'processed');
+  assert.equal((await openTask({ busRoot, agentName: 'qa', taskId: 'msg_r', markSeen: false })).state, 'new');
+
+  const events = [];
+  for await (const ev of streamBusEvents({ busRoot })) events.push(ev);
+  assert.deepEqual(
+    events.slice(-2).map((e) => [e.type, e.agent, e.reassignedFrom || null]),
+    [['deliver', 'backend', 'frontend'], ['close', 'frontend', null]],
+  );
+
+  await assert.rejects(reassignTask({ busRoot, roster, fromAgent: 'frontend', toAgent: 'backend', taskId: 'msg_r' }), /processed/);
+  await assert.rejects(reassignTask({ busRoot, roster, fromAgent: 'backend', toAgent: 'qa', taskId: 'msg_r' }), /already exists in inbox\/qa/);
+});
+
+test('reassignTask needs force for in_progress packets and releases their lease', async () => {
+  const { busRoot } = await mkBusRoot();
+  await deliver(busRoot, 'msg_ip');
+  await claimTask({ busRoot, agentName: 'frontend', taskId: 'msg_ip' });
+
+  await assert.rejects(reassignTask({ busRoot, roster, fromAgent: 'frontend', toAgent: 'backend', taskId: 'msg_ip' }), /in_progress/);
+  const res = await reassignTask({ busRoot, roster, fromAgent: 'frontend', toAgent: 'backend', taskId: 'msg_ip', force: true });
+  assert.equal(res.fromState, 'in_progress');
+  await assert.rejects(fs.access(path.join(busRoot, 'inbox', 'frontend', 'in_progress', 'msg_ip.lease.json')));
+});
+
+test('runBulkTaskAction cancels, reprioritizes and reassigns item by item', async () => {
+  const { busRoot } = await mkBusRoot();
+  for (const id of ['msg_1', 'msg_2', 'msg_3']) await deliver(busRoot, id);
+  await deliver(busRoot, 'msg_busy');
+  await claimTask({ busRoot, agentName: 'frontend', taskId: 'msg_busy' });
+
+  const reprioritized = await runBulkTaskAction({
+    busRoot,
+    roster,
+    action: 'reprioritize',
+    priority: 'P0',
+    items: [{ agent: 'frontend', id: 'msg_1' }, { agent: 'frontend', id: 'msg_busy' }, { agent: 'frontend', id: 'msg_nope' }],
+  });
+  assert.deepEqual(reprioritized.map((r) => r.ok), [true, false, false]);
+  assert.equal(reprioritized[0].previousPriority, 'P2');
+  assert.match(reprioritized[1].error, /already in_progress/);
+  assert.match(reprioritized[2].error, /Task not found/);
+  const bumped = await openTask({ busRoot, agentName: 'frontend', taskId: 'msg_1', markSeen: false });
+  assert.equal(bumped.meta.priority, 'P0');
+  assert.match(bumped.body, /from dashboard\n\nPriority changed from P2 to P0\n$/);
+
+  const canceled = await runBulkTaskAction({ busRoot, roster, action: 'cancel', reason: 'dup', items: [{ agent: 'frontend', id: 'msg_2' }] });
+  assert.equal(canceled[0].ok, true);
+  const receipt = await readReceipt(busRoot, 'frontend', 'msg_2');
+  assert.deepEqual([receipt.outcome, receipt.note, receipt.receiptExtra.bulk], ['skipped', 'Canceled by dashboard: dup', true]);
+
+  const reassigned = await runBulkTaskAction({
+    busRoot,
+    roster,
+    action: 'reassign',
+    toAgent: 'backend',
+    items: [{ agent: 'frontend', id: 'msg_3' }, { agent: 'frontend', id: 'msg_2' }],
+  });
+  assert.deepEqual(reassigned.map((r) => r.ok), [true, false]);
+  assert.match(reassigned[1].error, /already processed/);
+  assert.equal((await openTask({ busRoot, agentName: 'backend', taskId: 'msg_3', markSeen: false })).state, 'new');
+
+  await assert.rejects(runBulkTaskAction({ busRoot, roster, action: 'reprioritize', priority: 'P9', items: [] }), /priority/);
+  await assert.rejects(runBulkTaskAction({ busRoot, roster, action: 'archive', items: [] }), /Unknown bulk action/);
+});
+
+test('agent-bus reassign CLI moves a queued packet', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  await deliver(busRoot, 'msg_cli');
+
+  const run = (...args) =>
+    spawnSync(process.execPath, [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), 'reassign', '--bus-root', busRoot, '--roster', rosterPath, ...args], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+    });
+  const res = run('--from', 'frontend', '--to', 'backend', '--id', 'msg_cli', '--reason', 'worker down');
+  assert.equal(res.status, 0, res.stderr);
+  const out = JSON.parse(res.stdout);
+  assert.deepEqual([out.ok, out.from, out.fromState, out.to], [true, 'frontend', 'new', ['backend']]);
+  assert.equal((await readReceipt(busRoot, 'frontend', 'msg_cli')).receiptExtra.reassignedTo, 'backend');
+
+  const unknown = run('--from', 'frontend', '--to', 'nobody', '--id', 'msg_cli');
+  assert.notEqual(unknown.status, 0);
+  assert.match(unknown.stderr, /Unknown reassign agents: nobody/);
+});
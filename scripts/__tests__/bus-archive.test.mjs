@@ -0,0 +1,235 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+  closeTask,
+  deliverTask,
+  ensureBusRoot,
+  receiptIndexPath,
+  recentReceipts,
+} from '../lib/agentbus.mjs';
+import {
+  gcBusRoot,
+  listArchives,
+  loadRetentionPolicy,
+  readArchivedTask,
+  resolveRetentionDays,
+  searchArchives,
+} from '../lib/bus-archive.mjs';
+import { archiveIndexPath } from '../lib/archive-index.mjs';
+import { appendBusEvent, readBusEvents } from '../lib/bus-events.mjs';
+import { searchBus } from '../lib/bus-search.mjs';
+import { readReceiptDetail } from '../lib/receipt-browser.mjs';
+import { buildRootExport } from '../lib/root-export.mjs';
+import { buildRootTimeline } from '../lib/root-timeline.mjs';
+import { readDependencyStatus, releaseReadyPendingTasks } from '../lib/task-dependencies.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'backend' }, { name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-archive-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+async function closeAged({ busRoot, agent, id, outcome = 'done', ageDays = 0, title = id, meta = {} }) {
+  await deliverTask({ busRoot, meta: { id, to: [agent], from: 'daddy', priority: 'P2', title, ...meta }, body: `body of ${id}` });
+  await closeTask({ busRoot, roster, agentName: agent, taskId: id, outcome, notifyOrchestrator: false });
+  const receiptPath = path.join(busRoot, 'receipts', agent, `${id}.json`);
+  const receipt = JSON.parse(await fs.readFile(receiptPath, 'utf8'));
+  const closedAt = new Date(Date.now() - ageDays * DAY_MS);
+  receipt.closedAt = closedAt.toISOString();
+  await fs.writeFile(receiptPath, JSON.stringify(receipt, null, 2) + '\n', 'utf8');
+  await fs.utimes(receiptPath, closedAt, closedAt);
+}
+
+test('resolveRetentionDays prefers agent+outcome, then agent, then outcome, then default', () => {
+  const policy = loadRetentionPolicy({
+    retention: {
+      days: 30,
+      outcomes: { failed: 90, needs_review: null },
+      agents: { qa: { days: 7, outcomes: { failed: 14 } }, backend: 10 },
+    },
+  });
+  assert.equal(resolveRetentionDays(policy, { agent: 'qa', outcome: 'failed' }), 14);
+  assert.equal(resolveRetentionDays(policy, { agent: 'qa', outcome: 'done' }), 7);
+  assert.equal(resolveRetentionDays(policy, { agent: 'backend', outcome: 'failed' }), 10);
+  assert.equal(resolveRetentionDays(policy, { agent: 'frontend', outcome: 'failed' }), 90);
+  assert.equal(resolveRetentionDays(policy, { agent: 'frontend', outcome: 'needs_review' }), null);
+  assert.equal(resolveRetentionDays(policy, { agent: 'frontend', outcome: 'done' }), 30);
+
+  assert.equal(loadRetentionPolicy({}).days, null);
+  assert.equal(loadRetentionPolicy({ retention: { days: 30 } }, { days: '2' }).days, 2);
+  assert.throws(() => loadRetentionPolicy({}, { days: 'soon' }), /Invalid retention days/);
+});
+
+test('recentReceipts reads the receipt index and rebuilds it when receipts change underneath', async () => {
+  const { busRoot } = await mkBusRoot();
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_1' });
+  await closeAged({ busRoot, agent: 'qa', id: 'msg_2' });
+
+  assert.deepEqual((await recentReceipts({ busRoot })).map((r) => r.taskId), ['msg_2', 'msg_1']);
+  const indexLines = (await fs.readFile(receiptIndexPath(busRoot), 'utf8')).trim().split('\n');
+  assert.equal(indexLines.length, 2);
+
+  // With the index in place, writeReceipt appends to it.
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_3' });
+  assert.deepEqual((await recentReceipts({ busRoot, limit: 2 })).map((r) => r.taskId), ['msg_3', 'msg_2']);
+  assert.deepEqual((await recentReceipts({ busRoot, agentName: 'backend' })).map((r) => r.taskId), ['msg_3', 'msg_1']);
+
+  // A receipt removed behind the index's back is skipped, not returned stale.
+  await fs.rm(path.join(busRoot, 'receipts', 'backend', 'msg_3.json'));
+  assert.deepEqual((await recentReceipts({ busRoot })).map((r) => r.taskId), ['msg_2', 'msg_1']);
+});
+
+test('gcBusRoot archives expired tasks into dated gzip files that stay searchable', async () => {
+  const { busRoot } = await mkBusRoot();
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_old_done', ageDays: 40, title: 'Refactor parser' });
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_old_failed', outcome: 'failed', ageDays: 40 });
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_fresh', ageDays: 1 });
+  await closeAged({ busRoot, agent: 'qa', id: 'msg_dep', ageDays: 40 });
+  await deliverTask({
+    busRoot,
+    meta: { id: 'msg_gated', to: ['qa'], from: 'daddy', priority: 'P2', title: 'Gated', signals: { dependsOn: ['msg_dep', 'msg_other'] } },
+    body: 'waits',
+  });
+
+  const policy = loadRetentionPolicy({ retention: { days: 30, outcomes: { failed: 90 } } });
+  const dry = await gcBusRoot({ busRoot, policy, dryRun: true });
+  assert.deepEqual(dry.archived.map((e) => e.taskId), ['msg_old_done']);
+  assert.deepEqual(dry.kept, { retained: 2, forever: 0, dependedOn: 1 });
+  assert.deepEqual(await listArchives({ busRoot }), []);
+
+  const result = await gcBusRoot({ busRoot, policy });
+  assert.equal(result.archived.length, 1);
+  await assert.rejects(fs.access(path.join(busRoot, 'receipts', 'backend', 'msg_old_done.json')));
+  await assert.rejects(fs.access(path.join(busRoot, 'inbox', 'backend', 'processed', 'msg_old_done.md')));
+  assert.deepEqual(
+    (await recentReceipts({ busRoot })).map((r) => r.taskId).sort(),
+    ['msg_dep', 'msg_fresh', 'msg_old_failed'],
+  );
+
+  // A second run appends another gzip member to the same day file.
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_old_2', ageDays: 40 });
+  await gcBusRoot({ busRoot, policy });
+  const archives = await listArchives({ busRoot });
+  assert.equal(archives.length, 1);
+  assert.match(path.basename(archives[0].path), /^\d{4}-\d{2}-\d{2}\.jsonl\.gz$/);
+
+  assert.deepEqual((await searchArchives({ busRoot, query: 'refactor PARSER' })).map((e) => e.taskId), ['msg_old_done']);
+  assert.deepEqual((await searchArchives({ busRoot })).map((e) => e.taskId), ['msg_old_2', 'msg_old_done']);
+  assert.deepEqual(await searchArchives({ busRoot, since: '2999-01-01' }), []);
+
+  const archived = await readArchivedTask({ busRoot, taskId: 'msg_old_done' });
+  assert.equal(archived.receipt.outcome, 'done');
+  assert.match(archived.packet, /body of msg_old_done/);
+});
+
+test('archived tasks still release dependsOn gates and show up in search, timelines and exports', async () => {
+  const { busRoot } = await mkBusRoot();
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_base', ageDays: 40, title: 'Archived base', meta: { signals: { rootId: 'root_arch' } } });
+  await gcBusRoot({ busRoot, policy: loadRetentionPolicy({ retention: { days: 30 } }) });
+  await assert.rejects(fs.access(path.join(busRoot, 'receipts', 'backend', 'msg_base.json')));
+
+  await deliverTask({
+    busRoot,
+    meta: { id: 'msg_follow', to: ['qa'], from: 'daddy', priority: 'P2', title: 'Follow', signals: { dependsOn: ['msg_base'] } },
+    body: 'after base',
+  });
+  assert.equal((await readDependencyStatus({ busRoot, taskId: 'msg_base' })).status, 'done');
+  await releaseReadyPendingTasks({ busRoot, roster });
+  assert.deepEqual(await fs.readdir(path.join(busRoot, 'inbox', 'qa', 'new')), ['msg_follow.md']);
+
+  const [archive] = await listArchives({ busRoot });
+  const { results } = await searchBus({ busRoot, text: 'archived base' });
+  assert.deepEqual(
+    results.map((r) => [r.taskId, r.state, r.outcome, r.path, r.archive]),
+    [['msg_base', 'archived', 'done', null, path.relative(busRoot, archive.path)]],
+  );
+  assert.deepEqual((await searchBus({ busRoot, state: 'archived' })).results.map((r) => r.taskId), ['msg_base']);
+
+  const timeline = await buildRootTimeline({ busRoot, rootId: 'root_arch' });
+  assert.deepEqual(
+    timeline.nodes.map((n) => [n.key, n.title, n.outcome, n.state, Boolean(n.archive)]),
+    [['backend/msg_base', 'Archived base', 'done', 'archived', true]],
+  );
+  const detail = await readReceiptDetail({ busRoot, agent: 'backend', taskId: 'msg_base' });
+  assert.equal(detail.receipt.outcome, 'done');
+  assert.equal(detail.archive, path.relative(busRoot, archive.path));
+  const exported = await buildRootExport({ busRoot, rootId: 'root_arch' });
+  assert.equal(exported.tasks[0].body, 'body of msg_base');
+  assert.equal(exported.tasks[0].receipt.outcome, 'done');
+
+  // Archives written before the index existed are indexed on first read.
+  await fs.rm(archiveIndexPath(busRoot));
+  assert.equal((await readDependencyStatus({ busRoot, taskId: 'msg_base' })).status, 'done');
+});
+
+test('gcBusRoot rotates journal events past the default retention', async () => {
+  const { busRoot } = await mkBusRoot();
+  const now = Date.now();
+  for (const ageDays of [45, 40, 1]) {
+    await appendBusEvent(busRoot, { type: 'update', agent: 'backend', taskId: `t${ageDays}`, ts: new Date(now - ageDays * DAY_MS).toISOString() });
+  }
+  const policy = loadRetentionPolicy({ retention: { days: 30 } });
+
+  assert.equal((await gcBusRoot({ busRoot, policy, agentName: 'backend' })).journal, null);
+  assert.equal((await gcBusRoot({ busRoot, policy: loadRetentionPolicy({ retention: { days: null } }) })).journal, null);
+  const result = await gcBusRoot({ busRoot, policy, now });
+  assert.deepEqual([result.journal.rotated, result.journal.firstSeq, result.journal.lastSeq], [2, 1, 2]);
+  assert.deepEqual((await readBusEvents({ busRoot })).map((e) => e.taskId), ['t1']);
+  assert.deepEqual(await listArchives({ busRoot }), []);
+});
+
+test('agent-bus gc and archive commands', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(
+    rosterPath,
+    JSON.stringify({ ...roster, retention: { days: 30, agents: { qa: { days: null } } } }, null, 2) + '\n',
+    'utf8',
+  );
+  await closeAged({ busRoot, agent: 'backend', id: 'msg_cli_old', ageDays: 5, title: 'Old CLI task' });
+  await closeAged({ busRoot, agent: 'qa', id: 'msg_cli_qa', ageDays: 400 });
+
+  const run = (...args) =>
+    spawnSync(process.execPath, [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), ...args, '--bus-root', busRoot, '--roster', rosterPath], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+    });
+
+  const retained = run('gc', '--format', 'lines');
+  assert.equal(retained.status, 0, retained.stderr);
+  assert.match(retained.stdout, /^archived=0 retained=1 forever=1 dependedOn=0$/m);
+
+  const gc = run('gc', '--days', '3', '--format', 'lines');
+  assert.equal(gc.status, 0, gc.stderr);
+  assert.match(gc.stdout, /^archived backend done msg_cli_old -> archive\/backend\/\d{4}-\d{2}-\d{2}\.jsonl\.gz$/m);
+
+  const search = run('archive', 'search', 'old cli', '--format', 'lines');
+  assert.equal(search.status, 0, search.stderr);
+  assert.match(search.stdout, /backend done msg_cli_old — Old CLI task/);
+
+  const show = run('archive', 'show', '--id', 'msg_cli_old');
+  assert.equal(show.status, 0, show.stderr);
+  assert.equal(JSON.parse(show.stdout).receipt.taskId, 'msg_cli_old');
+
+  const missing = run('archive', 'show', '--id', 'msg_nope');
+  assert.notEqual(missing.status, 0);
+  assert.match(missing.stderr, /No archived task msg_nope/);
+});
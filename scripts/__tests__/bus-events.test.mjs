@@ -0,0 +1,300 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import {
+  claimTask,
+  closeTask,
+  deliverTask,
+  ensureBusRoot,
+  openTask,
+  quarantineTask,
+  renderTaskMarkdown,
+  updateTask,
+} from '../lib/agentbus.mjs';
+import {
+  appendBusEvent,
+  busEventsPath,
+  listBusEventArchives,
+  readBusEvents,
+  readLastBusEventSeq,
+  replayBusEvents,
+  rotateBusEvents,
+  streamBusEvents,
+} from '../lib/bus-events.mjs';
+import { retryDeadletterPacket } from '../lib/deadletter.mjs';
+import { releaseReadyPendingTasks } from '../lib/task-dependencies.mjs';
+import { reapExpiredTaskLeases } from '../lib/task-lease.mjs';
+import { promoteDueScheduledTasks } from '../lib/task-schedule.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'backend' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-events-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+async function runLifecycle(busRoot) {
+  await deliverTask({
+    busRoot,
+    meta: { id: 'msg_1', to: ['backend'], from: 'daddy', priority: 'P2', title: 'One', signals: { kind: 'EXECUTE', rootId: 'root_1' } },
+    body: 'do it',
+  });
+  await openTask({ busRoot, agentName: 'backend', taskId: 'msg_1' });
+  await updateTask({ busRoot, agentName: 'backend', taskId: 'msg_1', appendBody: 'also this' });
+  await claimTask({ busRoot, agentName: 'backend', taskId: 'msg_1' });
+  await closeTask({ busRoot, roster, agentName: 'backend', taskId: 'msg_1', outcome: 'done', note: 'ok' });
+}
+
+test('packet transitions are journaled in order with monotonic sequence numbers', async () => {
+  const { busRoot } = await mkBusRoot();
+  await runLifecycle(busRoot);
+
+  const events = await readBusEvents({ busRoot });
+  assert.deepEqual(
+    events.map((e) => [e.seq, e.type, e.agent]),
+    [
+      [1, 'deliver', 'backend'],
+      [2, 'open', 'backend'],
+      [3, 'update', 'backend'],
+      [4, 'claim', 'backend'],
+      [5, 'close', 'backend'],
+      [6, 'deliver', 'daddy-orchestrator'],
+    ],
+  );
+  const [deliver, open, update, claim, close] = events;
+  assert.equal(deliver.path, path.join('inbox', 'backend', 'new', 'msg_1.md'));
+  assert.equal(deliver.kind, 'EXECUTE');
+  assert.equal(deliver.rootId, 'root_1');
+  assert.match(deliver.markdown, /do it/);
+  assert.deepEqual([open.from, open.to], [deliver.path, path.join('inbox', 'backend', 'seen', 'msg_1.md')]);
+  assert.match(update.markdown, /also this/);
+  assert.equal(claim.to, path.join('inbox', 'backend', 'in_progress', 'msg_1.md'));
+  assert.equal(close.outcome, 'done');
+  assert.equal(close.receipt.note, 'ok');
+  assert.ok(events.every((e) => typeof e.ts === 'string'));
+
+  assert.deepEqual((await readBusEvents({ busRoot, since: 4 })).map((e) => e.seq), [5, 6]);
+
+  // Re-closing an already processed task writes nothing and journals nothing.
+  await closeTask({ busRoot, roster, agentName: 'backend', taskId: 'msg_1', outcome: 'done' });
+  assert.equal((await readBusEvents({ busRoot })).length, 6);
+});
+
+test('concurrent writers in separate processes never reuse a sequence number', async () => {
+  const { busRoot } = await mkBusRoot();
+  const moduleUrl = pathToFileURL(path.join(repoRoot, 'scripts', 'lib', 'bus-events.mjs')).href;
+  const script =
+    `const { appendBusEvent } = await import(${JSON.stringify(moduleUrl)});` +
+    `for (let i = 0; i < 15; i += 1) await appendBusEvent(process.argv[1], { type: 'update', agent: 'w' + process.pid, taskId: 't' + i });`;
+  const runs = Array.from({ length: 3 }, () => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script, busRoot], { stdio: 'ignore' });
+    return new Promise((resolve) => child.on('exit', resolve));
+  });
+  await appendBusEvent(busRoot, { type: 'update', agent: 'parent', taskId: 't' });
+  assert.deepEqual(await Promise.all(runs), [0, 0, 0]);
+
+  const seqs = (await readBusEvents({ busRoot })).map((e) => e.seq);
+  assert.deepEqual(seqs, Array.from({ length: 46 }, (_, i) => i + 1));
+});
+
+test('streamBusEvents follows the journal until aborted and skips a torn tail', async () => {
+  const { busRoot } = await mkBusRoot();
+  await appendBusEvent(busRoot, { type: 'update', agent: 'backend', taskId: 'a' });
+
+  const controller = new AbortController();
+  const seen = [];
+  const done = (async () => {
+    for await (const ev of streamBusEvents({ busRoot, follow: true, pollMs: 20, signal: controller.signal })) {
+      seen.push(ev.seq);
+      if (seen.length === 2) controller.abort();
+    }
+  })();
+  await new Promise((r) => setTimeout(r, 60));
+  await fs.appendFile(busEventsPath(busRoot), '{"seq":2,"type":"upd');
+  await new Promise((r) => setTimeout(r, 60));
+  assert.deepEqual(seen, [1]);
+  await fs.appendFile(busEventsPath(busRoot), 'ate","agent":"backend","taskId":"b"}\n');
+  await done;
+  assert.deepEqual(seen, [1, 2]);
+});
+
+test('streamBusEvents seeks to since across chunk boundaries and torn lines', async () => {
+  const { busRoot } = await mkBusRoot();
+  // ~100 KiB lines so reads cross the 256 KiB chunk size and seeks land mid-line.
+  const markdown = 'x'.repeat(100 * 1024);
+  for (let i = 1; i <= 12; i += 1) {
+    await appendBusEvent(busRoot, { type: 'update', agent: 'backend', taskId: `t${i}`, markdown });
+    if (i === 6) await fs.appendFile(busEventsPath(busRoot), '{"seq":"torn\n');
+  }
+  const seqsFrom = async (since) => (await readBusEvents({ busRoot, since })).map((e) => e.seq);
+  assert.deepEqual(await seqsFrom(0), Array.from({ length: 12 }, (_, i) => i + 1));
+  assert.deepEqual(await seqsFrom(5), [6, 7, 8, 9, 10, 11, 12]);
+  assert.deepEqual(await seqsFrom(6), [7, 8, 9, 10, 11, 12]);
+  assert.deepEqual(await seqsFrom(11), [12]);
+  assert.deepEqual(await seqsFrom(12), []);
+  assert.deepEqual((await readBusEvents({ busRoot, since: 2, limit: 2 })).map((e) => e.seq), [3, 4]);
+});
+
+test('rotateBusEvents moves old events into a gzip segment and followers re-seek', async () => {
+  const { busRoot } = await mkBusRoot();
+  for (let i = 1; i <= 4; i += 1) {
+    await appendBusEvent(busRoot, { type: 'update', agent: 'backend', taskId: `t${i}`, ts: `2020-01-0${i}T00:00:00.000Z` });
+  }
+  await appendBusEvent(busRoot, { type: 'update', agent: 'backend', taskId: 't5' });
+
+  const controller = new AbortController();
+  const followed = [];
+  const follower = (async () => {
+    for await (const ev of streamBusEvents({ busRoot, follow: true, pollMs: 20, signal: controller.signal })) {
+      followed.push(ev.seq);
+      if (ev.seq === 6) controller.abort();
+    }
+  })();
+  while (followed.length < 5) await new Promise((r) => setTimeout(r, 10));
+
+  const before = Date.parse('2020-01-03T12:00:00Z');
+  const dry = await rotateBusEvents({ busRoot, before, dryRun: true });
+  assert.deepEqual([dry.rotated, dry.firstSeq, dry.lastSeq], [3, 1, 3]);
+  assert.deepEqual(await listBusEventArchives(busRoot), []);
+
+  const rotated = await rotateBusEvents({ busRoot, before });
+  assert.equal(rotated.archive, path.join('archive', 'journal', 'events-000000000001-000000000003.jsonl.gz'));
+  assert.deepEqual((await readBusEvents({ busRoot })).map((e) => e.seq), [4, 5]);
+  assert.deepEqual((await listBusEventArchives(busRoot)).map((a) => [a.firstSeq, a.lastSeq]), [[1, 3]]);
+
+  await appendBusEvent(busRoot, { type: 'update', agent: 'backend', taskId: 't6' });
+  await follower;
+  assert.deepEqual(followed, [1, 2, 3, 4, 5, 6]);
+  assert.equal(await readLastBusEventSeq(busRoot), 6);
+
+  // Everything is old: the newest event still stays behind so seq keeps counting.
+  const all = await rotateBusEvents({ busRoot, before: Date.now() + 60_000 });
+  assert.deepEqual([all.firstSeq, all.lastSeq], [4, 5]);
+  assert.deepEqual((await readBusEvents({ busRoot })).map((e) => e.seq), [6]);
+  const withArchive = [];
+  for await (const ev of streamBusEvents({ busRoot, since: 2, includeArchive: true })) withArchive.push(ev.seq);
+  assert.deepEqual(withArchive, [3, 4, 5, 6]);
+  assert.equal((await appendBusEvent(busRoot, { type: 'update', agent: 'backend', taskId: 't7' })).seq, 7);
+});
+
+test('agent-bus replay streams events and rebuilds packets and receipts into another directory', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  await runLifecycle(busRoot);
+
+  const run = (...args) =>
+    spawnSync(process.execPath, [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), 'replay', ...args, '--bus-root', busRoot, '--roster', rosterPath], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+    });
+
+  const streamed = run('--since', '3', '--format', 'lines');
+  assert.equal(streamed.status, 0, streamed.stderr);
+  const lines = streamed.stdout.trim().split('\n');
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^4 \S+ claim backend msg_1 inbox\/backend\/seen\/msg_1\.md -> inbox\/backend\/in_progress\/msg_1\.md$/);
+  assert.match(lines[1], /^5 \S+ close backend msg_1 done /);
+
+  const jsonl = run('--since', '5');
+  assert.equal(JSON.parse(jsonl.stdout.trim()).type, 'deliver');
+
+  const targetRoot = path.join(tmp, 'rebuilt');
+  const rebuilt = run('--into', targetRoot);
+  assert.equal(rebuilt.status, 0, rebuilt.stderr);
+  const summary = JSON.parse(rebuilt.stdout);
+  assert.deepEqual([summary.applied, summary.skipped, summary.lastSeq], [6, [], 6]);
+
+  for (const rel of [
+    path.join('inbox', 'backend', 'processed', 'msg_1.md'),
+    path.join('receipts', 'backend', 'msg_1.json'),
+  ]) {
+    assert.equal(await fs.readFile(path.join(targetRoot, rel), 'utf8'), await fs.readFile(path.join(busRoot, rel), 'utf8'), rel);
+  }
+  const orchNew = await fs.readdir(path.join(targetRoot, 'inbox', 'daddy-orchestrator', 'new'));
+  assert.deepEqual(orchNew, await fs.readdir(path.join(busRoot, 'inbox', 'daddy-orchestrator', 'new')));
+
+  const refused = run('--into', busRoot);
+  assert.notEqual(refused.status, 0);
+  assert.match(refused.stderr, /must not be the live bus root/);
+});
+
+async function listPacketFiles(root) {
+  const out = [];
+  const walk = async (dir) => {
+    for (const ent of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+      const p = path.join(dir, ent.name);
+      if (ent.isDirectory()) await walk(p);
+      else if (ent.name.endsWith('.md')) out.push(path.relative(root, p));
+    }
+  };
+  for (const area of ['inbox', 'pending', 'scheduled', 'deadletter']) await walk(path.join(root, area));
+  return out.sort();
+}
+
+test('release, requeue, quarantine and retry moves are journaled and replayed', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const signals = { kind: 'EXECUTE', rootId: 'root_1' };
+  await deliverTask({
+    busRoot,
+    meta: { id: 'msg_gated', to: ['backend'], from: 'daddy', priority: 'P2', title: 'Gated', signals: { ...signals, dependsOn: ['msg_1'] } },
+    body: 'after msg_1',
+  });
+  await deliverTask({
+    busRoot,
+    meta: { id: 'msg_later', to: ['backend'], from: 'daddy', priority: 'P2', title: 'Later', signals: { ...signals, notBefore: '2999-01-01T00:00:00.000Z' } },
+    body: 'later',
+  });
+  await runLifecycle(busRoot);
+
+  await releaseReadyPendingTasks({ busRoot, roster });
+  await promoteDueScheduledTasks({ busRoot, nowMs: Date.parse('2999-01-02T00:00:00.000Z') });
+  await claimTask({ busRoot, agentName: 'backend', taskId: 'msg_gated' });
+  await reapExpiredTaskLeases({ busRoot, agentNames: ['backend'], nowMs: Date.now() + 24 * 60 * 60 * 1000 });
+
+  const badPath = path.join(busRoot, 'inbox', 'backend', 'new', 'msg_bad.md');
+  await fs.writeFile(badPath, '---\n{ not json\n---\n\nbroken\n', 'utf8');
+  const quarantined = await quarantineTask({ busRoot, agentName: 'backend', fromPath: badPath, reason: 'parse', error: 'bad frontmatter' });
+  await fs.writeFile(
+    quarantined.path,
+    renderTaskMarkdown({ id: 'msg_bad', to: ['backend'], from: 'daddy', priority: 'P2', title: 'Fixed', signals }, 'fixed'),
+    'utf8',
+  );
+  await retryDeadletterPacket({ busRoot, agentName: 'backend', id: 'msg_bad' });
+
+  const moves = (await readBusEvents({ busRoot }))
+    .filter((e) => ['released', 'requeued', 'quarantined', 'retried'].includes(e.type))
+    .map((e) => [e.type, e.taskId, e.from, e.to]);
+  const rel = (...parts) => path.join(...parts);
+  assert.deepEqual(moves, [
+    ['released', 'msg_gated', rel('pending', 'backend', 'msg_gated.md'), rel('inbox', 'backend', 'new', 'msg_gated.md')],
+    ['released', 'msg_later', rel('scheduled', 'backend', 'msg_later.md'), rel('inbox', 'backend', 'new', 'msg_later.md')],
+    ['requeued', 'msg_gated', rel('inbox', 'backend', 'in_progress', 'msg_gated.md'), rel('inbox', 'backend', 'new', 'msg_gated.md')],
+    ['quarantined', 'msg_bad', rel('inbox', 'backend', 'new', 'msg_bad.md'), rel('deadletter', 'backend', 'msg_bad.md')],
+    ['retried', 'msg_bad', rel('deadletter', 'backend', 'msg_bad.md'), rel('inbox', 'backend', 'new', 'msg_bad.md')],
+  ]);
+
+  const targetRoot = path.join(tmp, 'rebuilt');
+  const summary = await replayBusEvents({ busRoot, targetRoot });
+  assert.deepEqual(summary.skipped, []);
+  const files = await listPacketFiles(busRoot);
+  assert.deepEqual(await listPacketFiles(targetRoot), files);
+  for (const f of files) {
+    assert.equal(await fs.readFile(path.join(targetRoot, f), 'utf8'), await fs.readFile(path.join(busRoot, f), 'utf8'), f);
+  }
+});
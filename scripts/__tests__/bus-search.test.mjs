@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { claimTask, closeTask, deliverTask, ensureBusRoot, updateTask } from '../lib/agentbus.mjs';
+import {
+  parseSearchTerms,
+  parseSearchTime,
+  readIndexedTasks,
+  refreshSearchIndex,
+  searchBus,
+  searchIndexShardPath,
+} from '../lib/bus-search.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'backend' }, { name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-search-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+async function seed(busRoot) {
+  const send = (id, to, title, body, signals = {}) =>
+    deliverTask({ busRoot, meta: { id, to: [to], from: 'daddy', priority: 'P2', title, signals: { kind: 'EXECUTE', rootId: 'root_a', ...signals } }, body });
+  await send('msg_parser', 'backend', 'Refactor parser', 'Split the tokenizer from the parser.');
+  await send('msg_flaky', 'qa', 'Fix flaky login test', 'The login test times out on CI.', { rootId: 'root_b' });
+  await send('msg_docs', 'backend', 'Docs pass', 'Update the README.', { kind: 'PLAN_REQUEST' });
+  await claimTask({ busRoot, agentName: 'qa', taskId: 'msg_flaky' });
+  await closeTask({
+    busRoot,
+    roster,
+    agentName: 'backend',
+    taskId: 'msg_parser',
+    outcome: 'done',
+    note: 'Tokenizer now lives in lexer.mjs',
+    commitSha: 'abc1234def',
+    receiptExtra: { reviewClosure: { threadIds: ['T1', 'T2'], resolved: true } },
+    notifyOrchestrator: false,
+  });
+}
+
+test('parseSearchTerms keeps quoted phrases and parseSearchTime accepts ISO dates and relative ages', () => {
+  assert.deepEqual(parseSearchTerms('Login  "times out" CI'), ['login', 'times out', 'ci']);
+  const now = Date.parse('2026-03-10T12:00:00Z');
+  assert.equal(parseSearchTime('2d', { now }), Date.parse('2026-03-08T12:00:00Z'));
+  assert.equal(parseSearchTime('2026-03-01'), Date.parse('2026-03-01T00:00:00Z'));
+  assert.equal(parseSearchTime('2026-03-01', { end: true }), Date.parse('2026-03-01T23:59:59.999Z'));
+  assert.equal(parseSearchTime(''), null);
+  assert.throws(() => parseSearchTime('last tuesday'), /Invalid search time/);
+});
+
+test('searchBus combines structured filters with free text over bodies and notes', async () => {
+  const { busRoot } = await mkBusRoot();
+  await seed(busRoot);
+  const ids = async (filters) => (await searchBus({ busRoot, ...filters })).results.map((r) => r.taskId);
+
+  assert.deepEqual(await ids({ text: 'tokenizer' }), ['msg_parser']);
+  assert.deepEqual(await ids({ text: 'lexer.mjs' }), ['msg_parser']);
+  assert.deepEqual(await ids({ text: '"times out" login' }), ['msg_flaky']);
+  assert.deepEqual(await ids({ text: '"out times"' }), []);
+  assert.deepEqual((await ids({ agent: 'backend' })).sort(), ['msg_docs', 'msg_parser']);
+  assert.deepEqual(await ids({ state: 'in_progress' }), ['msg_flaky']);
+  assert.deepEqual(await ids({ outcome: 'done' }), ['msg_parser']);
+  assert.deepEqual(await ids({ kind: 'PLAN_REQUEST' }), ['msg_docs']);
+  assert.deepEqual(await ids({ rootId: 'root_b' }), ['msg_flaky']);
+  assert.deepEqual(await ids({ commitSha: 'ABC12' }), ['msg_parser']);
+  assert.deepEqual(await ids({ extra: ['reviewClosure.threadIds=T2', 'reviewClosure.resolved=true'] }), ['msg_parser']);
+  assert.deepEqual(await ids({ extra: 'receiptExtra.reviewClosure.threadIds=T3' }), []);
+  assert.deepEqual(await ids({ extra: 'reviewClosure' }), ['msg_parser']);
+  assert.deepEqual(await ids({ extra: 'reviewClosure.thread' }), []);
+  assert.deepEqual(await ids({ since: '1h', text: 'parser' }), ['msg_parser']);
+  assert.deepEqual(await ids({ until: '2000-01-01' }), []);
+
+  const { total, results } = await searchBus({ busRoot, limit: 1 });
+  assert.equal(total, 3);
+  assert.equal(results.length, 1);
+  const [hit] = (await searchBus({ busRoot, text: 'tokenizer' })).results;
+  assert.equal(hit.state, 'processed');
+  assert.equal(hit.receiptPath, path.join('receipts', 'backend', 'msg_parser.json'));
+  assert.match(hit.snippet, /tokenizer/);
+});
+
+test('refreshSearchIndex only re-reads directories that changed and only rewrites their agent shard', async () => {
+  const { busRoot } = await mkBusRoot();
+  await seed(busRoot);
+  await fs.writeFile(path.join(busRoot, 'state', 'search-index.json'), '{"version":1,"dirs":{}}\n');
+
+  const first = await refreshSearchIndex({ busRoot });
+  assert.ok(first.stats.filesParsed >= 4);
+  await assert.rejects(fs.stat(path.join(busRoot, 'state', 'search-index.json')));
+  const qaShard = await fs.stat(searchIndexShardPath(busRoot, 'qa'));
+  const backendShard = await fs.stat(searchIndexShardPath(busRoot, 'backend'));
+
+  const tasks = await readIndexedTasks({ busRoot });
+  const again = await refreshSearchIndex({ busRoot });
+  assert.equal(again.stats.dirsScanned, 0);
+  assert.equal(again.stats.filesParsed, 0);
+  assert.equal(again.stats.shardsWritten, 0);
+  assert.equal(await readIndexedTasks({ busRoot }), tasks);
+
+  await updateTask({ busRoot, agentName: 'backend', taskId: 'msg_docs', appendBody: 'Also document the search index.' });
+  const updated = await refreshSearchIndex({ busRoot });
+  assert.equal(updated.stats.dirsScanned, 1);
+  assert.equal(updated.stats.filesParsed, 1);
+  assert.equal(updated.stats.shardsWritten, 1);
+  assert.equal((await fs.stat(searchIndexShardPath(busRoot, 'qa'))).mtimeMs, qaShard.mtimeMs);
+  assert.notEqual((await fs.stat(searchIndexShardPath(busRoot, 'backend'))).mtimeMs, backendShard.mtimeMs);
+  assert.notEqual(await readIndexedTasks({ busRoot }), tasks);
+  assert.deepEqual((await searchBus({ busRoot, text: 'search index' })).results.map((r) => r.taskId), ['msg_docs']);
+
+  await closeTask({ busRoot, roster, agentName: 'qa', taskId: 'msg_flaky', outcome: 'failed', notifyOrchestrator: false });
+  assert.deepEqual((await searchBus({ busRoot, outcome: 'failed' })).results.map((r) => [r.taskId, r.state]), [
+    ['msg_flaky', 'processed'],
+  ]);
+});
+
+test('agent-bus search command', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  await seed(busRoot);
+
+  const run = (...args) =>
+    spawnSync(process.execPath, [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), 'search', ...args, '--bus-root', busRoot, '--roster', rosterPath], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+    });
+
+  const lines = run('parser', '--agent', 'backend', '--extra', 'reviewClosure.threadIds=T1', '--format', 'lines');
+  assert.equal(lines.status, 0, lines.stderr);
+  assert.match(lines.stdout.trim(), /^\S+ backend done msg_parser — Refactor parser$/);
+
+  const json = run('--state', 'new', '--rebuild');
+  assert.equal(json.status, 0, json.stderr);
+  assert.deepEqual(JSON.parse(json.stdout).results.map((r) => r.taskId), ['msg_docs']);
+
+  const badState = run('--state', 'deleted');
+  assert.notEqual(badState.status, 0);
+  assert.match(badState.stderr, /Invalid search state "deleted"/);
+
+  const badAgent = run('--agent', 'nobody');
+  assert.notEqual(badAgent.status, 0);
+  assert.match(badAgent.stderr, /Unknown --agent: nobody/);
+});
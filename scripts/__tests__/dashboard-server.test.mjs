@@ -3,10 +3,12 @@ import assert from 'node:assert/strict';
 import os from 'node:os';
 import path from 'node:path';
 import { promises as fs } from 'node:fs';
+import http from 'node:http';
 import net from 'node:net';
 
 import {
   createDashboardServer,
+  dashboardPatchFromEvent,
   parseDashboardPort,
   DEFAULT_DASHBOARD_PORT,
 } from '../dashboard/server.mjs';
@@ -27,6 +29,10 @@ async function getFreePort() {
   });
 }
 
+function authedFetch(token) {
+  return (url, init = {}) => fetch(url, { ...init, headers: { authorization: `Bearer ${token}`, ...(init.headers || {}) } });
+}
+
 test('dashboard server: parses dashboard port safely', () => {
   assert.equal(parseDashboardPort('3210'), 3210);
   assert.equal(parseDashboardPort(8080), 8080);
@@ -54,18 +60,19 @@ test('dashboard server: serves UI + can send/update tasks', async () => {
   });
 
   const base = `http://${started.host}:${started.port}`;
+  const api = authedFetch(started.token);
   try {
-    const htmlRes = await fetch(`${base}/`);
+    const htmlRes = await api(`${base}/`);
     assert.equal(htmlRes.status, 200);
     const html = await htmlRes.text();
     assert.match(html, /Agentic Cockpit/);
 
-    const jsRes = await fetch(`${base}/app.js`);
+    const jsRes = await api(`${base}/app.js`);
     assert.equal(jsRes.status, 200);
     const js = await jsRes.text();
     assert.ok(js.includes('/api/snapshot'));
 
-    const sendRes = await fetch(`${base}/api/task/send`, {
+    const sendRes = await api(`${base}/api/task/send`, {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
       body: JSON.stringify({
@@ -84,7 +91,7 @@ test('dashboard server: serves UI + can send/update tasks', async () => {
     const taskFile = path.join(busRoot, 'inbox', 'autopilot', 'new', `${sent.id}.md`);
     await fs.stat(taskFile);
 
-    const updateRes = await fetch(`${base}/api/task/update`, {
+    const updateRes = await api(`${base}/api/task/update`, {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
       body: JSON.stringify({
@@ -97,7 +104,7 @@ test('dashboard server: serves UI + can send/update tasks', async () => {
     const updated = await updateRes.json();
     assert.equal(updated.ok, true);
 
-    const openedRes = await fetch(
+    const openedRes = await api(
       `${base}/api/task/open?agent=${encodeURIComponent('autopilot')}&id=${encodeURIComponent(sent.id)}`,
     );
     assert.equal(openedRes.status, 200);
@@ -105,7 +112,7 @@ test('dashboard server: serves UI + can send/update tasks', async () => {
     assert.equal(opened.ok, true);
     assert.match(opened.markdown, /clarification: do the thing/);
 
-    const cancelRes = await fetch(`${base}/api/task/cancel`, {
+    const cancelRes = await api(`${base}/api/task/cancel`, {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
       body: JSON.stringify({
@@ -124,6 +131,309 @@ test('dashboard server: serves UI + can send/update tasks', async () => {
     const receiptPath = path.join(busRoot, 'receipts', 'autopilot', `${sent.id}.json`);
     const receipt = JSON.parse(await fs.readFile(receiptPath, 'utf8'));
     assert.equal(receipt.outcome, 'skipped');
+
+    const searchRes = await api(
+      `${base}/api/search?q=${encodeURIComponent('"do the thing"')}&outcome=skipped&extra=scope%3DagentOnly&extra=canceledBy`,
+    );
+    assert.equal(searchRes.status, 200);
+    const found = await searchRes.json();
+    assert.equal(found.ok, true);
+    assert.deepEqual(
+      found.results.map((r) => [r.agent, r.taskId, r.state]),
+      [['autopilot', sent.id, 'processed']],
+    );
+
+    const badSearchRes = await api(`${base}/api/search?since=yesterday-ish`);
+    assert.equal(badSearchRes.status, 400);
+
+    const timelineRes = await api(`${base}/api/root/${encodeURIComponent(sent.id)}`);
+    assert.equal(timelineRes.status, 200);
+    const timeline = await timelineRes.json();
+    assert.deepEqual(timeline.roots, [`autopilot/${sent.id}`]);
+    assert.equal(timeline.nodes[0].outcome, 'skipped');
+    assert.equal((await api(`${base}/api/root/root_nope`)).status, 404);
+    assert.equal((await api(`${base}/api/root/..%2Fetc`)).status, 400);
+
+    const exportRes = await api(`${base}/api/root/${encodeURIComponent(sent.id)}/export?format=html`);
+    assert.equal(exportRes.status, 200);
+    assert.match(exportRes.headers.get('content-type'), /^text\/html/);
+    assert.equal(exportRes.headers.get('content-disposition'), `attachment; filename="root-${sent.id}.html"`);
+    assert.match(await exportRes.text(), /clarification: do the thing/);
+    assert.equal((await api(`${base}/api/root/${encodeURIComponent(sent.id)}/export?format=pdf`)).status, 400);
+    assert.equal((await api(`${base}/api/root/root_nope/export`)).status, 404);
+
+    const receiptsRes = await api(`${base}/api/receipts?agent=autopilot&outcome=skipped&limit=5`);
+    assert.equal(receiptsRes.status, 200);
+    const receipts = await receiptsRes.json();
+    assert.equal(receipts.total, 1);
+    assert.deepEqual([receipts.receipts[0].taskId, receipts.receipts[0].outcome], [sent.id, 'skipped']);
+    assert.equal((await (await api(`${base}/api/receipts?reasonCode=nope`)).json()).total, 0);
+
+    const detailRes = await api(`${base}/api/receipt?agent=autopilot&id=${encodeURIComponent(sent.id)}`);
+    assert.equal(detailRes.status, 200);
+    const detail = await detailRes.json();
+    assert.equal(detail.receipt.receiptExtra.canceledBy, 'dashboard');
+    assert.deepEqual(detail.artifacts, []);
+    assert.equal((await api(`${base}/api/receipt?agent=autopilot&id=msg_nope`)).status, 404);
+    assert.equal((await api(`${base}/api/receipt?agent=..&id=${encodeURIComponent(sent.id)}`)).status, 400);
+    const artifactRes = await api(
+      `${base}/api/receipt/artifact?agent=autopilot&id=${encodeURIComponent(sent.id)}&path=${encodeURIComponent('artifacts/x.md')}`,
+    );
+    assert.equal(artifactRes.status, 404);
+    const commitRes = await api(`${base}/api/receipt/commit?agent=autopilot&id=${encodeURIComponent(sent.id)}`);
+    assert.equal(commitRes.status, 200);
+    const commitInfo = await commitRes.json();
+    assert.deepEqual([commitInfo.commit, commitInfo.reason], [null, 'no_commit_sha']);
+    assert.equal((await api(`${base}/api/receipt/commit?agent=autopilot&id=msg_nope`)).status, 404);
+
+    const healthRes = await api(`${base}/api/agents/health`);
+    assert.equal(healthRes.status, 200);
+    const health = await healthRes.json();
+    assert.equal(health.ok, true);
+    assert.equal(health.cooldown, null);
+    const autopilotHealth = health.agents.find((a) => a.agent === 'autopilot');
+    assert.deepEqual([autopilotHealth.lock, autopilotHealth.inProgress], [null, []]);
+
+    const control = (body) =>
+      api(`${base}/api/agents/control`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    assert.equal((await control({ agent: 'autopilot', action: 'reboot' })).status, 400);
+    assert.equal((await control({ agent: 'nobody', action: 'start' })).status, 404);
+
+    const bulk = (body) =>
+      api(`${base}/api/task/bulk`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    assert.equal((await bulk({ action: 'archive', items: [{ agent: 'autopilot', id: sent.id }] })).status, 400);
+    assert.equal((await bulk({ action: 'reprioritize', priority: 'P7', items: [{ agent: 'autopilot', id: sent.id }] })).status, 400);
+    assert.equal((await bulk({ action: 'reassign', toAgent: 'nobody', items: [{ agent: 'autopilot', id: sent.id }] })).status, 404);
+    const bulkRes = await bulk({ action: 'cancel', items: [{ agent: 'autopilot', id: sent.id }] });
+    assert.equal(bulkRes.status, 200);
+    const bulkOut = await bulkRes.json();
+    assert.deepEqual(bulkOut.results.map((r) => [r.id, r.ok]), [[sent.id, false]]);
+    assert.match(bulkOut.results[0].error, /already processed/);
+
+    const templatesRes = await api(`${base}/api/task/templates`);
+    assert.equal(templatesRes.status, 200);
+    const templates = await templatesRes.json();
+    assert.deepEqual(templates.templates.map((t) => t.name), ['USER_REQUEST', 'PLAN_REQUEST', 'EXECUTE', 'review-fix']);
+    assert.match(templates.headSha, /^[0-9a-f]{40}$/);
+
+    const post = (route, body) =>
+      api(`${base}${route}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    const fields = { to: ['autopilot'], title: 'ship it', body: 'details', workBranch: 'wip/autopilot/x' };
+    const preview = await (await post('/api/task/compose', { template: 'EXECUTE', fields })).json();
+    assert.deepEqual(preview.errors, []);
+    assert.equal(preview.meta.references.git.baseSha, templates.headSha);
+    assert.equal((await post('/api/task/compose', { template: 'nope', fields })).status, 404);
+    const invalid = await (await post('/api/task/compose', { template: 'review-fix', fields: { to: ['autopilot'] } })).json();
+    assert.ok(invalid.errors.some((e) => /"title" is required/.test(e)));
+    assert.equal((await post('/api/task/send', { template: 'review-fix', fields: { to: ['autopilot'] } })).status, 400);
+
+    const sentFromTemplate = await (await post('/api/task/send', { template: 'EXECUTE', fields: { ...fields, id: preview.meta.id } })).json();
+    assert.equal(sentFromTemplate.id, preview.meta.id);
+    const delivered = await fs.readFile(path.join(busRoot, 'inbox', 'autopilot', 'new', `${preview.meta.id}.md`), 'utf8');
+    assert.equal(delivered, preview.markdown);
+  } finally {
+    await new Promise((resolve) => started.server.close(() => resolve()));
+  }
+});
+
+async function readSseEvents(res, count, { timeoutMs = 5000 } = {}) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buf = '';
+  const deadline = Date.now() + timeoutMs;
+  while (events.length < count) {
+    if (Date.now() > deadline) throw new Error(`timed out after ${events.length}/${count} SSE events`);
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let cut;
+    while ((cut = buf.indexOf('\n\n')) !== -1) {
+      const block = buf.slice(0, cut);
+      buf = buf.slice(cut + 2);
+      const fields = {};
+      for (const line of block.split('\n')) {
+        const m = /^(id|event|data): ?(.*)$/.exec(line);
+        if (m) fields[m[1]] = m[2];
+      }
+      if (fields.event === 'bus') events.push({ id: Number(fields.id), ...JSON.parse(fields.data) });
+    }
+  }
+  reader.releaseLock();
+  return events;
+}
+
+test('dashboard server: streams packet transitions over /api/events', async () => {
+  const repoRoot = process.cwd();
+  const rosterPath = path.join(repoRoot, 'docs', 'agentic', 'agent-bus', 'ROSTER.json');
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentic-dashboard-sse-'));
+  const busRoot = path.join(tmp, 'bus');
+  const port = await getFreePort();
+
+  const started = await createDashboardServer({ host: '127.0.0.1', port: String(port), busRoot, rosterPath });
+  const base = `http://${started.host}:${started.port}`;
+  const api = authedFetch(started.token);
+  const controller = new AbortController();
+  try {
+    const snap = await (await api(`${base}/api/snapshot`)).json();
+    assert.equal(snap.eventsSeq, 0);
+
+    const stream = await api(`${base}/api/events?since=${snap.eventsSeq}`, { signal: controller.signal });
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+
+    const sent = await (
+      await api(`${base}/api/task/send`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ to: ['autopilot'], title: 'live one', body: 'hello' }),
+      })
+    ).json();
+    await api(`${base}/api/task/cancel`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ agentName: 'autopilot', taskId: sent.id }),
+    });
+
+    const [deliver, close] = await readSseEvents(stream, 2);
+    assert.deepEqual([deliver.id, deliver.type, deliver.agent, deliver.taskId, deliver.state], [1, 'deliver', 'autopilot', sent.id, 'new']);
+    assert.equal(deliver.meta.title, 'live one');
+    assert.equal(deliver.markdown, undefined);
+    assert.deepEqual([close.type, close.fromState, close.state, close.outcome], ['close', 'new', 'processed', 'skipped']);
+    assert.equal(close.receipt.taskId, sent.id);
+    controller.abort();
+
+    // A reconnecting EventSource resends Last-Event-ID, which takes precedence over ?since=.
+    const resumed = new AbortController();
+    const again = await api(`${base}/api/events?since=0`, { headers: { 'last-event-id': '1' }, signal: resumed.signal });
+    const [next] = await readSseEvents(again, 1);
+    assert.equal(next.seq, 2);
+    resumed.abort();
+  } finally {
+    controller.abort();
+    await new Promise((resolve) => started.server.close(() => resolve()));
+  }
+});
+
+test('dashboard server: event patches locate pending, scheduled and deadletter moves', () => {
+  const released = dashboardPatchFromEvent({
+    seq: 7,
+    type: 'released',
+    agent: 'qa',
+    taskId: 'msg_b',
+    from: 'pending/qa/msg_b.md',
+    to: 'scheduled/qa/msg_b.md',
+    markdown: '---\n{"id":"msg_b","title":"later"}\n---\n\nbody\n',
+  });
+  assert.deepEqual([released.fromState, released.state, released.meta.title], ['pending', 'scheduled', 'later']);
+
+  const quarantined = dashboardPatchFromEvent({
+    seq: 8,
+    type: 'quarantined',
+    agent: 'qa',
+    taskId: 'msg_c',
+    from: 'inbox/qa/new/msg_c.md',
+    to: 'deadletter/qa/msg_c.md',
+    reason: 'invalid_meta',
+    error: 'missing title',
+  });
+  assert.deepEqual(
+    [quarantined.fromState, quarantined.state, quarantined.fromPath, quarantined.reason, quarantined.error],
+    ['new', 'deadletter', 'inbox/qa/new/msg_c.md', 'invalid_meta', 'missing title'],
+  );
+});
+
+function rawGet(port, reqPath, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: reqPath, headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+  });
+}
+
+test('dashboard server: token, Host/Origin and CSRF checks guard the API', async () => {
+  const repoRoot = process.cwd();
+  const rosterPath = path.join(repoRoot, 'docs', 'agentic', 'agent-bus', 'ROSTER.json');
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentic-dashboard-auth-'));
+  const busRoot = path.join(tmp, 'bus');
+  const port = await getFreePort();
+
+  const started = await createDashboardServer({ host: '127.0.0.1', port: String(port), busRoot, rosterPath });
+  const base = `http://${started.host}:${started.port}`;
+  const send = (headers) =>
+    fetch(`${base}/api/task/send`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify({ to: ['autopilot'], title: 'guarded', body: 'hello' }),
+    });
+  try {
+    assert.equal((await fs.readFile(started.tokenPath, 'utf8')).trim(), started.token);
+    assert.equal((await fs.stat(started.tokenPath)).mode & 0o777, 0o600);
+
+    assert.equal((await fetch(`${base}/`)).status, 401);
+    const anon = await fetch(`${base}/api/snapshot`);
+    assert.equal(anon.status, 401);
+    assert.match((await anon.json()).error, /Unauthorized/);
+    assert.equal((await send({})).status, 401);
+    assert.equal((await fetch(`${base}/?token=wrong`, { redirect: 'manual' })).status, 401);
+
+    // The printed login URL trades the token for an HttpOnly cookie and drops it from the address bar.
+    const login = await fetch(`${base}/?token=${encodeURIComponent(started.token)}`, { redirect: 'manual' });
+    assert.equal(login.status, 302);
+    assert.equal(login.headers.get('location'), '/');
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    assert.match(login.headers.get('set-cookie'), /HttpOnly; SameSite=Strict/);
+    assert.equal((await fetch(`${base}/app.js`, { headers: { cookie } })).status, 200);
+
+    const session = await (await fetch(`${base}/api/session`, { headers: { cookie } })).json();
+    assert.equal(session.readOnly, false);
+    assert.equal((await send({ cookie })).status, 403);
+    assert.equal((await send({ cookie, 'x-csrf-token': 'nope' })).status, 403);
+    assert.equal((await send({ cookie, 'x-csrf-token': session.csrfToken, origin: base })).status, 200);
+
+    const bearer = { authorization: `Bearer ${started.token}` };
+    assert.equal((await send(bearer)).status, 200);
+    assert.equal((await send({ ...bearer, origin: 'http://evil.example' })).status, 403);
+    assert.equal((await send({ ...bearer, origin: 'null' })).status, 403);
+    assert.equal(await rawGet(started.port, '/api/snapshot', { ...bearer, host: `evil.example:${started.port}` }), 403);
+    assert.equal(await rawGet(started.port, '/api/snapshot', { ...bearer, host: `localhost:${started.port}` }), 200);
+  } finally {
+    await new Promise((resolve) => started.server.close(() => resolve()));
+  }
+});
+
+test('dashboard server: read-only mode refuses every POST route', async () => {
+  const repoRoot = process.cwd();
+  const rosterPath = path.join(repoRoot, 'docs', 'agentic', 'agent-bus', 'ROSTER.json');
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentic-dashboard-ro-'));
+  const busRoot = path.join(tmp, 'bus');
+  const port = await getFreePort();
+
+  const started = await createDashboardServer({ host: '127.0.0.1', port: String(port), busRoot, rosterPath, readOnly: true, token: 'fixed-token' });
+  const base = `http://${started.host}:${started.port}`;
+  const api = authedFetch('fixed-token');
+  try {
+    assert.equal(started.token, 'fixed-token');
+    assert.equal((await (await api(`${base}/api/session`)).json()).readOnly, true);
+
+    // GETs never quarantine: an invalid waiting packet is listed and left where it is.
+    const invalidPath = path.join(busRoot, 'inbox', 'autopilot', 'new', 'msg_invalid.md');
+    const invalidMeta = { schemaVersion: 2, id: 'msg_invalid', to: ['autopilot'], from: 'daddy', priority: 'bogus', title: 'x', signals: {} };
+    await fs.mkdir(path.dirname(invalidPath), { recursive: true });
+    await fs.writeFile(invalidPath, `---\n${JSON.stringify(invalidMeta)}\n---\n\nbody\n`, 'utf8');
+    const snapRes = await api(`${base}/api/snapshot`);
+    assert.equal(snapRes.status, 200);
+    assert.deepEqual((await snapRes.json()).inbox.autopilot.new.map((t) => t.taskId), ['msg_invalid']);
+    await fs.access(invalidPath);
+    await assert.rejects(() => fs.access(path.join(busRoot, 'deadletter', 'autopilot', 'msg_invalid.md')));
+
+    for (const route of ['/api/task/send', '/api/task/compose', '/api/task/update', '/api/task/cancel', '/api/task/bulk', '/api/deadletter/retry', '/api/agents/control']) {
+      const res = await api(`${base}${route}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{}' });
+      assert.equal(res.status, 403, route);
+      assert.match((await res.json()).error, /read-only/);
+    }
   } finally {
     await new Promise((resolve) => started.server.close(() => resolve()));
   }
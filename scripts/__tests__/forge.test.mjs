@@ -0,0 +1,315 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createForge, normalizeForgeType, resolveForgeToken } from '../lib/forge.mjs';
+import { createFixtureForge } from '../lib/forge-fixture.mjs';
+import { openTask } from '../lib/agentbus.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+/**
+ * Serves canned JSON keyed by `METHOD pathname` and records every request.
+ */
+async function startApi(t, routes) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const url = new URL(req.url, 'http://localhost');
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+    const route = routes[`${req.method} ${url.pathname}`];
+    const payload = typeof route === 'function' ? route({ url, body }) : route;
+    res.writeHead(payload === undefined ? 404 : 200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(payload ?? { message: 'not found' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test('normalizeForgeType and resolveForgeToken pick the forge and its token source', () => {
+  assert.equal(normalizeForgeType(''), 'github');
+  assert.equal(normalizeForgeType(' GitLab '), 'gitlab');
+  assert.throws(() => normalizeForgeType('bitbucket'), /Unknown forge "bitbucket"/);
+  assert.equal(resolveForgeToken({ type: 'fixture' }), 'fixture');
+  assert.equal(resolveForgeToken({ type: 'gitea', explicit: 'tok' }), 'tok');
+  const prev = process.env.GITLAB_TOKEN;
+  try {
+    process.env.GITLAB_TOKEN = 'gl-token';
+    assert.equal(resolveForgeToken({ type: 'gitlab' }), 'gl-token');
+  } finally {
+    if (prev == null) delete process.env.GITLAB_TOKEN;
+    else process.env.GITLAB_TOKEN = prev;
+  }
+});
+
+test('GitHub adapter targets Enterprise API paths and replies through GraphQL or REST', async (t) => {
+  const api = await startApi(t, {
+    'GET /api/v3/repos/acme/app/pulls': [{ number: 4 }, { number: 2 }],
+    'POST /api/graphql': ({ body }) =>
+      body.query.startsWith('mutation')
+        ? { data: { addPullRequestReviewThreadReply: { comment: { id: 'RC_1', url: 'https://ghe/x#r1' } } } }
+        : {
+            data: {
+              repository: {
+                pullRequest: {
+                  headRefOid: 'sha1',
+                  headRefName: 'feat',
+                  reviewThreads: {
+                    pageInfo: { hasNextPage: false },
+                    nodes: [{ id: 'T1', isResolved: false }, { id: 'T2', isResolved: true }],
+                  },
+                },
+              },
+            },
+          },
+    'GET /api/v3/repos/acme/app/commits/sha1/check-runs': { check_runs: [{ name: 'unit', status: 'completed', conclusion: 'failure' }] },
+    'GET /api/v3/repos/acme/app/commits/sha1/status': { statuses: [] },
+    'GET /api/v3/repos/acme/app/actions/runs': { workflow_runs: [] },
+    'POST /api/v3/repos/acme/app/issues/4/comments': { id: 99, html_url: 'https://ghe/x#c99' },
+  });
+  const forge = createForge({ type: 'github', token: 'tok', baseUrl: api.baseUrl });
+  assert.equal(forge.webHost, new URL(api.baseUrl).host);
+
+  assert.deepEqual(await forge.listOpenPrNumbers({ owner: 'acme', repo: 'app', maxPrs: 1 }), [4]);
+  const unresolved = await forge.readUnresolvedThreads({ owner: 'acme', repo: 'app', prNumber: 4 });
+  assert.deepEqual([unresolved.headRefOid, unresolved.threads.map((th) => th.id)], ['sha1', ['T1']]);
+  assert.deepEqual((await forge.readCiFailures({ owner: 'acme', repo: 'app', sha: 'sha1' })).map((f) => f.key), ['check:unit']);
+  assert.deepEqual(await forge.postReply({ owner: 'acme', repo: 'app', prNumber: 4, threadId: 'T1', body: 'Fixed' }), {
+    id: 'RC_1',
+    url: 'https://ghe/x#r1',
+  });
+  assert.deepEqual(await forge.postReply({ owner: 'acme', repo: 'app', prNumber: 4, body: 'Fixed' }), { id: 99, url: 'https://ghe/x#c99' });
+  assert.equal(api.requests[0].headers.authorization, 'bearer tok');
+  assert.deepEqual(api.requests.at(-1).body, { body: 'Fixed' });
+});
+
+test('GitLab adapter maps MR discussions, notes, statuses and replies', async (t) => {
+  const mr = '/api/v4/projects/group%2Fsub%2Fapp/merge_requests/5';
+  const api = await startApi(t, {
+    'GET /api/v4/projects/group%2Fsub%2Fapp/merge_requests': [{ iid: 5 }],
+    [`GET ${mr}`]: { sha: 'sha5', source_branch: 'feat', web_url: 'x' },
+    [`GET ${mr}/discussions`]: [
+      {
+        id: 'd1',
+        notes: [
+          { id: 10, resolvable: true, resolved: false, author: { username: 'rev' }, position: { new_path: 'a.js', new_line: 3 }, created_at: 't1' },
+          { id: 11, resolvable: true, resolved: false, author: { username: 'dev' }, created_at: 't2', updated_at: 't3' },
+        ],
+      },
+      { id: 'd2', notes: [{ id: 12, resolvable: true, resolved: true }] },
+      { id: 'd3', notes: [{ id: 13, resolvable: false, body: 'hi' }] },
+    ],
+    [`GET ${mr}/notes`]: [
+      { id: 13, body: 'tests failing', author: { username: 'rev' }, created_at: 't4' },
+      { id: 14, body: 'merged', system: true },
+      { id: 10, type: 'DiffNote', resolvable: true },
+    ],
+    'GET /api/v4/projects/group%2Fsub%2Fapp/repository/commits/sha5/statuses': [
+      { name: 'lint', status: 'failed', target_url: 'https://gl/jobs/1' },
+      { name: 'flaky', status: 'failed', allow_failure: true },
+      { name: 'unit', status: 'success' },
+    ],
+    [`POST ${mr}/discussions/d1/notes`]: { id: 20 },
+  });
+  const forge = createForge({ type: 'gitlab', token: 'tok', baseUrl: api.baseUrl });
+  const web = `${api.baseUrl}/group/sub/app/-/merge_requests/5`;
+
+  assert.deepEqual(await forge.listOpenPrNumbers({ owner: 'group/sub', repo: 'app', maxPrs: 10 }), [5]);
+  const unresolved = await forge.readUnresolvedThreads({ owner: 'group/sub', repo: 'app', prNumber: 5 });
+  assert.deepEqual(unresolved, {
+    headRefOid: 'sha5',
+    headRefName: 'feat',
+    threads: [
+      {
+        id: 'd1',
+        isResolved: false,
+        isOutdated: false,
+        path: 'a.js',
+        line: 3,
+        comments: { nodes: [{ id: '11', author: { login: 'dev' }, url: `${web}#note_11`, createdAt: 't2', updatedAt: 't3' }] },
+      },
+    ],
+  });
+  const comments = await forge.listIssueComments({ owner: 'group/sub', repo: 'app', prNumber: 5 });
+  assert.deepEqual(comments.map((c) => [c.id, c.user.login, c.html_url]), [[13, 'rev', `${web}#note_13`]]);
+  assert.deepEqual(
+    (await forge.readCiFailures({ owner: 'group/sub', repo: 'app', sha: 'sha5' })).map((f) => [f.key, f.url]),
+    [['status:lint', 'https://gl/jobs/1']],
+  );
+  assert.deepEqual(await forge.postReply({ owner: 'group/sub', repo: 'app', prNumber: 5, threadId: 'd1', body: 'Fixed' }), {
+    id: 20,
+    url: `${web}#note_20`,
+  });
+  assert.equal(api.requests[0].headers['private-token'], 'tok');
+});
+
+test('GitHub and GitLab adapters resolve threads and request reviewers', async (t) => {
+  const mr = '/api/v4/projects/acme%2Fapp/merge_requests/5';
+  const api = await startApi(t, {
+    'POST /api/graphql': { data: { resolveReviewThread: { thread: { id: 'T1', isResolved: true } } } },
+    'POST /api/v3/repos/acme/app/pulls/4/requested_reviewers': { number: 4 },
+    [`PUT ${mr}/discussions/d1`]: { id: 'd1' },
+    [`GET ${mr}`]: { reviewers: [{ id: 3 }] },
+    'GET /api/v4/users': ({ url }) => (url.searchParams.get('username') === 'alice' ? [{ id: 7 }] : []),
+    [`PUT ${mr}`]: { iid: 5 },
+  });
+  const github = createForge({ type: 'github', token: 'tok', baseUrl: api.baseUrl });
+  await github.resolveThread({ owner: 'acme', repo: 'app', prNumber: 4, threadId: 'T1' });
+  assert.deepEqual(api.requests.at(-1).body.variables, { thread: 'T1' });
+  await github.requestReview({ owner: 'acme', repo: 'app', prNumber: 4, reviewers: ['alice'] });
+  assert.deepEqual(api.requests.at(-1).body, { reviewers: ['alice'] });
+
+  const gitlab = createForge({ type: 'gitlab', token: 'tok', baseUrl: api.baseUrl });
+  await gitlab.resolveThread({ owner: 'acme', repo: 'app', prNumber: 5, threadId: 'd1' });
+  assert.deepEqual(api.requests.at(-1).query, { resolved: 'true' });
+  await gitlab.requestReview({ owner: 'acme', repo: 'app', prNumber: 5, reviewers: ['alice'] });
+  assert.deepEqual(api.requests.at(-1).body, { reviewer_ids: [3, 7] });
+  await assert.rejects(gitlab.requestReview({ owner: 'acme', repo: 'app', prNumber: 5, reviewers: ['ghost'] }), /unknown reviewer ghost/);
+
+  assert.equal(createForge({ type: 'gitea', token: 'tok', baseUrl: api.baseUrl }).resolveThread, undefined);
+});
+
+test('Gitea adapter groups review comments into conversations and skips resolved ones', async (t) => {
+  const repoApi = '/api/v1/repos/acme/app';
+  const api = await startApi(t, {
+    [`GET ${repoApi}/pulls`]: [{ number: 3 }],
+    [`GET ${repoApi}/pulls/3`]: { head: { sha: 'sha3', ref: 'feat' }, html_url: 'x' },
+    [`GET ${repoApi}/pulls/3/reviews`]: [{ id: 1, comments_count: 3 }, { id: 2, comments_count: 0 }],
+    [`GET ${repoApi}/pulls/3/reviews/1/comments`]: [
+      { id: 31, path: 'a.go', position: 7, user: { login: 'rev' }, html_url: 'u31', created_at: 't1' },
+      { id: 32, path: 'a.go', position: 7, user: { login: 'dev' }, html_url: 'u32', created_at: 't2' },
+      { id: 33, path: 'b.go', position: 1, user: { login: 'rev' }, resolver: { login: 'rev' } },
+    ],
+    [`GET ${repoApi}/issues/3/comments`]: [{ id: 40, body: 'must fix', user: { login: 'rev' }, html_url: 'u40', created_at: 't3' }],
+    [`GET ${repoApi}/commits/sha3/status`]: { statuses: [{ context: 'ci/test', status: 'failure', target_url: 'u-ci' }] },
+    [`POST ${repoApi}/issues/3/comments`]: ({ body }) => ({ id: 41, html_url: 'u41', echo: body.body }),
+  });
+  const forge = createForge({ type: 'gitea', token: 'tok', baseUrl: api.baseUrl });
+
+  assert.deepEqual(await forge.listOpenPrNumbers({ owner: 'acme', repo: 'app', maxPrs: 10 }), [3]);
+  const unresolved = await forge.readUnresolvedThreads({ owner: 'acme', repo: 'app', prNumber: 3 });
+  assert.deepEqual(
+    unresolved.threads.map((th) => [th.id, th.path, th.line, th.comments.nodes[0].id, th.comments.nodes[0].author.login]),
+    [['31', 'a.go', 7, '32', 'dev']],
+  );
+  assert.deepEqual((await forge.listIssueComments({ owner: 'acme', repo: 'app', prNumber: 3 }))[0].body, 'must fix');
+  assert.deepEqual((await forge.readCiFailures({ owner: 'acme', repo: 'app', sha: 'sha3' }))[0].key, 'status:ci/test');
+  await forge.postReply({ owner: 'acme', repo: 'app', prNumber: 3, threadId: '31', body: 'Fixed' });
+  assert.deepEqual(api.requests.at(-1).body, { body: 'Fixed\n\n(re: review comment #31)' });
+  assert.equal(api.requests[0].headers.authorization, 'token tok');
+  assert.equal(api.requests[0].query.limit, '10');
+});
+
+async function writeFixtureFile(tmp) {
+  const fixturePath = path.join(tmp, 'forge.json');
+  const fixture = {
+    repos: {
+      'acme/app': {
+        pulls: [
+          {
+            number: 7,
+            state: 'open',
+            headRefOid: 'abc1234567890def',
+            headRefName: 'feature',
+            threads: [
+              { id: 'T1', path: 'web/a.ts', line: 3, comments: [{ id: 'C1', author: 'rev', body: 'rename', createdAt: '2026-01-01T00:00:00Z' }] },
+              { id: 'T2', resolved: true, comments: [] },
+            ],
+            comments: [{ id: 11, author: 'rev', body: 'tests failing on main', createdAt: '2026-01-01T00:00:00Z' }],
+            ciFailures: { abc1234567890def: [{ name: 'unit', url: 'fixture://ci/unit' }] },
+          },
+          { number: 8, state: 'closed', headRefOid: 'x', threads: [], comments: [] },
+        ],
+      },
+    },
+  };
+  await fs.writeFile(fixturePath, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+  return fixturePath;
+}
+
+test('fixture forge reads the file on each call and records replies', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'forge-fixture-'));
+  const forge = createFixtureForge({ fixturePath: await writeFixtureFile(tmp), now: () => new Date('2026-02-01T00:00:00Z') });
+  const ref = { owner: 'acme', repo: 'app' };
+
+  assert.deepEqual(await forge.listOpenPrNumbers({ ...ref, maxPrs: 10 }), [7]);
+  assert.deepEqual(await forge.readHead({ ...ref, prNumber: 7 }), {
+    headRefOid: 'abc1234567890def',
+    headRefName: 'feature',
+    url: 'fixture://acme/app/pull/7#head',
+  });
+  assert.deepEqual((await forge.readUnresolvedThreads({ ...ref, prNumber: 7 })).threads.map((th) => th.id), ['T1']);
+  assert.deepEqual((await forge.readCiFailures({ ...ref, sha: 'abc1234567890def' })).map((f) => f.key), ['check:unit']);
+
+  const reply = await forge.postReply({ ...ref, prNumber: 7, threadId: 'T1', body: 'Fixed in abc1234' });
+  assert.deepEqual(reply, { id: 'T1-R2', url: 'fixture://acme/app/pull/7#thread-T1-T1-R2' });
+  const [thread] = (await forge.readUnresolvedThreads({ ...ref, prNumber: 7 })).threads;
+  assert.deepEqual([thread.comments.nodes[0].id, thread.comments.nodes[0].author.login], ['T1-R2', 'agentic-cockpit']);
+  assert.equal((await forge.postReply({ ...ref, prNumber: 7, body: 'Please re-check' })).id, 12);
+  await forge.resolveThread({ ...ref, prNumber: 7, threadId: 'T1' });
+  await forge.requestReview({ ...ref, prNumber: 7, reviewers: ['rev'] });
+  assert.deepEqual((await forge.readUnresolvedThreads({ ...ref, prNumber: 7 })).threads, []);
+  const [pull] = JSON.parse(await fs.readFile(path.join(tmp, 'forge.json'), 'utf8')).repos['acme/app'].pulls;
+  assert.deepEqual(pull.reviewRequests, [{ reviewers: ['rev'], at: '2026-02-01T00:00:00.000Z' }]);
+  await assert.rejects(forge.readHead({ ...ref, prNumber: 99 }), /no PR acme\/app#99/);
+});
+
+test('watch-pr runs end to end offline against the fixture forge', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'forge-e2e-'));
+  const fixturePath = await writeFixtureFile(tmp);
+  const busRoot = path.join(tmp, 'bus');
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(
+    rosterPath,
+    JSON.stringify({
+      schemaVersion: 2,
+      orchestratorName: 'daddy-orchestrator',
+      agents: [{ name: 'daddy-orchestrator' }, { name: 'frontend' }],
+      prObserver: { routes: [{ paths: ['web/**'], agents: ['frontend'] }] },
+    }),
+    'utf8',
+  );
+  const run = (...extra) =>
+    spawnSync(
+      process.execPath,
+      [
+        path.join(repoRoot, 'scripts', 'observers', 'watch-pr.mjs'),
+        '--project-root', tmp,
+        '--bus-root', busRoot,
+        '--roster', rosterPath,
+        '--forge', 'fixture',
+        '--fixture', fixturePath,
+        '--repo', 'acme/app',
+        '--once',
+        ...extra,
+      ],
+      { cwd: repoRoot, encoding: 'utf8', timeout: 60_000 },
+    );
+  const inbox = async () => (await fs.readdir(path.join(busRoot, 'inbox', 'daddy-orchestrator', 'new'))).sort();
+
+  const first = run('--cold-start-mode', 'replay');
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /acme\/app#7 unresolved=1 newComments=1 ciFailures=1/);
+  assert.deepEqual(await inbox(), ['PR7__CI_FAILURE__abc123456789.md', 'PR7__ISSUE_COMMENT__11.md', 'PR7__REVIEW_THREAD__T1.md']);
+  const thread = await openTask({ busRoot, agentName: 'daddy-orchestrator', taskId: 'PR7__REVIEW_THREAD__T1', markSeen: false });
+  assert.deepEqual([thread.meta.references.suggestedTo, thread.meta.references.pr.headRefOid], ['frontend', 'abc1234567890def']);
+
+  const again = run();
+  assert.equal(again.status, 0, again.stderr);
+  assert.match(again.stdout, /unresolved=1 newComments=0 ciFailures=0/);
+
+  const data = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+  data.repos['acme/app'].pulls[0].comments.push({ id: 12, author: 'rev', body: 'regression: build broken', createdAt: '2026-01-02T00:00:00Z' });
+  await fs.writeFile(fixturePath, JSON.stringify(data), 'utf8');
+  assert.equal(run().status, 0);
+  assert.deepEqual((await inbox()).filter((f) => f.includes('ISSUE_COMMENT')), ['PR7__ISSUE_COMMENT__11.md', 'PR7__ISSUE_COMMENT__12.md']);
+});
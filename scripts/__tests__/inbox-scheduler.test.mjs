@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+
+import {
+  claimTask,
+  closeTask,
+  deliverTask,
+  ensureBusRoot,
+  openTask,
+  readTaskDeliveredAtMs,
+  taskDeliveredPath,
+  updateTask,
+} from '../lib/agentbus.mjs';
+import { listScheduledInboxTaskIds, orderInboxTasks } from '../lib/inbox-scheduler.mjs';
+
+const MINUTE_MS = 60 * 1000;
+
+function buildRoster() {
+  return {
+    schemaVersion: 2,
+    orchestratorName: 'daddy-orchestrator',
+    daddyChatName: 'daddy',
+    agents: [{ name: 'frontend' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+  };
+}
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-inbox-scheduler-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, buildRoster());
+  return busRoot;
+}
+
+async function deliver(busRoot, id, priority, ageMs) {
+  const meta = { id, to: ['frontend'], from: 'daddy', priority, title: id, signals: { kind: 'EXECUTE' } };
+  const { paths } = await deliverTask({ busRoot, meta, body: 'body' });
+  const deliveredAt = new Date(Date.now() - ageMs).toISOString();
+  const stampPath = taskDeliveredPath({ busRoot, agentName: 'frontend', packetPath: paths[0] });
+  await fs.writeFile(stampPath, JSON.stringify({ deliveredAt }) + '\n', 'utf8');
+  return paths[0];
+}
+
+test('orderInboxTasks sorts by priority, then oldest first, then task id', () => {
+  const nowMs = 1_000_000_000;
+  const tasks = [
+    { taskId: 'p2_new', mtimeMs: nowMs - 1_000, meta: { priority: 'P2' } },
+    { taskId: 'p1_b', mtimeMs: nowMs - 5_000, meta: { priority: 'P1' } },
+    { taskId: 'p1_a', mtimeMs: nowMs - 5_000, meta: { priority: 'P1' } },
+    { taskId: 'p0', mtimeMs: nowMs, meta: { priority: 'P0' } },
+    { taskId: 'p2_old', mtimeMs: nowMs - 9_000, meta: { priority: 'P2' } },
+    { taskId: 'legacy', mtimeMs: nowMs - 2_000, meta: { priority: 'urgent' } },
+  ];
+
+  const ordered = orderInboxTasks(tasks, { nowMs, agingStepMs: 0 });
+  assert.deepEqual(
+    ordered.map((t) => t.taskId),
+    ['p0', 'p1_a', 'p1_b', 'p2_old', 'legacy', 'p2_new'],
+  );
+  const legacy = ordered.find((t) => t.taskId === 'legacy');
+  assert.equal(legacy.schedule.priority, 'P2');
+  assert.equal(legacy.schedule.priorityKnown, false);
+  assert.equal(tasks[0].schedule, undefined);
+});
+
+test('orderInboxTasks promotes long-waiting packets so low priority work cannot starve', () => {
+  const nowMs = 1_000_000_000;
+  const agingStepMs = 10 * MINUTE_MS;
+  const tasks = [
+    { taskId: 'fresh_p1', mtimeMs: nowMs - MINUTE_MS, meta: { priority: 'P1' } },
+    { taskId: 'stale_p3', mtimeMs: nowMs - 25 * MINUTE_MS, meta: { priority: 'P3' } },
+    { taskId: 'fresh_p0', mtimeMs: nowMs, meta: { priority: 'P0' } },
+  ];
+
+  const ordered = orderInboxTasks(tasks, { nowMs, agingStepMs });
+  assert.deepEqual(
+    ordered.map((t) => t.taskId),
+    ['fresh_p0', 'stale_p3', 'fresh_p1'],
+  );
+  assert.equal(ordered[1].schedule.effectiveRank, 1);
+  assert.equal(ordered[1].schedule.priorityRank, 3);
+});
+
+test('listScheduledInboxTaskIds merges new and seen packets in pickup order', async () => {
+  const busRoot = await mkBusRoot();
+  await deliver(busRoot, 'msg_p3_old', 'P3', 5 * MINUTE_MS);
+  await deliver(busRoot, 'msg_p2_seen', 'P2', 3 * MINUTE_MS);
+  await deliver(busRoot, 'msg_p1', 'P1', MINUTE_MS);
+  await deliver(busRoot, 'msg_p2_new', 'P2', 2 * MINUTE_MS);
+
+  // markSeen keeps the delivery stamp: at equal rank `new` still goes first.
+  await openTask({ busRoot, agentName: 'frontend', taskId: 'msg_p2_seen', markSeen: true });
+
+  const ids = await listScheduledInboxTaskIds({ busRoot, agentName: 'frontend', agingStepMs: 0 });
+  assert.deepEqual(ids, ['msg_p1', 'msg_p2_new', 'msg_p2_seen', 'msg_p3_old']);
+
+  const newOnly = await listScheduledInboxTaskIds({
+    busRoot,
+    agentName: 'frontend',
+    states: ['new'],
+    agingStepMs: 0,
+  });
+  assert.deepEqual(newOnly, ['msg_p1', 'msg_p2_new', 'msg_p3_old']);
+});
+
+test('queue age comes from the delivery stamp, so touching or updating a packet keeps its rank', async () => {
+  const busRoot = await mkBusRoot();
+  const agingStepMs = 10 * MINUTE_MS;
+  const stalePath = await deliver(busRoot, 'msg_stale_p3', 'P3', 25 * MINUTE_MS);
+  await deliver(busRoot, 'msg_fresh_p1', 'P1', MINUTE_MS);
+  const order = () => listScheduledInboxTaskIds({ busRoot, agentName: 'frontend', agingStepMs });
+  assert.deepEqual(await order(), ['msg_stale_p3', 'msg_fresh_p1']);
+
+  const now = new Date();
+  await fs.utimes(stalePath, now, now);
+  await updateTask({ busRoot, agentName: 'frontend', taskId: 'msg_stale_p3', updateFrom: 'daddy', append: 'still queued' });
+  assert.deepEqual(await order(), ['msg_stale_p3', 'msg_fresh_p1']);
+
+  const [unstamped] = orderInboxTasks([{ taskId: 'x', mtimeMs: Date.now(), meta: { priority: 'P3', signals: {} } }], { agingStepMs });
+  assert.equal(unstamped.schedule.effectiveRank, 3);
+
+  // Packets stamped in frontmatter by earlier runtimes keep that age when they have no stamp file.
+  const legacyAt = new Date(Date.now() - 30 * MINUTE_MS).toISOString();
+  const legacy = await deliverTask({
+    busRoot,
+    meta: { id: 'msg_legacy_p3', to: ['frontend'], from: 'daddy', priority: 'P3', title: 'x', signals: { deliveredAt: legacyAt } },
+    body: 'body',
+  });
+  const legacyStamp = { busRoot, agentName: 'frontend', packetPath: legacy.paths[0] };
+  await fs.rm(taskDeliveredPath(legacyStamp));
+  assert.equal(await readTaskDeliveredAtMs({ ...legacyStamp, meta: { signals: { deliveredAt: legacyAt } } }), Date.parse(legacyAt));
+  assert.deepEqual(await order(), ['msg_legacy_p3', 'msg_stale_p3', 'msg_fresh_p1']);
+});
+
+test('the delivery stamp outlives a claim and is removed on close', async () => {
+  const busRoot = await mkBusRoot();
+  const queuedPath = await deliver(busRoot, 'msg_claimed', 'P2', 5 * MINUTE_MS);
+  const stamp = { busRoot, agentName: 'frontend', packetPath: queuedPath };
+  const deliveredAtMs = await readTaskDeliveredAtMs(stamp);
+  const claimed = await claimTask({ busRoot, agentName: 'frontend', taskId: 'msg_claimed' });
+  assert.equal(await readTaskDeliveredAtMs({ ...stamp, packetPath: claimed.path }), deliveredAtMs);
+  await closeTask({ busRoot, roster: buildRoster(), agentName: 'frontend', taskId: 'msg_claimed', outcome: 'done' });
+  assert.equal(await readTaskDeliveredAtMs(stamp), null);
+});
+
+test('deliverTask and updateTask reject unknown priority labels', async () => {
+  const busRoot = await mkBusRoot();
+  const meta = { id: 'msg_bad', to: ['frontend'], from: 'daddy', priority: 'high', title: 'x', signals: {} };
+  await assert.rejects(() => deliverTask({ busRoot, meta, body: 'body' }), /priority.*P0\|P1\|P2\|P3/);
+
+  await deliver(busRoot, 'msg_ok', 'P1', 0);
+  await assert.rejects(
+    () => updateTask({ busRoot, agentName: 'frontend', taskId: 'msg_ok', updateFrom: 'daddy', priority: 'P9' }),
+    /priority/,
+  );
+  const updated = await updateTask({
+    busRoot,
+    agentName: 'frontend',
+    taskId: 'msg_ok',
+    updateFrom: 'daddy',
+    priority: 'P0',
+  });
+  const opened = await openTask({ busRoot, agentName: 'frontend', taskId: 'msg_ok', markSeen: false });
+  assert.equal(updated.state, 'new');
+  assert.equal(opened.meta.priority, 'P0');
+});
@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { deliverTask, ensureBusRoot, resolveInboxWatchMode, watchInbox } from '../lib/agentbus.mjs';
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'backend' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-inbox-watch-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return busRoot;
+}
+
+function send(busRoot, id) {
+  return deliverTask({ busRoot, meta: { id, to: ['backend'], from: 'daddy', priority: 'P2', title: id }, body: 'x' });
+}
+
+async function nextWithin(it, ms) {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`no wake-up within ${ms}ms`)), ms);
+  });
+  try {
+    return await Promise.race([it.next(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+for (const mode of ['watch', 'poll']) {
+  test(`watchInbox (${mode}) yields initial, then wakes on a delivered packet`, async () => {
+    const busRoot = await mkBusRoot();
+    const it = watchInbox({ busRoot, agentName: 'backend', mode, pollMs: 25, idleMs: 60_000 });
+    try {
+      const first = await nextWithin(it, 2000);
+      assert.deepEqual(first.value, { reason: 'initial', mode });
+
+      await send(busRoot, 'msg_watch_1');
+      const woke = await nextWithin(it, 2000);
+      assert.deepEqual(woke.value, { reason: 'change', mode });
+    } finally {
+      await it.return();
+    }
+  });
+}
+
+test('watchInbox yields idle wake-ups when nothing changes', async () => {
+  const busRoot = await mkBusRoot();
+  const it = watchInbox({ busRoot, agentName: 'backend', mode: 'watch', idleMs: 50 });
+  try {
+    await nextWithin(it, 2000);
+    const idle = await nextWithin(it, 2000);
+    assert.equal(idle.value.reason, 'idle');
+  } finally {
+    await it.return();
+  }
+});
+
+test('watchInbox coalesces a burst of deliveries into one wake-up', async () => {
+  const busRoot = await mkBusRoot();
+  const it = watchInbox({ busRoot, agentName: 'backend', mode: 'watch', debounceMs: 100, idleMs: 400 });
+  try {
+    await nextWithin(it, 2000);
+    await Promise.all(['msg_b1', 'msg_b2', 'msg_b3'].map((id) => send(busRoot, id)));
+    assert.equal((await nextWithin(it, 2000)).value.reason, 'change');
+    assert.equal((await nextWithin(it, 2000)).value.reason, 'idle');
+  } finally {
+    await it.return();
+  }
+});
+
+for (const mode of ['watch', 'poll']) {
+  test(`watchInbox (${mode}) also wakes on writes to extraDirs`, async () => {
+    const busRoot = await mkBusRoot();
+    const pendingDir = path.join(busRoot, 'pending', 'backend');
+    const it = watchInbox({ busRoot, agentName: 'backend', extraDirs: [pendingDir], mode, pollMs: 25, idleMs: 60_000 });
+    try {
+      await nextWithin(it, 2000);
+      await fs.writeFile(path.join(pendingDir, 'msg_gated.md'), 'x');
+      assert.deepEqual((await nextWithin(it, 2000)).value, { reason: 'change', mode });
+    } finally {
+      await it.return();
+    }
+  });
+}
+
+test('watchInbox re-reads a function idleMs before every wait', async () => {
+  const busRoot = await mkBusRoot();
+  let idleMs = 60_000;
+  const it = watchInbox({ busRoot, agentName: 'backend', mode: 'watch', idleMs: () => idleMs });
+  try {
+    await nextWithin(it, 2000);
+    await send(busRoot, 'msg_idle_fn');
+    assert.equal((await nextWithin(it, 2000)).value.reason, 'change');
+    idleMs = 50;
+    assert.equal((await nextWithin(it, 2000)).value.reason, 'idle');
+  } finally {
+    await it.return();
+  }
+});
+
+test('watchInbox ends when its abort signal fires', async () => {
+  const busRoot = await mkBusRoot();
+  const controller = new AbortController();
+  const it = watchInbox({ busRoot, agentName: 'backend', mode: 'watch', idleMs: 60_000, signal: controller.signal });
+  await nextWithin(it, 2000);
+  const pending = it.next();
+  controller.abort();
+  assert.deepEqual(await nextWithin({ next: () => pending }, 2000), { value: undefined, done: true });
+});
+
+test('resolveInboxWatchMode honours AGENTIC_INBOX_WATCH', () => {
+  const prev = process.env.AGENTIC_INBOX_WATCH;
+  try {
+    process.env.AGENTIC_INBOX_WATCH = 'poll';
+    assert.equal(resolveInboxWatchMode('/tmp/bus'), 'poll');
+    process.env.AGENTIC_INBOX_WATCH = 'watch';
+    assert.equal(resolveInboxWatchMode('/mnt/c/bus'), 'watch');
+  } finally {
+    if (prev === undefined) delete process.env.AGENTIC_INBOX_WATCH;
+    else process.env.AGENTIC_INBOX_WATCH = prev;
+  }
+});
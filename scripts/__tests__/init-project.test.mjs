@@ -38,6 +38,7 @@ test('init-project bootstraps blueprint, runbooks, and cockpit skills', async ()
 
   assert.equal(await exists(path.join(projectRoot, 'docs', 'agentic', 'agent-bus', 'ROSTER.json')), true);
   assert.equal(await exists(path.join(projectRoot, 'docs', 'agentic', 'BLUEPRINT.md')), true);
+  assert.equal(await exists(path.join(projectRoot, 'docs', 'agentic', 'agent-bus', 'TASK_PACKET.schema.json')), true);
   assert.equal(
     await exists(path.join(projectRoot, 'docs', 'agentic', 'agent-bus', 'OPUS_CONSULT_REQUEST.schema.json')),
     true,
@@ -9,9 +9,11 @@ import {
   ensureBusRoot,
   deliverTask,
   openTask,
+  claimTask,
   closeTask,
   parseFrontmatter,
 } from '../lib/agentbus.mjs';
+import { readTaskLease, taskLeasePath } from '../lib/task-lease.mjs';
 
 async function mkTmpDir() {
   return await fs.mkdtemp(path.join(os.tmpdir(), 'valua-orch-test-'));
@@ -370,6 +372,58 @@ test('orchestrator coalesces duplicate REVIEW_ACTION_REQUIRED digests for same P
   assert.ok(body.includes('sourceTaskId: msg_review_dup_2'));
 });
 
+test('orchestrator coalesces CI_FAILURE_ACTION_REQUIRED digests for the same PR root', async () => {
+  const busRoot = await mkTmpDir();
+  const repoRoot = process.cwd();
+  const rosterPath = path.join(busRoot, 'ROSTER.json');
+  const roster = {
+    schemaVersion: 2,
+    sessionName: 'test',
+    orchestratorName: 'daddy-orchestrator',
+    daddyChatName: 'daddy',
+    autopilotName: 'daddy-autopilot',
+    agents: [{ name: 'daddy-orchestrator' }, { name: 'daddy-autopilot' }, { name: 'daddy' }],
+  };
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2));
+  await ensureBusRoot(busRoot, roster);
+
+  for (const [id, sha] of [['PR105__CI_FAILURE__aaaaaaaaaaaa', 'a'], ['PR105__CI_FAILURE__bbbbbbbbbbbb', 'b']]) {
+    await deliverTask({
+      busRoot,
+      meta: {
+        id,
+        to: ['daddy-orchestrator'],
+        from: 'observer:pr',
+        priority: 'P1',
+        title: 'PR #105: CI failing (test)',
+        signals: { kind: 'CI_FAILURE_ACTION_REQUIRED', rootId: 'PR105', phase: 'ci-fix' },
+        references: { pr: { number: 105, headRefOid: sha.repeat(40) }, ci: { headSha: sha.repeat(40), failures: [] } },
+      },
+      body: 'CI failing',
+    });
+  }
+
+  const scriptPath = path.join(repoRoot, 'scripts', 'agent-orchestrator-worker.mjs');
+  await new Promise((resolve, reject) => {
+    const proc = childProcess.spawn(
+      process.execPath,
+      [scriptPath, '--agent', 'daddy-orchestrator', '--bus-root', busRoot, '--roster', rosterPath, '--once'],
+      { stdio: 'ignore' },
+    );
+    proc.on('error', reject);
+    proc.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`exit ${code}`))));
+  });
+
+  const apDir = path.join(busRoot, 'inbox', 'daddy-autopilot', 'new');
+  const apFiles = await fs.readdir(apDir);
+  assert.equal(apFiles.length, 1, 'expected one coalesced CI digest packet in autopilot inbox');
+  const { meta: apMeta, body } = parseFrontmatter(await fs.readFile(path.join(apDir, apFiles[0]), 'utf8'));
+  assert.equal(apMeta.signals.sourceKind, 'CI_FAILURE_ACTION_REQUIRED');
+  assert.equal(apMeta.references.sourceReferences.ci.headSha, 'b'.repeat(40));
+  assert.ok(body.includes('open the failing job logs'));
+  assert.ok(body.includes('[coalesced orchestrator digest]'));
+});
+
 test('orchestrator coalescing scans beyond 200 pending digest tasks', async () => {
   const busRoot = await mkTmpDir();
   const repoRoot = process.cwd();
@@ -667,3 +721,126 @@ test('orchestrator surfaces forwarding failures and closes packet as needs_revie
   assert.ok(Array.isArray(receipt.receiptExtra?.forwardingErrors));
   assert.ok(receipt.receiptExtra.forwardingErrors.length >= 1, 'expected forwardingErrors in receipt');
 });
+
+test('orchestrator still releases dependency-gated packets when scheduled delivery fails', async () => {
+  const busRoot = await mkTmpDir();
+  const repoRoot = process.cwd();
+  const rosterPath = path.join(busRoot, 'ROSTER.json');
+  const roster = {
+    schemaVersion: 2,
+    sessionName: 'test',
+    orchestratorName: 'daddy-orchestrator',
+    daddyChatName: 'daddy',
+    agents: [{ name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+  };
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2));
+  await ensureBusRoot(busRoot, roster);
+
+  const send = (id, to, signals = {}) =>
+    deliverTask({ busRoot, meta: { id, to: [to], from: 'daddy', priority: 'P2', title: id, signals: { kind: 'EXECUTE', ...signals } }, body: '' });
+  await send('msg_impl', 'qa');
+  await closeTask({ busRoot, roster, agentName: 'qa', taskId: 'msg_impl', outcome: 'done', note: 'ok', notifyOrchestrator: false });
+  await send('msg_verify', 'qa', { dependsOn: ['msg_impl'] });
+
+  // A due delayed packet whose inbox cannot be created makes the scheduled-delivery step throw.
+  await send('msg_later', 'ghost', { notBefore: new Date(Date.now() + 200).toISOString() });
+  await fs.writeFile(path.join(busRoot, 'inbox', 'ghost'), 'not a directory');
+  await new Promise((resolve) => setTimeout(resolve, 250));
+
+  const scriptPath = path.join(repoRoot, 'scripts', 'agent-orchestrator-worker.mjs');
+  const run = childProcess.spawnSync(
+    process.execPath,
+    [scriptPath, '--agent', 'daddy-orchestrator', '--bus-root', busRoot, '--roster', rosterPath, '--once'],
+    { encoding: 'utf8', timeout: 60_000 },
+  );
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stderr, /WARN: orchestrator scheduled delivery failed/);
+  assert.doesNotMatch(run.stderr, /dependency release failed/);
+  assert.deepEqual(await fs.readdir(path.join(busRoot, 'inbox', 'qa', 'new')), ['msg_verify.md']);
+});
+
+test('orchestrator tick requeues in_progress packets whose lease expired', async () => {
+  const busRoot = await mkTmpDir();
+  const repoRoot = process.cwd();
+  const rosterPath = path.join(busRoot, 'ROSTER.json');
+  const roster = {
+    schemaVersion: 2,
+    sessionName: 'test',
+    orchestratorName: 'daddy-orchestrator',
+    daddyChatName: 'daddy',
+    agents: [{ name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+  };
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2));
+  await ensureBusRoot(busRoot, roster);
+
+  for (const id of ['msg_live', 'msg_stale']) {
+    await deliverTask({ busRoot, meta: { id, to: ['qa'], from: 'daddy', priority: 'P2', title: id }, body: '' });
+    await claimTask({ busRoot, agentName: 'qa', taskId: id });
+  }
+  // This process owns both leases and stays alive; only the stale one stopped heartbeating.
+  const stale = await readTaskLease({ busRoot, agentName: 'qa', taskId: 'msg_stale' });
+  const heartbeatAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  await fs.writeFile(taskLeasePath({ busRoot, agentName: 'qa', taskId: 'msg_stale' }), JSON.stringify({ ...stale, heartbeatAt }));
+
+  const scriptPath = path.join(repoRoot, 'scripts', 'agent-orchestrator-worker.mjs');
+  const run = childProcess.spawnSync(
+    process.execPath,
+    [scriptPath, '--agent', 'daddy-orchestrator', '--bus-root', busRoot, '--roster', rosterPath, '--once'],
+    { encoding: 'utf8', timeout: 60_000 },
+  );
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stderr, /WARN: requeued qa\/msg_stale \(heartbeat_expired\)/);
+  assert.deepEqual(await fs.readdir(path.join(busRoot, 'inbox', 'qa', 'new')), ['msg_stale.md']);
+  assert.deepEqual((await fs.readdir(path.join(busRoot, 'inbox', 'qa', 'in_progress'))).sort(), [
+    'msg_live.lease.json',
+    'msg_live.md',
+  ]);
+});
+
+test('orchestrator wakes for delayed packets at notBefore and for dependencies settled after it started', async () => {
+  const busRoot = await mkTmpDir();
+  const repoRoot = process.cwd();
+  const rosterPath = path.join(busRoot, 'ROSTER.json');
+  const roster = {
+    schemaVersion: 2,
+    sessionName: 'test',
+    orchestratorName: 'daddy-orchestrator',
+    daddyChatName: 'daddy',
+    agents: [{ name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+  };
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2));
+  await ensureBusRoot(busRoot, roster);
+
+  const send = (id, signals = {}) =>
+    deliverTask({ busRoot, meta: { id, to: ['qa'], from: 'daddy', priority: 'P2', title: id, signals: { kind: 'EXECUTE', ...signals } }, body: '' });
+  const inboxNew = path.join(busRoot, 'inbox', 'qa', 'new');
+  const waitForInbox = async (id, ms) => {
+    for (const start = Date.now(); Date.now() - start < ms; ) {
+      if ((await fs.readdir(inboxNew)).includes(`${id}.md`)) return Date.now();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error(`${id} not delivered within ${ms}ms`);
+  };
+
+  const scriptPath = path.join(repoRoot, 'scripts', 'agent-orchestrator-worker.mjs');
+  const proc = childProcess.spawn(
+    process.execPath,
+    [scriptPath, '--agent', 'daddy-orchestrator', '--bus-root', busRoot, '--roster', rosterPath, '--poll-ms', '50'],
+    { stdio: 'ignore', env: { ...process.env, AGENTIC_INBOX_WATCH: 'watch' } },
+  );
+  try {
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    // Both wake-ups must come well before the idle cap (30s) that bounds lease reaping.
+    const notBeforeMs = Date.now() + 1500;
+    await send('msg_later', { notBefore: new Date(notBeforeMs).toISOString() });
+    assert.ok((await waitForInbox('msg_later', 10_000)) >= notBeforeMs);
+
+    await send('msg_impl');
+    await send('msg_verify', { dependsOn: ['msg_impl'] });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    await closeTask({ busRoot, roster, agentName: 'qa', taskId: 'msg_impl', outcome: 'done', note: 'ok', notifyOrchestrator: false });
+    await waitForInbox('msg_verify', 10_000);
+  } finally {
+    proc.kill();
+  }
+});
@@ -0,0 +1,208 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+  REVIEW_CLOSURE_MAX_ATTEMPTS,
+  buildFixedReply,
+  closureReplyIds,
+  readReviewClosure,
+  runReviewClosure,
+} from '../lib/pr-actions.mjs';
+import { createFixtureForge } from '../lib/forge-fixture.mjs';
+import { closeTask } from '../lib/agentbus.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+async function writeFixtureFile(tmp) {
+  const fixturePath = path.join(tmp, 'forge.json');
+  const fixture = {
+    repos: {
+      'acme/app': {
+        pulls: [
+          {
+            number: 7,
+            state: 'open',
+            headRefOid: 'abc1234567890def',
+            headRefName: 'feature',
+            threads: [
+              { id: 'T1', path: 'web/a.ts', line: 3, comments: [{ id: 'C1', author: 'rev', body: 'rename', createdAt: '2026-01-01T00:00:00Z' }] },
+              { id: 'T2', path: 'web/b.ts', line: 9, comments: [{ id: 'C2', author: 'bot', body: 'nit', createdAt: '2026-01-01T00:00:00Z' }] },
+            ],
+            comments: [],
+          },
+        ],
+      },
+    },
+  };
+  await fs.writeFile(fixturePath, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+  return fixturePath;
+}
+
+const doneReceipt = (reviewClosure, extra = {}) => ({
+  taskId: 'PR7__REVIEW_THREAD__T1',
+  outcome: 'done',
+  commitSha: 'def5678',
+  receiptExtra: { reviewClosure },
+  task: { references: { pr: { owner: 'acme', repo: 'app', number: 7 } } },
+  ...extra,
+});
+
+test('readReviewClosure only accepts done receipts naming a PR, a commit and an action', () => {
+  assert.deepEqual(readReviewClosure(doneReceipt({ threadIds: ['T1', 'T1'], summary: 'renamed', requestReview: 'rev' })), {
+    owner: 'acme',
+    repo: 'app',
+    prNumber: 7,
+    commitSha: 'def5678',
+    threadIds: ['T1'],
+    commentIds: [],
+    summary: 'renamed',
+    resolve: false,
+    requestReview: ['rev'],
+    taskId: 'PR7__REVIEW_THREAD__T1',
+  });
+  assert.equal(readReviewClosure(doneReceipt({ threadIds: ['T1'] }, { outcome: 'blocked' })), null);
+  assert.equal(readReviewClosure(doneReceipt({ threadIds: ['T1'] }, { commitSha: '' })), null);
+  assert.equal(readReviewClosure(doneReceipt({ summary: 'no targets' })), null);
+  assert.equal(readReviewClosure(doneReceipt({ threadIds: ['T1'] }, { task: {} })), null);
+
+  const forwarded = readReviewClosure(
+    doneReceipt({ commentIds: [11], commitSha: 'aaaa1111' }, { task: { references: { sourceReferences: { pr: { owner: 'o', repo: 'r', number: 3 } } } } }),
+  );
+  assert.deepEqual([forwarded.owner, forwarded.prNumber, forwarded.commitSha, forwarded.commentIds], ['o', 3, 'aaaa1111', ['11']]);
+  assert.equal(buildFixedReply({ commitSha: 'def5678', summary: 'renamed the helper.' }), 'Fixed in def5678: renamed the helper. Please re-check.');
+  assert.equal(buildFixedReply({ commitSha: 'def5678' }), 'Fixed in def5678. Please re-check.');
+});
+
+test('runReviewClosure replies, resolves and requests review once per thread and commit', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'pr-actions-'));
+  const fixturePath = await writeFixtureFile(tmp);
+  const forge = createFixtureForge({ fixturePath, now: () => new Date('2026-02-01T00:00:00Z') });
+  const closure = readReviewClosure(doneReceipt({ threadIds: ['T1', 'T2'], commentIds: [11], resolve: true, requestReview: ['rev'] }));
+  const now = () => new Date('2026-02-01T00:00:00Z');
+
+  const first = await runReviewClosure({ forge, closure, closures: {}, now });
+  assert.deepEqual(
+    first.results.map((r) => `${r.key} ${r.action} ${r.status}`),
+    [
+      'T1@def5678 reply done',
+      'T1@def5678 resolve done',
+      'T2@def5678 reply done',
+      'T2@def5678 resolve done',
+      'pr@def5678 comment done',
+      'pr@def5678 request_review done',
+    ],
+  );
+  assert.deepEqual(Array.from(closureReplyIds(first.closures)).sort(), ['1', 'T1-R2', 'T2-R2']);
+
+  const again = await runReviewClosure({ forge, closure, closures: first.closures, now });
+  assert.deepEqual(again.results, []);
+  const data = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+  const [pull] = data.repos['acme/app'].pulls;
+  assert.equal(data.replies.length, 3);
+  assert.equal(pull.threads[0].comments.at(-1).body, 'Fixed in def5678. Please re-check.');
+  assert.equal(pull.comments[0].body, 'Fixed in def5678. Please re-check.\n\n(re: comment #11)');
+  assert.deepEqual([pull.threads[0].resolved, pull.threads[1].resolved, pull.reviewRequests.length], [true, true, 1]);
+
+  const newCommit = await runReviewClosure({ forge, closure: { ...closure, commitSha: 'fff0000', threadIds: ['T1'] }, closures: first.closures, now });
+  assert.deepEqual(newCommit.results.map((r) => r.key), ['T1@fff0000', 'T1@fff0000', 'pr@fff0000', 'pr@fff0000']);
+});
+
+test('runReviewClosure records unsupported steps and gives up after repeated failures', async () => {
+  let calls = 0;
+  const forge = {
+    async postReply({ threadId }) {
+      calls += 1;
+      if (threadId === 'bad') throw new Error('boom');
+      return { id: 5, url: 'u' };
+    },
+  };
+  const closure = { owner: 'o', repo: 'r', prNumber: 1, commitSha: 'abc1234', threadIds: ['ok', 'bad'], commentIds: [], resolve: true, requestReview: ['rev'] };
+  const closures = {};
+  const first = await runReviewClosure({ forge, closure, closures });
+  assert.deepEqual(
+    first.results.map((r) => `${r.key} ${r.action} ${r.status}`),
+    ['ok@abc1234 reply done', 'ok@abc1234 resolve unsupported', 'bad@abc1234 reply failed', 'pr@abc1234 request_review unsupported'],
+  );
+  for (let i = 1; i < REVIEW_CLOSURE_MAX_ATTEMPTS; i += 1) await runReviewClosure({ forge, closure, closures });
+  assert.deepEqual([closures['bad@abc1234'].attempts, closures['bad@abc1234'].lastError], [REVIEW_CLOSURE_MAX_ATTEMPTS, 'boom']);
+  const callsBefore = calls;
+  assert.deepEqual((await runReviewClosure({ forge, closure, closures })).results, []);
+  assert.equal(calls, callsBefore);
+});
+
+test('watch-pr applies review closures from done receipts and ignores its own replies', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'pr-actions-e2e-'));
+  const fixturePath = await writeFixtureFile(tmp);
+  const busRoot = path.join(tmp, 'bus');
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  const roster = { schemaVersion: 2, orchestratorName: 'daddy-orchestrator', agents: [{ name: 'daddy-orchestrator' }] };
+  await fs.writeFile(rosterPath, JSON.stringify(roster), 'utf8');
+  const run = () =>
+    spawnSync(
+      process.execPath,
+      [
+        path.join(repoRoot, 'scripts', 'observers', 'watch-pr.mjs'),
+        '--project-root', tmp,
+        '--bus-root', busRoot,
+        '--roster', rosterPath,
+        '--forge', 'fixture',
+        '--fixture', fixturePath,
+        '--repo', 'acme/app',
+        '--cold-start-mode', 'replay',
+        '--once',
+      ],
+      { cwd: repoRoot, encoding: 'utf8', timeout: 60_000 },
+    );
+  const inbox = async () => (await fs.readdir(path.join(busRoot, 'inbox', 'daddy-orchestrator', 'new'))).sort();
+  const readFixture = async () => JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+
+  assert.equal(run().status, 0);
+  assert.deepEqual(await inbox(), ['PR7__REVIEW_THREAD__T1.md', 'PR7__REVIEW_THREAD__T2.md']);
+  for (const taskId of ['PR7__REVIEW_THREAD__T1', 'PR7__REVIEW_THREAD__T2']) {
+    await closeTask({
+      busRoot,
+      roster,
+      agentName: 'daddy-orchestrator',
+      taskId,
+      outcome: taskId.endsWith('T1') ? 'done' : 'blocked',
+      commitSha: 'def5678',
+      receiptExtra: { reviewClosure: { threadIds: [taskId.slice(-2)], summary: 'renamed the helper', requestReview: ['rev'] } },
+      notifyOrchestrator: false,
+    });
+  }
+
+  const applied = run();
+  assert.equal(applied.status, 0, applied.stderr);
+  assert.match(applied.stdout, /acme\/app#7 review closure reply T1@def5678 done/);
+  assert.match(applied.stdout, /review closure request_review pr@def5678 done/);
+  let data = await readFixture();
+  assert.deepEqual(
+    data.replies.map((r) => [r.threadId, r.body]),
+    [['T1', 'Fixed in def5678: renamed the helper. Please re-check.']],
+  );
+  assert.equal(data.repos['acme/app'].pulls[0].threads[0].resolved, undefined);
+
+  const quiet = run();
+  assert.equal(quiet.status, 0, quiet.stderr);
+  assert.doesNotMatch(quiet.stdout, /review closure/);
+  assert.deepEqual(await inbox(), []);
+  assert.equal((await readFixture()).replies.length, 1);
+
+  data = await readFixture();
+  data.repos['acme/app'].pulls[0].threads[0].comments.push({
+    id: 'C3',
+    author: 'rev',
+    body: 'still wrong',
+    createdAt: '2099-01-01T00:00:00Z',
+    updatedAt: '2099-01-01T00:00:00Z',
+  });
+  await fs.writeFile(fixturePath, JSON.stringify(data), 'utf8');
+  assert.equal(run().status, 0);
+  assert.deepEqual(await inbox(), ['PR7__REVIEW_THREAD__T1.md']);
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  DEFAULT_BOT_LOGINS,
+  isBotLogin,
+  loadPrObserverConfig,
+  matchCodeownersPattern,
+  parseCodeowners,
+  readCodeowners,
+  routeByPath,
+} from '../lib/pr-routing.mjs';
+import { ACTIONABLE_COMMENT_KEYWORDS, isActionableComment } from '../lib/review-fix-comment.mjs';
+
+const agentNames = new Set(['frontend', 'backend', 'qa', 'daddy-autopilot']);
+
+test('loadPrObserverConfig normalizes roster.prObserver and falls back to built-in lists', () => {
+  const defaults = loadPrObserverConfig({});
+  assert.deepEqual(defaults.routes, []);
+  assert.equal(defaults.defaultAgent, null);
+  assert.equal(defaults.botLogins, DEFAULT_BOT_LOGINS);
+  assert.equal(defaults.actionableKeywords, ACTIONABLE_COMMENT_KEYWORDS);
+
+  const cfg = loadPrObserverConfig({
+    prObserver: {
+      routes: [{ paths: 'web/**', agent: 'frontend' }, { paths: [], agents: ['qa'] }, { paths: ['api/**'], agents: ['backend', ' qa ', 'backend'] }],
+      codeowners: { path: 'OWNERS', owners: { '@Acme/Web': 'frontend' } },
+      defaultAgent: ' daddy-autopilot ',
+      botLogins: ['Sonar-Bot'],
+      actionableKeywords: ['Must Fix'],
+    },
+  });
+  assert.deepEqual(cfg.routes, [{ paths: ['web/**'], agents: ['frontend'] }, { paths: ['api/**'], agents: ['backend', 'qa'] }]);
+  assert.deepEqual(cfg.codeowners, { enabled: true, path: 'OWNERS', owners: { '@acme/web': ['frontend'] } });
+  assert.deepEqual([cfg.defaultAgent, cfg.botLogins, cfg.actionableKeywords], ['daddy-autopilot', ['sonar-bot'], ['must fix']]);
+});
+
+test('routeByPath prefers the first matching glob route and keeps every owner', () => {
+  const config = loadPrObserverConfig({
+    prObserver: {
+      routes: [
+        { paths: ['web/**/*.css', 'docs/?.md'], agents: ['frontend', 'qa'] },
+        { paths: ['web/**'], agents: ['frontend'] },
+      ],
+      defaultAgent: 'daddy-autopilot',
+    },
+  });
+  assert.deepEqual(routeByPath({ filePath: 'web/a/b/site.css', config }), { agents: ['frontend', 'qa'], source: 'route' });
+  assert.deepEqual(routeByPath({ filePath: 'docs/a.md', config }), { agents: ['frontend', 'qa'], source: 'route' });
+  assert.deepEqual(routeByPath({ filePath: 'web/app.tsx', config }), { agents: ['frontend'], source: 'route' });
+  assert.deepEqual(routeByPath({ filePath: 'docs/ab.md', config }), { agents: ['daddy-autopilot'], source: 'default' });
+  assert.deepEqual(routeByPath({ filePath: '', config: loadPrObserverConfig(null) }), { agents: [], source: null });
+});
+
+test('routeByPath falls back to the last matching CODEOWNERS rule', () => {
+  const codeowners = parseCodeowners(
+    [
+      '# owners',
+      '*            @acme/core',
+      '*.py         @backend @acme/ml  # python',
+      '/web/        @frontend',
+      'web/legacy/  @nobody',
+    ].join('\n'),
+  );
+  assert.deepEqual(codeowners[1], { pattern: '*.py', owners: ['@backend', '@acme/ml'] });
+  const config = loadPrObserverConfig({
+    prObserver: { codeowners: { owners: { '@acme/ml': ['qa'] } }, defaultAgent: 'daddy-autopilot' },
+  });
+  const route = (filePath) => routeByPath({ filePath, config, codeowners, agentNames });
+
+  assert.deepEqual(route('svc/model/train.py'), { agents: ['backend', 'qa'], source: 'codeowners' });
+  assert.deepEqual(route('web/app.tsx'), { agents: ['frontend'], source: 'codeowners' });
+  // The last match owns the file even when none of its owners are agents; earlier rules do not apply.
+  assert.deepEqual(route('web/legacy/old.js'), { agents: ['daddy-autopilot'], source: 'default' });
+  assert.deepEqual(route('README.md'), { agents: ['daddy-autopilot'], source: 'default' });
+
+  assert.equal(matchCodeownersPattern('a/web/x.js', '/web/'), false);
+  assert.equal(matchCodeownersPattern('a/web/x.js', 'web/'), true);
+  assert.equal(matchCodeownersPattern('a/web/legacy/x.js', 'web/legacy/'), false);
+  assert.equal(matchCodeownersPattern('a/b/Makefile', 'Makefile'), true);
+  assert.equal(matchCodeownersPattern('docs/guide/intro.md', 'docs/**/*.md'), true);
+});
+
+test('readCodeowners reads the configured or standard location and honours enabled=false', async () => {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'pr-routing-'));
+  assert.deepEqual(await readCodeowners({ projectRoot, config: loadPrObserverConfig(null) }), { path: null, rules: [] });
+
+  await fs.mkdir(path.join(projectRoot, '.github'));
+  await fs.writeFile(path.join(projectRoot, '.github', 'CODEOWNERS'), 'api/ @backend\n', 'utf8');
+  const found = await readCodeowners({ projectRoot, config: loadPrObserverConfig(null) });
+  assert.deepEqual(found, { path: path.join(projectRoot, '.github', 'CODEOWNERS'), rules: [{ pattern: 'api/', owners: ['@backend'] }] });
+
+  const disabled = loadPrObserverConfig({ prObserver: { codeowners: { enabled: false } } });
+  assert.deepEqual(await readCodeowners({ projectRoot, config: disabled }), { path: null, rules: [] });
+  const custom = loadPrObserverConfig({ prObserver: { codeowners: { path: 'OWNERS' } } });
+  assert.deepEqual(await readCodeowners({ projectRoot, config: custom }), { path: null, rules: [] });
+});
+
+test('bot logins and actionable keywords follow the configured lists', () => {
+  const config = loadPrObserverConfig({ prObserver: { botLogins: ['sonar-bot'], actionableKeywords: ['must fix'] } });
+  assert.equal(isBotLogin('renovate[bot]', config.botLogins), true);
+  assert.equal(isBotLogin('Sonar-Bot', config.botLogins), true);
+  assert.equal(isBotLogin('coderabbitai', config.botLogins), false);
+  assert.equal(isBotLogin('coderabbitai'), true);
+
+  assert.equal(isActionableComment('You MUST FIX this before merge', config.actionableKeywords), true);
+  assert.equal(isActionableComment('tests failing on main', config.actionableKeywords), false);
+  assert.equal(isActionableComment('tests failing on main'), true);
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+import {
+  createPrScanQueue,
+  parseWebhookEvent,
+  replayWebhookDeliveries,
+  signWebhookBody,
+  startPrWebhookServer,
+  verifyWebhookSignature,
+} from '../lib/pr-webhook.mjs';
+import { parseDeliveryFile } from '../observers/replay-pr-webhook.mjs';
+import { parseWebhookPort } from '../observers/watch-pr.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+const execFileAsync = promisify(execFile);
+
+const repository = { full_name: 'acme/app' };
+const deliveries = [
+  { event: 'issue_comment', delivery: 'd1', payload: { action: 'created', repository, issue: { number: 7, pull_request: {} }, comment: { id: 1 } } },
+  { event: 'pull_request_review', delivery: 'd2', payload: { action: 'submitted', repository, pull_request: { number: 8 } } },
+  { event: 'pull_request_review_comment', delivery: 'd3', payload: { action: 'created', repository, pull_request: { number: 7 } } },
+  {
+    event: 'check_run',
+    delivery: 'd4',
+    payload: { action: 'completed', repository, check_run: { conclusion: 'failure', pull_requests: [{ number: 9 }, { number: 9 }] } },
+  },
+];
+
+test('verifyWebhookSignature accepts only the HMAC of the exact body', () => {
+  const body = Buffer.from('{"a":1}');
+  const signature = signWebhookBody('s3cret', body);
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookSignature({ secret: 's3cret', body, signature }), true);
+  assert.equal(verifyWebhookSignature({ secret: 's3cret', body: Buffer.from('{"a":2}'), signature }), false);
+  assert.equal(verifyWebhookSignature({ secret: 'other', body, signature }), false);
+  assert.equal(verifyWebhookSignature({ secret: 's3cret', body, signature: signature.replace('sha256=', 'sha1=') }), false);
+  assert.equal(verifyWebhookSignature({ secret: 's3cret', body, signature: undefined }), false);
+  assert.equal(verifyWebhookSignature({ secret: '', body, signature }), false);
+});
+
+test('parseWebhookEvent maps supported events to PR scan requests and ignores no-op deliveries', () => {
+  assert.deepEqual(
+    deliveries.map((d) => parseWebhookEvent(d)),
+    [
+      { event: 'issue_comment', action: 'created', repo: 'acme/app', prNumbers: [7] },
+      { event: 'pull_request_review', action: 'submitted', repo: 'acme/app', prNumbers: [8] },
+      { event: 'pull_request_review_comment', action: 'created', repo: 'acme/app', prNumbers: [7] },
+      { event: 'check_run', action: 'completed', repo: 'acme/app', prNumbers: [9] },
+    ],
+  );
+  const ignored = [
+    { event: 'issue_comment', payload: { action: 'created', repository, issue: { number: 3 } } },
+    { event: 'issue_comment', payload: { action: 'deleted', repository, issue: { number: 3, pull_request: {} } } },
+    { event: 'pull_request_review', payload: { action: 'dismissed', repository, pull_request: { number: 3 } } },
+    { event: 'check_run', payload: { action: 'created', repository, check_run: { pull_requests: [{ number: 3 }] } } },
+    { event: 'check_run', payload: { action: 'completed', repository, check_run: { conclusion: 'success', pull_requests: [{ number: 3 }] } } },
+    { event: 'check_run', payload: { action: 'completed', repository, check_run: { conclusion: 'failure', pull_requests: [] } } },
+    { event: 'push', payload: { repository } },
+  ];
+  assert.deepEqual(ignored.map((d) => parseWebhookEvent(d)), ignored.map(() => null));
+});
+
+test('createPrScanQueue merges PRs per repo and wakes a waiting loop', async () => {
+  const queue = createPrScanQueue();
+  const started = Date.now();
+  const waited = queue.wait(60_000);
+  queue.push({ repo: 'Acme/App', prNumbers: [7] });
+  await waited;
+  assert.ok(Date.now() - started < 5_000);
+  queue.push({ repo: 'acme/app', prNumbers: [3, 7] });
+  queue.push({ repo: 'other/repo', prNumbers: [1] });
+  await queue.wait(60_000);
+  assert.deepEqual(queue.take('acme/APP'), [3, 7]);
+  assert.equal(queue.size, 0);
+  assert.deepEqual(queue.take('acme/app'), []);
+});
+
+test('webhook receiver verifies, dedupes and queues replayed deliveries', async (t) => {
+  const queue = createPrScanQueue();
+  const webhook = await startPrWebhookServer({ port: 0, secret: 's3cret', onDelivery: (parsed) => queue.push(parsed) });
+  t.after(() => webhook.server.close());
+
+  const results = await replayWebhookDeliveries({
+    url: webhook.url,
+    secret: 's3cret',
+    deliveries: [...deliveries, deliveries[0], { event: 'ping', payload: {} }, { event: 'push', payload: { repository } }],
+  });
+  assert.deepEqual(
+    results.map((r) => [r.delivery, r.status]),
+    [['d1', 202], ['d2', 202], ['d3', 202], ['d4', 202], ['d1', 200], [results[5].delivery, 200], [results[6].delivery, 200]],
+  );
+  assert.deepEqual(results[4].response, { ok: true, duplicate: true });
+  assert.deepEqual(results[6].response, { ok: true, ignored: true, event: 'push' });
+  assert.deepEqual(queue.take('acme/app'), [7, 8, 9]);
+
+  const forged = await replayWebhookDeliveries({ url: webhook.url, secret: 'wrong', deliveries: [deliveries[1]] });
+  assert.deepEqual([forged[0].status, forged[0].response.error], [401, 'Invalid signature']);
+  assert.equal((await fetch(webhook.url)).status, 405);
+  assert.equal((await fetch(webhook.url.replace('/github/webhook', '/other'), { method: 'POST' })).status, 404);
+  assert.equal(queue.size, 0);
+});
+
+test('replay-pr-webhook CLI posts JSON and JSONL delivery files', async (t) => {
+  const queue = createPrScanQueue();
+  const webhook = await startPrWebhookServer({ port: 0, secret: 's3cret', onDelivery: (parsed) => queue.push(parsed) });
+  t.after(() => webhook.server.close());
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'pr-webhook-replay-'));
+  const jsonFile = path.join(tmp, 'review.json');
+  const jsonlFile = path.join(tmp, 'more.jsonl');
+  await fs.writeFile(jsonFile, JSON.stringify(deliveries[1]), 'utf8');
+  await fs.writeFile(jsonlFile, deliveries.slice(2).map((d) => JSON.stringify(d)).join('\n') + '\n', 'utf8');
+  assert.deepEqual(parseDeliveryFile(await fs.readFile(jsonlFile, 'utf8'), jsonlFile), deliveries.slice(2));
+  assert.throws(() => parseDeliveryFile('{"a":1}\nnope\n', 'x.jsonl'), /x\.jsonl:2: invalid JSON delivery/);
+
+  const script = path.join(repoRoot, 'scripts', 'observers', 'replay-pr-webhook.mjs');
+  const { stdout } = await execFileAsync(process.execPath, [script, '--port', String(webhook.port), '--secret', 's3cret', jsonFile, jsonlFile], {
+    cwd: repoRoot,
+    timeout: 30_000,
+  });
+  assert.deepEqual(
+    stdout.trim().split('\n').map((line) => JSON.parse(line).status),
+    [202, 202, 202],
+  );
+  assert.deepEqual(queue.take('acme/app'), [7, 8, 9]);
+});
+
+test('parseWebhookPort enables the receiver only for valid ports', () => {
+  assert.equal(parseWebhookPort(''), null);
+  assert.equal(parseWebhookPort('8787'), 8787);
+  assert.equal(parseWebhookPort('0'), 0);
+  assert.equal(parseWebhookPort('70000'), null);
+  assert.equal(parseWebhookPort('abc'), null);
+});
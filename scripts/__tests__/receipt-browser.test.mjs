@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import childProcess from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { closeTask, deliverTask, ensureBusRoot } from '../lib/agentbus.mjs';
+import {
+  listReceipts,
+  readReceiptArtifact,
+  readReceiptCommit,
+  readReceiptDetail,
+  receiptReasonCodes,
+} from '../lib/receipt-browser.mjs';
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'backend' }, { name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function seed() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-receipts-'));
+  const busRoot = path.join(tmp, 'bus');
+  const workdir = path.join(tmp, 'worktree');
+  await ensureBusRoot(busRoot, roster);
+  await fs.mkdir(path.join(workdir, '.codex', 'quality', 'logs'), { recursive: true });
+  await fs.writeFile(path.join(workdir, '.codex', 'quality', 'logs', 'msg_a.md'), '# quality log\n', 'utf8');
+  await fs.mkdir(path.join(busRoot, 'artifacts', 'backend', 'reviews'), { recursive: true });
+  await fs.writeFile(path.join(busRoot, 'artifacts', 'backend', 'reviews', 'msg_a.md'), 'review body\n', 'utf8');
+
+  const close = async (agentName, taskId, outcome, receiptExtra) => {
+    await deliverTask({ busRoot, meta: { id: taskId, to: [agentName], from: 'daddy', priority: 'P2', title: `task ${taskId}`, signals: { kind: 'EXECUTE', rootId: 'root_r' } }, body: 'x' });
+    await closeTask({ busRoot, roster, agentName, taskId, outcome, receiptExtra, notifyOrchestrator: false });
+  };
+  await close('backend', 'msg_a', 'blocked', {
+    reasonCode: 'gate_failed',
+    runtimeGuard: {
+      codeQualityGate: { errors: ['too long'], reasonCodes: ['file_too_long'], artifactPath: '.codex/quality/logs/msg_a.md' },
+      preflightGate: { required: true, approved: true, reasonCode: null },
+    },
+    reviewArtifactPath: 'artifacts/backend/reviews/msg_a.md',
+    git: { workdir, branch: 'wip/a', preflightCleanArtifactPath: 'artifacts/backend/preflight/msg_a.clean.md' },
+    sneaky: '.codex/../../outside.txt',
+  });
+  await close('backend', 'msg_b', 'done', { git: { workdir } });
+  await close('qa', 'msg_c', 'blocked', { runtimeGuard: { delegationGate: { status: 'blocked', reasonCode: 'gate_failed' } } });
+  return { busRoot, workdir };
+}
+
+test('receiptReasonCodes picks reasonCode/reasonCodes leaves from a flattened receiptExtra', () => {
+  assert.deepEqual(
+    receiptReasonCodes({ reasonCode: ['a'], 'runtimeGuard.x.reasonCodes': ['b', 'a'], 'runtimeGuard.x.reason': ['c'], 'y.reasonCode': [''] }),
+    ['a', 'b'],
+  );
+});
+
+test('listReceipts pages newest first and filters by agent, outcome and reason code', async () => {
+  const { busRoot } = await seed();
+  const ids = async (filters) => (await listReceipts({ busRoot, ...filters })).receipts.map((r) => r.taskId);
+
+  const all = await listReceipts({ busRoot });
+  assert.equal(all.total, 3);
+  assert.deepEqual(all.receipts.map((r) => r.taskId).sort(), ['msg_a', 'msg_b', 'msg_c']);
+  assert.deepEqual(all.reasonCodes, { gate_failed: 2, file_too_long: 1 });
+  assert.deepEqual((await ids({ reasonCode: 'gate_failed' })).sort(), ['msg_a', 'msg_c']);
+  assert.deepEqual(await ids({ agent: 'backend', reasonCode: 'file_too_long' }), ['msg_a']);
+  assert.deepEqual(await ids({ outcome: 'done' }), ['msg_b']);
+
+  const page = await listReceipts({ busRoot, offset: 2, limit: 2 });
+  assert.equal(page.receipts.length, 1);
+  assert.equal(page.total, 3);
+  assert.equal((await listReceipts({ busRoot, limit: 'lots' })).limit, 25);
+});
+
+test('readReceiptDetail links .codex and bus artifacts, and only those can be read back', async () => {
+  const { busRoot } = await seed();
+  const detail = await readReceiptDetail({ busRoot, agent: 'backend', taskId: 'msg_a' });
+  assert.equal(detail.receipt.outcome, 'blocked');
+  assert.deepEqual(
+    detail.artifacts.map((a) => [a.key, a.path, a.base, a.exists]),
+    [
+      ['runtimeGuard.codeQualityGate.artifactPath', '.codex/quality/logs/msg_a.md', 'workdir', true],
+      ['reviewArtifactPath', 'artifacts/backend/reviews/msg_a.md', 'bus', true],
+      ['git.preflightCleanArtifactPath', 'artifacts/backend/preflight/msg_a.clean.md', 'bus', false],
+    ],
+  );
+
+  const log = await readReceiptArtifact({ busRoot, agent: 'backend', taskId: 'msg_a', artifactPath: '.codex/quality/logs/msg_a.md' });
+  assert.deepEqual([log.text, log.truncated], ['# quality log\n', false]);
+  const review = await readReceiptArtifact({ busRoot, agent: 'backend', taskId: 'msg_a', artifactPath: 'artifacts/backend/reviews/msg_a.md' });
+  assert.equal(review.text, 'review body\n');
+
+  assert.equal(await readReceiptArtifact({ busRoot, agent: 'backend', taskId: 'msg_a', artifactPath: '../outside.txt' }), null);
+  assert.equal(await readReceiptArtifact({ busRoot, agent: 'backend', taskId: 'msg_b', artifactPath: '.codex/quality/logs/msg_a.md' }), null);
+  assert.equal(await readReceiptDetail({ busRoot, agent: 'backend', taskId: 'msg_missing' }), null);
+  await assert.rejects(readReceiptDetail({ busRoot, agent: '..', taskId: 'msg_a' }), /Invalid agent or taskId/);
+});
+
+function git(cwd, ...args) {
+  return childProcess.execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+test('readReceiptCommit renders the diffstat and diff of the receipt commit from the worker checkout', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-receipt-commit-'));
+  const busRoot = path.join(tmp, 'bus');
+  const repo = path.join(tmp, 'repo');
+  await ensureBusRoot(busRoot, roster);
+  await fs.mkdir(repo, { recursive: true });
+  git(repo, 'init', '-q');
+  git(repo, 'config', 'user.email', 'ci@example.com');
+  git(repo, 'config', 'user.name', 'CI');
+  await fs.writeFile(path.join(repo, 'a.txt'), 'one\ntwo\n', 'utf8');
+  git(repo, 'add', 'a.txt');
+  git(repo, 'commit', '-q', '-m', 'init');
+  await fs.writeFile(path.join(repo, 'a.txt'), 'one\n2\n', 'utf8');
+  await fs.writeFile(path.join(repo, 'b.txt'), 'new\n', 'utf8');
+  git(repo, 'add', '-A');
+  git(repo, 'commit', '-q', '-m', 'change a, add b');
+  const sha = git(repo, 'rev-parse', 'HEAD');
+
+  const close = async (taskId, commitSha, workdir) => {
+    await deliverTask({ busRoot, meta: { id: taskId, to: ['backend'], from: 'daddy', priority: 'P2', title: taskId, signals: { kind: 'EXECUTE' } }, body: 'x' });
+    await closeTask({ busRoot, roster, agentName: 'backend', taskId, outcome: 'done', commitSha, receiptExtra: { git: { workdir } }, notifyOrchestrator: false });
+  };
+  await close('msg_c', sha.slice(0, 12), repo);
+  await close('msg_gone', sha, path.join(tmp, 'removed-worktree'));
+  await close('msg_none', '', repo);
+
+  const { commit, reason } = await readReceiptCommit({ busRoot, agent: 'backend', taskId: 'msg_c' });
+  assert.equal(reason, null);
+  assert.deepEqual([commit.sha, commit.subject, commit.cwdSource], [sha, 'change a, add b', 'receipt']);
+  assert.deepEqual(commit.files, [
+    { path: 'a.txt', added: 1, deleted: 1, binary: false },
+    { path: 'b.txt', added: 1, deleted: 0, binary: false },
+  ]);
+  assert.deepEqual(commit.totals, { files: 2, added: 2, deleted: 1 });
+  assert.match(commit.diff, /^diff --git a\/a\.txt b\/a\.txt\n[\s\S]*^-two\n\+2\n[\s\S]*^\+new$/m);
+
+  const viaProject = await readReceiptCommit({ busRoot, agent: 'backend', taskId: 'msg_gone', fallbackCwds: [repo] });
+  assert.equal(viaProject.commit.cwdSource, 'project');
+  assert.equal((await readReceiptCommit({ busRoot, agent: 'backend', taskId: 'msg_gone' })).reason, 'commit_not_found');
+  assert.equal((await readReceiptCommit({ busRoot, agent: 'backend', taskId: 'msg_none' })).reason, 'no_commit_sha');
+  assert.equal(await readReceiptCommit({ busRoot, agent: 'backend', taskId: 'msg_missing' }), null);
+});
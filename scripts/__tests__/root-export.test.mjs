@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { claimTask, closeTask, deliverTask, ensureBusRoot, updateTask } from '../lib/agentbus.mjs';
+import { buildRootExport, renderRootExport, splitTaskUpdates } from '../lib/root-export.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  autopilotName: 'daddy-autopilot',
+  agents: [{ name: 'backend' }, { name: 'daddy-autopilot' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkWorkflow() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-export-'));
+  const busRoot = path.join(tmp, 'bus');
+  const workdir = path.join(tmp, 'worktree');
+  await ensureBusRoot(busRoot, roster);
+
+  const send = (id, to, from, signals, body, references = {}) =>
+    deliverTask({ busRoot, meta: { id, to, from, priority: 'P2', title: `${signals.kind} ${id}`, signals, references }, body });
+  await send('root_x', ['daddy-autopilot'], 'daddy', { kind: 'USER_REQUEST', rootId: 'root_x' }, 'Ship the <export>.');
+  await send('msg_exec', ['backend'], 'daddy-autopilot', { kind: 'EXECUTE', rootId: 'root_x', parentId: 'root_x' }, 'Build it.');
+  await claimTask({ busRoot, agentName: 'backend', taskId: 'msg_exec' });
+  await updateTask({ busRoot, agentName: 'backend', taskId: 'msg_exec', updateFrom: 'daddy', appendBody: 'Also add tests.' });
+
+  await fs.mkdir(path.join(busRoot, 'artifacts', 'backend', 'reviews'), { recursive: true });
+  await fs.writeFile(path.join(busRoot, 'artifacts', 'backend', 'reviews', 'msg_exec.md'), 'Review: looks good\n', 'utf8');
+  await fs.mkdir(path.join(workdir, '.codex', 'quality'), { recursive: true });
+  await fs.writeFile(path.join(workdir, '.codex', 'quality', 'gate.log'), 'lint ok\n```\nfenced\n```\n', 'utf8');
+  await closeTask({
+    busRoot,
+    roster,
+    agentName: 'backend',
+    taskId: 'msg_exec',
+    outcome: 'done',
+    commitSha: 'abc1234',
+    note: 'shipped',
+    notifyOrchestrator: false,
+    receiptExtra: {
+      git: { workdir },
+      reviewArtifactPath: 'artifacts/backend/reviews/msg_exec.md',
+      runtimeGuard: {
+        codeQualityGate: { artifactPath: '.codex/quality/gate.log' },
+        gateRetryBudget: { totalBudget: 3, consumed: 2 },
+      },
+      opusConsult: { phase: 'pre_exec', verdict: 'warn', status: 'done', reasonCode: 'opus_consult_warn', consultId: 'c1' },
+      opusPostReview: { phase: 'post_review', status: 'skipped' },
+    },
+  });
+  await send(
+    'msg_recover',
+    ['daddy-autopilot'],
+    'daddy-autopilot',
+    { kind: 'ORCHESTRATOR_UPDATE', sourceKind: 'AUTOPILOT_BLOCKED_RECOVERY', rootId: 'root_x', parentId: 'msg_exec' },
+    'Retry the blocked step.',
+  );
+  return { tmp, busRoot };
+}
+
+test('splitTaskUpdates separates the original body from each update block', () => {
+  const text = 'do it\n\n---\n\n### Update (2026-01-01T00:00:00.000Z) from ops\n\nfirst\n\n---\n\n### Update (t2) from qa\n\nsecond\n';
+  assert.deepEqual(splitTaskUpdates(text), {
+    body: 'do it',
+    updates: [
+      { at: '2026-01-01T00:00:00.000Z', by: 'ops', body: 'first' },
+      { at: 't2', by: 'qa', body: 'second' },
+    ],
+  });
+  assert.deepEqual(splitTaskUpdates('plain\n'), { body: 'plain', updates: [] });
+});
+
+test('buildRootExport gathers packets, updates, receipts, artifacts, verdicts and retries in tree order', async () => {
+  const { busRoot } = await mkWorkflow();
+  const report = await buildRootExport({ busRoot, rootId: 'root_x', now: () => new Date('2026-02-01T00:00:00Z') });
+
+  assert.equal(report.generatedAt, '2026-02-01T00:00:00.000Z');
+  assert.deepEqual(
+    report.tasks.map((t) => [t.key, t.depth]),
+    [['daddy-autopilot/root_x', 0], ['backend/msg_exec', 1], ['daddy-autopilot/msg_recover', 2]],
+  );
+  const exec = report.tasks[1];
+  assert.equal(exec.body, 'Build it.');
+  assert.deepEqual(exec.updates.map((u) => [u.by, u.body]), [['daddy', 'Also add tests.']]);
+  assert.deepEqual([exec.receipt.outcome, exec.receipt.note, exec.commitSha], ['done', 'shipped', 'abc1234']);
+  assert.deepEqual(exec.opus, [
+    { source: 'opusConsult', phase: 'pre_exec', verdict: 'warn', status: 'done', reasonCode: 'opus_consult_warn', consultId: 'c1' },
+  ]);
+  assert.deepEqual(
+    exec.artifacts.map((a) => [a.key, a.path, a.exists, a.text]),
+    [
+      ['reviewArtifactPath', 'artifacts/backend/reviews/msg_exec.md', true, 'Review: looks good\n'],
+      ['runtimeGuard.codeQualityGate.artifactPath', '.codex/quality/gate.log', true, 'lint ok\n```\nfenced\n```\n'],
+    ],
+  );
+  assert.deepEqual(exec.retries, { gate: 2, recovery: 0 });
+
+  const s = report.summary;
+  assert.deepEqual(s.retries, { total: 3, gate: 2, recovery: 1 });
+  assert.deepEqual(s.commits, ['abc1234']);
+  assert.deepEqual([s.packets, s.open, s.endedAt, s.wallTimeMs], [3, 2, null, null]);
+  assert.deepEqual(
+    s.agents.map((a) => [a.agent, a.packets, a.outcomes, a.open, a.retries]),
+    [['backend', 1, { done: 1 }, 0, 2], ['daddy-autopilot', 2, {}, 2, 1]],
+  );
+
+  const md = renderRootExport(report, 'md');
+  assert.match(md, /^# Workflow root_x\n/);
+  assert.match(md, /\| backend \| 1 \| done=1 \| \d+s \| 2 \|/);
+  assert.match(md, /- Retries: 3 \(gate 2, recovery 1\)/);
+  assert.match(md, /#### Update \(.+\) from daddy\n\n```markdown\nAlso add tests\.\n```/);
+  assert.match(md, /- Opus verdict: opusConsult · pre_exec · warn · opus_consult_warn/);
+  assert.match(md, /````\nlint ok\n```\nfenced\n```\n````/);
+
+  const html = renderRootExport(report, 'html');
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /Ship the &lt;export&gt;\./);
+  assert.doesNotMatch(html, /<export>/);
+
+  assert.deepEqual(JSON.parse(renderRootExport(report, 'json')).summary, JSON.parse(JSON.stringify(s)));
+  assert.throws(() => renderRootExport(report, 'pdf'), /Unknown export format/);
+  assert.equal(await buildRootExport({ busRoot, rootId: 'root_missing' }), null);
+});
+
+test('agent-bus export-root writes the report to --out or stdout', async () => {
+  const { tmp, busRoot } = await mkWorkflow();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  const run = (...args) =>
+    spawnSync(process.execPath, [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), 'export-root', '--bus-root', busRoot, '--roster', rosterPath, ...args], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+    });
+
+  const md = run('root_x');
+  assert.equal(md.status, 0, md.stderr);
+  assert.match(md.stdout, /^# Workflow root_x\n/);
+
+  const out = path.join(tmp, 'root_x.html');
+  const html = run('root_x', '--format', 'html', '--out', out);
+  assert.equal(html.status, 0, html.stderr);
+  assert.deepEqual(JSON.parse(html.stdout), { ok: true, rootId: 'root_x', format: 'html', out, packets: 3 });
+  assert.match(await fs.readFile(out, 'utf8'), /<h1>Workflow <code>root_x<\/code><\/h1>/);
+
+  const bad = run('root_x', '--format', 'pdf');
+  assert.notEqual(bad.status, 0);
+  assert.match(bad.stderr, /unknown --format "pdf"/);
+  assert.match(run('root_nope').stderr, /no packets or receipts with rootId root_nope/);
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { claimTask, closeTask, deliverTask, ensureBusRoot } from '../lib/agentbus.mjs';
+import { buildRootTimeline } from '../lib/root-timeline.mjs';
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  autopilotName: 'daddy-autopilot',
+  agents: [{ name: 'backend' }, { name: 'qa' }, { name: 'daddy-autopilot' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-timeline-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return busRoot;
+}
+
+function send(busRoot, { id, to, from, kind, parentId = null, rootId = 'root_1', references = {} }) {
+  return deliverTask({
+    busRoot,
+    meta: { id, to, from, priority: 'P2', title: `${kind} ${id}`, signals: { kind, rootId, parentId }, references },
+    body: `${kind} body`,
+  });
+}
+
+test('buildRootTimeline rebuilds the request → plan → execute → complete → update → review chain', async () => {
+  const busRoot = await mkBusRoot();
+  await send(busRoot, { id: 'root_1', to: ['daddy-autopilot'], from: 'daddy', kind: 'USER_REQUEST' });
+  await send(busRoot, { id: 'msg_plan', to: ['backend'], from: 'daddy-autopilot', kind: 'PLAN_REQUEST', parentId: 'root_1' });
+  await closeTask({ busRoot, roster, agentName: 'backend', taskId: 'msg_plan', outcome: 'done', notifyOrchestrator: false });
+  await send(busRoot, { id: 'msg_exec', to: ['backend'], from: 'daddy-autopilot', kind: 'EXECUTE', parentId: 'msg_plan' });
+  await claimTask({ busRoot, agentName: 'backend', taskId: 'msg_exec' });
+  const closed = await closeTask({ busRoot, roster, agentName: 'backend', taskId: 'msg_exec', outcome: 'done', commitSha: 'abc1234', note: 'shipped' });
+  const completionId = path.basename(closed.completionPath, '.md');
+
+  // Orchestrator digest back to the autopilot, which fans out two reviews.
+  await send(busRoot, {
+    id: 'orch_1',
+    to: ['daddy-autopilot'],
+    from: 'daddy-orchestrator',
+    kind: 'ORCHESTRATOR_UPDATE',
+    parentId: 'root_1',
+    references: { sourceAgent: 'backend', sourceTaskId: 'msg_exec' },
+  });
+  await send(busRoot, { id: 'msg_review', to: ['qa', 'backend'], from: 'daddy-autopilot', kind: 'REVIEW_ACTION_REQUIRED', parentId: 'orch_1' });
+  await closeTask({ busRoot, roster, agentName: 'qa', taskId: 'msg_review', outcome: 'needs_review', notifyOrchestrator: false });
+  await send(busRoot, { id: 'msg_other', to: ['qa'], from: 'daddy', kind: 'USER_REQUEST', rootId: 'root_2' });
+
+  const timeline = await buildRootTimeline({ busRoot, rootId: 'root_1' });
+  const byKey = new Map(timeline.nodes.map((n) => [n.key, n]));
+  const parentOf = (key) => byKey.get(key).parentKey;
+
+  assert.deepEqual(timeline.roots, ['daddy-autopilot/root_1']);
+  assert.equal(parentOf('backend/msg_plan'), 'daddy-autopilot/root_1');
+  assert.equal(parentOf('backend/msg_exec'), 'backend/msg_plan');
+  assert.equal(parentOf(`daddy-orchestrator/${completionId}`), 'backend/msg_exec');
+  assert.equal(parentOf('daddy-autopilot/orch_1'), `daddy-orchestrator/${completionId}`);
+  assert.deepEqual(byKey.get('daddy-autopilot/orch_1').children.sort(), ['backend/msg_review', 'qa/msg_review']);
+  assert.equal(timeline.nodes.length, 7);
+  assert.ok(!byKey.has('qa/msg_other'));
+
+  const exec = byKey.get('backend/msg_exec');
+  assert.deepEqual([exec.kind, exec.outcome, exec.commitSha, exec.note, exec.state], ['EXECUTE', 'done', 'abc1234', 'shipped', 'processed']);
+  assert.ok(exec.claimedAt && exec.durations.totalMs >= exec.durations.workMs);
+  assert.deepEqual(timeline.commits, ['abc1234']);
+  assert.deepEqual(timeline.counts.outcomes, { done: 2, needs_review: 1 });
+  assert.equal(timeline.counts.open, 4);
+  assert.equal(timeline.endedAt, null);
+  assert.equal(timeline.nodes[0].key, 'daddy-autopilot/root_1');
+
+  assert.equal(await buildRootTimeline({ busRoot, rootId: 'root_missing' }), null);
+});
+
+test('buildRootTimeline falls back to packet mtimes without a journal and survives parent cycles', async () => {
+  const busRoot = await mkBusRoot();
+  await send(busRoot, { id: 'msg_a', to: ['backend'], from: 'daddy', kind: 'EXECUTE', parentId: 'msg_b' });
+  await send(busRoot, { id: 'msg_b', to: ['qa'], from: 'daddy', kind: 'EXECUTE', parentId: 'msg_a' });
+  await fs.rm(path.join(busRoot, 'events.jsonl'));
+
+  const timeline = await buildRootTimeline({ busRoot, rootId: 'root_1' });
+  assert.equal(timeline.nodes.length, 2);
+  assert.equal(timeline.roots.length, 1);
+  assert.ok(timeline.nodes.every((n) => n.deliveredAt && n.claimedAt === null));
+});
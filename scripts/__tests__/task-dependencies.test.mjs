@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { claimTask, closeTask, deliverTask, ensureBusRoot, listInboxTaskIds } from '../lib/agentbus.mjs';
+import { buildRootDependencyGraph, listPendingTasks, releaseReadyPendingTasks } from '../lib/task-dependencies.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'backend' }, { name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-task-deps-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+async function send(busRoot, { id, to, dependsOn }) {
+  const signals = { kind: 'EXECUTE', rootId: 'root_1', ...(dependsOn ? { dependsOn } : {}) };
+  const meta = { id, to: [to], from: 'daddy', priority: 'P2', title: id, signals };
+  return await deliverTask({ busRoot, meta, body: id });
+}
+
+async function finish(busRoot, agentName, taskId, outcome) {
+  await claimTask({ busRoot, agentName, taskId });
+  await closeTask({ busRoot, roster, agentName, taskId, outcome, note: outcome });
+}
+
+test('gated packets wait in pending/ and release once every dependency is done', async () => {
+  const { busRoot } = await mkBusRoot();
+  await send(busRoot, { id: 'msg_impl', to: 'backend' });
+  await send(busRoot, { id: 'msg_docs', to: 'backend' });
+  const gated = await send(busRoot, { id: 'msg_verify', to: 'qa', dependsOn: ['msg_impl', 'msg_docs'] });
+  assert.equal(gated.gated, true);
+  assert.equal(path.relative(busRoot, gated.paths[0]), path.join('pending', 'qa', 'msg_verify.md'));
+  assert.deepEqual(await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' }), []);
+
+  await finish(busRoot, 'backend', 'msg_impl', 'done');
+  assert.deepEqual(await releaseReadyPendingTasks({ busRoot, roster }), { released: [], failed: [] });
+
+  // needs_review is not a release signal.
+  await send(busRoot, { id: 'msg_review', to: 'backend' });
+  await send(busRoot, { id: 'msg_after_review', to: 'qa', dependsOn: ['msg_review'] });
+  await finish(busRoot, 'backend', 'msg_review', 'needs_review');
+
+  await finish(busRoot, 'backend', 'msg_docs', 'done');
+  const tick = await releaseReadyPendingTasks({ busRoot, roster });
+  assert.deepEqual(tick.released.map((r) => [r.agent, r.taskId]), [['qa', 'msg_verify']]);
+  assert.deepEqual(tick.failed, []);
+  assert.deepEqual(await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' }), ['msg_verify']);
+  assert.deepEqual((await listPendingTasks({ busRoot })).map((t) => t.taskId), ['msg_after_review']);
+});
+
+test('a failed dependency fails dependents fast and cascades down the chain', async () => {
+  const { busRoot } = await mkBusRoot();
+  await send(busRoot, { id: 'msg_a', to: 'backend' });
+  await send(busRoot, { id: 'msg_b', to: 'qa', dependsOn: ['msg_a'] });
+  await send(busRoot, { id: 'msg_c', to: 'backend', dependsOn: ['msg_b'] });
+
+  await finish(busRoot, 'backend', 'msg_a', 'blocked');
+  const first = await releaseReadyPendingTasks({ busRoot, roster });
+  assert.deepEqual(first.failed.map((f) => [f.taskId, f.failedDependencies]), [['msg_b', ['msg_a']]]);
+
+  const receipt = JSON.parse(await fs.readFile(path.join(busRoot, 'receipts', 'qa', 'msg_b.json'), 'utf8'));
+  assert.equal(receipt.outcome, 'failed');
+  assert.match(receipt.note, /msg_a=backend:blocked/);
+  assert.equal(receipt.receiptExtra.dependencyGate.status, 'failed');
+  assert.deepEqual(await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'processed' }), ['msg_b']);
+
+  const second = await releaseReadyPendingTasks({ busRoot, roster });
+  assert.deepEqual(second.failed.map((f) => f.taskId), ['msg_c']);
+  assert.deepEqual(await listPendingTasks({ busRoot }), []);
+});
+
+test('deliverTask rejects malformed and self-referencing dependsOn', async () => {
+  const { busRoot } = await mkBusRoot();
+  await assert.rejects(() => send(busRoot, { id: 'msg_x', to: 'qa', dependsOn: 'msg_a' }), /dependsOn/);
+  await assert.rejects(() => send(busRoot, { id: 'msg_x', to: 'qa', dependsOn: ['../etc'] }), /dependsOn/);
+  await assert.rejects(() => send(busRoot, { id: 'msg_x', to: 'qa', dependsOn: ['msg_x'] }), /itself/);
+});
+
+test('buildRootDependencyGraph orders the DAG and reports cycles and external deps', async () => {
+  const { busRoot } = await mkBusRoot();
+  await send(busRoot, { id: 'msg_a', to: 'backend' });
+  await send(busRoot, { id: 'msg_b', to: 'qa', dependsOn: ['msg_a', 'msg_outside'] });
+  await send(busRoot, { id: 'msg_x', to: 'backend', dependsOn: ['msg_y'] });
+  await send(busRoot, { id: 'msg_y', to: 'qa', dependsOn: ['msg_x'] });
+
+  const graph = await buildRootDependencyGraph({ busRoot, rootId: 'root_1' });
+  assert.deepEqual(graph.order, ['msg_a', 'msg_outside', 'msg_b']);
+  assert.deepEqual(graph.cycle, ['msg_x', 'msg_y']);
+  const outside = graph.nodes.find((n) => n.taskId === 'msg_outside');
+  assert.equal(outside.external, true);
+  assert.equal(outside.status, 'waiting');
+  assert.deepEqual(graph.nodes.find((n) => n.taskId === 'msg_b').states, ['pending']);
+});
+
+test('agent-bus deps prints the DAG for a rootId', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  await send(busRoot, { id: 'msg_a', to: 'backend' });
+  await send(busRoot, { id: 'msg_b', to: 'qa', dependsOn: ['msg_a'] });
+  const run = (...args) =>
+    spawnSync(
+      process.execPath,
+      [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), 'deps', ...args, '--bus-root', busRoot, '--roster', rosterPath],
+      { cwd: repoRoot, encoding: 'utf8' },
+    );
+
+  const lines = run('--root-id', 'root_1');
+  assert.equal(lines.status, 0, lines.stderr);
+  assert.match(lines.stdout, /^rootId=root_1 nodes=2 edges=1/);
+  assert.match(lines.stdout, /\[waiting\] msg_b qa:pending EXECUTE — msg_b <- msg_a\(waiting\)/);
+
+  const json = run('--root-id', 'root_1', '--format', 'json');
+  assert.equal(json.status, 0, json.stderr);
+  assert.deepEqual(JSON.parse(json.stdout).edges, [{ from: 'msg_a', to: 'msg_b' }]);
+
+  assert.notEqual(run().status, 0);
+});
@@ -0,0 +1,200 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { claimTask, closeTask, deliverTask, ensureBusRoot } from '../lib/agentbus.mjs';
+import {
+  evaluateTaskLease,
+  heartbeatTaskLease,
+  readTaskLease,
+  reapExpiredTaskLeases,
+  taskLeaseAuditPath,
+  taskLeasePath,
+} from '../lib/task-lease.mjs';
+import { isPidAlive } from '../lib/process-alive.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'frontend' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-task-lease-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+async function deliverAndClaim(busRoot, id) {
+  const meta = { id, to: ['frontend'], from: 'daddy', priority: 'P2', title: id, signals: { kind: 'EXECUTE' } };
+  await deliverTask({ busRoot, meta, body: 'body' });
+  return await claimTask({ busRoot, agentName: 'frontend', taskId: id });
+}
+
+async function deadPid() {
+  const child = spawn(process.execPath, ['-e', ''], { stdio: 'ignore' });
+  await new Promise((resolve) => child.once('exit', resolve));
+  return child.pid;
+}
+
+async function exists(p) {
+  try {
+    await fs.stat(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('claimTask writes a lease that heartbeats and is released on close', async () => {
+  const { busRoot } = await mkBusRoot();
+  await deliverAndClaim(busRoot, 'msg_lease_1');
+
+  const lease = await readTaskLease({ busRoot, agentName: 'frontend', taskId: 'msg_lease_1' });
+  assert.equal(lease.ownerPid, process.pid);
+  assert.equal(lease.host, os.hostname());
+  assert.equal(lease.taskId, 'msg_lease_1');
+  assert.equal(lease.startedAt, lease.heartbeatAt);
+
+  await new Promise((r) => setTimeout(r, 5));
+  const refreshed = await heartbeatTaskLease({ busRoot, agentName: 'frontend', taskId: 'msg_lease_1' });
+  assert.ok(Date.parse(refreshed.heartbeatAt) > Date.parse(lease.heartbeatAt));
+  assert.equal(refreshed.startedAt, lease.startedAt);
+
+  await closeTask({ busRoot, roster, agentName: 'frontend', taskId: 'msg_lease_1', outcome: 'done' });
+  assert.equal(await exists(taskLeasePath({ busRoot, agentName: 'frontend', taskId: 'msg_lease_1' })), false);
+});
+
+test('heartbeatTaskLease refuses leases owned by another process', async () => {
+  const { busRoot } = await mkBusRoot();
+  await deliverAndClaim(busRoot, 'msg_lease_2');
+  const leasePath = taskLeasePath({ busRoot, agentName: 'frontend', taskId: 'msg_lease_2' });
+  const lease = JSON.parse(await fs.readFile(leasePath, 'utf8'));
+  await fs.writeFile(leasePath, JSON.stringify({ ...lease, ownerPid: lease.ownerPid + 1 }), 'utf8');
+
+  assert.equal(await heartbeatTaskLease({ busRoot, agentName: 'frontend', taskId: 'msg_lease_2' }), null);
+});
+
+test('evaluateTaskLease classifies dead owners, stale heartbeats, and missing leases', async () => {
+  const nowMs = Date.parse('2026-01-01T00:10:00.000Z');
+  const base = { ownerPid: process.pid, host: os.hostname(), startedAt: '2026-01-01T00:00:00.000Z', ttlMs: 60_000 };
+
+  assert.equal(evaluateTaskLease({ lease: { ...base, heartbeatAt: '2026-01-01T00:09:30.000Z' }, nowMs }).expired, false);
+  assert.equal(
+    evaluateTaskLease({ lease: { ...base, heartbeatAt: '2026-01-01T00:08:00.000Z' }, nowMs }).reason,
+    'heartbeat_expired',
+  );
+  assert.equal(
+    evaluateTaskLease({ lease: { ...base, ownerPid: await deadPid(), heartbeatAt: '2026-01-01T00:09:59.000Z' }, nowMs })
+      .reason,
+    'owner_dead',
+  );
+  // A remote host's pid cannot be probed; only the heartbeat decides.
+  assert.equal(
+    evaluateTaskLease({
+      lease: { ...base, host: 'elsewhere.invalid', ownerPid: await deadPid(), heartbeatAt: '2026-01-01T00:09:59.000Z' },
+      nowMs,
+    }).expired,
+    false,
+  );
+  assert.deepEqual(
+    [true, false].map(
+      (old) => evaluateTaskLease({ lease: null, packetMtimeMs: nowMs - (old ? 120_000 : 1_000), nowMs, ttlMs: 60_000 }).expired,
+    ),
+    [true, false],
+  );
+});
+
+test('reapExpiredTaskLeases requeues abandoned packets and writes an audit entry', async () => {
+  const { busRoot } = await mkBusRoot();
+  await deliverAndClaim(busRoot, 'msg_abandoned');
+  await deliverAndClaim(busRoot, 'msg_active');
+
+  const abandonedLeasePath = taskLeasePath({ busRoot, agentName: 'frontend', taskId: 'msg_abandoned' });
+  const lease = JSON.parse(await fs.readFile(abandonedLeasePath, 'utf8'));
+  const pid = await deadPid();
+  await fs.writeFile(abandonedLeasePath, JSON.stringify({ ...lease, ownerPid: pid }), 'utf8');
+
+  const dry = await reapExpiredTaskLeases({ busRoot, agentNames: ['frontend'], dryRun: true });
+  assert.deepEqual(dry.map((e) => e.taskId), ['msg_abandoned']);
+  assert.ok(await exists(path.join(busRoot, 'inbox', 'frontend', 'in_progress', 'msg_abandoned.md')));
+
+  const reaped = await reapExpiredTaskLeases({ busRoot, agentNames: ['frontend'] });
+  assert.deepEqual(reaped.map((e) => [e.taskId, e.reason, e.ownerPid]), [['msg_abandoned', 'owner_dead', pid]]);
+  assert.ok(await exists(path.join(busRoot, 'inbox', 'frontend', 'new', 'msg_abandoned.md')));
+  assert.equal(await exists(abandonedLeasePath), false);
+  assert.ok(await exists(path.join(busRoot, 'inbox', 'frontend', 'in_progress', 'msg_active.md')));
+
+  const audit = (await fs.readFile(taskLeaseAuditPath(busRoot), 'utf8')).trim().split('\n').map((l) => JSON.parse(l));
+  assert.equal(audit.length, 1);
+  assert.equal(audit[0].action, 'requeue');
+  assert.equal(audit[0].agent, 'frontend');
+  assert.equal(audit[0].taskId, 'msg_abandoned');
+});
+
+test('packet mtime only decides for packets without a lease file', async () => {
+  const { busRoot } = await mkBusRoot();
+  for (const id of ['msg_leased', 'msg_legacy', 'msg_corrupt']) await deliverAndClaim(busRoot, id);
+  const inProgress = path.join(busRoot, 'inbox', 'frontend', 'in_progress');
+  const ancient = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  for (const id of ['msg_leased', 'msg_legacy', 'msg_corrupt']) await fs.utimes(path.join(inProgress, `${id}.md`), ancient, ancient);
+  await fs.rm(taskLeasePath({ busRoot, agentName: 'frontend', taskId: 'msg_legacy' }));
+  await fs.writeFile(taskLeasePath({ busRoot, agentName: 'frontend', taskId: 'msg_corrupt' }), '{not json', 'utf8');
+
+  const reaped = await reapExpiredTaskLeases({ busRoot, agentNames: ['frontend'], dryRun: true });
+  assert.deepEqual(
+    reaped.map((e) => [e.taskId, e.reason]),
+    [
+      ['msg_corrupt', 'invalid_lease'],
+      ['msg_legacy', 'missing_lease'],
+    ],
+  );
+});
+
+test('agent-bus reap-leases CLI requeues packets with stale heartbeats', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  await deliverAndClaim(busRoot, 'msg_stale');
+  const leasePath = taskLeasePath({ busRoot, agentName: 'frontend', taskId: 'msg_stale' });
+  const lease = JSON.parse(await fs.readFile(leasePath, 'utf8'));
+  await fs.writeFile(leasePath, JSON.stringify({ ...lease, heartbeatAt: '2020-01-01T00:00:00.000Z' }), 'utf8');
+
+  const res = spawnSync(
+    process.execPath,
+    [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), 'reap-leases', '--bus-root', busRoot, '--roster', rosterPath],
+    { cwd: repoRoot, encoding: 'utf8' },
+  );
+  assert.equal(res.status, 0, res.stderr);
+  const out = JSON.parse(res.stdout);
+  assert.deepEqual(out.requeued.map((e) => [e.taskId, e.reason]), [['msg_stale', 'heartbeat_expired']]);
+  assert.ok(await exists(path.join(busRoot, 'inbox', 'frontend', 'new', 'msg_stale.md')));
+});
+
+test('isPidAlive: only EPERM counts as alive', (t) => {
+  assert.equal(isPidAlive(process.pid), true);
+  assert.equal(isPidAlive(0), false);
+  assert.equal(isPidAlive('nope'), false);
+
+  const kill = t.mock.method(process, 'kill', () => {
+    throw Object.assign(new Error('denied'), { code: 'EPERM' });
+  });
+  assert.equal(isPidAlive(4242), true);
+  kill.mock.mockImplementation(() => {
+    throw Object.assign(new Error('gone'), { code: 'ESRCH' });
+  });
+  assert.equal(isPidAlive(4242), false);
+  kill.mock.mockImplementation(() => {
+    throw Object.assign(new Error('weird'), { code: 'EIO' });
+  });
+  assert.equal(isPidAlive(4242), false);
+});
@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+  TASK_PACKET_SCHEMA_VERSION,
+  deliverTask,
+  ensureBusRoot,
+  parseFrontmatter,
+  updateTask,
+  upgradeTaskMeta,
+  validateAgainstSchema,
+  validateTaskMeta,
+} from '../lib/agentbus.mjs';
+import { migrateBusRoot } from '../lib/bus-migrate.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+const schemaPath = path.join(repoRoot, 'docs', 'agentic', 'agent-bus', 'TASK_PACKET.schema.json');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'backend' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+const base = { id: 'msg_a', to: ['backend'], from: 'daddy', priority: 'P2', title: 'A' };
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-packet-schema-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+test('TASK_PACKET.schema.json declares the version agentbus stamps', async () => {
+  const schema = JSON.parse(await fs.readFile(schemaPath, 'utf8'));
+  assert.deepEqual(schema.properties.schemaVersion.enum, [TASK_PACKET_SCHEMA_VERSION]);
+  assert.deepEqual(schema.required, ['id', 'to', 'from', 'priority', 'title']);
+});
+
+test('validateTaskMeta enforces typed signals and references.git', () => {
+  validateTaskMeta(base);
+  validateTaskMeta({
+    ...base,
+    schemaVersion: TASK_PACKET_SCHEMA_VERSION,
+    signals: { kind: 'EXECUTE', phase: 'review-fix', rootId: 'PR12', parentId: null, smoke: false },
+    references: { git: { baseBranch: 'main', baseSha: 'abc1234', workBranch: 'wip/backend/PR12' } },
+  });
+  validateTaskMeta({ ...base, references: { git: null } });
+  validateTaskMeta({ ...base, signals: { kind: 'execute', phase: 'Review Fix' } });
+
+  const cases = [
+    [{ ...base, schemaVersion: 1 }, /"schemaVersion" must be one of 2/],
+    [{ ...base, to: 'backend' }, /"to" must be array/],
+    [{ ...base, to: [] }, /"to" must have at least 1/],
+    [{ ...base, signals: { kind: '' } }, /"signals.kind" must match/],
+    [{ ...base, signals: { kind: null } }, /"signals.kind" must be string \(got null\)/],
+    [{ ...base, signals: { phase: ' ' } }, /"signals.phase" must match/],
+    [{ ...base, signals: { rootId: 'root 1' } }, /"signals.rootId" must match/],
+    [{ ...base, signals: { parentId: 7 } }, /"signals.parentId" must be string\|null \(got integer\)/],
+    [{ ...base, references: { git: { baseSha: 'not-a-sha' } } }, /"references.git.baseSha" must match/],
+    [{ ...base, references: { git: { workBranch: ['x'] } } }, /"references.git.workBranch" must be string\|null/],
+  ];
+  for (const [meta, re] of cases) assert.throws(() => validateTaskMeta(meta), re);
+
+  const { from, title, ...missing } = base;
+  assert.throws(() => validateTaskMeta(missing), /"from" is required; "title" is required/);
+});
+
+test('validateAgainstSchema resolves local $refs and reports array item paths', () => {
+  const schema = {
+    definitions: { id: { type: 'string', pattern: '^[a-z]+$' } },
+    type: 'object',
+    additionalProperties: false,
+    properties: { ids: { type: 'array', maxItems: 2, items: { $ref: '#/definitions/id' } }, n: { type: 'integer', minimum: 1 } },
+  };
+  assert.deepEqual(validateAgainstSchema(schema, { ids: ['ab'], n: 1 }), []);
+  assert.deepEqual(validateAgainstSchema(schema, { ids: ['ab', 'C'], n: 0.5, x: 1 }), [
+    '"ids[1]" must match /^[a-z]+$/ (got "C")',
+    '"n" must be integer (got number)',
+    '"x" is not an allowed property',
+  ]);
+});
+
+test('upgradeTaskMeta maps v1 frontmatter and leaves current packets alone', () => {
+  const { meta, changes } = upgradeTaskMeta({
+    id: 'msg_old',
+    to: 'backend, qa',
+    from: 'daddy',
+    priority: 'high',
+    signals: { kind: ' execute', phase: 'Review', rootId: 'root_1', parentId: '' },
+  });
+  assert.deepEqual(meta, {
+    schemaVersion: TASK_PACKET_SCHEMA_VERSION,
+    id: 'msg_old',
+    to: ['backend', 'qa'],
+    from: 'daddy',
+    priority: 'P1',
+    title: 'msg_old',
+    signals: { kind: 'execute', phase: 'Review', rootId: 'root_1', parentId: null },
+  });
+  assert.equal(changes.length, 6);
+  validateTaskMeta(meta);
+
+  assert.equal(upgradeTaskMeta({ ...base, priority: 'urgent' }).meta.priority, 'P0');
+  assert.equal(upgradeTaskMeta({ ...base, priority: 'p3' }).meta.priority, 'P3');
+  assert.equal(upgradeTaskMeta({ ...base, priority: 'whenever' }).meta.priority, 'whenever');
+  const current = { ...base, schemaVersion: TASK_PACKET_SCHEMA_VERSION };
+  assert.deepEqual(upgradeTaskMeta(current), { meta: current, changes: [] });
+});
+
+test('deliverTask stamps schemaVersion and updateTask upgrades legacy packets it rewrites', async () => {
+  const { busRoot } = await mkBusRoot();
+  const delivered = await deliverTask({ busRoot, meta: base, body: 'hello' });
+  assert.equal(parseFrontmatter(delivered.markdown).meta.schemaVersion, TASK_PACKET_SCHEMA_VERSION);
+
+  const legacyPath = path.join(busRoot, 'inbox', 'backend', 'new', 'msg_legacy.md');
+  await fs.writeFile(legacyPath, `---\n${JSON.stringify({ ...base, id: 'msg_legacy', priority: 'low' })}\n---\n\nbody\n`);
+  await updateTask({ busRoot, agentName: 'backend', taskId: 'msg_legacy', appendBody: 'more' });
+  const { meta } = parseFrontmatter(await fs.readFile(legacyPath, 'utf8'));
+  assert.equal(meta.schemaVersion, TASK_PACKET_SCHEMA_VERSION);
+  assert.equal(meta.priority, 'P3');
+
+  await assert.rejects(
+    () => updateTask({ busRoot, agentName: 'backend', taskId: 'msg_a', signalsPatch: { kind: ' ' } }),
+    /signals\.kind/,
+  );
+});
+
+test('agent-bus migrate upgrades packets and receipts in place, keeping mtimes', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+
+  const seenPath = path.join(busRoot, 'inbox', 'backend', 'seen', 'msg_old.md');
+  const legacy = { id: 'msg_old', to: 'backend', from: 'daddy', priority: 'normal', title: 'Old', signals: { kind: 'status' } };
+  await fs.writeFile(seenPath, `---\n${JSON.stringify(legacy)}\n---\n\nold body\n`, 'utf8');
+  const past = new Date(Date.now() - 3_600_000);
+  await fs.utimes(seenPath, past, past);
+  await fs.writeFile(path.join(busRoot, 'inbox', 'backend', 'new', 'msg_junk.md'), '---\n{\n---\n', 'utf8');
+  const receiptPath = path.join(busRoot, 'receipts', 'backend', 'msg_done.json');
+  await fs.writeFile(receiptPath, JSON.stringify({ outcome: 'done', note: '', task: { ...legacy, id: 'msg_done' } }), 'utf8');
+  await deliverTask({ busRoot, meta: base, body: 'current' });
+
+  const run = (...args) =>
+    spawnSync(
+      process.execPath,
+      [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), 'migrate', ...args, '--bus-root', busRoot, '--roster', rosterPath],
+      { cwd: repoRoot, encoding: 'utf8' },
+    );
+
+  const dry = run('--dry-run');
+  assert.equal(dry.status, 0, dry.stderr);
+  const dryJson = JSON.parse(dry.stdout);
+  assert.deepEqual(dryJson.packets.map((p) => p.path), [path.join('inbox', 'backend', 'seen', 'msg_old.md')]);
+  assert.deepEqual(dryJson.skipped.map((p) => p.path), [path.join('inbox', 'backend', 'new', 'msg_junk.md')]);
+  assert.equal(parseFrontmatter(await fs.readFile(seenPath, 'utf8')).meta.schemaVersion, undefined);
+
+  const applied = run('--format', 'lines');
+  assert.equal(applied.status, 0, applied.stderr);
+  assert.match(applied.stdout, /^packets=1 receipts=1 skipped=1$/m);
+
+  const { meta, body } = parseFrontmatter(await fs.readFile(seenPath, 'utf8'));
+  assert.equal(body, 'old body\n');
+  assert.deepEqual(meta.to, ['backend']);
+  assert.equal(meta.priority, 'P2');
+  assert.equal(meta.signals.kind, 'status');
+  assert.equal(Math.round((await fs.stat(seenPath)).mtimeMs), Math.round(past.getTime()));
+
+  const receipt = JSON.parse(await fs.readFile(receiptPath, 'utf8'));
+  assert.equal(receipt.schemaVersion, 2);
+  assert.equal(receipt.taskId, 'msg_done');
+  assert.equal(receipt.agent, 'backend');
+  assert.equal(receipt.task.schemaVersion, TASK_PACKET_SCHEMA_VERSION);
+
+  const again = await migrateBusRoot({ busRoot });
+  assert.deepEqual([again.packets, again.receipts], [[], []]);
+});
@@ -0,0 +1,275 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { deliverTask, ensureBusRoot, listInboxTaskIds, parseFrontmatter } from '../lib/agentbus.mjs';
+import { nextCronRunMs, parseCronExpression } from '../lib/cron-expression.mjs';
+import {
+  createRecurringSchedule,
+  listRecurringSchedules,
+  listUpcomingScheduledWork,
+  nextScheduledRunMs,
+  promoteDueScheduledTasks,
+  recurringSlotTaskId,
+  removeRecurringSchedule,
+  resolveNotBefore,
+  runScheduledDelivery,
+} from '../lib/task-schedule.mjs';
+
+const thisDir = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(thisDir, '..', '..');
+
+const roster = {
+  schemaVersion: 2,
+  orchestratorName: 'daddy-orchestrator',
+  daddyChatName: 'daddy',
+  agents: [{ name: 'qa' }, { name: 'daddy-orchestrator' }, { name: 'daddy' }],
+};
+
+async function mkBusRoot() {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-task-schedule-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, roster);
+  return { tmp, busRoot };
+}
+
+function iso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+test('nextCronRunMs handles steps, ranges, weekdays, and impossible dates', () => {
+  const after = Date.parse('2026-03-10T12:34:56Z'); // Tuesday
+  assert.equal(iso(nextCronRunMs('0 2 * * *', after, { utc: true })), '2026-03-11T02:00:00.000Z');
+  assert.equal(iso(nextCronRunMs('*/15 * * * *', after, { utc: true })), '2026-03-10T12:45:00.000Z');
+  assert.equal(iso(nextCronRunMs('30 9 * * 1-5', after, { utc: true })), '2026-03-11T09:30:00.000Z');
+  assert.equal(iso(nextCronRunMs('5 4 * * 7', after, { utc: true })), '2026-03-15T04:05:00.000Z');
+  assert.equal(iso(nextCronRunMs('0 0 1,15 * *', after, { utc: true })), '2026-03-15T00:00:00.000Z');
+  assert.equal(nextCronRunMs('0 0 31 2 *', after, { utc: true }), null);
+  // Strictly after: an exact match on `after` moves to the next slot.
+  assert.equal(
+    iso(nextCronRunMs('0 2 * * *', Date.parse('2026-03-11T02:00:00Z'), { utc: true })),
+    '2026-03-12T02:00:00.000Z',
+  );
+});
+
+test('parseCronExpression rejects malformed expressions', () => {
+  assert.throws(() => parseCronExpression('* * * *'), /5 fields/);
+  assert.throws(() => parseCronExpression('60 * * * *'), /out of range/);
+  assert.throws(() => parseCronExpression('5-1 * * * *'), /range/);
+  assert.throws(() => parseCronExpression('*/x * * * *'), /Invalid cron minute/);
+});
+
+test('resolveNotBefore accepts ISO timestamps and relative offsets', () => {
+  const nowMs = Date.parse('2026-03-10T12:00:00Z');
+  assert.equal(resolveNotBefore('+30m', { nowMs }), '2026-03-10T12:30:00.000Z');
+  assert.equal(resolveNotBefore('+1d', { nowMs }), '2026-03-11T12:00:00.000Z');
+  assert.equal(resolveNotBefore('2026-04-01T02:00:00Z', { nowMs }), '2026-04-01T02:00:00.000Z');
+  assert.throws(() => resolveNotBefore('soon', { nowMs }), /Invalid notBefore/);
+});
+
+test('deliverTask parks future notBefore packets until the scheduler tick promotes them', async () => {
+  const { busRoot } = await mkBusRoot();
+  const notBeforeMs = Date.now() + 60 * 60 * 1000;
+  const meta = {
+    id: 'msg_later',
+    to: ['qa'],
+    from: 'daddy',
+    priority: 'P2',
+    title: 'Later',
+    signals: { kind: 'EXECUTE', notBefore: new Date(notBeforeMs).toISOString() },
+  };
+  const delivered = await deliverTask({ busRoot, meta, body: 'run later' });
+  assert.equal(delivered.scheduled, true);
+  assert.equal(path.relative(busRoot, delivered.paths[0]), path.join('scheduled', 'qa', 'msg_later.md'));
+  assert.deepEqual(await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' }), []);
+
+  const upcoming = await listUpcomingScheduledWork({ busRoot });
+  assert.deepEqual(upcoming.map((u) => [u.type, u.id, u.agent]), [['delayed', 'msg_later', 'qa']]);
+
+  assert.deepEqual((await runScheduledDelivery({ busRoot })).promoted, []);
+  const tick = await runScheduledDelivery({ busRoot, nowMs: notBeforeMs });
+  assert.deepEqual(tick.promoted.map((p) => p.taskId), ['msg_later']);
+  assert.deepEqual(await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' }), ['msg_later']);
+  assert.deepEqual(await listUpcomingScheduledWork({ busRoot }), []);
+
+  await assert.rejects(
+    () => deliverTask({ busRoot, meta: { ...meta, id: 'msg_bad', signals: { notBefore: 'tomorrow' } }, body: '' }),
+    /notBefore/,
+  );
+});
+
+test('promoteDueScheduledTasks claims each packet once across concurrent ticks and recovers stale claims', async () => {
+  const { busRoot } = await mkBusRoot();
+  const notBeforeMs = Date.now() + 60 * 60 * 1000;
+  for (const id of ['msg_a', 'msg_b']) {
+    const signals = { kind: 'EXECUTE', notBefore: new Date(notBeforeMs).toISOString() };
+    await deliverTask({ busRoot, meta: { id, to: ['qa'], from: 'daddy', priority: 'P2', title: id, signals }, body: '' });
+  }
+
+  const ticks = await Promise.all([1, 2, 3].map(() => promoteDueScheduledTasks({ busRoot, nowMs: notBeforeMs })));
+  assert.deepEqual(ticks.flat().map((p) => p.taskId).sort(), ['msg_a', 'msg_b']);
+  assert.deepEqual((await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' })).sort(), ['msg_a', 'msg_b']);
+  assert.deepEqual(await fs.readdir(path.join(busRoot, 'scheduled', 'qa')), []);
+
+  // A tick that crashed after claiming leaves a staging file; it is put back once stale.
+  const dir = path.join(busRoot, 'scheduled', 'qa');
+  const markdown = await fs.readFile(path.join(busRoot, 'inbox', 'qa', 'new', 'msg_a.md'), 'utf8');
+  await fs.writeFile(path.join(dir, `msg_c.md.promoting.${notBeforeMs}.abcd1234`), markdown.replace(/msg_a/g, 'msg_c'), 'utf8');
+  assert.deepEqual(await promoteDueScheduledTasks({ busRoot, nowMs: notBeforeMs + 1000 }), []);
+  const recovered = await promoteDueScheduledTasks({ busRoot, nowMs: notBeforeMs + 10 * 60 * 1000 });
+  assert.deepEqual(recovered.map((p) => p.taskId), ['msg_c']);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('recurring schedules deliver once per due time and collapse missed runs', async () => {
+  const { busRoot } = await mkBusRoot();
+  const createdMs = Date.parse('2026-03-10T00:30:00Z');
+  const schedule = await createRecurringSchedule({
+    busRoot,
+    scheduleId: 'nightly-qa',
+    cron: '0 2 * * *',
+    utc: true,
+    template: { to: ['qa'], from: 'daddy', priority: 'P3', title: 'Nightly QA', signals: { kind: 'EXECUTE' } },
+    body: 'Run the sweep.',
+    nowMs: createdMs,
+  });
+  assert.equal(schedule.nextRunAt, '2026-03-10T02:00:00.000Z');
+
+  assert.deepEqual((await runScheduledDelivery({ busRoot, nowMs: Date.parse('2026-03-10T01:59:00Z') })).recurring, []);
+
+  // Scheduler was down for two nights: one packet, next run moves past now.
+  const tick = await runScheduledDelivery({ busRoot, nowMs: Date.parse('2026-03-12T03:00:00Z') });
+  assert.equal(tick.recurring.length, 1);
+  const [stored] = await listRecurringSchedules({ busRoot });
+  assert.equal(stored.nextRunAt, '2026-03-13T02:00:00.000Z');
+  assert.equal(stored.lastTaskId, tick.recurring[0].taskId);
+
+  const ids = await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' });
+  assert.equal(ids.length, 1);
+  assert.match(ids[0], /^nightly-qa_/);
+  const { meta, body } = parseFrontmatter(await fs.readFile(tick.recurring[0].paths[0], 'utf8'));
+  assert.equal(meta.signals.scheduleId, 'nightly-qa');
+  assert.equal(meta.signals.scheduledFor, '2026-03-10T02:00:00.000Z');
+  assert.equal(meta.signals.rootId, meta.id);
+  assert.equal(meta.priority, 'P3');
+  assert.match(body, /Run the sweep/);
+});
+
+test('a failing recurring schedule records lastError and backs off without blocking the others', async () => {
+  const { busRoot } = await mkBusRoot();
+  const createdMs = Date.parse('2026-03-10T00:30:00Z');
+  for (const scheduleId of ['a-broken', 'b-healthy']) {
+    await createRecurringSchedule({
+      busRoot,
+      scheduleId,
+      cron: '0 2 * * *',
+      utc: true,
+      template: { to: ['qa'], from: 'daddy', priority: 'P3', title: scheduleId, signals: { kind: 'EXECUTE' } },
+      nowMs: createdMs,
+    });
+  }
+  const brokenPath = path.join(busRoot, 'schedules', 'a-broken.json');
+  const broken = JSON.parse(await fs.readFile(brokenPath, 'utf8'));
+  await fs.writeFile(brokenPath, JSON.stringify({ ...broken, template: { ...broken.template, priority: 'bogus' } }), 'utf8');
+
+  const nowMs = Date.parse('2026-03-10T02:00:00Z');
+  const tick = await runScheduledDelivery({ busRoot, nowMs });
+  assert.deepEqual(tick.recurring.map((r) => r.scheduleId), ['b-healthy']);
+  assert.deepEqual(tick.failed.map((f) => [f.scheduleId, f.failures, f.nextRunAt]), [['a-broken', 1, '2026-03-10T02:01:00.000Z']]);
+  let stored = JSON.parse(await fs.readFile(brokenPath, 'utf8'));
+  assert.match(stored.lastError.message, /priority/);
+  assert.equal(stored.nextRunAt, '2026-03-10T02:01:00.000Z');
+
+  assert.deepEqual((await runScheduledDelivery({ busRoot, nowMs: nowMs + 30_000 })).failed, []);
+  const retry = await runScheduledDelivery({ busRoot, nowMs: nowMs + 60_000 });
+  assert.deepEqual(retry.failed.map((f) => [f.failures, f.nextRunAt]), [[2, '2026-03-10T02:03:00.000Z']]);
+
+  await fs.writeFile(brokenPath, JSON.stringify({ ...stored, failures: 2, template: broken.template }), 'utf8');
+  const healed = await runScheduledDelivery({ busRoot, nowMs: nowMs + 180_000 });
+  assert.deepEqual(healed.recurring.map((r) => r.scheduleId), ['a-broken']);
+  stored = JSON.parse(await fs.readFile(brokenPath, 'utf8'));
+  assert.deepEqual([stored.lastError, stored.failures, stored.nextRunAt], [null, 0, '2026-03-11T02:00:00.000Z']);
+});
+
+test('overlapping ticks deliver a recurring slot once, and a retried slot is not delivered twice', async () => {
+  const { busRoot } = await mkBusRoot();
+  await createRecurringSchedule({
+    busRoot,
+    scheduleId: 'hourly-qa',
+    cron: '0 * * * *',
+    utc: true,
+    template: { to: ['qa'], from: 'daddy', priority: 'P3', title: 'Hourly QA', signals: { kind: 'EXECUTE' } },
+    nowMs: Date.parse('2026-03-10T00:30:00Z'),
+  });
+  const nowMs = Date.parse('2026-03-10T01:00:05Z');
+  const ticks = await Promise.all([1, 2, 3].map(() => runScheduledDelivery({ busRoot, nowMs })));
+  const slotId = recurringSlotTaskId('hourly-qa', '2026-03-10T01:00:00.000Z');
+  assert.equal(slotId, 'hourly-qa_20260310T010000000Z');
+  assert.deepEqual(ticks.flatMap((t) => t.recurring.map((r) => r.taskId)), [slotId]);
+  assert.deepEqual(await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' }), [slotId]);
+  assert.deepEqual(await fs.readdir(path.join(busRoot, 'schedules')), ['hourly-qa.json']);
+
+  // A failure recorded after the packet already landed retries the same slot id and skips it.
+  const filePath = path.join(busRoot, 'schedules', 'hourly-qa.json');
+  const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  assert.equal(stored.nextRunAt, '2026-03-10T02:00:00.000Z');
+  await fs.writeFile(filePath, JSON.stringify({ ...stored, retryFor: '2026-03-10T01:00:00.000Z', nextRunAt: '2026-03-10T01:01:05.000Z' }), 'utf8');
+  const retry = await runScheduledDelivery({ busRoot, nowMs: Date.parse('2026-03-10T01:01:05Z') });
+  assert.deepEqual([retry.recurring, retry.failed], [[], []]);
+  assert.deepEqual(await listInboxTaskIds({ busRoot, agentName: 'qa', state: 'new' }), [slotId]);
+  const after = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  assert.deepEqual([after.retryFor, after.nextRunAt], [null, '2026-03-10T02:00:00.000Z']);
+});
+
+test('nextScheduledRunMs returns the soonest notBefore or nextRunAt', async () => {
+  const { busRoot } = await mkBusRoot();
+  assert.equal(await nextScheduledRunMs({ busRoot }), null);
+
+  const notBefore = '2099-01-01T00:00:00.000Z';
+  await deliverTask({ busRoot, meta: { id: 'msg_later', to: ['qa'], from: 'daddy', priority: 'P2', title: 'later', signals: { notBefore } }, body: '' });
+  assert.equal(await nextScheduledRunMs({ busRoot }), Date.parse(notBefore));
+
+  await createRecurringSchedule({
+    busRoot,
+    scheduleId: 'nightly-qa',
+    cron: '0 2 * * *',
+    utc: true,
+    template: { to: ['qa'], from: 'daddy', priority: 'P3', title: 'nightly', signals: { kind: 'EXECUTE' } },
+    nowMs: Date.parse('2026-03-10T00:30:00Z'),
+  });
+  assert.equal(await nextScheduledRunMs({ busRoot }), Date.parse('2026-03-10T02:00:00Z'));
+  await removeRecurringSchedule({ busRoot, scheduleId: 'nightly-qa' });
+  assert.equal(await nextScheduledRunMs({ busRoot }), Date.parse(notBefore));
+});
+
+test('agent-bus schedule add/list/remove round-trips through the CLI', async () => {
+  const { tmp, busRoot } = await mkBusRoot();
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+  await fs.writeFile(rosterPath, JSON.stringify(roster, null, 2) + '\n', 'utf8');
+  const run = (...args) => {
+    const res = spawnSync(
+      process.execPath,
+      [path.join(repoRoot, 'scripts', 'agent-bus.mjs'), ...args, '--bus-root', busRoot, '--roster', rosterPath],
+      { cwd: repoRoot, encoding: 'utf8' },
+    );
+    assert.equal(res.status, 0, res.stderr);
+    return JSON.parse(res.stdout);
+  };
+
+  const added = run('schedule', 'add', '--id', 'weekly', '--cron', '0 9 * * 1', '--utc', '--to', 'qa', '--title', 'Weekly');
+  assert.equal(added.id, 'weekly');
+  assert.equal(added.template.to[0], 'qa');
+
+  const delayed = run('send-text', '--to', 'qa', '--title', 'Later', '--not-before', '+2h');
+  assert.equal(delayed.scheduled, true);
+
+  const listed = run('schedule', 'list');
+  assert.deepEqual(listed.map((i) => i.type).sort(), ['delayed', 'recurring']);
+
+  assert.deepEqual(run('schedule', 'remove', '--id', 'weekly'), { removed: true });
+  assert.deepEqual(run('schedule', 'list').map((i) => i.type), ['delayed']);
+});
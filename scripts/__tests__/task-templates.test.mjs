@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { deliverTask, ensureBusRoot } from '../lib/agentbus.mjs';
+import { composeTask, loadTaskTemplates } from '../lib/task-templates.mjs';
+
+const cockpitRoot = process.cwd();
+const HEAD = 'a'.repeat(40);
+
+async function bundled(name) {
+  const { templates } = await loadTaskTemplates({ cockpitRoot });
+  return templates.find((t) => t.name === name);
+}
+
+test('loadTaskTemplates prefers the file next to the roster and rejects duplicates', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-templates-'));
+  const rosterPath = path.join(tmp, 'ROSTER.json');
+
+  const fallback = await loadTaskTemplates({ rosterPath, cockpitRoot });
+  assert.equal(fallback.path, path.join(cockpitRoot, 'docs', 'agentic', 'agent-bus', 'TASK_TEMPLATES.json'));
+  assert.deepEqual(fallback.templates.map((t) => t.name), ['USER_REQUEST', 'PLAN_REQUEST', 'EXECUTE', 'review-fix']);
+
+  await fs.writeFile(path.join(tmp, 'TASK_TEMPLATES.json'), JSON.stringify({ templates: [{ name: 'hotfix' }] }), 'utf8');
+  const own = await loadTaskTemplates({ rosterPath, cockpitRoot });
+  assert.deepEqual([own.path, own.templates.map((t) => t.name)], [path.join(tmp, 'TASK_TEMPLATES.json'), ['hotfix']]);
+
+  await fs.writeFile(path.join(tmp, 'TASK_TEMPLATES.json'), JSON.stringify({ templates: [{ name: 'x' }, { name: 'x' }] }), 'utf8');
+  await assert.rejects(loadTaskTemplates({ rosterPath, cockpitRoot }), /Duplicate task template "x"/);
+});
+
+test('composeTask fills the EXECUTE git contract from HEAD and previews what deliverTask writes', async () => {
+  const template = await bundled('EXECUTE');
+  const composed = composeTask({
+    template,
+    headSha: HEAD,
+    agentNames: ['frontend'],
+    fields: { id: 'msg_exec', to: 'frontend', title: 'Add export', body: 'Export the timeline.' },
+  });
+  assert.deepEqual(composed.errors, []);
+  assert.deepEqual(composed.meta.signals, { kind: 'EXECUTE', phase: 'execute', rootId: 'msg_exec', parentId: 'msg_exec' });
+  assert.deepEqual(composed.meta.references.git, {
+    baseBranch: 'main',
+    baseSha: HEAD,
+    workBranch: 'wip/frontend/msg_exec',
+    integrationBranch: 'slice/msg_exec',
+  });
+  assert.equal(composed.meta.priority, 'P1');
+  assert.match(composed.body, /^# Task: Add export\n\n## Context\nExport the timeline\.\n/);
+
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'agentbus-templates-'));
+  const busRoot = path.join(tmp, 'bus');
+  await ensureBusRoot(busRoot, { agents: [{ name: 'frontend' }] });
+  const delivered = await deliverTask({ busRoot, meta: composed.meta, body: composed.body });
+  assert.equal(await fs.readFile(delivered.paths[0], 'utf8'), composed.markdown);
+});
+
+test('composeTask reports every missing or invalid field instead of throwing', async () => {
+  const template = await bundled('review-fix');
+  const composed = composeTask({
+    template,
+    headSha: null,
+    agentNames: ['frontend'],
+    fields: { to: 'frontend,ghost', priority: 'P9', baseSha: '', workBranch: ' ' },
+  });
+  assert.deepEqual(composed.errors.slice(0, 2), ['Unknown agent(s): ghost', '"title" is required']);
+  assert.ok(composed.errors.includes('"rootId" is required for template review-fix'));
+  assert.ok(composed.errors.some((e) => /"baseSha" is required .*HEAD of the project checkout is unavailable/.test(e)));
+  assert.ok(composed.errors.includes('"workBranch" is required for template review-fix'));
+  assert.ok(composed.errors.some((e) => /priority/.test(e)));
+  assert.match(composed.markdown, /"kind": "REVIEW_ACTION_REQUIRED"/);
+});
@@ -2,13 +2,15 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 
 import {
+  buildCiFailureTask,
   buildCommentTask,
   buildThreadTask,
+  collectCiFailures,
+  selectNewCiFailures,
   parsePrList,
   resolveObserverProjectRoot,
   isActionableComment,
   parseTimestampMs,
-  routeByPath,
   parseRepoNameWithOwnerFromRemoteUrl,
   parseMinPrNumber,
   filterPrNumbersByMinimum,
@@ -18,6 +20,8 @@ import {
   shouldConsiderIssueComment,
 } from '../observers/watch-pr.mjs';
 import { hashActionableCommentBody } from '../lib/review-fix-comment.mjs';
+import { loadPrObserverConfig } from '../lib/pr-routing.mjs';
+import { TASK_PACKET_SCHEMA_VERSION, validateTaskMeta } from '../lib/agentbus.mjs';
 
 test('parsePrList keeps only positive integer PR numbers', () => {
   assert.deepEqual(parsePrList('1,2, abc, 0, -3, 4.2, 5'), [1, 2, 5]);
@@ -39,13 +43,25 @@ test('parseRepoNameWithOwnerFromRemoteUrl supports github https and ssh remotes'
   assert.equal(parseRepoNameWithOwnerFromRemoteUrl('git@github.com:future3OOO/agentic-cockpit.git'), 'future3OOO/agentic-cockpit');
   assert.equal(parseRepoNameWithOwnerFromRemoteUrl('ssh://git@github.com/future3OOO/agentic-cockpit.git'), 'future3OOO/agentic-cockpit');
   assert.equal(parseRepoNameWithOwnerFromRemoteUrl('https://gitlab.com/future3OOO/agentic-cockpit.git'), '');
+  assert.equal(parseRepoNameWithOwnerFromRemoteUrl('git@gitlab.com:group/sub/app.git', 'gitlab.com'), 'group/sub/app');
+  assert.equal(parseRepoNameWithOwnerFromRemoteUrl('https://git.example.com:8443/acme/app.git', 'git.example.com:8443'), 'acme/app');
 });
 
-test('routeByPath routes known domains to matching workers', () => {
-  assert.equal(routeByPath('React/src/app.tsx'), 'frontend');
-  assert.equal(routeByPath('databasepl/backend/main.py'), 'backend');
-  assert.equal(routeByPath('rental_prediction/model.py'), 'prediction');
-  assert.equal(routeByPath('README.md'), null);
+test('buildThreadTask routes the thread file through roster prObserver config', () => {
+  const thread = (filePath) => ({ id: 'THREAD_1', path: filePath, line: 3, comments: { nodes: [] } });
+  const base = { orchestratorName: 'daddy-orchestrator', owner: 'o', repo: 'r', prNumber: 5, prHeadRefOid: 'abc', prHeadRefName: 'b' };
+  const routing = {
+    config: loadPrObserverConfig({
+      prObserver: { routes: [{ paths: ['web/**'], agents: ['frontend', 'qa'] }], defaultAgent: 'daddy-autopilot' },
+    }),
+  };
+
+  const routed = buildThreadTask({ ...base, thread: thread('web/src/app.tsx'), routing }).references;
+  assert.deepEqual([routed.suggestedTo, routed.suggestedOwners, routed.routeSource], ['frontend', ['frontend', 'qa'], 'route']);
+  const fallback = buildThreadTask({ ...base, thread: thread('README.md'), routing }).references;
+  assert.deepEqual([fallback.suggestedTo, fallback.routeSource], ['daddy-autopilot', 'default']);
+  const unconfigured = buildThreadTask({ ...base, thread: thread('README.md') }).references;
+  assert.deepEqual([unconfigured.suggestedTo, unconfigured.suggestedOwners, unconfigured.routeSource], [null, [], null]);
 });
 
 test('isActionableComment matches review-fix language', () => {
@@ -213,3 +229,79 @@ test('isUninitializedObserverState detects first-run observer state', () => {
     false,
   );
 });
+
+test('collectCiFailures keeps completed failing check runs, statuses and latest workflow runs', () => {
+  const failures = collectCiFailures({
+    checkRuns: [
+      { name: 'test', status: 'completed', conclusion: 'failure', html_url: 'https://example.test/job/1', details_url: 'https://example.test/d/1' },
+      { name: 'lint', status: 'completed', conclusion: 'success' },
+      { name: 'build', status: 'in_progress', conclusion: null },
+      { name: 'e2e', status: 'completed', conclusion: 'timed_out', html_url: 'https://example.test/job/2' },
+    ],
+    statuses: [
+      { context: 'ci/legacy', state: 'error', target_url: 'https://example.test/legacy' },
+      { context: 'deploy/preview', state: 'pending' },
+    ],
+    workflowRuns: [
+      { name: 'CI', run_number: 7, status: 'completed', conclusion: 'failure', html_url: 'https://example.test/run/7' },
+      { name: 'Docs', run_number: 3, status: 'completed', conclusion: 'failure' },
+      { name: 'Docs', run_number: 4, status: 'completed', conclusion: 'success' },
+    ],
+  });
+  assert.deepEqual(
+    failures.map((f) => [f.key, f.conclusion, f.url]),
+    [
+      ['check:test', 'failure', 'https://example.test/job/1'],
+      ['check:e2e', 'timed_out', 'https://example.test/job/2'],
+      ['status:ci/legacy', 'error', 'https://example.test/legacy'],
+      ['workflow:CI', 'failure', 'https://example.test/run/7'],
+    ],
+  );
+});
+
+test('selectNewCiFailures dedupes per head SHA and resets on a new head', () => {
+  const a = { key: 'check:test' };
+  const b = { key: 'check:e2e' };
+  const first = selectNewCiFailures({ ciState: null, headSha: 'sha1', failures: [a] });
+  assert.deepEqual(first.fresh, [a]);
+  assert.deepEqual(first.ciState, { headSha: 'sha1', reportedFailureKeys: ['check:test'], emitted: 1 });
+
+  const again = selectNewCiFailures({ ciState: first.ciState, headSha: 'sha1', failures: [a] });
+  assert.deepEqual([again.fresh, again.ciState.emitted], [[], 1]);
+
+  const more = selectNewCiFailures({ ciState: again.ciState, headSha: 'sha1', failures: [a, b] });
+  assert.deepEqual([more.fresh, more.ciState.emitted], [[b], 2]);
+
+  const pushed = selectNewCiFailures({ ciState: more.ciState, headSha: 'sha2', failures: [a] });
+  assert.deepEqual(pushed.fresh, [a]);
+  assert.deepEqual(pushed.ciState, { headSha: 'sha2', reportedFailureKeys: ['check:test'], emitted: 1 });
+});
+
+test('buildCiFailureTask emits a valid CI_FAILURE_ACTION_REQUIRED packet with job links', () => {
+  const headSha = '0123456789abcdef0123456789abcdef01234567';
+  const failures = [
+    { key: 'check:test', source: 'check_run', name: 'test', conclusion: 'failure', url: 'https://example.test/job/1', detailsUrl: null },
+    { key: 'workflow:CI', source: 'workflow_run', name: 'CI', conclusion: 'failure', url: 'https://example.test/run/7', detailsUrl: null },
+  ];
+  const meta = buildCiFailureTask({
+    orchestratorName: 'daddy-orchestrator',
+    owner: 'future3OOO',
+    repo: 'agentic-cockpit',
+    prNumber: 121,
+    prHeadRefOid: headSha,
+    prHeadRefName: 'slice/pr121',
+    failures,
+  });
+  assert.equal(meta.id, 'PR121__CI_FAILURE__0123456789ab');
+  assert.equal(meta.title, 'PR #121: CI failing (test, CI)');
+  assert.deepEqual([meta.signals.kind, meta.signals.phase, meta.signals.rootId], ['CI_FAILURE_ACTION_REQUIRED', 'ci-fix', 'PR121']);
+  assert.equal(meta.references.ci.headSha, headSha);
+  assert.equal(meta.references.pr.headRefOid, headSha);
+  assert.deepEqual(meta.references.ci.failures.map((f) => f.name), ['test', 'CI']);
+  assert.match(meta.body, /- test \(check_run, failure\): https:\/\/example\.test\/job\/1/);
+  const { body: _body, ...frontmatter } = meta;
+  validateTaskMeta({ schemaVersion: TASK_PACKET_SCHEMA_VERSION, ...frontmatter });
+
+  const second = buildCiFailureTask({ orchestratorName: 'daddy-orchestrator', prNumber: 121, prHeadRefOid: headSha, failures, sequence: 2 });
+  assert.equal(second.id, 'PR121__CI_FAILURE__0123456789ab__2');
+});
@@ -6,10 +6,22 @@
  *   node scripts/agent-bus.mjs init
  *   node scripts/agent-bus.mjs send <taskFile.md>
  *   node scripts/agent-bus.mjs send-text --to <agent>[,<agent>] --title "..." --body "..."
+ *   node scripts/agent-bus.mjs send-text --template EXECUTE --to <agent> --title "..." --work-branch <b> --dry-run
  *   node scripts/agent-bus.mjs open --agent <agent> --id <taskId>
+ *   node scripts/agent-bus.mjs reassign --from <agent> --to <agent> --id <taskId> --reason "..."
  *   node scripts/agent-bus.mjs close --agent <agent> --id <taskId> --outcome done --note "..." --commit-sha <sha>
  *   node scripts/agent-bus.mjs status
  *   node scripts/agent-bus.mjs recent --limit 20
+ *   node scripts/agent-bus.mjs reap-leases [--agent <agent>] [--dry-run]
+ *   node scripts/agent-bus.mjs schedule add --cron "0 2 * * *" --to <agent> --title "..." --body "..."
+ *   node scripts/agent-bus.mjs deps --root-id <rootId>
+ *   node scripts/agent-bus.mjs export-root <rootId> --format md|html|json [--out <file>]
+ *   node scripts/agent-bus.mjs deadletter list|show|retry|purge
+ *   node scripts/agent-bus.mjs migrate [--dry-run]
+ *   node scripts/agent-bus.mjs gc [--dry-run]
+ *   node scripts/agent-bus.mjs archive list|search|show
+ *   node scripts/agent-bus.mjs replay --since <seq> [--follow | --into <dir>]
+ *   node scripts/agent-bus.mjs search [<text>] [--agent <agent>] [--outcome <outcome>] [--extra <path=value>]
  */
 
 import { promises as fs } from 'node:fs';
@@ -17,6 +29,7 @@ import path from 'node:path';
 import { parseArgs } from 'node:util';
 import {
   BUS_SCHEMA_VERSION,
+  getCockpitRoot,
   getRepoRoot,
   loadRoster,
   resolveBusRoot,
@@ -26,6 +39,7 @@ import {
   deliverTask,
   openTask,
   updateTask,
+  reassignTask,
   closeTask,
   statusSummary,
   listInboxTasks,
@@ -33,7 +47,36 @@ import {
   makeId,
   isSafeId,
   suspiciousPolicy,
+  renderTaskMarkdown,
+  TASK_PACKET_SCHEMA_VERSION,
 } from './lib/agentbus.mjs';
+import { reapExpiredTaskLeases } from './lib/task-lease.mjs';
+import {
+  createRecurringSchedule,
+  listUpcomingScheduledWork,
+  removeRecurringSchedule,
+  resolveNotBefore,
+  runScheduledDelivery,
+} from './lib/task-schedule.mjs';
+import { buildRootDependencyGraph, formatDependencyGraphLines } from './lib/task-dependencies.mjs';
+import {
+  listDeadletterPackets,
+  purgeDeadletterPackets,
+  readDeadletterPacket,
+  retryDeadletterPacket,
+} from './lib/deadletter.mjs';
+import { migrateBusRoot } from './lib/bus-migrate.mjs';
+import {
+  gcBusRoot,
+  listArchives,
+  loadRetentionPolicy,
+  readArchivedTask,
+  searchArchives,
+} from './lib/bus-archive.mjs';
+import { replayBusEvents, streamBusEvents } from './lib/bus-events.mjs';
+import { searchBus } from './lib/bus-search.mjs';
+import { composeTask, loadTaskTemplates, readHeadSha } from './lib/task-templates.mjs';
+import { ROOT_EXPORT_FORMATS, buildRootExport, renderRootExport } from './lib/root-export.mjs';
 
 // Allow piping to tools like `head` without throwing noisy EPIPE stack traces.
 process.stdout.on('error', (err) => {
@@ -53,13 +96,43 @@ Commands:
   list         # alias for status
   recent
   send <taskFile.md>
-  send-text --to <agent[,agent]> --title <title> [--body <text> | --body-file <path>]
+  send-text --to <agent[,agent]> --title <title> [--body <text> | --body-file <path>] [--not-before <iso|+30m>]
+        [--template <name>] [--base-branch <b>] [--base-sha <sha>] [--work-branch <b>] [--integration-branch <b>]
+        [--dry-run]   # print the packet markdown instead of delivering it
+        # --template: named template from TASK_TEMPLATES.json next to the roster; baseSha defaults to HEAD
   update --agent <agent> --id <taskId> --append <text> [--append-file <path>] [--update-from <name>]
          [--title <title>] [--priority <P?>] [--signals-json <json>] [--references-json <json>]
+  reassign --from <agent> --to <agent> --id <taskId> [--reason <text>] [--by <name>] [--force]
+        # move an open packet to another agent's inbox (update block + skipped receipt on --from; --force for in_progress)
   open-tasks   # list tasks in new/seen/in_progress
   open --agent <agent> --id <taskId>
   close --agent <agent> --id <taskId> [--outcome <done|blocked|failed|needs_review|skipped>] [--note <text>] [--commit-sha <sha>]
         [--receipt-json <json>] [--receipt-file <path>] [--no-notify-orchestrator]
+  reap-leases [--agent <agent>] [--ttl-ms <ms>] [--dry-run]
+        # move in_progress packets with expired leases back to new (audit: state/task-lease-requeue.jsonl)
+  schedule add --cron <expr> --to <agent[,agent]> --title <title> [--body <text> | --body-file <path>]
+        [--id <scheduleId>] [--kind <kind>] [--phase <phase>] [--priority <P?>] [--from <name>] [--utc]
+  schedule list | remove --id <scheduleId> | run-due
+  deps --root-id <rootId> [--format json|lines]   # resolved signals.dependsOn DAG for a workflow
+  export-root <rootId> [--format md|html|json] [--out <file>]
+        # one report for a workflow: packets, update blocks, receipts, commits, artifacts, Opus verdicts
+  deadletter list [--agent <agent>] [--format json|lines]
+  deadletter show --agent <agent> --id <id>
+  deadletter retry --agent <agent> --id <id>   # re-validate (fix the file in place first) and redeliver
+  deadletter purge (--agent <agent> [--id <id>] | --all) [--older-than-ms <ms>] [--dry-run]
+  migrate [--dry-run] [--format json|lines]
+        # upgrade legacy packets and receipts in place to TASK_PACKET.schema.json / receipt schema v${BUS_SCHEMA_VERSION}
+  gc [--agent <agent>] [--days <n>] [--dry-run] [--format json|lines]
+        # archive processed packets + receipts past ROSTER.json "retention" into archive/<agent>/<day>.jsonl.gz
+  archive list [--agent <agent>]
+  archive search [<text>] [--agent <agent>] [--since <YYYY-MM-DD>] [--until <YYYY-MM-DD>] [--limit <n>] [--format json|lines]
+  archive show --id <taskId> [--agent <agent>]
+  replay [--since <seq>] [--follow] [--format jsonl|lines]   # stream events.jsonl (deliver/open/claim/update/close)
+  replay --into <dir> [--since <seq>]   # rebuild packets + receipts from the journal into another bus dir
+  search [<text>] [--agent <agent>] [--state <state>] [--outcome <outcome>] [--kind <kind>] [--root-id <rootId>]
+         [--since <iso|7d>] [--until <iso|12h>] [--commit-sha <sha>] [--extra <path[=value]>]... [--limit <n>]
+         [--rebuild] [--format json|lines]
+        # packets + receipts via state/search-index/<agent>.json; text matches title/body/note ("quoted phrases" ok)
 
 Global options:
   --bus-root <path>   (or env AGENTIC_BUS_DIR)
@@ -67,6 +140,7 @@ Global options:
 
 Environment:
   AGENTIC_SUSPICIOUS_POLICY = block|warn|allow (default: block)
+  AGENTIC_TASK_LEASE_TTL_MS = lease expiry without heartbeat (default: 600000)
 `;
   process.stderr.write(msg.trimStart() + '\n');
   process.exit(code);
@@ -191,6 +265,353 @@ async function main() {
     return;
   }
 
+  if (cmd === 'reap-leases') {
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        agent: { type: 'string' },
+        'ttl-ms': { type: 'string' },
+        'dry-run': { type: 'boolean' },
+      },
+    });
+    const agentFilter = v2.agent?.trim() || null;
+    if (agentFilter) assertKnownAgents(rosterInfo.agentNames, [agentFilter], { label: '--agent' });
+    const ttlMs = v2['ttl-ms'] ? Number(v2['ttl-ms']) : null;
+    if (ttlMs != null && !(Number.isFinite(ttlMs) && ttlMs > 0)) throw new Error('--ttl-ms must be a positive number');
+
+    const requeued = await reapExpiredTaskLeases({
+      busRoot,
+      agentNames: agentFilter ? [agentFilter] : Array.from(rosterInfo.agentNames).sort(),
+      ttlMs,
+      dryRun: Boolean(v2['dry-run']),
+    });
+    process.stdout.write(JSON.stringify({ dryRun: Boolean(v2['dry-run']), requeued }, null, 2) + '\n');
+    return;
+  }
+
+  if (cmd === 'migrate') {
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        'dry-run': { type: 'boolean' },
+        format: { type: 'string' },
+      },
+    });
+    const format = (v2.format || '').trim() || 'json';
+    if (format !== 'json' && format !== 'lines') {
+      throw new Error(`migrate: unknown --format ${JSON.stringify(format)} (expected: json|lines)`);
+    }
+    const result = await migrateBusRoot({ busRoot, dryRun: Boolean(v2['dry-run']) });
+    if (format === 'lines') {
+      const verb = result.dryRun ? 'would upgrade' : 'upgraded';
+      for (const e of [...result.packets, ...result.receipts]) {
+        process.stdout.write(`${verb} ${e.path}: ${e.changes.join(', ')}\n`);
+      }
+      for (const e of result.skipped) process.stdout.write(`skipped ${e.path}: ${e.error}\n`);
+      process.stdout.write(
+        `packets=${result.packets.length} receipts=${result.receipts.length} skipped=${result.skipped.length}\n`,
+      );
+      return;
+    }
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    return;
+  }
+
+  if (cmd === 'gc') {
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        agent: { type: 'string' },
+        days: { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        format: { type: 'string' },
+      },
+    });
+    const agent = v2.agent?.trim() || null;
+    if (agent) assertKnownAgents(rosterInfo.agentNames, [agent], { label: '--agent' });
+    const format = (v2.format || '').trim() || 'json';
+    if (format !== 'json' && format !== 'lines') {
+      throw new Error(`gc: unknown --format ${JSON.stringify(format)} (expected: json|lines)`);
+    }
+    const policy = loadRetentionPolicy(rosterInfo.roster, { days: v2.days });
+    const result = await gcBusRoot({ busRoot, policy, agentName: agent, dryRun: Boolean(v2['dry-run']) });
+    if (format === 'lines') {
+      const verb = result.dryRun ? 'would archive' : 'archived';
+      for (const e of result.archived) {
+        process.stdout.write(`${verb} ${e.agent} ${e.outcome || 'unknown'} ${e.taskId} -> ${e.archive}\n`);
+      }
+      if (result.journal?.rotated) {
+        const j = result.journal;
+        process.stdout.write(`${verb} journal events ${j.firstSeq}..${j.lastSeq} (${j.rotated}) -> ${j.archive}\n`);
+      }
+      process.stdout.write(
+        `archived=${result.archived.length} retained=${result.kept.retained} forever=${result.kept.forever} ` +
+          `dependedOn=${result.kept.dependedOn}\n`,
+      );
+      return;
+    }
+    process.stdout.write(JSON.stringify({ policy, ...result }, null, 2) + '\n');
+    return;
+  }
+
+  if (cmd === 'archive') {
+    const action = global.rest[0] || 'list';
+    const { values: v2, positionals } = parseArgs({
+      allowPositionals: true,
+      args: global.rest.slice(1),
+      options: {
+        agent: { type: 'string' },
+        id: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        limit: { type: 'string' },
+        format: { type: 'string' },
+      },
+    });
+    const agent = v2.agent?.trim() || null;
+    if (agent && !isSafeId(agent)) throw new Error(`Invalid --agent ${JSON.stringify(agent)}`);
+
+    let result = null;
+    if (action === 'list') {
+      result = (await listArchives({ busRoot, agentName: agent })).map((a) => ({ ...a, path: path.relative(busRoot, a.path) }));
+    } else if (action === 'search') {
+      const limit = v2.limit ? Math.max(1, Math.min(1000, Number(v2.limit) || 50)) : 50;
+      const entries = await searchArchives({
+        busRoot,
+        query: positionals.join(' '),
+        agentName: agent,
+        since: v2.since?.trim() || null,
+        until: v2.until?.trim() || null,
+        limit,
+      });
+      const format = (v2.format || '').trim() || 'json';
+      if (format === 'lines') {
+        for (const e of entries) {
+          process.stdout.write(`${e.closedAt} ${e.agent} ${e.outcome || 'unknown'} ${e.taskId}${e.title ? ` — ${e.title}` : ''}\n`);
+        }
+        return;
+      }
+      if (format !== 'json') throw new Error(`archive: unknown --format ${JSON.stringify(format)} (expected: json|lines)`);
+      result = entries;
+    } else if (action === 'show') {
+      const id = v2.id?.trim() || positionals[0] || '';
+      if (!id) throw new Error('archive show requires --id <taskId>');
+      result = await readArchivedTask({ busRoot, taskId: id, agentName: agent });
+      if (!result) throw new Error(`No archived task ${id}${agent ? ` for ${agent}` : ''}`);
+    } else {
+      throw new Error(`archive: unknown action ${JSON.stringify(action)} (expected: list|search|show)`);
+    }
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    return;
+  }
+
+  if (cmd === 'replay') {
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        since: { type: 'string' },
+        follow: { type: 'boolean' },
+        into: { type: 'string' },
+        'poll-ms': { type: 'string' },
+        format: { type: 'string' },
+      },
+    });
+    const since = v2.since ? Number(v2.since) : 0;
+    if (!Number.isInteger(since) || since < 0) throw new Error('--since must be a non-negative integer sequence number');
+
+    if (v2.into) {
+      if (v2.follow) throw new Error('replay: --follow cannot be combined with --into');
+      const targetRoot = path.resolve(v2.into);
+      if (targetRoot === path.resolve(busRoot)) throw new Error('replay: --into must not be the live bus root');
+      const result = await replayBusEvents({ busRoot, targetRoot, since });
+      process.stdout.write(JSON.stringify({ targetRoot, ...result }, null, 2) + '\n');
+      return;
+    }
+
+    const format = (v2.format || '').trim() || 'jsonl';
+    if (format !== 'jsonl' && format !== 'lines') {
+      throw new Error(`replay: unknown --format ${JSON.stringify(format)} (expected: jsonl|lines)`);
+    }
+    const pollMs = v2['poll-ms'] ? Math.max(50, Number(v2['poll-ms']) || 500) : 500;
+    for await (const ev of streamBusEvents({ busRoot, since, follow: Boolean(v2.follow), pollMs, includeArchive: true })) {
+      if (format === 'lines') {
+        const where = ev.from && ev.to ? ` ${ev.from} -> ${ev.to}` : ev.path ? ` ${ev.path}` : '';
+        const outcome = ev.outcome ? ` ${ev.outcome}` : '';
+        process.stdout.write(`${ev.seq} ${ev.ts} ${ev.type} ${ev.agent} ${ev.taskId}${outcome}${where}\n`);
+      } else {
+        process.stdout.write(JSON.stringify(ev) + '\n');
+      }
+    }
+    return;
+  }
+
+  if (cmd === 'search') {
+    const { values: v2, positionals } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        agent: { type: 'string' },
+        state: { type: 'string' },
+        outcome: { type: 'string' },
+        kind: { type: 'string' },
+        'root-id': { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        'commit-sha': { type: 'string' },
+        extra: { type: 'string', multiple: true },
+        limit: { type: 'string' },
+        rebuild: { type: 'boolean' },
+        format: { type: 'string' },
+      },
+    });
+    const agent = v2.agent?.trim() || null;
+    if (agent) assertKnownAgents(rosterInfo.agentNames, [agent], { label: '--agent' });
+    const format = (v2.format || '').trim() || 'json';
+    if (format !== 'json' && format !== 'lines') {
+      throw new Error(`search: unknown --format ${JSON.stringify(format)} (expected: json|lines)`);
+    }
+    const found = await searchBus({
+      busRoot,
+      rebuild: Boolean(v2.rebuild),
+      text: positionals.join(' '),
+      agent,
+      state: v2.state,
+      outcome: v2.outcome,
+      kind: v2.kind,
+      rootId: v2['root-id'],
+      since: v2.since,
+      until: v2.until,
+      commitSha: v2['commit-sha'],
+      extra: v2.extra,
+      limit: v2.limit,
+    });
+    if (format === 'lines') {
+      for (const r of found.results) {
+        const status = r.outcome || r.state || 'unknown';
+        process.stdout.write(`${r.updatedAt} ${r.agent} ${status} ${r.taskId}${r.title ? ` — ${r.title}` : ''}\n`);
+      }
+      return;
+    }
+    process.stdout.write(JSON.stringify(found, null, 2) + '\n');
+    return;
+  }
+
+  if (cmd === 'deps') {
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        'root-id': { type: 'string' },
+        format: { type: 'string' },
+      },
+    });
+    const rootId = v2['root-id']?.trim();
+    if (!rootId) throw new Error('deps requires --root-id <rootId>');
+    const graph = await buildRootDependencyGraph({ busRoot, rootId });
+    const format = (v2.format || '').trim() || 'lines';
+    if (format === 'lines') {
+      process.stdout.write(formatDependencyGraphLines(graph) + '\n');
+      return;
+    }
+    if (format !== 'json') throw new Error(`deps: unknown --format ${JSON.stringify(format)} (expected: json|lines)`);
+    process.stdout.write(JSON.stringify(graph, null, 2) + '\n');
+    return;
+  }
+
+  if (cmd === 'export-root') {
+    const { values: v2, positionals } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        'root-id': { type: 'string' },
+        format: { type: 'string' },
+        out: { type: 'string' },
+      },
+    });
+    const rootId = v2['root-id']?.trim() || positionals[0] || '';
+    if (!rootId) throw new Error('export-root requires <rootId>');
+    if (!isSafeId(rootId)) throw new Error(`export-root: invalid rootId ${JSON.stringify(rootId)}`);
+    const format = (v2.format || '').trim() || 'md';
+    if (!ROOT_EXPORT_FORMATS.includes(format)) {
+      throw new Error(`export-root: unknown --format ${JSON.stringify(format)} (expected: ${ROOT_EXPORT_FORMATS.join('|')})`);
+    }
+    const report = await buildRootExport({ busRoot, rootId });
+    if (!report) throw new Error(`export-root: no packets or receipts with rootId ${rootId}`);
+    const text = renderRootExport(report, format);
+    if (v2.out) {
+      await fs.writeFile(v2.out, text, 'utf8');
+      process.stdout.write(JSON.stringify({ ok: true, rootId, format, out: v2.out, packets: report.tasks.length }) + '\n');
+      return;
+    }
+    process.stdout.write(text);
+    return;
+  }
+
+  if (cmd === 'deadletter') {
+    const action = global.rest[0] || 'list';
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest.slice(1),
+      options: {
+        agent: { type: 'string' },
+        id: { type: 'string' },
+        all: { type: 'boolean' },
+        'older-than-ms': { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        format: { type: 'string' },
+      },
+    });
+    const agent = v2.agent?.trim() || null;
+    if (agent) assertKnownAgents(rosterInfo.agentNames, [agent], { label: '--agent' });
+    const id = v2.id?.trim() || null;
+
+    let result = null;
+    if (action === 'list') {
+      const entries = await listDeadletterPackets({ busRoot, agentName: agent });
+      const format = (v2.format || '').trim() || 'json';
+      if (format === 'lines') {
+        for (const e of entries) {
+          const at = e.report?.quarantinedAt || '';
+          process.stdout.write(`${at} ${e.agent} ${e.report?.reason || 'unknown'} ${e.id} — ${e.report?.error || ''}\n`);
+        }
+        return;
+      }
+      if (format !== 'json') throw new Error(`deadletter: unknown --format ${JSON.stringify(format)} (expected: json|lines)`);
+      result = entries.map((e) => ({ agent: e.agent, id: e.id, path: path.relative(busRoot, e.path), report: e.report }));
+    } else if (action === 'show' || action === 'retry') {
+      if (!agent || !id) throw new Error(`deadletter ${action} requires --agent <agent> --id <id>`);
+      if (action === 'show') {
+        const entry = await readDeadletterPacket({ busRoot, agentName: agent, id });
+        result = { ...entry, path: path.relative(busRoot, entry.path), reportPath: path.relative(busRoot, entry.reportPath) };
+      } else {
+        const retried = await retryDeadletterPacket({ busRoot, agentName: agent, id });
+        result = { ...retried, path: path.relative(busRoot, retried.path) };
+      }
+    } else if (action === 'purge') {
+      if (!agent && !v2.all) throw new Error('deadletter purge requires --agent <agent> or --all');
+      const olderThanMs = v2['older-than-ms'] ? Number(v2['older-than-ms']) : null;
+      if (olderThanMs != null && !(Number.isFinite(olderThanMs) && olderThanMs >= 0)) {
+        throw new Error('--older-than-ms must be a non-negative number');
+      }
+      const purged = await purgeDeadletterPackets({
+        busRoot,
+        agentName: agent,
+        id,
+        olderThanMs,
+        dryRun: Boolean(v2['dry-run']),
+      });
+      result = { dryRun: Boolean(v2['dry-run']), purged };
+    } else {
+      throw new Error(`deadletter: unknown action ${JSON.stringify(action)} (expected: list|show|retry|purge)`);
+    }
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    return;
+  }
+
   if (cmd === 'open-tasks') {
     const { values: v2 } = parseArgs({
       allowPositionals: true,
@@ -295,10 +716,74 @@ async function main() {
         'parent-id': { type: 'string' },
         'signals-json': { type: 'string' },
         'references-json': { type: 'string' },
+        'not-before': { type: 'string' },
         smoke: { type: 'boolean' },
+        template: { type: 'string' },
+        'base-branch': { type: 'string' },
+        'base-sha': { type: 'string' },
+        'work-branch': { type: 'string' },
+        'integration-branch': { type: 'string' },
+        'dry-run': { type: 'boolean' },
       },
     });
 
+    const printOrDeliver = async ({ id, meta, body }) => {
+      if (v2['dry-run']) {
+        const full = { schemaVersion: TASK_PACKET_SCHEMA_VERSION, ...meta };
+        validateTaskMeta(full);
+        process.stdout.write(renderTaskMarkdown(full, body));
+        return;
+      }
+      const delivered = await deliverTask({ busRoot, meta, body });
+      if (delivered.suspiciousHits.length && suspiciousPolicy() === 'warn') {
+        process.stderr.write(`WARN: suspicious patterns detected: ${delivered.suspiciousHits.join(', ')}\n`);
+      }
+      process.stdout.write(
+        JSON.stringify({ ok: true, id, scheduled: delivered.scheduled, paths: delivered.paths }, null, 2) + '\n',
+      );
+    };
+
+    if (v2.template) {
+      if (v2['signals-json'] || v2['references-json']) {
+        throw new Error('--template cannot be combined with --signals-json/--references-json');
+      }
+      const { path: templatesPath, templates } = await loadTaskTemplates({
+        rosterPath: rosterInfo.path,
+        cockpitRoot: getCockpitRoot(),
+      });
+      const template = templates.find((t) => t.name === v2.template.trim());
+      if (!template) {
+        const known = templates.map((t) => t.name).join(', ') || '(none)';
+        throw new Error(`Unknown template "${v2.template}" in ${templatesPath || 'TASK_TEMPLATES.json'}. Known: ${known}`);
+      }
+      const composed = composeTask({
+        template,
+        headSha: readHeadSha(repoRoot),
+        agentNames: Array.from(rosterInfo.agentNames),
+        fields: {
+          id: v2.id,
+          to: parseToList(v2.to),
+          from: v2.from,
+          priority: v2.priority,
+          title: v2.title,
+          body: v2['body-file'] ? await fs.readFile(v2['body-file'], 'utf8') : v2.body,
+          kind: v2.kind,
+          phase: v2.phase,
+          rootId: v2['root-id'],
+          parentId: v2['parent-id'],
+          notBefore: v2['not-before'] ? resolveNotBefore(v2['not-before']) : '',
+          smoke: Boolean(v2.smoke),
+          baseBranch: v2['base-branch'],
+          baseSha: v2['base-sha'],
+          workBranch: v2['work-branch'],
+          integrationBranch: v2['integration-branch'],
+        },
+      });
+      if (composed.errors.length) throw new Error(`send-text --template ${template.name}: ${composed.errors.join('; ')}`);
+      await printOrDeliver({ id: composed.meta.id, meta: composed.meta, body: composed.body });
+      return;
+    }
+
     const to = parseToList(v2.to);
     if (to.length === 0) throw new Error('send-text requires --to <agent[,agent]>');
     assertKnownAgents(rosterInfo.agentNames, to, { label: '--to targets' });
@@ -320,6 +805,7 @@ async function main() {
     if (v2['root-id']) signals.rootId = String(v2['root-id']).trim();
     if (v2['parent-id']) signals.parentId = String(v2['parent-id']).trim();
     if (v2.smoke) signals.smoke = true;
+    if (v2['not-before']) signals.notBefore = resolveNotBefore(v2['not-before']);
 
     if (v2['signals-json']) {
       try {
@@ -363,11 +849,64 @@ async function main() {
       references,
     };
 
-    const delivered = await deliverTask({ busRoot, meta, body });
-    if (delivered.suspiciousHits.length && suspiciousPolicy() === 'warn') {
-      process.stderr.write(`WARN: suspicious patterns detected: ${delivered.suspiciousHits.join(', ')}\n`);
+    await printOrDeliver({ id, meta, body });
+    return;
+  }
+
+  if (cmd === 'schedule') {
+    const action = global.rest[0] || 'list';
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest.slice(1),
+      options: {
+        id: { type: 'string' },
+        cron: { type: 'string' },
+        utc: { type: 'boolean' },
+        to: { type: 'string' },
+        title: { type: 'string' },
+        from: { type: 'string' },
+        priority: { type: 'string' },
+        kind: { type: 'string' },
+        phase: { type: 'string' },
+        body: { type: 'string' },
+        'body-file': { type: 'string' },
+      },
+    });
+    let result = null;
+    if (action === 'add') {
+      const to = parseToList(v2.to);
+      if (to.length === 0) throw new Error('schedule add requires --to <agent[,agent]>');
+      assertKnownAgents(rosterInfo.agentNames, to, { label: '--to targets' });
+      if (!v2.cron) throw new Error('schedule add requires --cron "<min> <hour> <dom> <month> <dow>"');
+      const signals = {};
+      if (v2.kind) signals.kind = v2.kind.trim();
+      if (v2.phase) signals.phase = v2.phase.trim();
+      result = await createRecurringSchedule({
+        busRoot,
+        scheduleId: v2.id?.trim() || undefined,
+        cron: v2.cron,
+        utc: Boolean(v2.utc),
+        template: {
+          to,
+          from: v2.from?.trim() || 'daddy',
+          priority: v2.priority?.trim() || 'P2',
+          title: v2.title?.trim() || '',
+          signals,
+          references: {},
+        },
+        body: v2['body-file'] ? await fs.readFile(v2['body-file'], 'utf8') : v2.body ?? '',
+      });
+    } else if (action === 'list') {
+      result = await listUpcomingScheduledWork({ busRoot, limit: 500 });
+    } else if (action === 'remove') {
+      if (!v2.id) throw new Error('schedule remove requires --id <scheduleId>');
+      result = { removed: await removeRecurringSchedule({ busRoot, scheduleId: v2.id.trim() }) };
+    } else if (action === 'run-due') {
+      result = await runScheduledDelivery({ busRoot });
+    } else {
+      throw new Error(`schedule: unknown action ${JSON.stringify(action)} (expected: add|list|remove|run-due)`);
     }
-    process.stdout.write(JSON.stringify({ ok: true, id, paths: delivered.paths }, null, 2) + '\n');
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
     return;
   }
 
@@ -469,6 +1008,42 @@ async function main() {
     return;
   }
 
+  if (cmd === 'reassign') {
+    const { values: v2 } = parseArgs({
+      allowPositionals: true,
+      args: global.rest,
+      options: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        id: { type: 'string' },
+        reason: { type: 'string' },
+        by: { type: 'string' },
+        force: { type: 'boolean' },
+      },
+    });
+
+    const fromAgent = v2.from?.trim();
+    const toAgent = v2.to?.trim();
+    const id = v2.id?.trim();
+    if (!fromAgent || !toAgent) throw new Error('reassign requires --from <agent> and --to <agent>');
+    if (!id) throw new Error('reassign requires --id');
+    if (!isSafeId(id)) throw new Error(`Invalid id "${id}"`);
+    assertKnownAgents(rosterInfo.agentNames, [fromAgent, toAgent], { label: 'reassign agents' });
+
+    const res = await reassignTask({
+      busRoot,
+      roster: rosterInfo.roster,
+      fromAgent,
+      toAgent,
+      taskId: id,
+      by: (v2.by || 'daddy').trim() || 'daddy',
+      reason: v2.reason ?? '',
+      force: Boolean(v2.force),
+    });
+    process.stdout.write(JSON.stringify({ ok: true, id, from: fromAgent, ...res }, null, 2) + '\n');
+    return;
+  }
+
   if (cmd === 'open') {
     const { values: v2 } = parseArgs({
       allowPositionals: true,
@@ -35,7 +35,11 @@ import {
   makeId,
   pickDaddyChatName,
   safeIdToken,
+  watchInbox,
 } from './lib/agentbus.mjs';
+import { listScheduledInboxTaskIds } from './lib/inbox-scheduler.mjs';
+import { isPidAlive } from './lib/process-alive.mjs';
+import { startTaskLeaseHeartbeat, writeTaskLease } from './lib/task-lease.mjs';
 import {
   resolveConfiguredAgentWorkdir,
   resolveWorktreesRoots,
@@ -98,6 +102,7 @@ import {
   hashActionableCommentBody,
   isActionableComment,
 } from './lib/review-fix-comment.mjs';
+import { loadPrObserverConfig } from './lib/pr-routing.mjs';
 import {
   attemptStaleWorkerWorktreeReclaim,
   TaskGitPreflightBlockedError,
@@ -2106,17 +2111,6 @@ function isControllerHousekeepingTask(openedMeta) {
   );
 }
 
-function isProcessAlive(pid) {
-  const numeric = Number(pid);
-  if (!Number.isInteger(numeric) || numeric <= 0) return false;
-  try {
-    process.kill(numeric, 0);
-    return true;
-  } catch (err) {
-    return err?.code === 'EPERM';
-  }
-}
-
 async function acquireSkillOpsPromotionLock({ busRoot, agentName, ownerTaskId }) {
   const lockPath = getSkillOpsPromotionLockPath({ busRoot, agentName });
   const lockToken = crypto.randomUUID();
@@ -2165,7 +2159,7 @@ async function acquireSkillOpsPromotionLock({ busRoot, agentName, ownerTaskId })
     }
     try {
       const existing = JSON.parse(await fs.readFile(lockPath, 'utf8'));
-      if (isProcessAlive(existing?.ownerPid)) {
+      if (isPidAlive(existing?.ownerPid)) {
         return {
           ok: false,
           reasonCode: 'skillops_promotion_busy',
@@ -4269,21 +4263,6 @@ async function clearAgentPinnedSessions({ busRoot, agentName }) {
   }
 }
 
-/**
- * Returns whether pid alive.
- */
-function isPidAlive(pid) {
-  const n = Number(pid);
-  if (!Number.isFinite(n) || n <= 0) return false;
-  try {
-    process.kill(n, 0);
-    return true;
-  } catch (err) {
-    if (err && (err.code === 'ESRCH' || err.code === 'EINVAL')) return false;
-    return true;
-  }
-}
-
 /**
  * Helper for acquire agent worker lock used by the cockpit workflow runtime.
  */
@@ -5525,7 +5504,12 @@ function readLiveIssueCommentState({ cwd, owner, repo, commentId, timeoutMs = 5_
 /**
  * Evaluates whether observer-driven review-fix work is stale before Codex runs.
  */
-function evaluateReviewFixFreshness({ taskMeta, cwd, headLookupTimeoutMs = AUTOPILOT_PR_HEAD_LOOKUP_TIMEOUT_MS }) {
+function evaluateReviewFixFreshness({
+  taskMeta,
+  cwd,
+  headLookupTimeoutMs = AUTOPILOT_PR_HEAD_LOOKUP_TIMEOUT_MS,
+  actionableKeywords,
+}) {
   const source = readReviewFixFreshnessSource(taskMeta);
   if (!source) return { status: 'not_applicable' };
 
@@ -5616,7 +5600,7 @@ function evaluateReviewFixFreshness({ taskMeta, cwd, headLookupTimeoutMs = AUTOP
       return buildReviewFixFreshnessStale(source, 'issue_comment_missing', commentEvidence);
     }
     const liveBody = typeof liveComment.body === 'string' ? liveComment.body : '';
-    if (!isActionableComment(liveBody)) {
+    if (!isActionableComment(liveBody, actionableKeywords)) {
       return buildReviewFixFreshnessStale(source, 'issue_comment_no_longer_actionable', commentEvidence);
     }
     const liveBodyHash = hashActionableCommentBody(liveBody);
@@ -7817,6 +7801,7 @@ function buildPrompt({
     `You MAY include "followUps" (see schema) to dispatch additional AgentBus tasks automatically.\n\n` +
     `For every followUp, include references.git and references.integration.\n` +
     `For non-EXECUTE followUps, set both to null.\n` +
+    `Use followUp signals.dependsOn=[] to dispatch immediately; to gate a followUp until other tasks close "done", list their task ids or "followUp:<n>" (0-based index of an earlier followUp in this response).\n` +
     `For followUps where signals.kind="EXECUTE", include references.git and references.integration values:\n` +
     `- references.git.baseSha (required)\n` +
     `- references.git.workBranch (required)\n` +
@@ -8736,6 +8721,26 @@ function deriveBranchContinuityReasonCode(branchContinuity) {
   return null;
 }
 
+/**
+ * Resolves followUp dependsOn entries, mapping `followUp:<n>` to the id dispatched for followUp n.
+ */
+function resolveFollowUpDependsOn(raw, dispatchedIdByIndex) {
+  const out = [];
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    const text = readStringField(entry);
+    if (!text) continue;
+    const ref = /^followUp:(\d+)$/.exec(text);
+    if (!ref) {
+      out.push(text);
+      continue;
+    }
+    const depId = dispatchedIdByIndex.get(Number(ref[1]));
+    if (!depId) throw new Error(`followUp.signals.dependsOn references undispatched ${text}`);
+    out.push(depId);
+  }
+  return Array.from(new Set(out));
+}
+
 /**
  * Dispatches follow ups to target agents.
  */
@@ -8764,7 +8769,8 @@ async function dispatchFollowUps({
   };
   const control = normalizeAutopilotControl(autopilotControl);
 
-  for (const fu of items.slice(0, limit)) {
+  const dispatchedIdByIndex = new Map();
+  for (const [index, fu] of items.slice(0, limit).entries()) {
     try {
       const to = normalizeToArray(fu?.to);
       const title = typeof fu?.title === 'string' ? fu.title.trim() : '';
@@ -8795,6 +8801,9 @@ async function dispatchFollowUps({
 
       const id = makeId(`fu_${agentName}`);
       const signals = { ...signalsIn, kind, phase, rootId, parentId, smoke };
+      const dependsOn = resolveFollowUpDependsOn(signalsIn.dependsOn, dispatchedIdByIndex);
+      if (dependsOn.length) signals.dependsOn = dependsOn;
+      else delete signals.dependsOn;
       const referencesIn = isPlainObject(fu?.references) ? fu.references : {};
       const references = {
         ...referencesIn,
@@ -8802,7 +8811,7 @@ async function dispatchFollowUps({
         parentRootId: rootIdDefault,
       };
 
-      if (kind.toUpperCase() === 'EXECUTE') {
+      if (kind === 'EXECUTE') {
         const targetAgent = to[0] || '';
         const gitIn = isPlainObject(references.git) ? references.git : {};
         const integrationIn = isPlainObject(references.integration) ? references.integration : {};
@@ -8881,8 +8890,9 @@ async function dispatchFollowUps({
         references,
       };
 
-      await deliverTask({ busRoot, meta, body });
-      dispatched.push({ id, to, title, kind });
+      const delivered = await deliverTask({ busRoot, meta, body });
+      dispatchedIdByIndex.set(index, id);
+      dispatched.push({ id, to, title, kind, ...(delivered.gated ? { dependsOn } : {}) });
     } catch (err) {
       errors.push((err && err.message) || String(err));
       branchContinuity.status = 'blocked';
@@ -9146,6 +9156,8 @@ async function main() {
     writePane(`[worker] ${agentName} already running; exiting duplicate worker${ownerMsg}\n`);
     return;
   }
+  // Keeps leases of claimed packets fresh during long Codex turns; see `agent-bus reap-leases`.
+  const leaseHeartbeat = startTaskLeaseHeartbeat({ busRoot, agentName });
 
   try {
     const autopilotContextMode =
@@ -9241,7 +9253,7 @@ async function main() {
     let appServerProcessThreadId = null;
     let appServerResumeSkipLogged = false;
 
-    while (true) {
+    for await (const _wake of watchInbox({ busRoot, agentName, states: ['new', 'seen'], pollMs })) {
       if (isAutopilot) {
         try {
           await flushPendingAutopilotBlockedRecoveries({ busRoot, agentName });
@@ -9252,19 +9264,22 @@ async function main() {
         }
       }
       const idsInProgress = await listInboxTaskIds({ busRoot, agentName, state: 'in_progress' });
-      const idsNew = await listInboxTaskIds({ busRoot, agentName, state: 'new' });
-      const idsSeen = await listInboxTaskIds({ busRoot, agentName, state: 'seen' });
+      const idsQueued = await listScheduledInboxTaskIds({ busRoot, agentName });
       const inProgressSet = new Set(idsInProgress);
-      // Prefer resuming in_progress tasks first, then new, then seen.
-      const ids = Array.from(new Set([...idsInProgress, ...idsNew, ...idsSeen]));
+      // Prefer resuming in_progress tasks first, then new/seen in scheduler order (priority + aging).
+      const ids = Array.from(new Set([...idsInProgress, ...idsQueued]));
 
       for (const id of ids) {
       // Claim immediately (move to in_progress) to avoid double-processing.
       let opened = null;
       try {
-        opened = inProgressSet.has(id)
-          ? await openTask({ busRoot, agentName, taskId: id, markSeen: false })
-          : await claimTask({ busRoot, agentName, taskId: id });
+        if (inProgressSet.has(id)) {
+          opened = await openTask({ busRoot, agentName, taskId: id, markSeen: false });
+          // Resuming after a restart: take over the previous owner's lease.
+          await writeTaskLease({ busRoot, agentName, taskId: id });
+        } else {
+          opened = await claimTask({ busRoot, agentName, taskId: id });
+        }
       } catch (err) {
         writePane(
           `WARN: could not claim task ${id} for ${agentName}: ${(err && err.message) || String(err)}\n`,
@@ -9599,6 +9614,7 @@ async function main() {
             const reviewFixFreshness = await evaluateReviewFixFreshness({
               taskMeta: opened?.meta,
               cwd: taskCwd,
+              actionableKeywords: loadPrObserverConfig(roster).actionableKeywords,
             });
             if (reviewFixFreshness.status === 'stale') {
               outcome = 'skipped';
@@ -12110,11 +12126,11 @@ async function main() {
     }
 
       if (values.once) break;
-      await sleep(pollMs);
     }
   } finally {
     // Ensure app-server doesn't keep the event loop alive when running `--once` (tests/one-shots).
     await stopSharedAppServerClient();
+    leaseHeartbeat.stop();
     await workerLock.release();
   }
 }
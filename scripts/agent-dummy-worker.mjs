@@ -2,7 +2,7 @@
 /**
  * Dummy worker for smoke/tests.
  *
- * Reads tasks from inbox/<agent>/new, marks seen, then closes with a deterministic receipt.
+ * Reads tasks from inbox/<agent>/new in scheduler order, claims them, then closes with a deterministic receipt.
  */
 
 import { parseArgs } from 'node:util';
@@ -12,14 +12,12 @@ import {
   loadRoster,
   resolveBusRoot,
   ensureBusRoot,
-  listInboxTaskIds,
   claimTask,
   closeTask,
+  watchInbox,
 } from './lib/agentbus.mjs';
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+import { listScheduledInboxTaskIds } from './lib/inbox-scheduler.mjs';
+import { startTaskLeaseHeartbeat } from './lib/task-lease.mjs';
 
 async function main() {
   const repoRoot = getRepoRoot();
@@ -44,35 +42,40 @@ async function main() {
   if (!agentName) throw new Error('--agent is required');
 
   const pollMs = values['poll-ms'] ? Math.max(50, Number(values['poll-ms'])) : 200;
+  // Claims write leases; keep them fresh so the orchestrator's reaper leaves them alone.
+  const leaseHeartbeat = startTaskLeaseHeartbeat({ busRoot, agentName });
 
-  while (true) {
-    const ids = await listInboxTaskIds({ busRoot, agentName, state: 'new' });
-    for (const id of ids) {
-      let opened = null;
-      try {
-        opened = await claimTask({ busRoot, agentName, taskId: id });
-      } catch (err) {
-        process.stderr.write(`WARN: dummy worker could not claim ${id}: ${(err && err.message) || String(err)}\n`);
-        continue;
-      }
+  try {
+    for await (const _wake of watchInbox({ busRoot, agentName, states: ['new'], pollMs })) {
+      const ids = await listScheduledInboxTaskIds({ busRoot, agentName, states: ['new'] });
+      for (const id of ids) {
+        let opened = null;
+        try {
+          opened = await claimTask({ busRoot, agentName, taskId: id });
+        } catch (err) {
+          process.stderr.write(`WARN: dummy worker could not claim ${id}: ${(err && err.message) || String(err)}\n`);
+          continue;
+        }
 
-      const echo = opened.body.trim().slice(0, 200);
-      const fakeSha = crypto.randomBytes(4).toString('hex');
+        const echo = opened.body.trim().slice(0, 200);
+        const fakeSha = crypto.randomBytes(4).toString('hex');
 
-      await closeTask({
-        busRoot,
-        roster,
-        agentName,
-        taskId: id,
-        outcome: 'done',
-        note: `dummy completed: ${echo}`,
-        commitSha: fakeSha,
-        receiptExtra: { echoed: echo },
-      });
-    }
+        await closeTask({
+          busRoot,
+          roster,
+          agentName,
+          taskId: id,
+          outcome: 'done',
+          note: `dummy completed: ${echo}`,
+          commitSha: fakeSha,
+          receiptExtra: { echoed: echo },
+        });
+      }
 
-    if (values.once) break;
-    await sleep(pollMs);
+      if (values.once) break;
+    }
+  } finally {
+    leaseHeartbeat.stop();
   }
 }
 
@@ -2,12 +2,14 @@
 /**
  * AgentBus listener.
  *
- * Watches inbox/<agent>/new for tasks, prints a compact header, and moves them to /seen.
+ * Watches inbox/<agent>/new for tasks (`watchInbox`: fs.watch with a polling fallback), prints a compact header, and moves them to /seen.
  *
  * Autopaste is intentionally OFF by default. This is designed for "inbox pane" usage.
+ *
+ * The listener only opens packets into /seen and never claims them, so it owns no task leases. It still
+ * runs the lease heartbeat like the claiming workers, so a claim added here is never reaped mid-task.
  */
 
-import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import childProcess from 'node:child_process';
 import { parseWorkerCliValues } from './lib/worker-cli.mjs';
@@ -18,11 +20,10 @@ import {
   ensureBusRoot,
   listInboxTaskIds,
   openTask,
+  quarantineTask,
+  watchInbox,
 } from './lib/agentbus.mjs';
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+import { startTaskLeaseHeartbeat } from './lib/task-lease.mjs';
 
 function tmuxNotify(message, target = null) {
   try {
@@ -58,35 +59,44 @@ async function main() {
 
   const pollMs = values['poll-ms'] ? Math.max(50, Number(values['poll-ms'])) : 500;
 
-  while (true) {
-    const ids = await listInboxTaskIds({ busRoot, agentName, state: 'new' });
-    for (const id of ids) {
-      try {
-        const opened = await openTask({ busRoot, agentName, taskId: id, markSeen: true });
-        printTaskHeader({ agentName, meta: opened.meta, filePath: opened.path });
-        if (values['print-body']) {
-          process.stdout.write('\n' + opened.body + '\n');
-        }
+  const leaseHeartbeat = startTaskLeaseHeartbeat({ busRoot, agentName });
 
-        if (values['tmux-notify']) {
-          const msg = `AgentBus: NEW ${agentName} ${opened.meta.id} — ${opened.meta.title}`;
-          tmuxNotify(msg, values['tmux-target'] ?? null);
-        }
-      } catch (err) {
-        process.stderr.write(`WARN: failed to open task ${id}: ${(err && err.message) || String(err)}\n`);
-        // deadletter it
+  try {
+    for await (const _wake of watchInbox({ busRoot, agentName, states: ['new'], pollMs })) {
+      const ids = await listInboxTaskIds({ busRoot, agentName, state: 'new' });
+      for (const id of ids) {
         try {
-          const newPath = path.join(busRoot, 'inbox', agentName, 'new', `${id}.md`);
-          const dl = path.join(busRoot, 'deadletter', agentName, `${id}.md`);
-          await fs.rename(newPath, dl);
-        } catch {
-          // ignore
+          const opened = await openTask({ busRoot, agentName, taskId: id, markSeen: true });
+          printTaskHeader({ agentName, meta: opened.meta, filePath: opened.path });
+          if (values['print-body']) {
+            process.stdout.write('\n' + opened.body + '\n');
+          }
+
+          if (values['tmux-notify']) {
+            const msg = `AgentBus: NEW ${agentName} ${opened.meta.id} — ${opened.meta.title}`;
+            tmuxNotify(msg, values['tmux-target'] ?? null);
+          }
+        } catch (err) {
+          process.stderr.write(`WARN: failed to open task ${id}: ${(err && err.message) || String(err)}\n`);
+          // deadletter it (with a report and a journaled `quarantined` event)
+          try {
+            await quarantineTask({
+              busRoot,
+              agentName,
+              fromPath: path.join(busRoot, 'inbox', agentName, 'new', `${id}.md`),
+              reason: 'open_failed',
+              error: (err && err.message) || String(err),
+            });
+          } catch {
+            // ignore
+          }
         }
       }
-    }
 
-    if (values.once) break;
-    await sleep(pollMs);
+      if (values.once) break;
+    }
+  } finally {
+    leaseHeartbeat.stop();
   }
 }
 
@@ -13,7 +13,11 @@ import {
   closeTask,
   deliverTask,
   makeId,
+  watchInbox,
 } from './lib/agentbus.mjs';
+import { listScheduledInboxTaskIds } from './lib/inbox-scheduler.mjs';
+import { isPidAlive } from './lib/process-alive.mjs';
+import { startTaskLeaseHeartbeat, writeTaskLease } from './lib/task-lease.mjs';
 import {
   validateOpusConsultRequestMeta,
   validateOpusConsultResponsePayload,
@@ -145,18 +149,6 @@ async function waitForOpusCooldown({ busRoot }) {
   }
 }
 
-function isPidAlive(pid) {
-  const n = Number(pid);
-  if (!Number.isFinite(n) || n <= 0) return false;
-  try {
-    process.kill(n, 0);
-    return true;
-  } catch (err) {
-    if (err && (err.code === 'ESRCH' || err.code === 'EINVAL')) return false;
-    return true;
-  }
-}
-
 async function acquireAgentWorkerLock({ busRoot, agentName }) {
   const lockDir = path.join(busRoot, 'state', 'worker-locks');
   const lockPath = path.join(lockDir, `${agentName}.lock.json`);
@@ -719,21 +711,24 @@ async function main() {
     writePane(`[opus-consult] duplicate worker detected; exiting${ownerSuffix}\n`);
     return;
   }
+  const leaseHeartbeat = startTaskLeaseHeartbeat({ busRoot, agentName });
 
   try {
-    while (true) {
+    for await (const _wake of watchInbox({ busRoot, agentName, states: ['new', 'seen'], pollMs })) {
     const idsInProgress = await listInboxTaskIds({ busRoot, agentName, state: 'in_progress' });
-    const idsNew = await listInboxTaskIds({ busRoot, agentName, state: 'new' });
-    const idsSeen = await listInboxTaskIds({ busRoot, agentName, state: 'seen' });
+    const idsQueued = await listScheduledInboxTaskIds({ busRoot, agentName });
     const inProgressSet = new Set(idsInProgress);
-    const ids = Array.from(new Set([...idsInProgress, ...idsNew, ...idsSeen]));
+    const ids = Array.from(new Set([...idsInProgress, ...idsQueued]));
 
     for (const id of ids) {
       let opened = null;
       try {
-        opened = inProgressSet.has(id)
-          ? await openTask({ busRoot, agentName, taskId: id, markSeen: false })
-          : await claimTask({ busRoot, agentName, taskId: id });
+        if (inProgressSet.has(id)) {
+          opened = await openTask({ busRoot, agentName, taskId: id, markSeen: false });
+          await writeTaskLease({ busRoot, agentName, taskId: id });
+        } else {
+          opened = await claimTask({ busRoot, agentName, taskId: id });
+        }
       } catch (err) {
         writePane(`WARN: could not claim task ${id}: ${(err && err.message) || String(err)}\n`);
         continue;
@@ -1089,9 +1084,9 @@ async function main() {
     }
 
       if (once) break;
-      await sleep(pollMs);
     }
   } finally {
+    leaseHeartbeat.stop();
     await workerLock.release();
   }
 }
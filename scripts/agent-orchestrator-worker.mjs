@@ -23,7 +23,6 @@ import {
   resolveBusRoot,
   ensureBusRoot,
   listInboxTasks,
-  listInboxTaskIds,
   openTask,
   updateTask,
   closeTask,
@@ -32,14 +31,12 @@ import {
   pickAutopilotName,
   makeId,
   deliverTask,
+  watchInbox,
 } from './lib/agentbus.mjs';
-
-/**
- * Pauses execution for the requested number of milliseconds.
- */
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+import { listScheduledInboxTaskIds } from './lib/inbox-scheduler.mjs';
+import { nextScheduledRunMs, runScheduledDelivery, scheduledTasksRoot, schedulesDir } from './lib/task-schedule.mjs';
+import { pendingTasksRoot, releaseReadyPendingTasks } from './lib/task-dependencies.mjs';
+import { reapExpiredTaskLeases } from './lib/task-lease.mjs';
 
 /**
  * Returns whether truthy env.
@@ -162,6 +159,10 @@ function nextActionFor({ sourceKind, receipt, completedTaskKind }) {
     return 'Autopilot: review source links; dispatch fixes; post “Fixed in <sha>… please re-check”.';
   }
 
+  if (sourceKind === 'CI_FAILURE_ACTION_REQUIRED') {
+    return 'Autopilot: open the failing job logs; dispatch a fix on the PR branch; confirm the new head is green.';
+  }
+
   if (sourceKind !== 'TASK_COMPLETE') {
     return 'Autopilot: review and act.';
   }
@@ -238,7 +239,7 @@ async function findCoalescibleObserverDigestTaskId({
   rootId,
   sourceAgent,
 }) {
-  if (sourceKind !== 'REVIEW_ACTION_REQUIRED') return null;
+  if (sourceKind !== 'REVIEW_ACTION_REQUIRED' && sourceKind !== 'CI_FAILURE_ACTION_REQUIRED') return null;
   if (sourceAgent !== 'observer:pr') return null;
   const root = trimToOneLine(rootId);
   if (!root) return null;
@@ -462,6 +463,9 @@ async function forwardDigests({ busRoot, roster, fromAgent, srcMeta, receipt, di
   return { forwardedIds, errors };
 }
 
+// Longest sleep between ticks when nothing is scheduled sooner; bounds how late an expired lease is reaped.
+const ORCHESTRATOR_MAX_IDLE_MS = 30_000;
+
 /**
  * CLI entrypoint for this script.
  */
@@ -478,10 +482,58 @@ async function main() {
   const agentName = (values.agent?.trim() || roster.orchestratorName || 'daddy-orchestrator').trim();
   const pollMs = values['poll-ms'] ? Math.max(50, Number(values['poll-ms'])) : 400;
 
-  while (true) {
-    const idsNew = await listInboxTaskIds({ busRoot, agentName, state: 'new' });
-    const idsSeen = await listInboxTaskIds({ busRoot, agentName, state: 'seen' });
-    const ids = Array.from(new Set([...idsNew, ...idsSeen]));
+  // The ticks below run on every wake-up. Writes that can make them due (gated/delayed packets,
+  // schedules, receipts that settle dependencies) wake the loop through the watched dirs; otherwise
+  // it sleeps until the next `notBefore`/`nextRunAt`, at most ORCHESTRATOR_MAX_IDLE_MS (lease expiry).
+  const agentNames = Array.from(rosterInfo.agentNames).sort();
+  const extraDirs = [
+    schedulesDir(busRoot),
+    ...agentNames.flatMap((name) => [
+      path.join(pendingTasksRoot(busRoot), name),
+      path.join(scheduledTasksRoot(busRoot), name),
+      path.join(busRoot, 'receipts', name),
+    ]),
+  ];
+  let nextDueMs = null;
+  const idleMs = () =>
+    nextDueMs == null
+      ? ORCHESTRATOR_MAX_IDLE_MS
+      : Math.min(ORCHESTRATOR_MAX_IDLE_MS, Math.max(pollMs, nextDueMs - Date.now()));
+  const wakeups = watchInbox({ busRoot, agentName, states: ['new'], extraDirs, pollMs, idleMs });
+  for await (const _wake of wakeups) {
+    // The orchestrator is always running, so it also hosts the scheduled/recurring delivery,
+    // dependency-release and lease-reaper ticks.
+    try {
+      const { failed } = await runScheduledDelivery({ busRoot });
+      for (const f of failed) {
+        process.stderr.write(`WARN: recurring schedule ${f.scheduleId} failed (retry at ${f.nextRunAt}): ${f.error}\n`);
+      }
+    } catch (err) {
+      process.stderr.write(`WARN: orchestrator scheduled delivery failed: ${(err && err.message) || String(err)}\n`);
+    }
+    try {
+      nextDueMs = await nextScheduledRunMs({ busRoot });
+    } catch {
+      nextDueMs = null;
+    }
+    try {
+      await releaseReadyPendingTasks({ busRoot, roster });
+    } catch (err) {
+      process.stderr.write(`WARN: orchestrator dependency release failed: ${(err && err.message) || String(err)}\n`);
+    }
+    try {
+      const requeued = await reapExpiredTaskLeases({
+        busRoot,
+        agentNames,
+        reapedBy: agentName,
+      });
+      for (const r of requeued) {
+        process.stderr.write(`WARN: requeued ${r.agent}/${r.taskId} (${r.reason})\n`);
+      }
+    } catch (err) {
+      process.stderr.write(`WARN: orchestrator lease reaper failed: ${(err && err.message) || String(err)}\n`);
+    }
+    const ids = await listScheduledInboxTaskIds({ busRoot, agentName });
     for (const id of ids) {
       let opened = null;
       try {
@@ -577,7 +629,6 @@ async function main() {
     }
 
     if (values.once) break;
-    await sleep(pollMs);
   }
 }
 
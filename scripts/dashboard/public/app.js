@@ -4,10 +4,20 @@ const els = {
   autoRefreshToggle: document.getElementById('autoRefreshToggle'),
 
   statusTable: document.getElementById('statusTable'),
+  cooldownHint: document.getElementById('cooldownHint'),
+  agentControlHint: document.getElementById('agentControlHint'),
 
   agentSelect: document.getElementById('agentSelect'),
   stateSelect: document.getElementById('stateSelect'),
   taskList: document.getElementById('taskList'),
+  bulkForm: document.getElementById('bulkForm'),
+  bulkAll: document.getElementById('bulkAll'),
+  bulkAction: document.getElementById('bulkAction'),
+  bulkPriority: document.getElementById('bulkPriority'),
+  bulkToAgent: document.getElementById('bulkToAgent'),
+  bulkReason: document.getElementById('bulkReason'),
+  bulkApplyBtn: document.getElementById('bulkApplyBtn'),
+  bulkHint: document.getElementById('bulkHint'),
 
   taskEmpty: document.getElementById('taskEmpty'),
   taskDetail: document.getElementById('taskDetail'),
@@ -15,27 +25,95 @@ const els = {
   taskMeta: document.getElementById('taskMeta'),
   cancelTaskBtn: document.getElementById('cancelTaskBtn'),
   cancelHint: document.getElementById('cancelHint'),
+  taskTimelineBtn: document.getElementById('taskTimelineBtn'),
   taskMarkdown: document.getElementById('taskMarkdown'),
   updateText: document.getElementById('updateText'),
   sendUpdateBtn: document.getElementById('sendUpdateBtn'),
   updateHint: document.getElementById('updateHint'),
 
   sendForm: document.getElementById('sendForm'),
+  sendTemplate: document.getElementById('sendTemplate'),
+  sendPhase: document.getElementById('sendPhase'),
+  sendRootId: document.getElementById('sendRootId'),
   sendTo: document.getElementById('sendTo'),
   sendKind: document.getElementById('sendKind'),
   sendPriority: document.getElementById('sendPriority'),
   sendTitle: document.getElementById('sendTitle'),
   sendBody: document.getElementById('sendBody'),
+  sendGit: document.getElementById('sendGit'),
+  sendBaseBranch: document.getElementById('sendBaseBranch'),
+  sendBaseSha: document.getElementById('sendBaseSha'),
+  sendWorkBranch: document.getElementById('sendWorkBranch'),
+  sendIntegrationBranch: document.getElementById('sendIntegrationBranch'),
+  sendErrors: document.getElementById('sendErrors'),
+  sendPreview: document.getElementById('sendPreview'),
   sendHint: document.getElementById('sendHint'),
 
+  scheduled: document.getElementById('scheduled'),
+  deadletter: document.getElementById('deadletter'),
+  deadletterMarkdown: document.getElementById('deadletterMarkdown'),
+  deadletterHint: document.getElementById('deadletterHint'),
+  searchForm: document.getElementById('searchForm'),
+  searchText: document.getElementById('searchText'),
+  searchAgent: document.getElementById('searchAgent'),
+  searchState: document.getElementById('searchState'),
+  searchOutcome: document.getElementById('searchOutcome'),
+  searchKind: document.getElementById('searchKind'),
+  searchRootId: document.getElementById('searchRootId'),
+  searchCommitSha: document.getElementById('searchCommitSha'),
+  searchExtra: document.getElementById('searchExtra'),
+  searchSince: document.getElementById('searchSince'),
+  searchUntil: document.getElementById('searchUntil'),
+  searchHint: document.getElementById('searchHint'),
+  searchResults: document.getElementById('searchResults'),
+  searchMarkdown: document.getElementById('searchMarkdown'),
+  timelineForm: document.getElementById('timelineForm'),
+  timelineRootId: document.getElementById('timelineRootId'),
+  timelineSummary: document.getElementById('timelineSummary'),
+  timeline: document.getElementById('timeline'),
+  timelineExportFormat: document.getElementById('timelineExportFormat'),
+  timelineExportBtn: document.getElementById('timelineExportBtn'),
+  receiptsForm: document.getElementById('receiptsForm'),
+  receiptsAgent: document.getElementById('receiptsAgent'),
+  receiptsOutcome: document.getElementById('receiptsOutcome'),
+  receiptsReason: document.getElementById('receiptsReason'),
   receipts: document.getElementById('receipts'),
+  receiptsPrevBtn: document.getElementById('receiptsPrevBtn'),
+  receiptsNextBtn: document.getElementById('receiptsNextBtn'),
+  receiptsPage: document.getElementById('receiptsPage'),
+  receiptEmpty: document.getElementById('receiptEmpty'),
+  receiptDetail: document.getElementById('receiptDetail'),
+  receiptTitle: document.getElementById('receiptTitle'),
+  receiptMeta: document.getElementById('receiptMeta'),
+  receiptCards: document.getElementById('receiptCards'),
+  receiptCommit: document.getElementById('receiptCommit'),
+  receiptArtifact: document.getElementById('receiptArtifact'),
 };
 
 /** @type {any} */
 let snapshot = null;
-let selected = { agent: null, state: els.stateSelect.value, taskId: null };
+let selected = { agent: null, state: els.stateSelect.value, taskId: null, rootId: null };
 let refreshTimer = null;
 let lastAgentOptionsKey = null;
+/** @type {EventSource|null} */
+let liveEvents = null;
+let live = false;
+/** Task ids checked in the Inbox list for bulk actions (selected agent + state only). */
+const bulkSelection = new Set();
+let resyncTimer = null;
+let receiptsView = { offset: 0, total: 0, newestKey: undefined, selectedKey: null };
+let receiptsReloadTimer = null;
+/** @type {any} */
+let health = null;
+let lastHealthAt = 0;
+// From /api/session: the CSRF token mutating requests must echo, and whether POSTs are disabled.
+let session = { csrfToken: '', readOnly: false };
+
+const LIVE_STATES = ['new', 'seen', 'in_progress'];
+const RECEIPTS_PAGE = 25;
+const AGENT_ACTIONS = ['start', 'stop', 'restart'];
+// /api/agents/health reads locks and leases of every agent; poll it less often than the snapshot.
+const HEALTH_POLL_MS = 10_000;
 
 function setHint(el, { ok, text }) {
   el.textContent = text || '';
@@ -53,19 +131,57 @@ function safeJson(obj) {
 }
 
 async function apiJson(path, { method = 'GET', body = null } = {}) {
+  const headers = {};
+  if (body) headers['content-type'] = 'application/json';
+  if (method !== 'GET') headers['x-csrf-token'] = session.csrfToken;
   const res = await fetch(path, {
     method,
-    headers: body ? { 'content-type': 'application/json' } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
   });
   const data = await res.json().catch(() => null);
   if (!res.ok) {
-    const err = data && data.error ? data.error : `HTTP ${res.status}`;
-    throw new Error(err);
+    const err = new Error(data && data.error ? data.error : `HTTP ${res.status}`);
+    err.data = data;
+    throw err;
   }
   return data;
 }
 
+function healthCell(agent) {
+  const h = health && (health.agents || []).find((a) => a.agent === agent);
+  if (!h) return '<span class="hint">—</span>';
+  const task = (h.inProgress || [])[0];
+  const details = [
+    h.lock ? `pid ${h.lock.pid ?? '?'}${h.lock.alive ? '' : ' (dead)'}` : '',
+    task ? task.taskId : '',
+    h.heartbeatAgeMs != null ? `beat ${formatDuration(h.heartbeatAgeMs)} ago` : '',
+  ].filter(Boolean);
+  const tooltip = [
+    ...(h.problems || []),
+    h.sessionId ? `session ${h.sessionId}` : '',
+    h.threadId ? `thread ${h.threadId}` : '',
+  ].filter(Boolean);
+  return `
+    <span class="pill health health--${escapeHtml(h.status)}" title="${escapeHtml(tooltip.join('\n'))}">${escapeHtml(h.status)}</span>
+    <span class="hint">${escapeHtml(details.join(' · '))}</span>
+  `;
+}
+
+function renderCooldown() {
+  const c = health && health.cooldown;
+  if (!c || !c.active) {
+    setHint(els.cooldownHint, { ok: true, text: '' });
+    return;
+  }
+  const by = c.sourceAgent ? ` (from ${c.sourceAgent})` : '';
+  const reason = c.reason ? `: ${c.reason}` : '';
+  setHint(els.cooldownHint, {
+    ok: false,
+    text: `OpenAI cooldown active for ${formatDuration(c.remainingMs)}${by}${reason}`,
+  });
+}
+
 function renderStatus(summaryRows) {
   const rows = Array.isArray(summaryRows) ? summaryRows : [];
   const table = document.createElement('table');
@@ -73,6 +189,8 @@ function renderStatus(summaryRows) {
     <thead>
       <tr>
         <th>Agent</th>
+        <th>health</th>
+        <th class="mutating">control</th>
         <th>new</th>
         <th>seen</th>
         <th>in_progress</th>
@@ -88,16 +206,53 @@ function renderStatus(summaryRows) {
     const tr = document.createElement('tr');
     tr.innerHTML = `
       <td>${escapeHtml(r.agent || '')}${roleBadge}</td>
+      <td>${healthCell(r.agent || '')}</td>
+      <td class="mutating">${info ? AGENT_ACTIONS.map((a) => `<button class="btn btn--small" type="button" data-action="${a}">${a}</button>`).join(' ') : ''}</td>
       <td>${Number(r.new || 0)}</td>
       <td>${Number(r.seen || 0)}</td>
       <td>${Number(r.in_progress || 0)}</td>
       <td>${Number(r.processed || 0)}</td>
     `;
+    for (const btn of tr.querySelectorAll('button[data-action]')) {
+      btn.addEventListener('click', () => controlAgent(r.agent, btn.dataset.action));
+    }
     tbody.appendChild(tr);
   }
   table.appendChild(tbody);
   els.statusTable.innerHTML = '';
   els.statusTable.appendChild(table);
+  renderCooldown();
+}
+
+async function controlAgent(agent, action, confirm = false) {
+  setHint(els.agentControlHint, { ok: true, text: `${action} ${agent}…` });
+  try {
+    const res = await apiJson('/api/agents/control', { method: 'POST', body: { agent, action, confirm } });
+    setHint(els.agentControlHint, { ok: true, text: `${action} ${agent}: ok${res.forced ? ' (SIGTERM after grace period)' : ''}` });
+  } catch (err) {
+    const data = err.data || {};
+    if (data.reason === 'confirm_required' && !confirm) {
+      const tasks = (data.inProgress || []).join('\n');
+      if (window.confirm(`${agent} is working on:\n${tasks}\n\n${action} it anyway? The current turn is interrupted; a restarted worker resumes its in_progress tasks.`)) {
+        await controlAgent(agent, action, true);
+        return;
+      }
+      setHint(els.agentControlHint, { ok: true, text: `${action} ${agent}: canceled` });
+      return;
+    }
+    setHint(els.agentControlHint, { ok: false, text: err.message || String(err) });
+  }
+  loadHealth();
+}
+
+async function loadHealth() {
+  try {
+    health = await apiJson('/api/agents/health');
+  } catch {
+    health = null;
+  }
+  lastHealthAt = Date.now();
+  if (snapshot) renderStatus(snapshot.statusSummary);
 }
 
 function escapeHtml(s) {
@@ -146,9 +301,15 @@ function renderAgentOptions(agentNames) {
 
   const prevSendTo = new Set(getSelectedMulti(els.sendTo));
   const prevAgent = selected.agent;
+  const prevSearchAgent = els.searchAgent.value;
+  const prevReceiptsAgent = els.receiptsAgent.value;
+  const prevBulkToAgent = els.bulkToAgent.value;
 
   els.agentSelect.innerHTML = '';
+  els.bulkToAgent.innerHTML = '';
   els.sendTo.innerHTML = '';
+  els.searchAgent.innerHTML = '<option value="">any</option>';
+  els.receiptsAgent.innerHTML = '<option value="">any agent</option>';
 
   for (const name of sorted) {
     const opt = document.createElement('option');
@@ -161,7 +322,17 @@ function renderAgentOptions(agentNames) {
     opt2.textContent = agentDisplayLabel(name);
     opt2.selected = prevSendTo.has(name);
     els.sendTo.appendChild(opt2);
+
+    const opt3 = document.createElement('option');
+    opt3.value = name;
+    opt3.textContent = name;
+    els.searchAgent.appendChild(opt3);
+    els.receiptsAgent.appendChild(opt3.cloneNode(true));
+    els.bulkToAgent.appendChild(opt3.cloneNode(true));
   }
+  if (sorted.includes(prevBulkToAgent)) els.bulkToAgent.value = prevBulkToAgent;
+  els.searchAgent.value = sorted.includes(prevSearchAgent) ? prevSearchAgent : '';
+  els.receiptsAgent.value = sorted.includes(prevReceiptsAgent) ? prevReceiptsAgent : '';
 
   if (!prevAgent && sorted.length) selected.agent = sorted[0];
   else if (prevAgent && sorted.includes(prevAgent)) selected.agent = prevAgent;
@@ -179,6 +350,9 @@ function getTasksForSelected() {
 
 function renderTaskList() {
   const tasks = getTasksForSelected();
+  const present = new Set(tasks.map((t) => t.taskId));
+  for (const id of bulkSelection) if (!present.has(id)) bulkSelection.delete(id);
+  renderBulkState(tasks.length);
   els.taskList.innerHTML = '';
   if (!tasks.length) {
     const empty = document.createElement('div');
@@ -199,7 +373,7 @@ function renderTaskList() {
     item.className = 'list__item' + (selected.taskId === t.taskId ? ' list__item--active' : '');
     item.dataset.taskId = t.taskId;
     item.innerHTML = `
-      <div class="list__title">${escapeHtml(title)}</div>
+      <div class="list__title"><input class="list__check mutating" type="checkbox" ${bulkSelection.has(t.taskId) ? 'checked' : ''} />${escapeHtml(title)}</div>
       <div class="list__sub">
         <span class="pill">${escapeHtml(kind || '—')}</span>
         <span class="pill">${escapeHtml(pri || '—')}</span>
@@ -207,10 +381,77 @@ function renderTaskList() {
       </div>
     `;
     item.addEventListener('click', () => selectTask(t.taskId));
+    const check = item.querySelector('.list__check');
+    check.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (check.checked) bulkSelection.add(t.taskId);
+      else bulkSelection.delete(t.taskId);
+      renderBulkState(tasks.length);
+    });
     els.taskList.appendChild(item);
   }
 }
 
+function renderBulkState(total) {
+  els.bulkApplyBtn.textContent = `Apply to ${bulkSelection.size} selected`;
+  els.bulkApplyBtn.disabled = bulkSelection.size === 0;
+  els.bulkAll.checked = total > 0 && bulkSelection.size === total;
+  els.bulkPriority.classList.toggle('hidden', els.bulkAction.value !== 'reprioritize');
+  els.bulkToAgent.classList.toggle('hidden', els.bulkAction.value !== 'reassign');
+}
+
+function resetBulkSelection() {
+  bulkSelection.clear();
+  setHint(els.bulkHint, { ok: true, text: '' });
+}
+
+async function runBulkAction() {
+  const action = els.bulkAction.value;
+  const ids = Array.from(bulkSelection);
+  if (!ids.length) return;
+  const toAgent = els.bulkToAgent.value;
+  if (action === 'reassign' && toAgent === selected.agent) {
+    setHint(els.bulkHint, { ok: false, text: `Tasks are already assigned to ${toAgent}.` });
+    return;
+  }
+  const what =
+    action === 'reassign'
+      ? `Reassign ${ids.length} task(s) from ${selected.agent} to ${toAgent}?`
+      : action === 'reprioritize'
+        ? `Set priority ${els.bulkPriority.value} on ${ids.length} task(s)?`
+        : `Cancel ${ids.length} task(s) for ${selected.agent}?`;
+  const inProgress = selected.state === 'in_progress' && action !== 'reprioritize';
+  const warning = inProgress ? '\n\nThese are in_progress: make sure the worker is stopped or no longer running them.' : '';
+  if (!window.confirm(what + warning)) return;
+
+  setHint(els.bulkHint, { ok: true, text: 'Applying…' });
+  try {
+    const res = await apiJson('/api/task/bulk', {
+      method: 'POST',
+      body: {
+        action,
+        items: ids.map((id) => ({ agent: selected.agent, id })),
+        priority: els.bulkPriority.value,
+        toAgent,
+        reason: els.bulkReason.value,
+        force: inProgress,
+      },
+    });
+    const failed = res.results.filter((r) => !r.ok);
+    setHint(els.bulkHint, {
+      ok: failed.length === 0,
+      text:
+        `${action}: ${res.results.length - failed.length}/${res.results.length} ok` +
+        (failed.length ? ` • ${failed.map((r) => `${r.id}: ${r.error}`).join(' • ')}` : ''),
+    });
+    for (const r of res.results) if (r.ok) bulkSelection.delete(r.id);
+    els.bulkReason.value = '';
+    await refresh();
+  } catch (err) {
+    setHint(els.bulkHint, { ok: false, text: err.message || String(err) });
+  }
+}
+
 async function selectTask(taskId) {
   selected.taskId = taskId;
   renderTaskList();
@@ -224,6 +465,7 @@ async function selectTask(taskId) {
   try {
     const data = await apiJson(`/api/task/open?agent=${encodeURIComponent(selected.agent)}&id=${encodeURIComponent(taskId)}`);
     const meta = data.meta || {};
+    selected.rootId = (meta.signals && meta.signals.rootId) || taskId;
     els.taskTitle.textContent = meta.title || taskId;
     els.taskMeta.textContent = `state=${data.state} • priority=${meta.priority || '—'} • kind=${(meta.signals && meta.signals.kind) || '—'} • from=${meta.from || '—'}`;
     els.taskMarkdown.textContent = data.markdown || '';
@@ -232,50 +474,836 @@ async function selectTask(taskId) {
   }
 }
 
-function renderReceipts(receipts) {
+function receiptKey(r) {
+  return r ? `${r.agent}/${r.taskId}` : null;
+}
+
+function renderReceiptPage(page) {
+  receiptsView.total = page.total || 0;
   els.receipts.innerHTML = '';
-  const list = Array.isArray(receipts) ? receipts : [];
+  const list = Array.isArray(page.receipts) ? page.receipts : [];
   if (!list.length) {
     const empty = document.createElement('div');
     empty.className = 'hint';
-    empty.textContent = 'No receipts yet.';
+    empty.textContent = 'No receipts match.';
     els.receipts.appendChild(empty);
+  }
+
+  for (const r of list) {
+    const item = document.createElement('div');
+    const key = receiptKey(r);
+    item.className = 'list__item' + (receiptsView.selectedKey === key ? ' list__item--active' : '');
+    item.dataset.key = key;
+    item.innerHTML = `
+      <div class="list__title">${escapeHtml(r.title || r.taskId || '(untitled)')}</div>
+      <div class="list__sub">
+        <span class="pill">${escapeHtml(r.outcome || 'unknown')}</span>
+        <span>agent=${escapeHtml(r.agent)}</span>
+        ${r.kind ? `<span>kind=${escapeHtml(r.kind)}</span>` : ''}
+        <span>closedAt=${escapeHtml(r.closedAt || '')}</span>
+        ${r.reasonCodes && r.reasonCodes.length ? `<span>reason=${escapeHtml(r.reasonCodes.join(','))}</span>` : ''}
+      </div>
+    `;
+    item.addEventListener('click', () => selectReceipt(r));
+    els.receipts.appendChild(item);
+  }
+
+  const prevReason = els.receiptsReason.value;
+  const codes = Object.entries(page.reasonCodes || {}).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  els.receiptsReason.innerHTML = '<option value="">any reason code</option>';
+  for (const [code, count] of codes) {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.textContent = `${code} (${count})`;
+    els.receiptsReason.appendChild(opt);
+  }
+  els.receiptsReason.value = codes.some(([code]) => code === prevReason) ? prevReason : '';
+
+  const from = list.length ? receiptsView.offset + 1 : 0;
+  els.receiptsPage.textContent = `${from}–${receiptsView.offset + list.length} of ${receiptsView.total}`;
+  els.receiptsPrevBtn.disabled = receiptsView.offset === 0;
+  els.receiptsNextBtn.disabled = receiptsView.offset + list.length >= receiptsView.total;
+}
+
+async function loadReceipts() {
+  const params = new URLSearchParams({ offset: String(receiptsView.offset), limit: String(RECEIPTS_PAGE) });
+  if (els.receiptsAgent.value) params.set('agent', els.receiptsAgent.value);
+  if (els.receiptsOutcome.value) params.set('outcome', els.receiptsOutcome.value);
+  if (els.receiptsReason.value) params.set('reasonCode', els.receiptsReason.value);
+  try {
+    renderReceiptPage(await apiJson(`/api/receipts?${params.toString()}`));
+  } catch (err) {
+    els.receiptsPage.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+/**
+ * Reloads the first receipts page when a newer receipt shows up (snapshot poll or live close).
+ */
+function noteNewestReceipt(receipt) {
+  const key = receiptKey(receipt);
+  const first = receiptsView.newestKey === undefined;
+  if (key === receiptsView.newestKey) return;
+  receiptsView.newestKey = key;
+  if (first || receiptsView.offset !== 0 || receiptsReloadTimer) return;
+  receiptsReloadTimer = setTimeout(() => {
+    receiptsReloadTimer = null;
+    loadReceipts().catch(() => {});
+  }, 300);
+}
+
+function kvRows(pairs) {
+  const rows = pairs
+    .filter(([, v]) => v !== undefined && v !== null && v !== '' && !(Array.isArray(v) && !v.length))
+    .map(([k, v]) => {
+      const text = Array.isArray(v) ? v.join(', ') : typeof v === 'object' ? safeJson(v) : String(v);
+      return `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(text)}</dd>`;
+    });
+  return rows.length ? `<dl class="kv">${rows.join('')}</dl>` : '<div class="hint">No details recorded.</div>';
+}
+
+function jsonTree(value, label = '') {
+  if (value === null || typeof value !== 'object') {
+    return `<div class="tree__leaf">${label ? `<span class="tree__key">${escapeHtml(label)}:</span> ` : ''}${escapeHtml(JSON.stringify(value))}</div>`;
+  }
+  const entries = Array.isArray(value) ? value.map((v, i) => [String(i), v]) : Object.entries(value);
+  const summary = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+  return `
+    <details class="tree">
+      <summary>${label ? `<span class="tree__key">${escapeHtml(label)}</span> ` : ''}${summary}</summary>
+      ${entries.map(([k, v]) => jsonTree(v, k)).join('')}
+    </details>
+  `;
+}
+
+function receiptCard(title, bodyHtml) {
+  return `<div class="card"><div class="card__title">${escapeHtml(title)}</div>${bodyHtml}</div>`;
+}
+
+function gateStatus(gate) {
+  if (gate.status) return String(gate.status);
+  if (Array.isArray(gate.errors) && gate.errors.length) return 'failed';
+  if (gate.approved === true || gate.ok === true || gate.passed === true) return 'pass';
+  if (gate.required === false) return 'not required';
+  return '—';
+}
+
+function renderGateCard(runtimeGuard) {
+  const gates = Object.entries(runtimeGuard || {}).filter(([k, g]) => k !== 'opusDisposition' && g && typeof g === 'object');
+  if (!gates.length) return '';
+  const rows = gates.map(([name, g]) => {
+    const reason = g.reasonCode || g.reason || (Array.isArray(g.reasonCodes) ? g.reasonCodes.join(', ') : '');
+    const errors = Array.isArray(g.errors) ? g.errors : [];
+    return `
+      <div class="gate">
+        <div class="receipt__top">
+          <div class="receipt__title">${escapeHtml(name)}</div>
+          <div class="pill">${escapeHtml(gateStatus(g))}</div>
+        </div>
+        ${reason ? `<div class="receipt__meta"><span>reason=${escapeHtml(reason)}</span></div>` : ''}
+        ${errors.map((e) => `<div class="hint hint--err">${escapeHtml(typeof e === 'string' ? e : safeJson(e))}</div>`).join('')}
+        ${jsonTree(g, 'evidence')}
+      </div>
+    `;
+  });
+  return receiptCard('Gate results', rows.join(''));
+}
+
+function renderGitCard(git) {
+  if (!git || typeof git !== 'object') return '';
+  const preflight = Object.entries(git)
+    .filter(([k, v]) => k.startsWith('preflight') && v === true)
+    .map(([k]) => k.slice('preflight'.length).replace(/^./, (c) => c.toLowerCase()));
+  return receiptCard(
+    'Git evidence',
+    kvRows([
+      ['workdir', git.workdir],
+      ['branch', git.branch],
+      ['headSha', git.headSha],
+      ['dirty', git.isDirty == null ? null : String(git.isDirty)],
+      ['base', [git.baseBranch, git.baseSha].filter(Boolean).join(' @ ')],
+      ['workBranch', git.workBranch],
+      ['integrationBranch', git.integrationBranch],
+      ['preflight', preflight],
+      ['cleanArtifact', git.preflightCleanArtifactPath],
+    ]) + (git.staleWorkerReclaim ? jsonTree(git.staleWorkerReclaim, 'staleWorkerReclaim') : ''),
+  );
+}
+
+function renderQualityCard(qualityReview) {
+  if (!qualityReview || typeof qualityReview !== 'object') return '';
+  const checks = qualityReview.hardRuleChecks && typeof qualityReview.hardRuleChecks === 'object' ? qualityReview.hardRuleChecks : {};
+  return receiptCard(
+    'Quality review',
+    kvRows([
+      ['summary', qualityReview.summary],
+      ['legacyDebtWarnings', qualityReview.legacyDebtWarnings],
+      ...Object.entries(checks),
+    ]),
+  );
+}
+
+function parseOpusDispositions(note) {
+  const out = [];
+  for (const line of String(note || '').split('\n')) {
+    const m = /^(?:[-*]\s*)?Opus disposition\s+(OPUS-\d+)\s*:\s*(accept|reject|defer)(?:\s*-\s*(.+))?$/i.exec(line.trim());
+    if (m) out.push({ id: m[1].toUpperCase(), decision: m[2].toLowerCase(), rationale: m[3] || '' });
+  }
+  return out;
+}
+
+function renderOpusCard(extra, note) {
+  const disposition = (extra.runtimeGuard && extra.runtimeGuard.opusDisposition) || null;
+  const items = (extra.opusConsultAdvice && extra.opusConsultAdvice.preExec && extra.opusConsultAdvice.preExec.items) || [];
+  const decided = new Map(parseOpusDispositions(note).map((d) => [d.id, d]));
+  if (!disposition && !items.length && !extra.opusDecision && !extra.opusConsult) return '';
+  const rows = (Array.isArray(items) ? items : []).map((item) => {
+    const d = decided.get(String(item.id || '').toUpperCase());
+    return `
+      <div class="gate">
+        <div class="receipt__top">
+          <div class="receipt__title">${escapeHtml(item.id || '—')} · ${escapeHtml(item.category || '')}</div>
+          <div class="pill">${escapeHtml(d ? d.decision : 'no disposition')}</div>
+        </div>
+        <div class="hint">${escapeHtml(item.text || '')}</div>
+        ${d && d.rationale ? `<div class="receipt__meta"><span>${escapeHtml(d.rationale)}</span></div>` : ''}
+      </div>
+    `;
+  });
+  const summary = disposition
+    ? kvRows([
+        ['consultMode', disposition.consultMode],
+        ['advisoryOnly', String(Boolean(disposition.advisoryOnly))],
+        ['acknowledged', disposition.acknowledgedIds],
+        ['missing', disposition.missingIds],
+        ['rationale', disposition.rationale],
+        ['parseErrors', disposition.parseErrors],
+      ])
+    : '';
+  const rest = ['opusConsult', 'opusPostReview', 'opusDecision', 'opusConsultBarrier']
+    .filter((k) => extra[k] != null)
+    .map((k) => jsonTree(extra[k], k))
+    .join('');
+  return receiptCard('Opus dispositions', summary + rows.join('') + rest);
+}
+
+function renderArtifactCard(artifacts) {
+  if (!artifacts.length) return '';
+  const rows = artifacts.map(
+    (a, i) => `
+      <div class="receipt__meta">
+        <button class="btn" type="button" data-artifact="${i}" ${a.exists ? '' : 'disabled'}>View</button>
+        <span>${escapeHtml(a.path)}</span>
+        <span>${escapeHtml(a.base === 'bus' ? 'bus' : 'worker checkout')}</span>
+        <span>${escapeHtml(a.key)}</span>
+        ${a.exists ? '' : '<span>missing</span>'}
+      </div>
+    `,
+  );
+  return receiptCard('Artifacts', rows.join(''));
+}
+
+function renderCommitCard(r) {
+  if (!r.commitSha) return '';
+  return receiptCard(
+    'Commit',
+    `<div class="receipt__meta"><button class="btn" type="button" data-commit="1">Show diff</button><span>${escapeHtml(r.commitSha)}</span></div>`,
+  );
+}
+
+function diffLineClass(line) {
+  if (line.startsWith('diff --git ')) return 'diff__file';
+  if (line.startsWith('@@')) return 'diff__hunk';
+  if (line.startsWith('+') && !line.startsWith('+++')) return 'diff__add';
+  if (line.startsWith('-') && !line.startsWith('---')) return 'diff__del';
+  return '';
+}
+
+function renderCommitDiff(data) {
+  const c = data.commit;
+  if (!c) {
+    const why = data.reason === 'commit_not_found' ? 'not found in the worker or project checkout' : 'no commitSha on this receipt';
+    return receiptCard('Commit', `<div class="hint hint--err">${escapeHtml(data.commitSha || '—')}: ${escapeHtml(why)}</div>`);
+  }
+  const stat = c.files
+    .map(
+      (f) => `
+        <tr>
+          <td>${escapeHtml(f.path)}</td>
+          <td class="diff__add">${f.binary ? 'bin' : `+${f.added}`}</td>
+          <td class="diff__del">${f.binary ? '' : `-${f.deleted}`}</td>
+        </tr>
+      `,
+    )
+    .join('');
+  const lines = c.diff
+    .split('\n')
+    .map((line) => {
+      const cls = diffLineClass(line);
+      return cls ? `<span class="${cls}">${escapeHtml(line)}</span>` : escapeHtml(line);
+    })
+    .join('\n');
+  return [
+    receiptCard(
+      'Commit',
+      kvRows([
+        ['sha', c.sha],
+        ['subject', c.subject],
+        ['author', `${c.author} <${c.authorEmail}>`],
+        ['authoredAt', c.authoredAt],
+        ['parents', c.parents],
+        ['checkout', `${c.cwd} (${c.cwdSource === 'receipt' ? 'worker' : 'project'})`],
+      ]),
+    ),
+    receiptCard(
+      `Diffstat · ${c.totals.files} files, +${c.totals.added} -${c.totals.deleted}`,
+      `<table class="diffstat">${stat}</table>`,
+    ),
+    receiptCard(
+      c.diffTruncated ? 'Diff (truncated at 1 MiB)' : 'Diff',
+      `<pre class="detail__markdown diff">${lines}</pre>`,
+    ),
+  ].join('');
+}
+
+async function openReceiptCommit(r) {
+  els.receiptCommit.classList.remove('hidden');
+  els.receiptCommit.innerHTML = '<div class="hint">Loading…</div>';
+  try {
+    els.receiptCommit.innerHTML = renderCommitDiff(
+      await apiJson(`/api/receipt/commit?agent=${encodeURIComponent(r.agent)}&id=${encodeURIComponent(r.taskId)}`),
+    );
+  } catch (err) {
+    els.receiptCommit.innerHTML = `<div class="hint hint--err">${escapeHtml(err.message || String(err))}</div>`;
+  }
+}
+
+const RECEIPT_EXTRA_CARDED = new Set([
+  'runtimeGuard',
+  'git',
+  'qualityReview',
+  'reasonCode',
+  'opusConsult',
+  'opusPostReview',
+  'opusDecision',
+  'opusConsultAdvice',
+  'opusConsultBarrier',
+]);
+
+function renderReceiptDetail(data) {
+  const r = data.receipt || {};
+  const extra = r.receiptExtra && typeof r.receiptExtra === 'object' ? r.receiptExtra : {};
+  const artifacts = Array.isArray(data.artifacts) ? data.artifacts : [];
+  els.receiptTitle.textContent = (r.task && r.task.title) || r.taskId || '(untitled)';
+  els.receiptMeta.textContent =
+    `outcome=${r.outcome || '—'} • agent=${r.agent || '—'} • taskId=${r.taskId || '—'} • closedAt=${r.closedAt || '—'}` +
+    `${r.commitSha ? ` • commit=${r.commitSha}` : ''}${extra.reasonCode ? ` • reason=${extra.reasonCode}` : ''}`;
+
+  const unknown = Object.fromEntries(Object.entries(extra).filter(([k]) => !RECEIPT_EXTRA_CARDED.has(k)));
+  els.receiptCards.innerHTML = [
+    r.note ? receiptCard('Note', `<pre class="detail__markdown">${escapeHtml(r.note)}</pre>`) : '',
+    renderCommitCard(r),
+    renderGateCard(extra.runtimeGuard),
+    renderQualityCard(extra.qualityReview),
+    renderGitCard(extra.git),
+    renderOpusCard(extra, r.note),
+    renderArtifactCard(artifacts),
+    Object.keys(unknown).length ? receiptCard('Other receiptExtra', jsonTree(unknown, 'receiptExtra')) : '',
+  ].join('');
+
+  for (const btn of els.receiptCards.querySelectorAll('button[data-artifact]')) {
+    btn.addEventListener('click', () => openReceiptArtifact(r, artifacts[Number(btn.dataset.artifact)]));
+  }
+  for (const btn of els.receiptCards.querySelectorAll('button[data-commit]')) {
+    btn.addEventListener('click', () => openReceiptCommit(r));
+  }
+}
+
+async function selectReceipt(r) {
+  receiptsView.selectedKey = receiptKey(r);
+  for (const item of els.receipts.querySelectorAll('.list__item')) {
+    item.classList.toggle('list__item--active', item.dataset.key === receiptsView.selectedKey);
+  }
+  els.receiptEmpty.classList.add('hidden');
+  els.receiptDetail.classList.remove('hidden');
+  els.receiptArtifact.classList.add('hidden');
+  els.receiptCommit.classList.add('hidden');
+  els.receiptCommit.innerHTML = '';
+  els.receiptCards.innerHTML = '<div class="hint">Loading…</div>';
+  try {
+    renderReceiptDetail(await apiJson(`/api/receipt?agent=${encodeURIComponent(r.agent)}&id=${encodeURIComponent(r.taskId)}`));
+  } catch (err) {
+    els.receiptCards.innerHTML = `<div class="hint hint--err">${escapeHtml(err.message || String(err))}</div>`;
+  }
+}
+
+async function openReceiptArtifact(r, artifact) {
+  if (!artifact) return;
+  els.receiptArtifact.classList.remove('hidden');
+  els.receiptArtifact.textContent = 'Loading…';
+  try {
+    const data = await apiJson(
+      `/api/receipt/artifact?agent=${encodeURIComponent(r.agent)}&id=${encodeURIComponent(r.taskId)}&path=${encodeURIComponent(artifact.path)}`,
+    );
+    els.receiptArtifact.textContent = `${data.path}${data.truncated ? ` (first ${data.text.length} of ${data.size} bytes)` : ''}\n\n${data.text}`;
+  } catch (err) {
+    els.receiptArtifact.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+function renderScheduled(items) {
+  els.scheduled.innerHTML = '';
+  const list = Array.isArray(items) ? items : [];
+  if (!list.length) {
+    const empty = document.createElement('div');
+    empty.className = 'hint';
+    empty.textContent = 'Nothing scheduled.';
+    els.scheduled.appendChild(empty);
+    return;
+  }
+
+  for (const item of list) {
+    const row = document.createElement('div');
+    row.className = 'receipt';
+    const when = item.runAt || '—';
+    const cron = item.cron ? `cron=${item.cron}${item.utc ? ' (UTC)' : ''}` : '';
+    row.innerHTML = `
+      <div class="receipt__top">
+        <div class="receipt__title">${escapeHtml(item.title || item.id || '(untitled)')}</div>
+        <div class="pill">${escapeHtml(item.type || '')}</div>
+      </div>
+      <div class="receipt__meta">
+        <span>runAt=${escapeHtml(when)}</span>
+        <span>to=${escapeHtml(item.agent || '')}</span>
+        <span>${escapeHtml(item.kind || '')} ${escapeHtml(item.priority || '')}</span>
+        ${cron ? `<span>${escapeHtml(cron)}</span>` : ''}
+        <span>id=${escapeHtml(item.id || '')}</span>
+      </div>
+    `;
+    els.scheduled.appendChild(row);
+  }
+}
+
+function renderDeadletter(items) {
+  els.deadletter.innerHTML = '';
+  const list = Array.isArray(items) ? items : [];
+  if (!list.length) {
+    const empty = document.createElement('div');
+    empty.className = 'hint';
+    empty.textContent = 'No quarantined packets.';
+    els.deadletter.appendChild(empty);
+    return;
+  }
+
+  for (const item of list) {
+    const report = item.report || {};
+    const row = document.createElement('div');
+    row.className = 'receipt';
+    row.innerHTML = `
+      <div class="receipt__top">
+        <div class="receipt__title">${escapeHtml(item.id || '')}</div>
+        <div class="pill">${escapeHtml(report.reason || 'unknown')}</div>
+      </div>
+      <div class="receipt__meta">
+        <span>agent=${escapeHtml(item.agent || '')}</span>
+        <span>quarantinedAt=${escapeHtml(report.quarantinedAt || '')}</span>
+        <span>retries=${escapeHtml(String(report.retries ?? 0))}</span>
+      </div>
+      <div class="hint">${escapeHtml(report.error || '')}</div>
+      <div class="detail__actions">
+        <button class="btn" type="button" data-action="show">Show</button>
+        <button class="btn btn--primary mutating" type="button" data-action="retry">Retry</button>
+        <button class="btn btn--danger mutating" type="button" data-action="purge">Purge</button>
+      </div>
+    `;
+    for (const btn of row.querySelectorAll('button[data-action]')) {
+      btn.addEventListener('click', () => deadletterAction(btn.dataset.action, item));
+    }
+    els.deadletter.appendChild(row);
+  }
+}
+
+async function deadletterAction(action, item) {
+  const target = { agent: item.agent, id: item.id };
+  try {
+    if (action === 'show') {
+      const data = await apiJson(`/api/deadletter/show?agent=${encodeURIComponent(item.agent)}&id=${encodeURIComponent(item.id)}`);
+      els.deadletterMarkdown.textContent = `${safeJson(data.report)}\n\n${data.markdown || ''}`;
+      els.deadletterMarkdown.classList.remove('hidden');
+      return;
+    }
+    if (action === 'purge' && !window.confirm(`Purge quarantined packet?\n\nagent=${item.agent}\nid=${item.id}`)) return;
+    setHint(els.deadletterHint, { ok: true, text: action === 'retry' ? 'Retrying…' : 'Purging…' });
+    const res = await apiJson(`/api/deadletter/${action}`, { method: 'POST', body: target });
+    setHint(els.deadletterHint, { ok: true, text: action === 'retry' ? `Redelivered: ${res.path}` : 'Purged.' });
+    els.deadletterMarkdown.classList.add('hidden');
+    await refresh();
+  } catch (err) {
+    setHint(els.deadletterHint, { ok: false, text: err.message || String(err) });
+    await refresh();
+  }
+}
+
+function renderSearchResults(found) {
+  els.searchResults.innerHTML = '';
+  const list = Array.isArray(found && found.results) ? found.results : [];
+  if (!list.length) {
+    const empty = document.createElement('div');
+    empty.className = 'hint';
+    empty.textContent = 'No matches.';
+    els.searchResults.appendChild(empty);
     return;
   }
 
   for (const r of list) {
-    const outcome = r.outcome || 'unknown';
-    const agent = r.agent || r.task?.to?.[0] || '';
-    const title = (r.task && r.task.title) || r.taskId || '(untitled)';
-    const note = r.note || '';
-    const top = document.createElement('div');
-    top.className = 'receipt';
-    top.innerHTML = `
+    const row = document.createElement('div');
+    row.className = 'receipt';
+    row.innerHTML = `
       <div class="receipt__top">
-        <div class="receipt__title">${escapeHtml(title)}</div>
-        <div class="pill">${escapeHtml(outcome)}</div>
+        <div class="receipt__title">${escapeHtml(r.title || r.taskId || '(untitled)')}</div>
+        <div class="pill">${escapeHtml(r.outcome || r.state || 'unknown')}</div>
       </div>
       <div class="receipt__meta">
-        <span>agent=${escapeHtml(agent)}</span>
+        <span>agent=${escapeHtml(r.agent || '')}</span>
         <span>taskId=${escapeHtml(r.taskId || '')}</span>
-        <span>closedAt=${escapeHtml(r.closedAt || '')}</span>
+        ${r.kind ? `<span>kind=${escapeHtml(r.kind)}</span>` : ''}
+        ${r.rootId ? `<span>rootId=${escapeHtml(r.rootId)}</span>` : ''}
+        ${r.commitSha ? `<span>commit=${escapeHtml(String(r.commitSha).slice(0, 12))}</span>` : ''}
+        <span>updated=${escapeHtml(r.updatedAt || '')}</span>
+      </div>
+      ${r.snippet ? `<div class="hint">${escapeHtml(r.snippet)}</div>` : ''}
+      <div class="detail__actions">
+        ${r.path ? '<button class="btn" type="button" data-action="open">Open</button>' : ''}
+        ${r.rootId ? '<button class="btn" type="button" data-action="timeline">Timeline</button>' : ''}
+      </div>
+    `;
+    for (const btn of row.querySelectorAll('button[data-action]')) {
+      btn.addEventListener('click', () => (btn.dataset.action === 'open' ? openSearchResult(r) : loadTimeline(r.rootId)));
+    }
+    els.searchResults.appendChild(row);
+  }
+  if (found.total > list.length) {
+    const more = document.createElement('div');
+    more.className = 'hint';
+    more.textContent = `Showing ${list.length} of ${found.total} matches.`;
+    els.searchResults.appendChild(more);
+  }
+}
+
+async function openSearchResult(r) {
+  try {
+    const data = await apiJson(`/api/task/open?agent=${encodeURIComponent(r.agent)}&id=${encodeURIComponent(r.taskId)}`);
+    els.searchMarkdown.textContent = data.markdown || '';
+  } catch (err) {
+    els.searchMarkdown.textContent = `Error: ${err.message || String(err)}`;
+  }
+  els.searchMarkdown.classList.remove('hidden');
+}
+
+async function runSearch() {
+  const params = new URLSearchParams();
+  const fields = {
+    q: els.searchText,
+    agent: els.searchAgent,
+    state: els.searchState,
+    outcome: els.searchOutcome,
+    kind: els.searchKind,
+    rootId: els.searchRootId,
+    commitSha: els.searchCommitSha,
+    since: els.searchSince,
+    until: els.searchUntil,
+  };
+  for (const [key, el] of Object.entries(fields)) {
+    if (el.value.trim()) params.set(key, el.value.trim());
+  }
+  for (const extra of els.searchExtra.value.split(',')) {
+    if (extra.trim()) params.append('extra', extra.trim());
+  }
+
+  setHint(els.searchHint, { ok: true, text: 'Searching…' });
+  els.searchMarkdown.classList.add('hidden');
+  try {
+    const found = await apiJson(`/api/search?${params.toString()}`);
+    setHint(els.searchHint, { ok: true, text: `${found.total} match${found.total === 1 ? '' : 'es'}` });
+    renderSearchResults(found);
+  } catch (err) {
+    setHint(els.searchHint, { ok: false, text: err.message || String(err) });
+  }
+}
+
+function formatDuration(ms) {
+  if (ms == null || !Number.isFinite(ms)) return '—';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${String(s % 60).padStart(2, '0')}s`;
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m`;
+}
+
+function renderTimeline(data) {
+  els.timeline.innerHTML = '';
+  const nodes = new Map((data.nodes || []).map((n) => [n.key, n]));
+  const startMs = Date.parse(data.startedAt || '') || null;
+  const outcomes = Object.entries((data.counts && data.counts.outcomes) || {})
+    .map(([k, v]) => `${k}=${v}`)
+    .join(' ');
+  els.timelineSummary.textContent =
+    `rootId=${data.rootId} • ${nodes.size} packets • open=${(data.counts && data.counts.open) || 0}` +
+    `${outcomes ? ` • ${outcomes}` : ''} • started=${data.startedAt || '—'} • ` +
+    `${data.endedAt ? `took=${formatDuration(data.durationMs)}` : 'in flight'}` +
+    `${data.commits && data.commits.length ? ` • commits=${data.commits.map((c) => c.slice(0, 10)).join(',')}` : ''}`;
+
+  const renderNode = (key, depth, seen) => {
+    const n = nodes.get(key);
+    if (!n || seen.has(key)) return;
+    seen.add(key);
+    const offset = startMs && n.deliveredAt ? `+${formatDuration(Date.parse(n.deliveredAt) - startMs)}` : '';
+    const row = document.createElement('div');
+    row.className = 'receipt timeline__row';
+    row.style.setProperty('--depth', String(depth));
+    row.innerHTML = `
+      <div class="receipt__top">
+        <div class="receipt__title">${escapeHtml(n.kind || '—')} · ${escapeHtml(n.title || n.taskId)}</div>
+        <div class="pill">${escapeHtml(n.outcome || n.state || 'open')}</div>
+      </div>
+      <div class="receipt__meta">
+        <span>agent=${escapeHtml(n.agent)}</span>
+        <span>from=${escapeHtml(n.from || '—')}</span>
+        ${offset ? `<span>${escapeHtml(offset)}</span>` : ''}
+        <span>queued=${escapeHtml(formatDuration(n.durations && n.durations.queuedMs))}</span>
+        <span>took=${escapeHtml(formatDuration(n.durations && n.durations.totalMs))}</span>
+        ${n.commitSha ? `<span>commit=${escapeHtml(String(n.commitSha).slice(0, 12))}</span>` : ''}
+        ${n.children.length ? `<span>fan-out=${n.children.length}</span>` : ''}
+        <span>id=${escapeHtml(n.taskId)}</span>
       </div>
-      <div class="hint">${escapeHtml(note)}</div>
+      ${n.note ? `<div class="hint">${escapeHtml(n.note)}</div>` : ''}
     `;
-    els.receipts.appendChild(top);
+    els.timeline.appendChild(row);
+    for (const child of n.children) renderNode(child, depth + 1, seen);
+  };
+  const seen = new Set();
+  for (const key of data.roots || []) renderNode(key, 0, seen);
+}
+
+async function loadTimeline(rootId) {
+  const id = String(rootId || '').trim();
+  if (!id) return;
+  els.timelineRootId.value = id;
+  els.timeline.innerHTML = '';
+  els.timelineSummary.textContent = 'Loading…';
+  try {
+    renderTimeline(await apiJson(`/api/root/${encodeURIComponent(id)}`));
+  } catch (err) {
+    els.timelineSummary.textContent = `Error: ${err.message || String(err)}`;
+  }
+}
+
+async function exportTimeline() {
+  const id = String(els.timelineRootId.value || '').trim();
+  if (!id) {
+    els.timelineSummary.textContent = 'Enter a rootId to export.';
+    return;
+  }
+  const format = els.timelineExportFormat.value || 'md';
+  try {
+    const res = await fetch(`/api/root/${encodeURIComponent(id)}/export?format=${encodeURIComponent(format)}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      throw new Error(data && data.error ? data.error : `HTTP ${res.status}`);
+    }
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `root-${id}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (err) {
+    els.timelineSummary.textContent = `Export failed: ${err.message || String(err)}`;
+  }
+}
+
+function renderMetaLine() {
+  if (!snapshot) return;
+  const roster = snapshot.roster || {};
+  els.metaLine.textContent = `session=${roster.sessionName || '—'} • bus=${snapshot.busRoot || '—'} • roster=${snapshot.rosterPath || '—'} • updated=${snapshot.nowIso || ''} • ${live ? 'live' : 'polling'}${session.readOnly ? ' • read-only' : ''}`;
+}
+
+async function loadSession() {
+  try {
+    session = await apiJson('/api/session');
+  } catch (err) {
+    els.metaLine.textContent = `Error: ${err.message || String(err)}`;
+  }
+  document.body.classList.toggle('read-only', Boolean(session.readOnly));
+}
+
+function bumpStatusCount(agent, state, delta) {
+  if (!state || !snapshot || !Array.isArray(snapshot.statusSummary)) return;
+  const row = snapshot.statusSummary.find((r) => r.agent === agent);
+  if (row && state in row) row[state] = Math.max(0, Number(row[state] || 0) + delta);
+}
+
+function scheduleResync() {
+  if (resyncTimer) return;
+  resyncTimer = setTimeout(() => {
+    resyncTimer = null;
+    refresh().catch(() => {});
+  }, 500);
+}
+
+function runAtOf(meta) {
+  const ms = Date.parse(meta?.signals?.notBefore ?? '');
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Keeps the delayed rows of the Scheduled panel in step with packets moving in and out of
+ * `scheduled/`. Returns whether the panel changed.
+ */
+function patchScheduled(ev) {
+  const items = (snapshot.scheduled ||= []);
+  const i = items.findIndex((it) => it.type === 'delayed' && it.agent === ev.agent && it.id === ev.taskId);
+  if (i === -1 && ev.state !== 'scheduled') return false;
+  if (i !== -1) items.splice(i, 1);
+  if (ev.state === 'scheduled') {
+    const meta = ev.meta || {};
+    items.push({
+      type: 'delayed',
+      id: ev.taskId,
+      agent: ev.agent,
+      title: meta.title ?? '',
+      kind: meta.signals?.kind ?? null,
+      priority: meta.priority ?? null,
+      runAt: runAtOf(meta),
+      cron: null,
+    });
+    items.sort((a, b) => String(a.runAt ?? '9999').localeCompare(String(b.runAt ?? '9999')));
+  }
+  return true;
+}
+
+/**
+ * Adds quarantined packets to the Deadletter panel and drops retried ones. Returns whether it changed.
+ */
+function patchDeadletter(ev) {
+  const items = (snapshot.deadletter ||= []);
+  if (ev.type === 'quarantined') {
+    items.unshift({
+      agent: ev.agent,
+      id: String(ev.path || '').split('/').pop().replace(/\.md$/, ''),
+      path: ev.path,
+      mtimeMs: Date.parse(ev.ts) || Date.now(),
+      report: { taskId: ev.taskId, reason: ev.reason, error: ev.error || '', quarantinedAt: ev.ts, retries: 0 },
+    });
+    return true;
+  }
+  if (ev.type !== 'retried') return false;
+  const i = items.findIndex((it) => it.path === ev.fromPath);
+  if (i === -1) return false;
+  items.splice(i, 1);
+  return true;
+}
+
+/**
+ * Patches the snapshot in place from one `/api/events` message (see dashboardPatchFromEvent).
+ */
+function applyBusEvent(ev) {
+  if (!snapshot || !ev || !(ev.seq > (snapshot.eventsSeq || 0))) return;
+  snapshot.eventsSeq = ev.seq;
+  snapshot.nowIso = ev.ts || snapshot.nowIso;
+
+  const box = (snapshot.inbox[ev.agent] ||= {});
+  let previous = null;
+  for (const state of LIVE_STATES) {
+    const list = (box[state] ||= []);
+    const i = list.findIndex((t) => t.taskId === ev.taskId);
+    if (i === -1) continue;
+    previous = list[i];
+    if (ev.state !== state || ev.type !== 'update') list.splice(i, 1);
+  }
+
+  if (ev.type === 'deliver') bumpStatusCount(ev.agent, ev.state, 1);
+  if (ev.fromState && ev.fromState !== ev.state) {
+    bumpStatusCount(ev.agent, ev.fromState, -1);
+    bumpStatusCount(ev.agent, ev.state, 1);
+  }
+
+  if (LIVE_STATES.includes(ev.state)) {
+    const task = {
+      taskId: ev.taskId,
+      path: ev.path,
+      mtimeMs: Date.parse(ev.ts) || Date.now(),
+      meta: ev.meta || (previous && previous.meta) || {},
+    };
+    const list = box[ev.state];
+    const i = list.findIndex((t) => t.taskId === ev.taskId);
+    if (i === -1) list.push(task);
+    else list[i] = task;
+    list.sort((a, b) => String(a.taskId).localeCompare(String(b.taskId)));
+  }
+
+  if (ev.type === 'close' && ev.receipt) {
+    const rest = (snapshot.recentReceipts || []).filter((r) => !(r.agent === ev.agent && r.taskId === ev.taskId));
+    snapshot.recentReceipts = [ev.receipt, ...rest].slice(0, RECEIPTS_PAGE);
+    noteNewestReceipt(ev.receipt);
   }
+  if (patchScheduled(ev)) renderScheduled(snapshot.scheduled);
+  if (patchDeadletter(ev)) renderDeadletter(snapshot.deadletter);
+  // A recurring slot advanced its schedule's nextRunAt, which only the schedule file knows.
+  if (ev.type === 'deliver' && ev.meta?.signals?.scheduleId) scheduleResync();
+
+  renderMetaLine();
+  renderStatus(snapshot.statusSummary);
+  renderTaskList();
+  if (ev.type === 'update' && selected.agent === ev.agent && selected.taskId === ev.taskId) {
+    selectTask(ev.taskId).catch(() => {});
+  }
+}
+
+function connectLiveEvents() {
+  if (liveEvents || !snapshot || typeof EventSource === 'undefined') return;
+  liveEvents = new EventSource(`/api/events?since=${encodeURIComponent(snapshot.eventsSeq || 0)}`);
+  liveEvents.addEventListener('open', () => {
+    live = true;
+    renderMetaLine();
+  });
+  liveEvents.addEventListener('error', () => {
+    // EventSource retries on its own (resuming from Last-Event-ID); poll until it is back.
+    live = false;
+    renderMetaLine();
+  });
+  liveEvents.addEventListener('bus', (e) => {
+    try {
+      applyBusEvent(JSON.parse(e.data));
+    } catch {
+      scheduleResync();
+    }
+  });
+}
+
+function disconnectLiveEvents() {
+  if (liveEvents) liveEvents.close();
+  liveEvents = null;
+  live = false;
+  renderMetaLine();
 }
 
 async function refresh() {
   try {
     snapshot = await apiJson('/api/snapshot');
     const roster = snapshot.roster || {};
-    els.metaLine.textContent = `session=${roster.sessionName || '—'} • bus=${snapshot.busRoot || '—'} • roster=${snapshot.rosterPath || '—'} • updated=${snapshot.nowIso || ''}`;
+    renderMetaLine();
 
     renderAgentOptions(roster.agents || []);
     renderStatus(snapshot.statusSummary);
     renderTaskList();
-    renderReceipts(snapshot.recentReceipts);
+    renderScheduled(snapshot.scheduled);
+    renderDeadletter(snapshot.deadletter);
+    noteNewestReceipt((snapshot.recentReceipts || [])[0]);
+    loadHealth();
+    if (els.autoRefreshToggle.checked) connectLiveEvents();
   } catch (err) {
     els.metaLine.textContent = `Error: ${err.message || String(err)}`;
   }
@@ -287,11 +1315,104 @@ function getSelectedMulti(selectEl) {
   return out;
 }
 
+// Task templates (TASK_TEMPLATES.json). With a template selected the form previews the exact packet
+// via /api/task/compose and sends it with the previewed id.
+const GIT_INPUTS = {
+  baseBranch: 'sendBaseBranch',
+  baseSha: 'sendBaseSha',
+  workBranch: 'sendWorkBranch',
+  integrationBranch: 'sendIntegrationBranch',
+};
+let taskTemplates = { templates: [], headSha: null };
+let composedId = null;
+let composeTimer = null;
+
+function currentTemplate() {
+  return taskTemplates.templates.find((t) => t.name === els.sendTemplate.value) || null;
+}
+
+async function loadTaskTemplates() {
+  try {
+    taskTemplates = await apiJson('/api/task/templates');
+  } catch {
+    taskTemplates = { templates: [], headSha: null };
+  }
+  els.sendTemplate.innerHTML = '<option value="">(free form)</option>';
+  for (const t of taskTemplates.templates) {
+    const opt = document.createElement('option');
+    opt.value = t.name;
+    opt.textContent = t.name;
+    opt.title = t.description || '';
+    els.sendTemplate.appendChild(opt);
+  }
+}
+
+function applyTemplateDefaults() {
+  const t = currentTemplate();
+  composedId = null;
+  if (t) {
+    els.sendKind.value = (t.signals && t.signals.kind) || 'USER_REQUEST';
+    els.sendPriority.value = t.priority || 'P2';
+    els.sendPhase.value = (t.signals && t.signals.phase) || '';
+  }
+  els.sendGit.classList.toggle('hidden', !(t && t.git));
+  for (const [key, id] of Object.entries(GIT_INPUTS)) {
+    const fallback = t && t.git ? String(t.git[key] || '') : '';
+    els[id].value = key === 'baseSha' && fallback.includes('{{headSha}}') ? taskTemplates.headSha || '' : '';
+    els[id].placeholder = fallback.replace('{{headSha}}', 'current HEAD') || (key === 'baseSha' ? 'current HEAD' : '');
+  }
+  scheduleCompose();
+}
+
+function composerFields() {
+  const fields = {
+    id: composedId || '',
+    to: getSelectedMulti(els.sendTo),
+    kind: els.sendKind.value,
+    priority: els.sendPriority.value,
+    phase: els.sendPhase.value,
+    rootId: els.sendRootId.value,
+    title: els.sendTitle.value,
+    body: els.sendBody.value,
+  };
+  for (const [key, id] of Object.entries(GIT_INPUTS)) fields[key] = els[id].value;
+  return fields;
+}
+
+function scheduleCompose() {
+  if (composeTimer) clearTimeout(composeTimer);
+  composeTimer = setTimeout(composePreview, 300);
+}
+
+async function composePreview() {
+  const t = currentTemplate();
+  if (!t) {
+    els.sendPreview.classList.add('hidden');
+    els.sendErrors.classList.add('hidden');
+    return null;
+  }
+  try {
+    const res = await apiJson('/api/task/compose', { method: 'POST', body: { template: t.name, fields: composerFields() } });
+    composedId = res.meta.id;
+    els.sendPreview.textContent = res.markdown;
+    els.sendPreview.classList.remove('hidden');
+    const problems = [...res.errors, ...(res.suspiciousHits || []).map((h) => `suspicious pattern: ${h}`)];
+    els.sendErrors.textContent = problems.join(' · ');
+    els.sendErrors.classList.toggle('hidden', problems.length === 0);
+    return res;
+  } catch (err) {
+    els.sendErrors.textContent = err.message || String(err);
+    els.sendErrors.classList.remove('hidden');
+    return null;
+  }
+}
+
 els.refreshBtn.addEventListener('click', () => refresh());
 
 els.agentSelect.addEventListener('change', () => {
   selected.agent = els.agentSelect.value;
   selected.taskId = null;
+  resetBulkSelection();
   els.taskEmpty.classList.remove('hidden');
   els.taskDetail.classList.add('hidden');
   renderTaskList();
@@ -300,11 +1421,25 @@ els.agentSelect.addEventListener('change', () => {
 els.stateSelect.addEventListener('change', () => {
   selected.state = els.stateSelect.value;
   selected.taskId = null;
+  resetBulkSelection();
   els.taskEmpty.classList.remove('hidden');
   els.taskDetail.classList.add('hidden');
   renderTaskList();
 });
 
+els.bulkAll.addEventListener('change', () => {
+  bulkSelection.clear();
+  if (els.bulkAll.checked) for (const t of getTasksForSelected()) bulkSelection.add(t.taskId);
+  renderTaskList();
+});
+
+els.bulkAction.addEventListener('change', () => renderBulkState(getTasksForSelected().length));
+
+els.bulkForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  runBulkAction();
+});
+
 els.sendUpdateBtn.addEventListener('click', async () => {
   if (!selected.agent || !selected.taskId) return;
   const append = els.updateText.value || '';
@@ -346,36 +1481,98 @@ els.cancelTaskBtn.addEventListener('click', async () => {
   }
 });
 
+els.sendTemplate.addEventListener('change', applyTemplateDefaults);
+els.sendForm.addEventListener('input', (e) => {
+  if (e.target !== els.sendTemplate) scheduleCompose();
+});
+
 els.sendForm.addEventListener('submit', async (e) => {
   e.preventDefault();
+  const t = currentTemplate();
   const to = getSelectedMulti(els.sendTo);
   const kind = els.sendKind.value;
   const priority = els.sendPriority.value;
   const title = els.sendTitle.value;
   const body = els.sendBody.value;
+  const phase = els.sendPhase.value.trim() || null;
+  const rootId = els.sendRootId.value.trim();
 
   setHint(els.sendHint, { ok: true, text: 'Sending…' });
   try {
-    const res = await apiJson('/api/task/send', {
-      method: 'POST',
-      body: { to, kind, priority, title, body },
-    });
+    if (composeTimer) clearTimeout(composeTimer);
+    const res = t
+      ? await apiJson('/api/task/send', { method: 'POST', body: { template: t.name, fields: composerFields() } })
+      : await apiJson('/api/task/send', {
+          method: 'POST',
+          body: { to, kind, priority, title, body, phase, rootId },
+        });
     setHint(els.sendHint, { ok: true, text: `Sent: ${res.id}` });
+    composedId = null;
     els.sendTitle.value = '';
     els.sendBody.value = '';
+    els.sendRootId.value = '';
+    els.sendPreview.classList.add('hidden');
+    els.sendErrors.classList.add('hidden');
     await refresh();
   } catch (err) {
     setHint(els.sendHint, { ok: false, text: err.message || String(err) });
   }
 });
 
+els.timelineForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadTimeline(els.timelineRootId.value);
+});
+
+els.timelineExportBtn.addEventListener('click', () => {
+  exportTimeline();
+});
+
+els.taskTimelineBtn.addEventListener('click', () => {
+  if (selected.rootId) loadTimeline(selected.rootId);
+});
+
+els.searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  runSearch();
+});
+
+els.receiptsForm.addEventListener('change', () => {
+  receiptsView.offset = 0;
+  loadReceipts();
+});
+
+els.receiptsPrevBtn.addEventListener('click', () => {
+  receiptsView.offset = Math.max(0, receiptsView.offset - RECEIPTS_PAGE);
+  loadReceipts();
+});
+
+els.receiptsNextBtn.addEventListener('click', () => {
+  receiptsView.offset += RECEIPTS_PAGE;
+  loadReceipts();
+});
+
+els.autoRefreshToggle.addEventListener('change', () => {
+  if (!els.autoRefreshToggle.checked) {
+    disconnectLiveEvents();
+    return;
+  }
+  refresh().catch(() => {});
+});
+
 function startAutoRefresh() {
   if (refreshTimer) clearInterval(refreshTimer);
   refreshTimer = setInterval(() => {
     if (!els.autoRefreshToggle.checked) return;
+    if (Date.now() - lastHealthAt >= HEALTH_POLL_MS) loadHealth();
+    // While /api/events is connected the snapshot is patched from the journal instead.
+    if (live) return;
     refresh().catch(() => {});
   }, 2000);
 }
 
+await loadSession();
 startAutoRefresh();
 refresh();
+loadReceipts();
+loadTaskTemplates();
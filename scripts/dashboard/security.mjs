@@ -0,0 +1,140 @@
+/**
+ * Dashboard request guard: per-session bearer token, Host/Origin checks, CSRF and read-only mode.
+ *
+ * - Every request must carry the session token, either as `Authorization: Bearer <token>` (CLI,
+ *   scripts) or as the HttpOnly `agentic_dashboard_<port>` cookie, which the browser gets by opening
+ *   the `/?token=<token>` URL printed at startup once.
+ * - The token is fresh per server start (unless pinned via `AGENTIC_DASHBOARD_TOKEN`) and written to
+ *   `<busRoot>/state/dashboard.token` (mode 0600) so local tooling with bus access can find it.
+ * - `Host` must name an allowed host (loopback names + the listen host + `AGENTIC_DASHBOARD_ALLOWED_HOSTS`)
+ *   to stop DNS-rebinding pages from reading the API.
+ * - Mutating (non-GET) requests are refused in read-only mode, from a foreign `Origin`, and, when
+ *   authenticated by cookie, without the `x-csrf-token` the UI reads from `GET /api/session`.
+ */
+
+import crypto from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD']);
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+export function dashboardTokenPath(busRoot) {
+  return path.join(busRoot, 'state', 'dashboard.token');
+}
+
+export function isTruthyEnv(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  return raw === '1' || raw === 'true' || raw === 'yes';
+}
+
+/**
+ * Picks the session token (explicit, else `AGENTIC_DASHBOARD_TOKEN`, else random) and writes it to
+ * `state/dashboard.token`. Returns `{ token, tokenPath }`.
+ */
+export async function issueDashboardToken({ busRoot, token = null }) {
+  const chosen =
+    (token && String(token).trim()) ||
+    String(process.env.AGENTIC_DASHBOARD_TOKEN || '').trim() ||
+    crypto.randomBytes(24).toString('base64url');
+  const tokenPath = dashboardTokenPath(busRoot);
+  await fs.mkdir(path.dirname(tokenPath), { recursive: true });
+  const tmp = `${tokenPath}.tmp.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, chosen + '\n', { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(tmp, tokenPath);
+  return { token: chosen, tokenPath };
+}
+
+function sameSecret(a, b) {
+  const x = Buffer.from(String(a || ''), 'utf8');
+  const y = Buffer.from(String(b || ''), 'utf8');
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+function formatHost(host) {
+  const h = String(host || '').trim().toLowerCase();
+  return h.includes(':') && !h.startsWith('[') ? `[${h}]` : h;
+}
+
+/**
+ * `host:port` values accepted in the `Host` header. Wildcard listen hosts (0.0.0.0, ::) add nothing;
+ * reach those through an explicit `allowedHosts` entry.
+ */
+export function dashboardAllowedHosts({ listenHost, port, allowedHosts = [] }) {
+  const out = new Set();
+  const add = (h) => {
+    const v = formatHost(h);
+    if (!v) return;
+    out.add(/:\d+$/.test(v) ? v : `${v}:${port}`);
+  };
+  for (const h of LOOPBACK_HOSTS) add(h);
+  if (listenHost && listenHost !== '0.0.0.0' && listenHost !== '::') add(listenHost);
+  for (const h of allowedHosts) add(h);
+  return out;
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i !== -1 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return null;
+}
+
+/**
+ * Builds the guard for one server session. `check(req, url)` returns null when the request may
+ * proceed, or `{ status, error, headers }` describing the refusal (or the login redirect).
+ */
+export function createDashboardGuard({ token, port, listenHost, allowedHosts = [], readOnly = false }) {
+  const csrfToken = crypto.randomBytes(24).toString('base64url');
+  const cookieName = `agentic_dashboard_${port}`;
+  const hosts = dashboardAllowedHosts({ listenHost, port, allowedHosts });
+
+  const check = (req, url) => {
+    const host = String(req.headers.host || '').toLowerCase();
+    if (!hosts.has(host)) {
+      return { status: 403, error: `Host not allowed: ${host || '(none)'} (see AGENTIC_DASHBOARD_ALLOWED_HOSTS)` };
+    }
+
+    const queryToken = url.searchParams.get('token');
+    if (queryToken != null) {
+      if (!sameSecret(queryToken, token)) return { status: 401, error: 'Invalid dashboard token' };
+      url.searchParams.delete('token');
+      return {
+        status: 302,
+        headers: {
+          location: `${url.pathname}${url.search}`,
+          'set-cookie': `${cookieName}=${token}; HttpOnly; SameSite=Strict; Path=/`,
+        },
+      };
+    }
+
+    const authHeader = String(req.headers.authorization || '');
+    const bearer = authHeader.toLowerCase().startsWith('bearer ') ? authHeader.slice(7).trim() : null;
+    const via = sameSecret(bearer, token) ? 'bearer' : sameSecret(readCookie(req, cookieName), token) ? 'cookie' : null;
+    if (!via) {
+      return { status: 401, error: 'Unauthorized: open the dashboard URL printed at startup or send the bearer token' };
+    }
+
+    if (SAFE_METHODS.has(req.method)) return null;
+    if (readOnly) return { status: 403, error: 'Dashboard is read-only' };
+    const origin = req.headers.origin;
+    if (origin && origin !== 'null') {
+      let originHost = '';
+      try {
+        originHost = new URL(origin).host.toLowerCase();
+      } catch {
+        // unparseable Origin: refuse below
+      }
+      if (!hosts.has(originHost)) return { status: 403, error: `Cross-origin request refused: ${origin}` };
+    } else if (origin === 'null' || req.headers['sec-fetch-site'] === 'cross-site') {
+      return { status: 403, error: 'Cross-origin request refused' };
+    }
+    if (via === 'cookie' && !sameSecret(req.headers['x-csrf-token'], csrfToken)) {
+      return { status: 403, error: 'Missing or invalid CSRF token' };
+    }
+    return null;
+  };
+
+  return { csrfToken, cookieName, readOnly, hosts, check };
+}
@@ -4,6 +4,8 @@
  *
  * - Serves a small static UI
  * - Exposes a minimal JSON API for reading bus state and sending/updating tasks
+ * - Streams packet transitions from events.jsonl to the UI over SSE (`/api/events`)
+ * - Requires the per-session token on every request; see security.mjs for Host/Origin/CSRF checks
  *
  * Default: http://127.0.0.1:3210
  */
@@ -29,9 +31,31 @@ import {
   updateTask,
   closeTask,
   makeId,
+  isSafeId,
+  parseFrontmatter,
+  TASK_PRIORITIES,
 } from '../lib/agentbus.mjs';
+import { listUpcomingScheduledWork } from '../lib/task-schedule.mjs';
+import {
+  listDeadletterPackets,
+  purgeDeadletterPackets,
+  readDeadletterPacket,
+  retryDeadletterPacket,
+} from '../lib/deadletter.mjs';
+import { normalizeSearchFilters, searchBus } from '../lib/bus-search.mjs';
+import { readLastBusEventSeq, streamBusEvents } from '../lib/bus-events.mjs';
+import { buildRootTimeline } from '../lib/root-timeline.mjs';
+import { ROOT_EXPORT_FORMATS, buildRootExport, renderRootExport } from '../lib/root-export.mjs';
+import { listReceipts, readReceiptArtifact, readReceiptCommit, readReceiptDetail } from '../lib/receipt-browser.mjs';
+import { readAgentHealth } from '../lib/agent-health.mjs';
+import { AGENT_CONTROL_ACTIONS, controlAgent } from '../lib/agent-control.mjs';
+import { composeTask, loadTaskTemplates, readHeadSha } from '../lib/task-templates.mjs';
+import { BULK_TASK_ACTIONS, BULK_TASK_MAX, runBulkTaskAction } from '../lib/bulk-tasks.mjs';
+import { createDashboardGuard, isTruthyEnv, issueDashboardToken } from './security.mjs';
 
 export const DEFAULT_DASHBOARD_PORT = 3210;
+const EVENTS_POLL_MS = 500;
+const EVENTS_HEARTBEAT_MS = 15_000;
 
 export function parseDashboardPort(raw) {
   const parsed = Number(raw);
@@ -55,6 +79,12 @@ function writeText(res, statusCode, text, contentType = 'text/plain; charset=utf
   res.end(text);
 }
 
+const ROOT_EXPORT_CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
 async function readBodyJson(req) {
   const chunks = [];
   for await (const chunk of req) chunks.push(chunk);
@@ -160,6 +190,16 @@ function guessContentType(filePath) {
   return 'application/octet-stream';
 }
 
+function writeDenied(res, pathname, denied) {
+  if (denied.status === 302) {
+    res.writeHead(302, { ...denied.headers, 'cache-control': 'no-store' });
+    res.end();
+    return;
+  }
+  if (pathname.startsWith('/api/')) writeJson(res, denied.status, { ok: false, error: denied.error });
+  else writeText(res, denied.status, `${denied.error}\n`);
+}
+
 async function serveStatic({ reqPath, res, staticRoot }) {
   const rel = reqPath === '/' ? 'index.html' : reqPath.replace(/^\/+/, '');
   const safeRel = rel.replace(/\\/g, '/');
@@ -182,7 +222,65 @@ async function serveStatic({ reqPath, res, staticRoot }) {
   }
 }
 
+/**
+ * Slims a journal event into the patch the UI applies: where the packet is now (and was), its
+ * parsed meta instead of the full markdown, the receipt for closes and the reason for quarantines.
+ */
+export function dashboardPatchFromEvent(ev) {
+  const stateOf = (rel) => {
+    const parts = String(rel || '').split(/[\\/]/);
+    if (parts[0] === 'inbox' && parts.length === 4) return parts[2];
+    return ['pending', 'scheduled', 'deadletter'].includes(parts[0]) ? parts[0] : null;
+  };
+  let meta = null;
+  if (typeof ev.markdown === 'string') {
+    try {
+      meta = parseFrontmatter(ev.markdown).meta;
+    } catch {
+      // leave meta null; the UI keeps what it had
+    }
+  }
+  return {
+    seq: ev.seq,
+    ts: ev.ts,
+    type: ev.type,
+    agent: ev.agent,
+    taskId: ev.taskId,
+    kind: ev.kind ?? null,
+    rootId: ev.rootId ?? null,
+    state: stateOf(ev.to || ev.path),
+    fromState: ev.from ? stateOf(ev.from) : null,
+    path: ev.to || ev.path || null,
+    fromPath: ev.from ?? null,
+    meta,
+    outcome: ev.outcome ?? null,
+    receipt: ev.receipt ?? null,
+    reason: ev.reason ?? null,
+    error: ev.error ?? null,
+  };
+}
+
+/**
+ * Composes `{ template, fields }` against the project's TASK_TEMPLATES.json; null for an unknown template.
+ */
+async function composeTemplateTask({ body, roster, rosterPath, cockpitRoot, projectRoot }) {
+  const name = safeString(body.template || '', { maxLen: 100 });
+  const { templates } = await loadTaskTemplates({ rosterPath, cockpitRoot });
+  const template = templates.find((t) => t.name === name);
+  if (!template) return null;
+  const fields = body.fields && typeof body.fields === 'object' ? body.fields : {};
+  return composeTask({
+    template,
+    fields: { ...fields, body: safeString(fields.body || '', { maxLen: 200_000 }), smoke: Boolean(fields.smoke) },
+    headSha: readHeadSha(projectRoot),
+    agentNames: roster.agents.map((a) => a?.name).filter(Boolean),
+  });
+}
+
 async function buildSnapshot({ busRoot, roster, rosterPath }) {
+  // Read first: the UI resumes /api/events from here, and replaying a transition the snapshot
+  // already reflects is harmless.
+  const eventsSeq = await readLastBusEventSeq(busRoot);
   const uniqueAgents = rosterAgentNames(roster);
   const agentInfo = {};
   const rosterAgents = Array.isArray(roster?.agents) ? roster.agents : [];
@@ -217,9 +315,18 @@ async function buildSnapshot({ busRoot, roster, rosterPath }) {
   }
 
   const receipts = await recentReceipts({ busRoot, agentName: null, limit: 25 });
+  const scheduled = await listUpcomingScheduledWork({ busRoot, limit: 50 });
+  const deadletter = (await listDeadletterPackets({ busRoot, limit: 50 })).map((e) => ({
+    agent: e.agent,
+    id: e.id,
+    path: path.relative(busRoot, e.path),
+    mtimeMs: e.mtimeMs,
+    report: e.report,
+  }));
 
   return {
     nowIso: nowIso(),
+    eventsSeq,
     busRoot,
     rosterPath,
     roster: {
@@ -234,10 +341,21 @@ async function buildSnapshot({ busRoot, roster, rosterPath }) {
     statusSummary: summary,
     inbox,
     recentReceipts: receipts,
+    scheduled,
+    deadletter,
   };
 }
 
-export async function createDashboardServer({ host, port, busRoot, rosterPath } = {}) {
+export async function createDashboardServer({
+  host,
+  port,
+  busRoot,
+  rosterPath,
+  token = null,
+  readOnly = null,
+  allowedHosts = null,
+  tmuxBin = 'tmux',
+} = {}) {
   const repoRoot = getRepoRoot(process.cwd());
   const loaded = await loadRoster({ repoRoot, rosterPath: rosterPath || null });
   const roster = loaded.roster;
@@ -245,22 +363,85 @@ export async function createDashboardServer({ host, port, busRoot, rosterPath }
   const resolvedBusRoot = resolveBusRoot({ busRoot: busRoot || null, repoRoot });
 
   await ensureBusRoot(resolvedBusRoot, roster);
+  const issued = await issueDashboardToken({ busRoot: resolvedBusRoot, token });
+  const resolvedReadOnly = readOnly ?? isTruthyEnv(process.env.AGENTIC_DASHBOARD_READ_ONLY);
+  const resolvedAllowedHosts =
+    allowedHosts ??
+    String(process.env.AGENTIC_DASHBOARD_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((h) => h.trim())
+      .filter(Boolean);
+  // Built once the listen port is known; no request can arrive before that.
+  let guard = null;
 
   const serverDir = path.dirname(fileURLToPath(import.meta.url));
   const staticRoot = path.join(serverDir, 'public');
+  const cockpitRoot = path.resolve(serverDir, '..', '..');
+  const projectRoot = process.env.AGENTIC_PROJECT_ROOT?.trim() || repoRoot;
 
   const server = http.createServer(async (req, res) => {
     try {
       const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
       const pathname = url.pathname || '/';
 
+      const denied = guard.check(req, url);
+      if (denied) {
+        writeDenied(res, pathname, denied);
+        return;
+      }
+
       // API
+      if (pathname === '/api/session' && req.method === 'GET') {
+        writeJson(res, 200, { ok: true, csrfToken: guard.csrfToken, readOnly: guard.readOnly });
+        return;
+      }
+
       if (pathname === '/api/snapshot' && req.method === 'GET') {
         const snap = await buildSnapshot({ busRoot: resolvedBusRoot, roster, rosterPath: resolvedRosterPath });
         writeJson(res, 200, snap);
         return;
       }
 
+      if (pathname === '/api/events' && req.method === 'GET') {
+        // EventSource reconnects resend the last id it saw, which wins over the original ?since=.
+        const sinceRaw = String(req.headers['last-event-id'] ?? url.searchParams.get('since') ?? '').trim();
+        const sinceNum = Number(sinceRaw);
+        const since =
+          sinceRaw && Number.isInteger(sinceNum) && sinceNum >= 0 ? sinceNum : await readLastBusEventSeq(resolvedBusRoot);
+
+        res.writeHead(200, {
+          'content-type': 'text/event-stream; charset=utf-8',
+          'cache-control': 'no-store',
+          connection: 'keep-alive',
+        });
+        const send = (chunk) => {
+          if (!res.destroyed && !res.writableEnded) res.write(chunk);
+        };
+        res.on('error', () => {});
+        send(`retry: 2000\n: since ${since}\n\n`);
+
+        const controller = new AbortController();
+        const heartbeat = setInterval(() => send(': ping\n\n'), EVENTS_HEARTBEAT_MS);
+        res.on('close', () => controller.abort());
+        try {
+          for await (const ev of streamBusEvents({
+            busRoot: resolvedBusRoot,
+            since,
+            follow: true,
+            pollMs: EVENTS_POLL_MS,
+            signal: controller.signal,
+          })) {
+            send(`id: ${ev.seq}\nevent: bus\ndata: ${JSON.stringify(dashboardPatchFromEvent(ev))}\n\n`);
+          }
+        } catch (err) {
+          send(`event: error\ndata: ${JSON.stringify({ error: (err && err.message) || String(err) })}\n\n`);
+        } finally {
+          clearInterval(heartbeat);
+          res.end();
+        }
+        return;
+      }
+
       if (pathname === '/api/task/open' && req.method === 'GET') {
         const agentName = safeString(url.searchParams.get('agent') || '');
         const taskId = safeString(url.searchParams.get('id') || '');
@@ -282,6 +463,32 @@ export async function createDashboardServer({ host, port, busRoot, rosterPath }
         return;
       }
 
+      if (pathname === '/api/task/templates' && req.method === 'GET') {
+        const loadedTemplates = await loadTaskTemplates({ rosterPath: resolvedRosterPath, cockpitRoot });
+        writeJson(res, 200, {
+          ok: true,
+          path: loadedTemplates.path,
+          templates: loadedTemplates.templates,
+          headSha: readHeadSha(projectRoot),
+        });
+        return;
+      }
+
+      if (pathname === '/api/task/compose' && req.method === 'POST') {
+        const body = await readBodyJson(req);
+        if (!body || typeof body !== 'object') {
+          writeJson(res, 400, { ok: false, error: 'Missing JSON body' });
+          return;
+        }
+        const composed = await composeTemplateTask({ body, roster, rosterPath: resolvedRosterPath, cockpitRoot, projectRoot });
+        if (!composed) {
+          writeJson(res, 404, { ok: false, error: `Unknown template: ${safeString(body.template || '', { maxLen: 100 }) || '(none)'}` });
+          return;
+        }
+        writeJson(res, 200, { ok: true, ...composed });
+        return;
+      }
+
       if (pathname === '/api/task/send' && req.method === 'POST') {
         const body = await readBodyJson(req);
         if (!body || typeof body !== 'object') {
@@ -289,6 +496,28 @@ export async function createDashboardServer({ host, port, busRoot, rosterPath }
           return;
         }
 
+        if (body.template) {
+          // Same packet the composer previewed (the preview's id comes back in `fields.id`).
+          const composed = await composeTemplateTask({ body, roster, rosterPath: resolvedRosterPath, cockpitRoot, projectRoot });
+          if (!composed) {
+            writeJson(res, 404, { ok: false, error: `Unknown template: ${safeString(body.template, { maxLen: 100 })}` });
+            return;
+          }
+          if (composed.errors.length) {
+            writeJson(res, 400, { ok: false, error: composed.errors.join('; '), errors: composed.errors });
+            return;
+          }
+          const delivered = await deliverTask({ busRoot: resolvedBusRoot, meta: composed.meta, body: composed.body });
+          writeJson(res, 200, {
+            ok: true,
+            id: composed.meta.id,
+            paths: delivered.paths.map((p) => path.relative(resolvedBusRoot, p)),
+            suspiciousHits: delivered.suspiciousHits,
+            suspiciousPolicy: delivered.suspiciousPolicy,
+          });
+          return;
+        }
+
         const to = normalizeToArray(body.to);
         const from = safeString(body.from || 'daddy', { maxLen: 200 });
         const priority = safeString(body.priority || 'P2', { maxLen: 10 });
@@ -443,6 +672,255 @@ export async function createDashboardServer({ host, port, busRoot, rosterPath }
         return;
       }
 
+      if (pathname === '/api/task/bulk' && req.method === 'POST') {
+        const body = await readBodyJson(req);
+        if (!body || typeof body !== 'object') {
+          writeJson(res, 400, { ok: false, error: 'Missing JSON body' });
+          return;
+        }
+        const action = safeString(body.action || '', { maxLen: 50 });
+        const items = Array.isArray(body.items) ? body.items : [];
+        const priority = safeString(body.priority || '', { maxLen: 10 });
+        const toAgent = safeString(body.toAgent || '', { maxLen: 200 });
+        if (!BULK_TASK_ACTIONS.includes(action)) {
+          writeJson(res, 400, { ok: false, error: `action must be one of ${BULK_TASK_ACTIONS.join('|')}` });
+          return;
+        }
+        if (!items.length || items.length > BULK_TASK_MAX) {
+          writeJson(res, 400, { ok: false, error: `items must hold 1..${BULK_TASK_MAX} {agent, id} entries` });
+          return;
+        }
+        if (action === 'reprioritize' && !TASK_PRIORITIES.includes(priority)) {
+          writeJson(res, 400, { ok: false, error: `priority must be one of ${TASK_PRIORITIES.join('|')}` });
+          return;
+        }
+        if (action === 'reassign' && !roster.agents.some((a) => a?.name === toAgent)) {
+          writeJson(res, 404, { ok: false, error: `Unknown agent: ${toAgent || '(none)'}` });
+          return;
+        }
+        const results = await runBulkTaskAction({
+          busRoot: resolvedBusRoot,
+          roster,
+          action,
+          items: items.map((item) => ({
+            agent: safeString(item?.agent || '', { maxLen: 200 }),
+            id: safeString(item?.id || '', { maxLen: 300 }),
+          })),
+          priority,
+          toAgent,
+          reason: body.reason == null ? '' : safeString(body.reason, { maxLen: 2000 }),
+          by: safeString(body.by || 'dashboard', { maxLen: 200 }),
+          force: Boolean(body.force),
+        });
+        writeJson(res, 200, { ok: true, action, results });
+        return;
+      }
+
+      if (pathname === '/api/deadletter/show' && req.method === 'GET') {
+        const agentName = safeString(url.searchParams.get('agent') || '');
+        const id = safeString(url.searchParams.get('id') || '');
+        if (!agentName || !id) {
+          writeJson(res, 400, { ok: false, error: 'Missing agent or id' });
+          return;
+        }
+        const entry = await readDeadletterPacket({ busRoot: resolvedBusRoot, agentName, id });
+        writeJson(res, 200, {
+          ok: true,
+          agent: agentName,
+          id,
+          path: path.relative(resolvedBusRoot, entry.path),
+          report: entry.report,
+          markdown: entry.markdown,
+        });
+        return;
+      }
+
+      if ((pathname === '/api/deadletter/retry' || pathname === '/api/deadletter/purge') && req.method === 'POST') {
+        const body = await readBodyJson(req);
+        const agentName = safeString(body?.agent || body?.agentName || '', { maxLen: 200 });
+        const id = safeString(body?.id || '', { maxLen: 300 });
+        if (!agentName || !id) {
+          writeJson(res, 400, { ok: false, error: 'Missing agent or id' });
+          return;
+        }
+        if (pathname === '/api/deadletter/retry') {
+          const retried = await retryDeadletterPacket({ busRoot: resolvedBusRoot, agentName, id });
+          writeJson(res, 200, { ok: true, agent: agentName, id, path: path.relative(resolvedBusRoot, retried.path) });
+        } else {
+          const purged = await purgeDeadletterPackets({ busRoot: resolvedBusRoot, agentName, id });
+          writeJson(res, 200, { ok: true, agent: agentName, id, purged });
+        }
+        return;
+      }
+
+      if (pathname === '/api/search' && req.method === 'GET') {
+        const q = url.searchParams;
+        const filters = {
+          text: safeString(q.get('q') || '', { maxLen: 2000 }),
+          agent: safeString(q.get('agent') || ''),
+          state: safeString(q.get('state') || ''),
+          outcome: safeString(q.get('outcome') || ''),
+          kind: safeString(q.get('kind') || ''),
+          rootId: safeString(q.get('rootId') || ''),
+          since: safeString(q.get('since') || ''),
+          until: safeString(q.get('until') || ''),
+          commitSha: safeString(q.get('commitSha') || ''),
+          extra: q.getAll('extra').map((e) => safeString(e, { maxLen: 500 })),
+          limit: q.get('limit') || 50,
+        };
+        try {
+          normalizeSearchFilters(filters);
+        } catch (err) {
+          writeJson(res, 400, { ok: false, error: (err && err.message) || String(err) });
+          return;
+        }
+        // Parsed index shards stay cached in this process until their mtime/size moves.
+        const found = await searchBus({ busRoot: resolvedBusRoot, ...filters });
+        writeJson(res, 200, { ok: true, ...found });
+        return;
+      }
+
+      if (pathname === '/api/agents/health' && req.method === 'GET') {
+        const health = await readAgentHealth({ busRoot: resolvedBusRoot, roster });
+        writeJson(res, 200, { ok: true, ...health });
+        return;
+      }
+
+      if (pathname === '/api/agents/control' && req.method === 'POST') {
+        const body = await readBodyJson(req);
+        const agentName = safeString(body?.agent || body?.agentName || '', { maxLen: 200 });
+        const action = safeString(body?.action || '', { maxLen: 20 });
+        if (!agentName || !AGENT_CONTROL_ACTIONS.includes(action)) {
+          writeJson(res, 400, { ok: false, error: `Missing agent or action (${AGENT_CONTROL_ACTIONS.join('|')})` });
+          return;
+        }
+        if (!(roster?.agents || []).some((a) => a?.name === agentName)) {
+          writeJson(res, 404, { ok: false, error: `Unknown agent: ${agentName}` });
+          return;
+        }
+        const result = await controlAgent({
+          busRoot: resolvedBusRoot,
+          roster,
+          rosterPath: resolvedRosterPath,
+          agentName,
+          action,
+          confirm: body?.confirm === true,
+          actor: 'dashboard',
+          cockpitRoot,
+          projectRoot,
+          tmuxBin,
+        });
+        writeJson(res, result.ok ? 200 : 409, result);
+        return;
+      }
+
+      if (pathname === '/api/receipts' && req.method === 'GET') {
+        const q = url.searchParams;
+        const page = await listReceipts({
+          busRoot: resolvedBusRoot,
+          agent: safeString(q.get('agent') || ''),
+          outcome: safeString(q.get('outcome') || ''),
+          reasonCode: safeString(q.get('reasonCode') || ''),
+          offset: q.get('offset') || 0,
+          limit: q.get('limit') || 25,
+        });
+        writeJson(res, 200, { ok: true, ...page });
+        return;
+      }
+
+      if (
+        (pathname === '/api/receipt' || pathname === '/api/receipt/artifact' || pathname === '/api/receipt/commit') &&
+        req.method === 'GET'
+      ) {
+        const agentName = safeString(url.searchParams.get('agent') || '');
+        const id = safeString(url.searchParams.get('id') || '');
+        if (!isSafeId(agentName) || !isSafeId(id)) {
+          writeJson(res, 400, { ok: false, error: 'Missing or invalid agent or id' });
+          return;
+        }
+        if (pathname === '/api/receipt') {
+          const detail = await readReceiptDetail({ busRoot: resolvedBusRoot, agent: agentName, taskId: id });
+          if (!detail) {
+            writeJson(res, 404, { ok: false, error: `No receipt for ${agentName}/${id}` });
+            return;
+          }
+          writeJson(res, 200, { ok: true, agent: agentName, id, ...detail });
+          return;
+        }
+        if (pathname === '/api/receipt/commit') {
+          const found = await readReceiptCommit({
+            busRoot: resolvedBusRoot,
+            agent: agentName,
+            taskId: id,
+            fallbackCwds: [projectRoot],
+          });
+          if (!found) {
+            writeJson(res, 404, { ok: false, error: `No receipt for ${agentName}/${id}` });
+            return;
+          }
+          writeJson(res, 200, { ok: true, agent: agentName, id, ...found });
+          return;
+        }
+        const artifactPath = safeString(url.searchParams.get('path') || '', { maxLen: 1000 });
+        const artifact = await readReceiptArtifact({ busRoot: resolvedBusRoot, agent: agentName, taskId: id, artifactPath });
+        if (!artifact) {
+          writeJson(res, 404, { ok: false, error: `Receipt ${agentName}/${id} links no readable artifact ${artifactPath}` });
+          return;
+        }
+        writeJson(res, 200, { ok: true, ...artifact });
+        return;
+      }
+
+      if (pathname.startsWith('/api/root/') && pathname.endsWith('/export') && req.method === 'GET') {
+        let rootId = '';
+        try {
+          rootId = decodeURIComponent(pathname.slice('/api/root/'.length, -'/export'.length));
+        } catch {
+          // fall through to the isSafeId check
+        }
+        if (!isSafeId(rootId)) {
+          writeJson(res, 400, { ok: false, error: 'Invalid rootId' });
+          return;
+        }
+        const format = safeString(url.searchParams.get('format') || '') || 'md';
+        if (!ROOT_EXPORT_FORMATS.includes(format)) {
+          writeJson(res, 400, { ok: false, error: `format must be one of ${ROOT_EXPORT_FORMATS.join('|')}` });
+          return;
+        }
+        const report = await buildRootExport({ busRoot: resolvedBusRoot, rootId });
+        if (!report) {
+          writeJson(res, 404, { ok: false, error: `No packets or receipts with rootId ${rootId}` });
+          return;
+        }
+        res.writeHead(200, {
+          'content-type': ROOT_EXPORT_CONTENT_TYPES[format],
+          'content-disposition': `attachment; filename="root-${rootId}.${format}"`,
+          'cache-control': 'no-store',
+        });
+        res.end(renderRootExport(report, format));
+        return;
+      }
+
+      if (pathname.startsWith('/api/root/') && req.method === 'GET') {
+        let rootId = '';
+        try {
+          rootId = decodeURIComponent(pathname.slice('/api/root/'.length));
+        } catch {
+          // fall through to the isSafeId check
+        }
+        if (!isSafeId(rootId)) {
+          writeJson(res, 400, { ok: false, error: 'Invalid rootId' });
+          return;
+        }
+        const timeline = await buildRootTimeline({ busRoot: resolvedBusRoot, rootId });
+        if (!timeline) {
+          writeJson(res, 404, { ok: false, error: `No packets or receipts with rootId ${rootId}` });
+          return;
+        }
+        writeJson(res, 200, { ok: true, ...timeline });
+        return;
+      }
+
       if (pathname.startsWith('/api/') && req.method === 'GET') {
         writeJson(res, 404, { ok: false, error: 'Unknown API route' });
         return;
@@ -466,6 +944,13 @@ export async function createDashboardServer({ host, port, busRoot, rosterPath }
 
   const addr = server.address();
   const actualPort = typeof addr === 'object' && addr && typeof addr.port === 'number' ? addr.port : listenPort;
+  guard = createDashboardGuard({
+    token: issued.token,
+    port: actualPort,
+    listenHost,
+    allowedHosts: resolvedAllowedHosts,
+    readOnly: resolvedReadOnly,
+  });
 
   return {
     server,
@@ -473,6 +958,9 @@ export async function createDashboardServer({ host, port, busRoot, rosterPath }
     port: actualPort,
     busRoot: resolvedBusRoot,
     rosterPath: resolvedRosterPath,
+    token: issued.token,
+    tokenPath: issued.tokenPath,
+    readOnly: resolvedReadOnly,
   };
 }
 
@@ -484,6 +972,7 @@ async function main() {
       port: { type: 'string' },
       'bus-root': { type: 'string' },
       roster: { type: 'string' },
+      'read-only': { type: 'boolean' },
     },
   });
 
@@ -492,19 +981,22 @@ async function main() {
     port: values.port || null,
     busRoot: values['bus-root'] || null,
     rosterPath: values.roster || null,
+    readOnly: values['read-only'] ? true : null,
   });
 
   const baseUrl = `http://${started.host === '127.0.0.1' ? 'localhost' : started.host}:${started.port}`;
-  const autoOpenRaw = String(process.env.AGENTIC_DASHBOARD_AUTO_OPEN || '').trim().toLowerCase();
-  const autoOpen = autoOpenRaw === '1' || autoOpenRaw === 'true' || autoOpenRaw === 'yes';
+  const loginUrl = `${baseUrl}/?token=${encodeURIComponent(started.token)}`;
+  const autoOpen = isTruthyEnv(process.env.AGENTIC_DASHBOARD_AUTO_OPEN);
 
   process.stderr.write(
-    `Dashboard running: ${baseUrl}\n` +
+    `Dashboard running: ${loginUrl}\n` +
       `  busRoot: ${started.busRoot}\n` +
-      `  roster: ${started.rosterPath}\n`,
+      `  roster: ${started.rosterPath}\n` +
+      `  token: ${started.tokenPath}\n` +
+      (started.readOnly ? `  mode: read-only\n` : ''),
   );
 
-  if (autoOpen) openBrowserBestEffort(baseUrl);
+  if (autoOpen) openBrowserBestEffort(loginUrl);
 }
 
 if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
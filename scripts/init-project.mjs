@@ -116,6 +116,8 @@ async function main() {
     'ROSTER.json',
     'PROTOCOL.md',
     'TASK_TEMPLATE.md',
+    'TASK_TEMPLATES.json',
+    'TASK_PACKET.schema.json',
     'CODEX_WORKER_OUTPUT.schema.json',
     'OPUS_CONSULT_REQUEST.schema.json',
     'OPUS_CONSULT_RESPONSE.schema.json',
@@ -0,0 +1,278 @@
+/**
+ * Start/stop/restart one roster agent inside the cockpit tmux session (dashboard `/api/agents/control`).
+ *
+ * Launching mirrors `scripts/tmux/agents-up.sh`, so a restarted agent runs like a freshly started one:
+ *   - the agent's pane is found by title (`agents-up` titles worker panes with the agent name; the
+ *     cockpit window uses fixed titles for the chat, orchestrator and autopilot panes), or a window
+ *     named after the agent is opened when the pane is gone,
+ *   - the same `cd <workdir> && export ... && <startCommand>` line (AGENTIC_* and VALUA_* bus/roster
+ *     exports) is typed into the pane's shell, so the agent inherits the tmux session env set by
+ *     `tmux_set_session_env` (never the dashboard's own env) and codex workers put
+ *     `scripts/agentic/guard-bin` in front of that PATH themselves, exactly as at session start,
+ *   - `workdir` / `startCommand` resolve like `agent_workdir` / `agent_start_command`.
+ * Stopping sends Ctrl-C to the pane and falls back to SIGTERM on the worker-lock pid after a grace
+ * period. Stopping or restarting an agent with `in_progress` work needs `confirm: true`.
+ *
+ * Every executed action appends one line to `state/agent-control.jsonl`.
+ */
+
+import childProcess from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { resolveWorkerRuntimeWorkdir, validateCodexWorkerDedicatedWorkdir } from './agent-workdir.mjs';
+import { readAgentHealth } from './agent-health.mjs';
+import { isPidAlive } from './process-alive.mjs';
+
+const execFile = promisify(childProcess.execFile);
+
+export const AGENT_CONTROL_ACTIONS = ['start', 'stop', 'restart'];
+const DEFAULT_STOP_GRACE_MS = 10_000;
+const POLL_MS = 250;
+const TMUX_TIMEOUT_MS = 5000;
+const SHELLS = new Set(['bash', 'zsh', 'sh', 'fish', 'dash', 'ksh', 'tcsh', 'csh']);
+
+export function agentControlLogPath(busRoot) {
+  return path.join(busRoot, 'state', 'agent-control.jsonl');
+}
+
+function shellQuote(value) {
+  return `'${String(value).replaceAll("'", `'\\''`)}'`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function findRosterAgent(roster, agentName) {
+  return (Array.isArray(roster?.agents) ? roster.agents : []).find((a) => a && a.name === agentName) || null;
+}
+
+/**
+ * Pane titles `agents-up.sh` gives an agent: its name, plus the fixed cockpit-window title for the
+ * chat, orchestrator and autopilot.
+ */
+export function agentPaneTitles(roster, agentName) {
+  const fixed = {
+    [roster?.daddyChatName || 'daddy']: 'OPERATOR CHAT',
+    [roster?.orchestratorName || 'daddy-orchestrator']: 'ORCHESTRATOR',
+    [roster?.autopilotName || 'daddy-autopilot']: 'DADDY AUTOPILOT',
+  };
+  return fixed[agentName] ? [agentName, fixed[agentName]] : [agentName];
+}
+
+/**
+ * Resolves what `agents-up.sh` would run for `agentName`. Returns `{ agent, kind, session, workdir,
+ * command, line }` where `line` is the shell line typed into the pane. Throws on unknown agents, a
+ * missing `startCommand`, or a codex-worker without a dedicated worktree.
+ */
+export function resolveAgentLaunch({ roster, agentName, cockpitRoot, projectRoot, busRoot, rosterPath, worktreesDir }) {
+  const agent = findRosterAgent(roster, agentName);
+  if (!agent) throw new Error(`Unknown agent: ${agentName}`);
+  const kind = String(agent.kind || '');
+  let command = String(agent.startCommand || '').trim();
+  if (!command) throw new Error(`Agent ${agentName} has no startCommand`);
+
+  const workdirOptions = { repoRoot: projectRoot, worktreesDir, agenticWorktreesDir: worktreesDir, valuaWorktreesDir: worktreesDir };
+  let workdir;
+  if (kind === 'codex-worker') {
+    const validation = validateCodexWorkerDedicatedWorkdir({ agentName, rawWorkdir: agent.workdir, ...workdirOptions });
+    if (!validation.ok) {
+      throw new Error(`codex-worker '${agentName}' must declare a dedicated workdir under the worktrees root (${validation.reasonCode})`);
+    }
+    workdir = validation.resolvedWorkdir;
+  } else {
+    workdir = resolveWorkerRuntimeWorkdir(agent.workdir, workdirOptions);
+  }
+
+  // Same rewrites as agent_start_command: resolve the cockpit-root token and always run cockpit
+  // scripts from this cockpit checkout, never from a possibly stale agent worktree.
+  command = command.replaceAll('${COCKPIT_ROOT}', cockpitRoot).replaceAll('$COCKPIT_ROOT', cockpitRoot);
+  const local = /^(node|bash) scripts\/(\S+)(.*)$/s.exec(command);
+  if (local) command = `${local[1]} ${shellQuote(path.join(cockpitRoot, 'scripts', local[2]))}${local[3]}`;
+
+  const session = String(roster?.sessionName || 'agentic-cockpit');
+  const env = [
+    ['AGENTIC_PROJECT_ROOT', projectRoot],
+    ['AGENTIC_BUS_DIR', busRoot],
+    ['AGENTIC_ROSTER_PATH', rosterPath],
+    ['VALUA_REPO_ROOT', projectRoot],
+    ['VALUA_AGENT_BUS_DIR', busRoot],
+    ['VALUA_AGENT_ROSTER_PATH', rosterPath],
+  ];
+  if (kind === 'codex-chat') env.unshift(['COCKPIT_ROOT', cockpitRoot]);
+  if (agentName === (roster?.autopilotName || 'daddy-autopilot')) {
+    env.push(['AGENTIC_AUTOPILOT_INCLUDE_DEPLOY_JSON', '1'], ['VALUA_AUTOPILOT_INCLUDE_DEPLOY_JSON', '1']);
+  }
+  if (agentName === (roster?.orchestratorName || 'daddy-orchestrator')) {
+    command += ` --tmux-target ${shellQuote(`${session}:cockpit.0`)}`;
+  }
+  const line = [`cd ${shellQuote(workdir)}`, ...env.map(([k, v]) => `export ${k}=${shellQuote(v)}`), command].join(' && ');
+  return { agent: agentName, kind, session, workdir, command, line };
+}
+
+async function tmux(tmuxBin, args) {
+  const { stdout } = await execFile(tmuxBin, args, { encoding: 'utf8', timeout: TMUX_TIMEOUT_MS });
+  return String(stdout || '');
+}
+
+async function hasSession(tmuxBin, session) {
+  try {
+    await tmux(tmuxBin, ['has-session', '-t', session]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Finds the agent's pane in the session. Returns `{ paneId, window, title, pid, command, running }`
+ * or null; `running` is false when the pane sits at a shell prompt.
+ */
+export async function findAgentPane({ tmuxBin = 'tmux', session, titles }) {
+  let out = '';
+  try {
+    out = await tmux(tmuxBin, [
+      'list-panes',
+      '-s',
+      '-t',
+      session,
+      '-F',
+      '#{pane_id}\t#{window_name}\t#{pane_title}\t#{pane_pid}\t#{pane_current_command}',
+    ]);
+  } catch {
+    return null;
+  }
+  const panes = out
+    .split('\n')
+    .filter(Boolean)
+    .map((row) => {
+      const [paneId, window, title, pid, command] = row.split('\t');
+      return { paneId, window, title, pid: Number(pid) || null, command: command || '' };
+    });
+  for (const title of titles) {
+    const pane = panes.find((p) => p.title === title) || panes.find((p) => p.window === title);
+    if (pane) return { ...pane, running: !SHELLS.has(path.basename(pane.command).replace(/^-/, '')) };
+  }
+  return null;
+}
+
+async function appendControlLog(busRoot, entry) {
+  const logPath = agentControlLogPath(busRoot);
+  await fs.mkdir(path.dirname(logPath), { recursive: true });
+  await fs.appendFile(logPath, JSON.stringify(entry) + '\n', 'utf8');
+}
+
+async function stopAgent({ tmuxBin, launch, titles, lockPid, graceMs }) {
+  const pane = await findAgentPane({ tmuxBin, session: launch.session, titles });
+  if (pane?.running) await tmux(tmuxBin, ['send-keys', '-t', pane.paneId, 'C-c']);
+  const deadline = Date.now() + graceMs;
+  for (;;) {
+    const current = pane ? await findAgentPane({ tmuxBin, session: launch.session, titles }) : null;
+    if (!current?.running && !isPidAlive(lockPid)) return { paneId: pane?.paneId ?? null, forced: false };
+    if (Date.now() >= deadline) break;
+    await sleep(POLL_MS);
+  }
+  if (!isPidAlive(lockPid)) return { paneId: pane?.paneId ?? null, forced: false };
+  try {
+    process.kill(lockPid, 'SIGTERM');
+  } catch {
+    // exited meanwhile
+  }
+  // The replacement cannot take the worker lock until the old owner is gone.
+  const killDeadline = Date.now() + graceMs;
+  while (isPidAlive(lockPid) && Date.now() < killDeadline) await sleep(POLL_MS);
+  return { paneId: pane?.paneId ?? null, forced: true };
+}
+
+async function startAgent({ tmuxBin, launch, titles }) {
+  let pane = await findAgentPane({ tmuxBin, session: launch.session, titles });
+  if (!pane) {
+    // Same fallback agents-up uses when a split does not fit: the agent gets its own window.
+    await tmux(tmuxBin, ['new-window', '-d', '-t', launch.session, '-n', launch.agent, '-c', launch.workdir]);
+    await tmux(tmuxBin, ['select-pane', '-t', `${launch.session}:${launch.agent}.0`, '-T', launch.agent]);
+    pane = { paneId: `${launch.session}:${launch.agent}.0` };
+  }
+  await tmux(tmuxBin, ['send-keys', '-t', pane.paneId, launch.line, 'C-m']);
+  return { paneId: pane.paneId };
+}
+
+/**
+ * Runs `action` (start | stop | restart) for one agent. Returns `{ ok: true, ... }` on success or
+ * `{ ok: false, reason, error }` when refused: `invalid_launch` (see resolveAgentLaunch),
+ * `confirm_required` (in_progress work; `inProgress` lists it), `no_session`, `already_running`.
+ * tmux failures throw.
+ */
+export async function controlAgent({
+  busRoot,
+  roster,
+  rosterPath,
+  agentName,
+  action,
+  confirm = false,
+  actor = 'dashboard',
+  cockpitRoot,
+  projectRoot,
+  worktreesDir = process.env.AGENTIC_WORKTREES_DIR?.trim() ||
+    process.env.VALUA_AGENT_WORKTREES_DIR?.trim() ||
+    path.join(os.homedir(), '.agentic-cockpit', 'worktrees'),
+  tmuxBin = 'tmux',
+  stopGraceMs = DEFAULT_STOP_GRACE_MS,
+}) {
+  if (!AGENT_CONTROL_ACTIONS.includes(action)) throw new Error(`Unknown action: ${action}`);
+  let launch;
+  try {
+    launch = resolveAgentLaunch({ roster, agentName, cockpitRoot, projectRoot, busRoot, rosterPath, worktreesDir });
+  } catch (err) {
+    return { ok: false, reason: 'invalid_launch', error: (err && err.message) || String(err) };
+  }
+  const titles = agentPaneTitles(roster, agentName);
+  const health = (await readAgentHealth({ busRoot, roster })).agents.find((a) => a.agent === agentName);
+  const inProgress = (health?.inProgress || []).map((t) => t.taskId);
+  const lockPid = health?.lock?.alive ? health.lock.pid : null;
+
+  if (action !== 'start' && inProgress.length && !confirm) {
+    return {
+      ok: false,
+      reason: 'confirm_required',
+      error: `${agentName} holds in_progress work (${inProgress.join(', ')}); confirm to ${action} anyway`,
+      inProgress,
+    };
+  }
+  if (!(await hasSession(tmuxBin, launch.session))) {
+    return { ok: false, reason: 'no_session', error: `tmux session ${launch.session} is not running (start it with agents-up.sh)` };
+  }
+
+  const entry = {
+    at: new Date().toISOString(),
+    action,
+    agent: agentName,
+    actor,
+    confirmed: Boolean(confirm),
+    inProgress,
+    lockPid,
+    workdir: launch.workdir,
+    command: launch.command,
+  };
+  try {
+    let stopped = null;
+    if (action !== 'start') stopped = await stopAgent({ tmuxBin, launch, titles, lockPid, graceMs: stopGraceMs });
+    let started = null;
+    if (action !== 'stop') {
+      const pane = await findAgentPane({ tmuxBin, session: launch.session, titles });
+      if (pane?.running || (action === 'start' && isPidAlive(lockPid))) {
+        const error = `${agentName} is already running${pane?.running ? ` in pane ${pane.paneId}` : ` (pid ${lockPid})`}`;
+        await appendControlLog(busRoot, { ...entry, outcome: 'refused', error });
+        return { ok: false, reason: 'already_running', error };
+      }
+      started = await startAgent({ tmuxBin, launch, titles });
+    }
+    const result = { ...entry, outcome: 'ok', paneId: started?.paneId ?? stopped?.paneId ?? null, forced: stopped?.forced ?? false };
+    await appendControlLog(busRoot, result);
+    return { ok: true, ...result };
+  } catch (err) {
+    await appendControlLog(busRoot, { ...entry, outcome: 'error', error: (err && err.message) || String(err) });
+    throw err;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Agent process health for the dashboard (`/api/agents/health`).
+ *
+ * Per roster agent, from files the workers already maintain:
+ *   - `state/worker-locks/<agent>.lock.json`: the worker lock (`acquireAgentWorkerLock`) and whether
+ *     its pid is still alive,
+ *   - `inbox/<agent>/in_progress/<taskId>.lease.json`: claimed work and its last heartbeat,
+ *   - `state/<agent>.session-id` and `state/codex-task-sessions/<agent>/<taskId>.json`: the pinned
+ *     Codex session and the thread of the current task,
+ * plus the shared `readGlobalCooldown` state.
+ *
+ * Status, worst first: `dead` (lock or lease owner pid gone), `stuck` (a lease past its TTL while the
+ * owner lives), `busy`, `idle`, `stopped` (lock-holding kind without a lock), `unknown` (kinds that do
+ * not take a worker lock, e.g. the orchestrator or chat).
+ */
+
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseFrontmatter } from './agentbus.mjs';
+import { readGlobalCooldown } from './codex-limiter.mjs';
+import { isPidAlive } from './process-alive.mjs';
+import { inspectTaskLease } from './task-lease.mjs';
+
+// Roster kinds whose processes hold `state/worker-locks/<agent>.lock.json` while running.
+const LOCKING_KINDS = new Set(['codex-worker']);
+
+async function readJsonSafe(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function readFirstLine(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    return raw.split(/\r?\n/).map((l) => l.trim()).find((l) => l && !l.startsWith('#')) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function readWorkerLock(busRoot, agent) {
+  const lock = await readJsonSafe(path.join(busRoot, 'state', 'worker-locks', `${agent}.lock.json`));
+  if (!lock) return null;
+  const pid = Number(lock.pid);
+  return {
+    pid: Number.isInteger(pid) && pid > 0 ? pid : null,
+    acquiredAt: typeof lock.acquiredAt === 'string' ? lock.acquiredAt : null,
+    alive: isPidAlive(pid),
+  };
+}
+
+async function readInProgress(busRoot, agent, nowMs) {
+  const dir = path.join(busRoot, 'inbox', agent, 'in_progress');
+  let files = [];
+  try {
+    files = (await fs.readdir(dir)).filter((f) => f.endsWith('.md')).sort();
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const file of files) {
+    const taskId = file.slice(0, -3);
+    let raw = '';
+    let mtimeMs = 0;
+    try {
+      [raw, { mtimeMs }] = await Promise.all([fs.readFile(path.join(dir, file), 'utf8'), fs.stat(path.join(dir, file))]);
+    } catch {
+      continue;
+    }
+    let title = '';
+    try {
+      title = String(parseFrontmatter(raw).meta?.title || '');
+    } catch {
+      // unreadable frontmatter: health still reports the claim
+    }
+    const { lease, verdict } = await inspectTaskLease({ busRoot, agentName: agent, taskId, packetMtimeMs: mtimeMs, nowMs });
+    const session = await readJsonSafe(path.join(busRoot, 'state', 'codex-task-sessions', agent, `${taskId}.json`));
+    out.push({
+      taskId,
+      title,
+      ownerPid: lease?.ownerPid ?? null,
+      ownerHost: lease?.host ?? null,
+      heartbeatAt: lease?.heartbeatAt ?? null,
+      heartbeatAgeMs: Number.isFinite(verdict.heartbeatAgeMs) ? verdict.heartbeatAgeMs : null,
+      lease: verdict.reason,
+      expired: verdict.expired,
+      threadId: typeof session?.threadId === 'string' ? session.threadId : null,
+    });
+  }
+  return out;
+}
+
+function classify({ kind, lock, inProgress }) {
+  const problems = [];
+  if (lock && !lock.alive) problems.push(`worker lock held by dead pid ${lock.pid ?? '?'}`);
+  for (const t of inProgress) {
+    if (t.lease === 'owner_dead') problems.push(`${t.taskId}: lease owner pid ${t.ownerPid} is dead`);
+    else if (t.lease === 'invalid_lease') problems.push(`${t.taskId}: lease file is unreadable`);
+    else if (t.expired) problems.push(`${t.taskId}: ${t.lease === 'missing_lease' ? 'no lease' : 'no heartbeat'} for ${Math.round((t.heartbeatAgeMs ?? 0) / 1000)}s`);
+  }
+  let status;
+  if ((lock && !lock.alive) || inProgress.some((t) => t.lease === 'owner_dead')) status = 'dead';
+  else if (inProgress.some((t) => t.expired)) status = 'stuck';
+  else if (inProgress.length) status = 'busy';
+  else if (lock?.alive) status = 'idle';
+  else status = LOCKING_KINDS.has(kind) ? 'stopped' : 'unknown';
+  return { status, problems };
+}
+
+/**
+ * Reads health for every roster agent. Returns `{ nowIso, host, cooldown, agents }`.
+ */
+export async function readAgentHealth({ busRoot, roster, now = Date.now() }) {
+  const cooldown = await readGlobalCooldown({ busRoot });
+  const agents = [];
+  for (const a of Array.isArray(roster?.agents) ? roster.agents : []) {
+    const agent = String(a?.name || '');
+    if (!agent) continue;
+    const kind = a.kind ? String(a.kind) : null;
+    const [lock, inProgress, sessionId] = await Promise.all([
+      readWorkerLock(busRoot, agent),
+      readInProgress(busRoot, agent, now),
+      readFirstLine(path.join(busRoot, 'state', `${agent}.session-id`)),
+    ]);
+    const ages = inProgress.map((t) => t.heartbeatAgeMs).filter((ms) => ms != null);
+    agents.push({
+      agent,
+      role: a.role ? String(a.role) : null,
+      kind,
+      ...classify({ kind, lock, inProgress }),
+      lock,
+      inProgress,
+      heartbeatAgeMs: ages.length ? Math.min(...ages) : null,
+      sessionId,
+      threadId: inProgress.find((t) => t.threadId)?.threadId ?? null,
+    });
+  }
+  return {
+    nowIso: new Date(now).toISOString(),
+    host: os.hostname(),
+    cooldown: cooldown
+      ? {
+          retryAtIso: new Date(cooldown.retryAtMs).toISOString(),
+          active: cooldown.retryAtMs > now,
+          remainingMs: Math.max(0, cooldown.retryAtMs - now),
+          reason: cooldown.payload?.reason || null,
+          sourceAgent: cooldown.payload?.sourceAgent || null,
+        }
+      : null,
+    agents,
+  };
+}
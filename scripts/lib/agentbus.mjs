@@ -8,20 +8,56 @@
  *
  * This module intentionally keeps the bus protocol file-backed and transparent:
  * tasks are Markdown packets with JSON frontmatter, stored under:
- *   <busRoot>/inbox/<agent>/{new,seen,processed}/<taskId>.md
+ *   <busRoot>/inbox/<agent>/{new,seen,in_progress,processed}/<taskId>.md
+ * claimed packets carry a lease (`in_progress/<taskId>.lease.json`, see task-lease.mjs);
+ * packets that entered `new` have a delivery stamp under <busRoot>/state/delivered/<agent>/ (`taskDeliveredPath`);
  * receipts are JSON stored under:
  *   <busRoot>/receipts/<agent>/<taskId>.json
+ * and listed newest-last in <busRoot>/state/receipts.index.jsonl (`recentReceipts` reads its tail);
+ * every deliver/open/claim/update/close is journaled to <busRoot>/events.jsonl (see bus-events.mjs);
+ * packet frontmatter follows docs/agentic/agent-bus/TASK_PACKET.schema.json (`validateTaskMeta`);
+ * packets that fail validation on read are quarantined under:
+ *   <busRoot>/deadletter/<agent>/<taskId>.md (+ <taskId>.error.json report, see deadletter.mjs)
  */
 
-import { promises as fs } from 'node:fs';
+import { promises as fs, readFileSync, watch as watchDir } from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import crypto from 'node:crypto';
 import childProcess from 'node:child_process';
 import { fileURLToPath } from 'node:url';
+import { releaseTaskLease, writeTaskLease } from './task-lease.mjs';
+import { busEventRefs, recordBusEvent } from './bus-events.mjs';
 
 export const BUS_SCHEMA_VERSION = 2;
 
+// Ordered most-urgent first; the index doubles as the scheduling rank.
+export const TASK_PRIORITIES = ['P0', 'P1', 'P2', 'P3'];
+export const DEFAULT_TASK_PRIORITY = 'P2';
+
+// Task frontmatter version stamped by deliverTask. Unversioned packets are v1 (see upgradeTaskMeta).
+export const TASK_PACKET_SCHEMA_VERSION = 2;
+
+const TASK_PACKET_SCHEMA = JSON.parse(
+  readFileSync(
+    path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'docs', 'agentic', 'agent-bus', 'TASK_PACKET.schema.json'),
+    'utf8',
+  ),
+);
+
+// v1 packets used free-form priority words before the P0..P3 labels.
+const LEGACY_PRIORITY_LABELS = {
+  urgent: 'P0',
+  critical: 'P0',
+  high: 'P1',
+  normal: 'P2',
+  medium: 'P2',
+  low: 'P3',
+};
+
+// Packets still waiting for pickup are validated on read; invalid ones move to deadletter/<agent>/.
+const QUARANTINE_STATES = new Set(['new', 'seen']);
+
 export function nowIso() {
   return new Date().toISOString();
 }
@@ -226,22 +262,178 @@ export function renderTaskMarkdown(meta, body) {
   return `---\n${json}\n---\n\n${b.endsWith('\n') ? b : `${b}\n`}`;
 }
 
+/**
+ * Parses a `P0..P3` priority label into its scheduling rank (0 = most urgent), or null when unknown.
+ */
+export function parseTaskPriority(value) {
+  const label = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  const rank = TASK_PRIORITIES.indexOf(label);
+  return rank === -1 ? null : rank;
+}
+
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveSchemaRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) throw new Error(`Unsupported schema $ref "${ref}"`);
+  let node = root;
+  for (const part of ref.slice(2).split('/')) node = node?.[part];
+  if (!node || typeof node !== 'object') throw new Error(`Unresolvable schema $ref "${ref}"`);
+  return node;
+}
+
+/**
+ * Dependency-free validator for the draft-07 subset the bus schemas use: type, enum, $ref
+ * (`#/definitions/...`), required, properties, additionalProperties, items, pattern,
+ * minLength/maxLength, minItems/maxItems, minimum/maximum.
+ * Returns a list of `"<path>" ...` error strings (empty when the value conforms).
+ */
+export function validateAgainstSchema(schema, value, { root = schema, at = '' } = {}) {
+  let s = schema;
+  while (s && typeof s.$ref === 'string') s = resolveSchemaRef(root, s.$ref);
+  if (!s || typeof s !== 'object') return [];
+
+  const label = `"${at || '(root)'}"`;
+  const actual = jsonTypeOf(value);
+  if (s.type != null) {
+    const allowed = Array.isArray(s.type) ? s.type : [s.type];
+    const ok = allowed.some((t) => t === actual || (t === 'number' && actual === 'integer'));
+    if (!ok) return [`${label} must be ${allowed.join('|')} (got ${actual})`];
+  }
+  if (Array.isArray(s.enum) && !s.enum.some((v) => v === value)) {
+    return [`${label} must be one of ${s.enum.join('|')} (got ${JSON.stringify(value)})`];
+  }
+
+  const errors = [];
+  if (actual === 'string') {
+    if (s.minLength != null && value.length < s.minLength) errors.push(`${label} must be at least ${s.minLength} chars`);
+    if (s.maxLength != null && value.length > s.maxLength) errors.push(`${label} must be at most ${s.maxLength} chars`);
+    if (s.pattern != null && !new RegExp(s.pattern).test(value)) {
+      errors.push(`${label} must match /${s.pattern}/ (got ${JSON.stringify(value)})`);
+    }
+  }
+  if (actual === 'number' || actual === 'integer') {
+    if (s.minimum != null && value < s.minimum) errors.push(`${label} must be >= ${s.minimum}`);
+    if (s.maximum != null && value > s.maximum) errors.push(`${label} must be <= ${s.maximum}`);
+  }
+  if (actual === 'array') {
+    if (s.minItems != null && value.length < s.minItems) errors.push(`${label} must have at least ${s.minItems} item(s)`);
+    if (s.maxItems != null && value.length > s.maxItems) errors.push(`${label} must have at most ${s.maxItems} item(s)`);
+    if (s.items && typeof s.items === 'object') {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(s.items, item, { root, at: `${at}[${i}]` })));
+    }
+  }
+  if (actual === 'object') {
+    const props = s.properties && typeof s.properties === 'object' ? s.properties : {};
+    const child = (k) => (at ? `${at}.${k}` : k);
+    for (const k of Array.isArray(s.required) ? s.required : []) {
+      if (!(k in value)) errors.push(`"${child(k)}" is required`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (k in props) errors.push(...validateAgainstSchema(props[k], v, { root, at: child(k) }));
+      else if (s.additionalProperties === false) errors.push(`"${child(k)}" is not an allowed property`);
+      else if (s.additionalProperties && typeof s.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(s.additionalProperties, v, { root, at: child(k) }));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates task frontmatter against TASK_PACKET.schema.json plus the rules a schema cannot express
+ * (parseable `notBefore`/`deliveredAt`, no self-dependency). Throws one error listing every violation.
+ */
 export function validateTaskMeta(meta) {
-  if (!meta || typeof meta !== 'object') throw new Error('Task frontmatter must be an object');
-  const required = ['id', 'to', 'from', 'priority', 'title'];
-  for (const k of required) {
-    if (!(k in meta)) throw new Error(`Task frontmatter missing required field "${k}"`);
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) throw new Error('Task frontmatter must be an object');
+  const errors = validateAgainstSchema(TASK_PACKET_SCHEMA, meta);
+
+  const notBefore = meta.signals?.notBefore;
+  if (typeof notBefore === 'string' && !Number.isFinite(Date.parse(notBefore))) {
+    errors.push(`"signals.notBefore" must be an ISO timestamp (got ${JSON.stringify(notBefore)})`);
+  }
+  const deliveredAt = meta.signals?.deliveredAt;
+  if (deliveredAt !== undefined && (typeof deliveredAt !== 'string' || !Number.isFinite(Date.parse(deliveredAt)))) {
+    errors.push(`"signals.deliveredAt" must be an ISO timestamp (got ${JSON.stringify(deliveredAt)})`);
+  }
+  if (Array.isArray(meta.signals?.dependsOn) && meta.signals.dependsOn.includes(meta.id)) {
+    errors.push(`"signals.dependsOn" cannot make task "${meta.id}" depend on itself`);
+  }
+  if (errors.length) throw new Error(`Invalid task frontmatter: ${errors.join('; ')}`);
+}
+
+/**
+ * Upgrades legacy (unversioned, v1) frontmatter to the current packet schema without touching
+ * fields it does not understand. Returns `{ meta, changes }`; `changes` is empty when the input is
+ * already current. Priority words (`high`, `urgent`, ...) map to P0..P3, a string `to` becomes an
+ * array, `kind` is trimmed, and blank ids/phases become null. Kind and phase casing is kept as written.
+ */
+export function upgradeTaskMeta(meta) {
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) return { meta, changes: [] };
+  if (Number(meta.schemaVersion) >= TASK_PACKET_SCHEMA_VERSION) return { meta, changes: [] };
+
+  const { schemaVersion: previous = 1, ...rest } = meta;
+  const next = { schemaVersion: TASK_PACKET_SCHEMA_VERSION, ...rest };
+  const changes = [`schemaVersion: ${previous} -> ${TASK_PACKET_SCHEMA_VERSION}`];
+
+  if (typeof next.to === 'string') {
+    next.to = next.to.split(',').map((s) => s.trim()).filter(Boolean);
+    changes.push('to: string -> array');
+  }
+  const priority = typeof next.priority === 'string' ? next.priority.trim() : next.priority;
+  let mappedPriority = null;
+  if (priority == null || priority === '') mappedPriority = DEFAULT_TASK_PRIORITY;
+  else if (typeof priority === 'string') {
+    mappedPriority =
+      parseTaskPriority(priority) != null ? priority.toUpperCase() : LEGACY_PRIORITY_LABELS[priority.toLowerCase()] || null;
+  }
+  if (mappedPriority && mappedPriority !== next.priority) {
+    changes.push(`priority: ${JSON.stringify(next.priority ?? null)} -> ${mappedPriority}`);
+    next.priority = mappedPriority;
+  }
+  if ((typeof next.title !== 'string' || !next.title.trim()) && isSafeId(next.id)) {
+    next.title = next.id;
+    changes.push('title: (missing) -> id');
   }
 
-  if (!isSafeId(meta.id)) throw new Error(`Invalid task id "${meta.id}"`);
-  if (!Array.isArray(meta.to) || meta.to.some((x) => typeof x !== 'string' || !x.trim())) {
-    throw new Error('Task field "to" must be a non-empty array of agent names');
+  if (next.signals && typeof next.signals === 'object' && !Array.isArray(next.signals)) {
+    const signals = { ...next.signals };
+    if (typeof signals.kind === 'string' && signals.kind !== signals.kind.trim()) {
+      changes.push(`signals.kind: ${JSON.stringify(signals.kind)} -> ${JSON.stringify(signals.kind.trim())}`);
+      signals.kind = signals.kind.trim();
+    }
+    for (const k of ['phase', 'rootId', 'parentId']) {
+      const raw = signals[k];
+      if (typeof raw !== 'string') continue;
+      const normalized = raw.trim() || null;
+      if (normalized === raw) continue;
+      changes.push(`signals.${k}: ${JSON.stringify(raw)} -> ${JSON.stringify(normalized)}`);
+      signals[k] = normalized;
+    }
+    next.signals = signals;
   }
-  if (typeof meta.from !== 'string' || !meta.from.trim()) throw new Error('Task "from" must be a string');
-  if (typeof meta.priority !== 'string' || !meta.priority.trim()) throw new Error('Task "priority" must be a string');
-  if (typeof meta.title !== 'string' || !meta.title.trim()) throw new Error('Task "title" must be a string');
-  if (meta.signals && typeof meta.signals !== 'object') throw new Error('Task "signals" must be an object if provided');
-  if (meta.references && typeof meta.references !== 'object') throw new Error('Task "references" must be an object if provided');
+  return { meta: next, changes };
+}
+
+/**
+ * Returns the unique `signals.dependsOn` task ids (empty when the packet is not gated).
+ */
+export function readTaskDependsOn(meta) {
+  const raw = meta?.signals?.dependsOn;
+  return Array.isArray(raw) ? Array.from(new Set(raw.filter((d) => typeof d === 'string' && d))) : [];
+}
+
+/**
+ * Returns the `signals.notBefore` time in epoch ms, or null when the packet is deliverable immediately.
+ */
+export function readTaskNotBeforeMs(meta) {
+  const raw = meta?.signals?.notBefore;
+  const ms = typeof raw === 'string' ? Date.parse(raw) : NaN;
+  return Number.isFinite(ms) ? ms : null;
 }
 
 export function detectSuspiciousText(text) {
@@ -278,8 +470,131 @@ export function suspiciousPolicy() {
   return 'block';
 }
 
-export async function writeTaskFile({ busRoot, agentName, taskId, markdown }) {
-  const dir = path.join(busRoot, 'inbox', agentName, 'new');
+/**
+ * Read-side packet validator. Returns null for a usable packet, otherwise
+ * `{ reason: 'frontmatter'|'schema'|'suspicious', error, suspiciousHits }`.
+ * Hand-written packets may omit `from`/`priority`/`title` (workers default them); everything else
+ * must pass `validateTaskMeta` once legacy frontmatter is upgraded in memory (`upgradeTaskMeta`).
+ */
+export function inspectTaskPacket(markdown, { agentName = null, taskId = null } = {}) {
+  let meta = null;
+  try {
+    ({ meta } = parseFrontmatter(markdown));
+  } catch (err) {
+    return { reason: 'frontmatter', error: (err && err.message) || String(err), suspiciousHits: [] };
+  }
+  if (meta == null) return { reason: 'frontmatter', error: 'Missing JSON frontmatter', suspiciousHits: [] };
+
+  try {
+    if (typeof meta !== 'object' || Array.isArray(meta)) throw new Error('Task frontmatter must be an object');
+    validateTaskMeta({
+      to: agentName ? [agentName] : [],
+      from: 'unknown',
+      priority: DEFAULT_TASK_PRIORITY,
+      title: taskId || String(meta.id ?? ''),
+      ...upgradeTaskMeta(meta).meta,
+    });
+  } catch (err) {
+    return { reason: 'schema', error: (err && err.message) || String(err), suspiciousHits: [] };
+  }
+
+  const hits = detectSuspiciousText(markdown);
+  if (hits.length && suspiciousPolicy() === 'block') {
+    return { reason: 'suspicious', error: `Blocked suspicious task content (${hits.join(', ')})`, suspiciousHits: hits };
+  }
+  return null;
+}
+
+/**
+ * Moves a packet into `deadletter/<agent>/`, writes a `<name>.error.json` sidecar report and journals
+ * a `quarantined` event.
+ * Returns null when the packet is already gone (another process moved it first).
+ */
+export async function quarantineTask({ busRoot, agentName, fromPath, reason, error, suspiciousHits = [] }) {
+  const dir = path.join(busRoot, 'deadletter', agentName);
+  await ensureDir(dir);
+
+  const taskId = path.basename(fromPath).replace(/\.md$/, '');
+  let name = taskId;
+  for (let i = 0; i < 50; i += 1) {
+    try {
+      await fs.access(path.join(dir, `${name}.md`));
+      name = `${taskId}__${crypto.randomBytes(2).toString('hex')}`;
+    } catch {
+      break;
+    }
+  }
+
+  const toPath = path.join(dir, `${name}.md`);
+  try {
+    await fs.rename(fromPath, toPath);
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return null;
+    throw err;
+  }
+  await fs.rm(taskDeliveredPath({ busRoot, agentName, packetPath: fromPath }), { force: true });
+
+  const report = {
+    schemaVersion: BUS_SCHEMA_VERSION,
+    agent: agentName,
+    taskId,
+    reason,
+    error: String(error ?? ''),
+    suspiciousHits,
+    source: path.relative(busRoot, fromPath),
+    quarantinedAt: nowIso(),
+    retries: 0,
+  };
+  const reportPath = path.join(dir, `${name}.error.json`);
+  const tmp = `${reportPath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, reportPath);
+  await recordBusEvent(busRoot, {
+    type: 'quarantined',
+    agent: agentName,
+    taskId,
+    from: report.source,
+    to: path.relative(busRoot, toPath),
+    reason,
+    error: report.error,
+    // Quarantined packets are often hand-written or corrupted and were never journaled; keep the bytes.
+    markdown: await fs.readFile(toPath, 'utf8').catch(() => null),
+  });
+  return { path: toPath, reportPath, report };
+}
+
+/**
+ * Delivery stamp `<busRoot>/state/delivered/<agent>/<name>.json` for packet `<name>.md`. It records when
+ * the packet entered `inbox/<agent>/new` outside the packet itself, so the delivered bytes stay exactly
+ * what was composed, and `update` or a touch does not reset queue age. Keyed by file name, it stays valid
+ * while the packet moves through `new`/`seen`/`in_progress` and is removed on close or quarantine.
+ */
+export function taskDeliveredPath({ busRoot, agentName, packetPath }) {
+  return path.join(busRoot, 'state', 'delivered', agentName, path.basename(String(packetPath)).replace(/\.md$/, '.json'));
+}
+
+/**
+ * Delivery time (epoch ms) from the stamp, else a legacy `signals.deliveredAt`, else null.
+ */
+export async function readTaskDeliveredAtMs({ busRoot, agentName, packetPath, meta = null }) {
+  try {
+    const stamp = JSON.parse(await fs.readFile(taskDeliveredPath({ busRoot, agentName, packetPath }), 'utf8'));
+    const ms = Date.parse(stamp?.deliveredAt ?? '');
+    if (Number.isFinite(ms)) return ms;
+  } catch {
+    // no stamp (delivered before stamps existed) or unreadable
+  }
+  const legacy = Date.parse(meta?.signals?.deliveredAt ?? '');
+  return Number.isFinite(legacy) ? legacy : null;
+}
+
+export async function writeTaskFile({
+  busRoot,
+  agentName,
+  taskId,
+  markdown,
+  dir = path.join(busRoot, 'inbox', agentName, 'new'),
+}) {
   await ensureDir(dir);
 
   // Ensure unique filename.
@@ -298,13 +613,24 @@ export async function writeTaskFile({ busRoot, agentName, taskId, markdown }) {
     }
   }
 
+  // Entering inbox/<agent>/new starts the queue age; the stamp lands first so listers never see
+  // the packet without it.
+  if (path.resolve(dir) === path.resolve(busRoot, 'inbox', agentName, 'new')) {
+    const stampPath = taskDeliveredPath({ busRoot, agentName, packetPath: outPath });
+    await ensureDir(path.dirname(stampPath));
+    const stampTmp = `${stampPath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+    await fs.writeFile(stampTmp, JSON.stringify({ deliveredAt: nowIso() }) + '\n', 'utf8');
+    await fs.rename(stampTmp, stampPath);
+  }
+
   const tmp = `${outPath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
   await fs.writeFile(tmp, markdown, 'utf8');
   await fs.rename(tmp, outPath);
   return outPath;
 }
 
-export async function deliverTask({ busRoot, meta, body }) {
+export async function deliverTask({ busRoot, meta: metaIn, body }) {
+  const meta = { schemaVersion: TASK_PACKET_SCHEMA_VERSION, ...metaIn };
   validateTaskMeta(meta);
   const markdown = renderTaskMarkdown(meta, body);
 
@@ -317,13 +643,31 @@ export async function deliverTask({ busRoot, meta, body }) {
     );
   }
 
+  // Gated packets (`signals.dependsOn`) wait in pending/<agent>/ until every dependency closes `done`;
+  // packets with a future `signals.notBefore` wait in scheduled/<agent>/ until the scheduler promotes them.
+  const gated = readTaskDependsOn(meta).length > 0;
+  const notBeforeMs = readTaskNotBeforeMs(meta);
+  const scheduled = !gated && notBeforeMs != null && notBeforeMs > Date.now();
+
   const paths = [];
   for (const to of meta.to) {
-    const p = await writeTaskFile({ busRoot, agentName: to, taskId: meta.id, markdown });
+    let dir;
+    if (gated) dir = path.join(busRoot, 'pending', to);
+    else if (scheduled) dir = path.join(busRoot, 'scheduled', to);
+    const p = await writeTaskFile({ busRoot, agentName: to, taskId: meta.id, markdown, dir });
     paths.push(p);
+    await recordBusEvent(busRoot, {
+      type: 'deliver',
+      agent: to,
+      taskId: meta.id,
+      ...busEventRefs(meta),
+      state: gated ? 'pending' : scheduled ? 'scheduled' : 'new',
+      path: path.relative(busRoot, p),
+      markdown,
+    });
   }
 
-  return { markdown, paths, suspiciousHits: hits, suspiciousPolicy: policy };
+  return { markdown, paths, gated, scheduled, suspiciousHits: hits, suspiciousPolicy: policy };
 }
 
 export function pickOrchestratorName(roster) {
@@ -373,6 +717,140 @@ export async function listInboxTaskIds({ busRoot, agentName, state }) {
   }
 }
 
+/**
+ * Resolves how `watchInbox` waits for packets: `watch` (fs.watch + safety rescans) or `poll`.
+ * `AGENTIC_INBOX_WATCH=watch|poll|auto` (default auto: poll on WSL-mounted Windows drives, where
+ * fs.watch events are not delivered, otherwise watch).
+ */
+export function resolveInboxWatchMode(busRoot = '') {
+  const raw = String(process.env.AGENTIC_INBOX_WATCH || process.env.VALUA_AGENTBUS_INBOX_WATCH || 'auto')
+    .trim()
+    .toLowerCase();
+  if (raw === 'watch' || raw === 'poll') return raw;
+  if (/microsoft/i.test(os.release()) && /^\/mnt\/[a-z]\//i.test(path.resolve(busRoot || '.'))) return 'poll';
+  return 'watch';
+}
+
+/**
+ * Async iterator of inbox wake-ups for `inbox/<agent>/<state>` dirs, replacing sleep-and-rescan loops.
+ * Yields `{ reason: 'initial'|'change'|'idle', mode }`: `initial` once up front, `change` after a
+ * debounced burst of filesystem events (or, in poll mode, when a `readdir` every `pollMs` differs),
+ * and `idle` when nothing happened for `idleMs` so callers can run periodic work and catch missed events.
+ * `idleMs` may be a function, re-read before every wait, so callers can sleep until their next due work.
+ * `extraDirs` (absolute paths) are watched alongside the inbox states.
+ * fs.watch errors fall back to polling. Breaking out of `for await` (or `signal` aborting) stops watching.
+ */
+export async function* watchInbox({
+  busRoot,
+  agentName,
+  states = ['new'],
+  extraDirs = [],
+  pollMs = 500,
+  debounceMs = 50,
+  idleMs = 5000,
+  mode = resolveInboxWatchMode(busRoot),
+  signal = null,
+}) {
+  const dirs = [...states.map((state) => path.join(busRoot, 'inbox', agentName, state)), ...extraDirs];
+  for (const dir of dirs) await ensureDir(dir);
+
+  let dirty = false;
+  let wake = null;
+  const notify = () => {
+    dirty = true;
+    if (wake) wake();
+  };
+  const watchers = [];
+  const closeWatchers = () => {
+    for (const w of watchers.splice(0)) {
+      try {
+        w.close();
+      } catch {
+        // ignore
+      }
+    }
+  };
+  let activeMode = mode === 'poll' ? 'poll' : 'watch';
+  if (activeMode === 'watch') {
+    try {
+      for (const dir of dirs) {
+        const w = watchDir(dir, (_event, name) => {
+          // Atomic writes surface as a tmp file then a rename; only the rename matters.
+          if (!name || !String(name).includes('.tmp.')) notify();
+        });
+        w.on('error', () => {
+          closeWatchers();
+          activeMode = 'poll';
+          notify();
+        });
+        watchers.push(w);
+      }
+    } catch {
+      closeWatchers();
+      activeMode = 'poll';
+    }
+  }
+
+  const snapshot = async () => {
+    const lists = await Promise.all(
+      dirs.map((dir) =>
+        fs
+          .readdir(dir)
+          .then((files) => files.filter((f) => !f.includes('.tmp.')).sort())
+          .catch(() => []),
+      ),
+    );
+    return lists.map((files) => files.join(',')).join('|');
+  };
+  const waitFor = (ms) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(done, Math.max(0, ms));
+      function done() {
+        clearTimeout(timer);
+        wake = null;
+        resolve();
+      }
+      wake = done;
+    });
+
+  signal?.addEventListener('abort', notify);
+  try {
+    let lastSnapshot = activeMode === 'poll' ? await snapshot() : null;
+    yield { reason: 'initial', mode: activeMode };
+    let lastYieldAt = Date.now();
+
+    while (!signal?.aborted) {
+      const idleFor = typeof idleMs === 'function' ? idleMs() : idleMs;
+      const idleLeft = lastYieldAt + idleFor - Date.now();
+      if (!dirty) await waitFor(activeMode === 'poll' ? Math.min(pollMs, idleLeft) : idleLeft);
+      if (signal?.aborted) break;
+
+      let changed = false;
+      if (dirty) {
+        // Let a burst of events (multi-recipient fanout, batch moves) settle before waking the caller.
+        do {
+          dirty = false;
+          await new Promise((resolve) => setTimeout(resolve, debounceMs));
+        } while (dirty && !signal?.aborted);
+        changed = true;
+      }
+      if (activeMode === 'poll') {
+        const next = await snapshot();
+        if (next !== lastSnapshot) changed = true;
+        lastSnapshot = next;
+      }
+
+      if (changed) yield { reason: 'change', mode: activeMode };
+      else if (Date.now() - lastYieldAt >= idleFor) yield { reason: 'idle', mode: activeMode };
+      else continue;
+      lastYieldAt = Date.now();
+    }
+  } finally {
+    signal?.removeEventListener('abort', notify);
+    closeWatchers();
+  }
+}
+
 export async function findTaskPath({ busRoot, agentName, taskId }) {
   const states = ['new', 'seen', 'in_progress', 'processed'];
   for (const state of states) {
@@ -417,6 +895,14 @@ export async function openTask({ busRoot, agentName, taskId, markSeen = true })
     } catch {
       // ignore
     }
+    await recordBusEvent(busRoot, {
+      type: 'open',
+      agent: agentName,
+      taskId,
+      ...busEventRefs(meta),
+      from: path.relative(busRoot, found.path),
+      to: path.relative(busRoot, toPath),
+    });
     return { meta, body, markdown: raw, state: 'seen', path: toPath };
   }
 
@@ -462,13 +948,21 @@ export async function updateTask({
   }
 
   const raw = await fs.readFile(found.path, 'utf8');
-  const { meta, body } = parseFrontmatter(raw);
-  if (!meta) throw new Error(`Task ${taskId} has no JSON frontmatter`);
+  const parsed = parseFrontmatter(raw);
+  if (!parsed.meta) throw new Error(`Task ${taskId} has no JSON frontmatter`);
+  const { body } = parsed;
 
+  // Rewriting the packet anyway, so legacy frontmatter is upgraded on the way through.
+  const { meta } = upgradeTaskMeta(parsed.meta);
   validateTaskMeta(meta);
 
   if (typeof title === 'string' && title.trim()) meta.title = title.trim();
-  if (typeof priority === 'string' && priority.trim()) meta.priority = priority.trim();
+  if (typeof priority === 'string' && priority.trim()) {
+    if (parseTaskPriority(priority) == null) {
+      throw new Error(`Task "priority" must be one of ${TASK_PRIORITIES.join('|')} (got "${priority.trim()}")`);
+    }
+    meta.priority = priority.trim();
+  }
 
   if (signalsPatch && typeof signalsPatch === 'object') {
     const current = meta.signals && typeof meta.signals === 'object' ? meta.signals : {};
@@ -484,6 +978,7 @@ export async function updateTask({
     const current = meta.references && typeof meta.references === 'object' ? meta.references : {};
     meta.references = { ...current, ...referencesPatch };
   }
+  validateTaskMeta(meta);
 
   const updateBlock = formatTaskUpdateBlock({ at: nowIso(), from: updateFrom, body: appendBody });
   const nextBody = updateBlock ? `${String(body ?? '').replace(/\s*$/, '')}${updateBlock}` : body ?? '';
@@ -508,6 +1003,16 @@ export async function updateTask({
   } catch {
     // ignore
   }
+  await recordBusEvent(busRoot, {
+    type: 'update',
+    agent: agentName,
+    taskId,
+    ...busEventRefs(meta),
+    state: found.state,
+    path: path.relative(busRoot, found.path),
+    updateFrom,
+    markdown,
+  });
 
   return {
     state: found.state,
@@ -524,6 +1029,12 @@ export async function claimTask({ busRoot, agentName, taskId }) {
   if (found.state === 'processed') throw new Error(`Task already processed: agent=${agentName} id=${taskId}`);
   if (found.state === 'in_progress') throw new Error(`Task already in_progress: agent=${agentName} id=${taskId}`);
 
+  const problem = inspectTaskPacket(await fs.readFile(found.path, 'utf8'), { agentName, taskId });
+  if (problem) {
+    await quarantineTask({ busRoot, agentName, fromPath: found.path, ...problem });
+    throw new Error(`Task quarantined to deadletter (${problem.reason}): agent=${agentName} id=${taskId}: ${problem.error}`);
+  }
+
   const toPath = path.join(busRoot, 'inbox', agentName, 'in_progress', path.basename(found.path));
   await moveTask({ fromPath: found.path, toPath });
   try {
@@ -532,14 +1043,90 @@ export async function claimTask({ busRoot, agentName, taskId }) {
   } catch {
     // ignore
   }
+  await writeTaskLease({ busRoot, agentName, taskId });
 
   const raw = await fs.readFile(toPath, 'utf8');
   const { meta, body } = parseFrontmatter(raw);
   if (!meta) throw new Error(`Task ${taskId} has no JSON frontmatter`);
+  await recordBusEvent(busRoot, {
+    type: 'claim',
+    agent: agentName,
+    taskId,
+    ...busEventRefs(meta),
+    from: path.relative(busRoot, found.path),
+    to: path.relative(busRoot, toPath),
+  });
 
   return { meta, body, markdown: raw, state: 'in_progress', path: toPath };
 }
 
+/**
+ * Moves an open packet from `fromAgent` to `toAgent`: `to` is rewritten (fromAgent → toAgent), an
+ * update block records the move, the packet is delivered to `inbox/<toAgent>/new`, and the original
+ * is closed `skipped` with a `reassignedTo` receipt as the audit trail (no TASK_COMPLETE).
+ *
+ * `in_progress` packets need `force` (their worker may still be running them).
+ */
+export async function reassignTask({ busRoot, roster, fromAgent, toAgent, taskId, by = 'daddy', reason = '', force = false }) {
+  if (!isSafeId(fromAgent) || !isSafeId(toAgent)) throw new Error('Invalid agent name');
+  if (fromAgent === toAgent) throw new Error(`Task ${taskId} is already assigned to ${toAgent}`);
+  const found = await findTaskPath({ busRoot, agentName: fromAgent, taskId });
+  if (!found) throw new Error(`Task not found: agent=${fromAgent} id=${taskId}`);
+  if (found.state === 'processed') throw new Error(`Refusing to reassign processed task: agent=${fromAgent} id=${taskId}`);
+  if (found.state === 'in_progress' && !force) {
+    throw new Error(`Task is in_progress for ${fromAgent} (id=${taskId}); stop the worker first or pass force`);
+  }
+  if (await findTaskPath({ busRoot, agentName: toAgent, taskId })) {
+    throw new Error(`Task ${taskId} already exists in inbox/${toAgent}`);
+  }
+
+  const parsed = parseFrontmatter(await fs.readFile(found.path, 'utf8'));
+  if (!parsed.meta) throw new Error(`Task ${taskId} has no JSON frontmatter`);
+  const { meta } = upgradeTaskMeta(parsed.meta);
+  const to = (Array.isArray(meta.to) ? meta.to : []).map((a) => (a === fromAgent ? toAgent : a));
+  if (!to.includes(toAgent)) to.push(toAgent);
+  meta.to = Array.from(new Set(to));
+  validateTaskMeta(meta);
+
+  const why = String(reason || '').trim();
+  const block = formatTaskUpdateBlock({
+    at: nowIso(),
+    from: by,
+    body: `Reassigned from ${fromAgent} to ${toAgent} (was ${found.state})${why ? `: ${why}` : ''}`,
+  });
+  const markdown = renderTaskMarkdown(meta, `${String(parsed.body ?? '').replace(/\s*$/, '')}${block}`);
+  const hits = detectSuspiciousText(markdown);
+  if (hits.length && suspiciousPolicy() === 'block') {
+    throw new Error(
+      `Blocked suspicious reassigned task content (${hits.join(', ')}). ` +
+        `Set AGENTIC_SUSPICIOUS_POLICY=warn or =allow to override.`,
+    );
+  }
+  const deliveredPath = await writeTaskFile({ busRoot, agentName: toAgent, taskId, markdown });
+  await recordBusEvent(busRoot, {
+    type: 'deliver',
+    agent: toAgent,
+    taskId,
+    ...busEventRefs(meta),
+    state: 'new',
+    path: path.relative(busRoot, deliveredPath),
+    reassignedFrom: fromAgent,
+    markdown,
+  });
+
+  const closed = await closeTask({
+    busRoot,
+    roster,
+    agentName: fromAgent,
+    taskId,
+    outcome: 'skipped',
+    note: `Reassigned to ${toAgent} by ${by}${why ? `: ${why}` : ''}`,
+    receiptExtra: { reassignedTo: toAgent, reassignedBy: by, reason: why || null, fromState: found.state },
+    notifyOrchestrator: false,
+  });
+  return { fromState: found.state, path: deliveredPath, receiptPath: closed.receiptPath, to: meta.to };
+}
+
 export async function writeReceipt({ busRoot, agentName, taskId, taskMeta, receipt }) {
   await ensureAgentDirs(busRoot, agentName);
   const receiptPath = path.join(busRoot, 'receipts', agentName, `${taskId}.json`);
@@ -553,7 +1140,8 @@ export async function writeReceipt({ busRoot, agentName, taskId, taskMeta, recei
   };
   try {
     await fs.writeFile(receiptPath, JSON.stringify(payload, null, 2) + '\n', { encoding: 'utf8', flag: 'wx' });
-    return { receiptPath, created: true };
+    await appendReceiptIndex(busRoot, payload);
+    return { receiptPath, created: true, receipt: payload };
   } catch (err) {
     if (err && err.code === 'EEXIST') return { receiptPath, created: false };
     throw err;
@@ -579,8 +1167,10 @@ export async function closeTask({
   if (opened.state !== 'processed') {
     const dest = path.join(busRoot, 'inbox', agentName, 'processed', fileName);
     await moveTask({ fromPath: opened.path, toPath: dest });
+    await fs.rm(taskDeliveredPath({ busRoot, agentName, packetPath: opened.path }), { force: true });
     currentPath = dest;
   }
+  if (opened.state === 'in_progress') await releaseTaskLease({ busRoot, agentName, taskId });
 
   const receiptWrite = await writeReceipt({
     busRoot,
@@ -598,6 +1188,19 @@ export async function closeTask({
     },
   });
   const receiptPath = receiptWrite.receiptPath;
+  if (currentPath !== opened.path || receiptWrite.created) {
+    await recordBusEvent(busRoot, {
+      type: 'close',
+      agent: agentName,
+      taskId,
+      ...busEventRefs(opened.meta),
+      outcome,
+      from: path.relative(busRoot, opened.path),
+      to: path.relative(busRoot, currentPath),
+      receiptPath: path.relative(busRoot, receiptPath),
+      receipt: receiptWrite.created ? receiptWrite.receipt : null,
+    });
+  }
 
   let completionPath = null;
 
@@ -672,9 +1275,9 @@ export async function statusSummary({ busRoot, roster }) {
   return rows;
 }
 
-export async function listInboxTasks({ busRoot, agentName, state, limit = 100 }) {
+export async function listInboxTasks({ busRoot, agentName, state, limit = 100, quarantine = false }) {
   const dir = path.join(busRoot, 'inbox', agentName, state);
-  /** @type {{ taskId: string, path: string, mtimeMs: number, meta: any }[]} */
+  /** @type {{ taskId: string, path: string, mtimeMs: number, deliveredAtMs: number|null, meta: any }[]} */
   const out = [];
 
   let files = [];
@@ -700,14 +1303,23 @@ export async function listInboxTasks({ busRoot, agentName, state, limit = 100 })
 
   for (const f of selected) {
     const p = path.join(dir, f);
+    const taskId = f.replace(/\.md$/, '');
     try {
       const st = await fs.stat(p);
       const raw = await fs.readFile(p, 'utf8');
-      const { meta } = parseFrontmatter(raw);
+      // Invalid packets waiting for pickup go to deadletter/ instead of being skipped forever.
+      const problem = quarantine && QUARANTINE_STATES.has(state) ? inspectTaskPacket(raw, { agentName, taskId }) : null;
+      if (problem) {
+        await quarantineTask({ busRoot, agentName, fromPath: p, ...problem });
+        continue;
+      }
+      // Legacy frontmatter is upgraded in memory only; the packet on disk is left as written.
+      const { meta } = upgradeTaskMeta(parseFrontmatter(raw).meta);
       out.push({
-        taskId: f.replace(/\.md$/, ''),
+        taskId,
         path: p,
         mtimeMs: st.mtimeMs,
+        deliveredAtMs: await readTaskDeliveredAtMs({ busRoot, agentName, packetPath: p, meta }),
         meta,
       });
     } catch {
@@ -718,36 +1330,154 @@ export async function listInboxTasks({ busRoot, agentName, state, limit = 100 })
   return out;
 }
 
-export async function recentReceipts({ busRoot, agentName = null, limit = 20 }) {
+export function receiptIndexPath(busRoot) {
+  return path.join(busRoot, 'state', 'receipts.index.jsonl');
+}
+
+function receiptIndexEntry(receipt, { agent = receipt?.agent, taskId = receipt?.taskId, mtimeMs = null } = {}) {
+  const closedAt = typeof receipt?.closedAt === 'string' && receipt.closedAt ? receipt.closedAt : null;
+  return {
+    agent: String(agent || ''),
+    taskId: String(taskId || ''),
+    closedAt: closedAt ?? (mtimeMs != null ? new Date(mtimeMs).toISOString() : null),
+    outcome: receipt?.outcome != null ? String(receipt.outcome) : null,
+  };
+}
+
+async function appendReceiptIndex(busRoot, receipt) {
+  const indexPath = receiptIndexPath(busRoot);
+  // Only extend an index that exists; a missing one is rebuilt from a full scan on first read,
+  // so receipts written before the index existed are not lost.
+  try {
+    await fs.access(indexPath);
+    await fs.appendFile(indexPath, JSON.stringify(receiptIndexEntry(receipt)) + '\n', 'utf8');
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Rescans `receipts/<agent>/` and atomically rewrites the receipt index, oldest first (by mtime).
+ * Run after anything that adds or removes receipts behind `writeReceipt`'s back (gc, manual edits).
+ */
+export async function rebuildReceiptIndex({ busRoot }) {
   const base = path.join(busRoot, 'receipts');
-  const agents = agentName ? [agentName] : await fs.readdir(base).catch(() => []);
-  const receipts = [];
-  for (const a of agents) {
-    const dir = path.join(base, a);
+  const rows = [];
+  for (const agent of (await fs.readdir(base).catch(() => [])).sort()) {
     let files = [];
     try {
-      files = await fs.readdir(dir);
+      files = await fs.readdir(path.join(base, agent));
     } catch {
       continue;
     }
     for (const f of files.filter((x) => x.endsWith('.json'))) {
-      const p = path.join(dir, f);
+      const p = path.join(base, agent, f);
       try {
         const st = await fs.stat(p);
-        receipts.push({ agent: a, file: f, path: p, mtimeMs: st.mtimeMs });
+        let receipt = null;
+        try {
+          receipt = JSON.parse(await fs.readFile(p, 'utf8'));
+        } catch {
+          // index unreadable receipts by file name; recentReceipts skips them on read
+        }
+        const taskId = f.replace(/\.json$/, '');
+        rows.push({ mtimeMs: st.mtimeMs, entry: receiptIndexEntry(receipt, { agent, taskId, mtimeMs: st.mtimeMs }) });
       } catch {
         // ignore
       }
     }
   }
-  receipts.sort((x, y) => y.mtimeMs - x.mtimeMs);
-  const top = receipts.slice(0, limit);
+  rows.sort((x, y) => x.mtimeMs - y.mtimeMs);
+
+  const indexPath = receiptIndexPath(busRoot);
+  await ensureDir(path.dirname(indexPath));
+  const tmp = `${indexPath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, rows.map((r) => JSON.stringify(r.entry) + '\n').join(''), 'utf8');
+  await fs.rename(tmp, indexPath);
+  return { indexPath, entries: rows.length };
+}
+
+/**
+ * Yields receipt index entries newest first, reading the index backwards in chunks so a long
+ * history costs only as much as the caller consumes.
+ */
+async function* readReceiptIndexNewestFirst(indexPath, chunkBytes = 64 * 1024) {
+  const handle = await fs.open(indexPath, 'r');
+  try {
+    let pos = (await handle.stat()).size;
+    // Split on raw bytes so a chunk boundary never cuts a multi-byte character.
+    let carry = Buffer.alloc(0);
+    while (pos > 0) {
+      const len = Math.min(chunkBytes, pos);
+      pos -= len;
+      const buf = Buffer.alloc(len);
+      await handle.read(buf, 0, len, pos);
+      const data = Buffer.concat([buf, carry]);
+      let end = data.length;
+      for (let nl = data.lastIndexOf(10, end - 1); nl >= 0; nl = data.lastIndexOf(10, end - 1)) {
+        const entry = parseIndexLine(data.subarray(nl + 1, end));
+        if (entry) yield entry;
+        end = nl;
+        if (end === 0) break;
+      }
+      carry = data.subarray(0, end);
+    }
+    const entry = parseIndexLine(carry);
+    if (entry) yield entry;
+  } finally {
+    await handle.close();
+  }
+}
+
+function parseIndexLine(buf) {
+  const line = buf.toString('utf8').trim();
+  if (!line) return null;
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null; // torn line from a concurrent append
+  }
+}
+
+async function receiptIndexIsStale(busRoot, indexPath) {
+  let indexMtimeMs = 0;
+  try {
+    indexMtimeMs = (await fs.stat(indexPath)).mtimeMs;
+  } catch {
+    return true;
+  }
+  // writeReceipt appends after creating the file, so a receipts dir newer than the index means
+  // something added or removed receipts without going through it.
+  const base = path.join(busRoot, 'receipts');
+  for (const agent of await fs.readdir(base).catch(() => [])) {
+    try {
+      if ((await fs.stat(path.join(base, agent))).mtimeMs > indexMtimeMs) return true;
+    } catch {
+      // ignore
+    }
+  }
+  return false;
+}
+
+/**
+ * Most recent receipts (newest first), via the receipt index instead of stat-ing every receipt.
+ * The index is rebuilt when missing or stale; entries whose receipt file is gone are skipped.
+ */
+export async function recentReceipts({ busRoot, agentName = null, limit = 20 }) {
+  const indexPath = receiptIndexPath(busRoot);
+  if (await receiptIndexIsStale(busRoot, indexPath)) await rebuildReceiptIndex({ busRoot });
 
   const out = [];
-  for (const r of top) {
+  const seen = new Set();
+  for await (const entry of readReceiptIndexNewestFirst(indexPath)) {
+    if (out.length >= limit) break;
+    if (!isSafeId(entry?.agent) || !isSafeId(entry?.taskId)) continue;
+    if (agentName && entry.agent !== agentName) continue;
+    const key = `${entry.agent}/${entry.taskId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
     try {
-      const payload = JSON.parse(await fs.readFile(r.path, 'utf8'));
-      out.push(payload);
+      out.push(JSON.parse(await fs.readFile(path.join(busRoot, 'receipts', entry.agent, `${entry.taskId}.json`), 'utf8')));
     } catch {
       // ignore
     }
@@ -0,0 +1,152 @@
+/**
+ * Index of tasks archived by `agent-bus gc` (see bus-archive.mjs).
+ *
+ * Layout:
+ *   <busRoot>/archive/index.jsonl   # one `{ agent, taskId, closedAt, outcome, archive }` line per archived task
+ *
+ * `gc` appends one line per task after its archive member is written and before the originals are
+ * deleted, so the dependency gate (task-dependencies.mjs), the receipt browser and root exports can
+ * find a receipt after it left `receipts/` without gunzipping every archive. A missing index is
+ * rebuilt from the archive files on first read (archives written before the index existed).
+ *
+ * This module only reads and writes archive files, so modules that bus-archive.mjs itself imports
+ * can use it.
+ */
+
+import crypto from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+
+const gunzip = promisify(zlib.gunzip);
+
+/** @type {Map<string, { mtimeMs: number, size: number, rows: any[] }>} */
+const cache = new Map();
+
+export function archiveIndexPath(busRoot) {
+  return path.join(busRoot, 'archive', 'index.jsonl');
+}
+
+async function readDirSafe(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Reads every JSON line of a (multi-member) gzip archive file; unparseable lines are skipped.
+ */
+export async function readArchiveFile(archivePath) {
+  const text = (await gunzip(await fs.readFile(archivePath))).toString('utf8');
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // ignore
+    }
+  }
+  return out;
+}
+
+/**
+ * The index line for one archived entry; `archive` is the archive file relative to busRoot.
+ */
+export function archiveIndexRow(entry, archive) {
+  return {
+    agent: entry.agent,
+    taskId: entry.taskId,
+    closedAt: entry.closedAt ?? null,
+    outcome: entry.outcome ?? null,
+    archive,
+  };
+}
+
+export async function appendArchiveIndex(busRoot, rows) {
+  if (!rows.length) return;
+  const indexPath = archiveIndexPath(busRoot);
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+  await fs.appendFile(indexPath, rows.map((r) => JSON.stringify(r) + '\n').join(''), 'utf8');
+}
+
+/**
+ * Rewrites the index from a full scan of `archive/<agent>/<day>.jsonl.gz`.
+ */
+export async function rebuildArchiveIndex({ busRoot }) {
+  const root = path.join(busRoot, 'archive');
+  const rows = [];
+  for (const agent of await readDirSafe(root)) {
+    for (const f of await readDirSafe(path.join(root, agent))) {
+      if (!/^\d{4}-\d{2}-\d{2}\.jsonl\.gz$/.test(f)) continue;
+      const archivePath = path.join(root, agent, f);
+      try {
+        for (const entry of await readArchiveFile(archivePath)) {
+          rows.push(archiveIndexRow(entry, path.relative(busRoot, archivePath)));
+        }
+      } catch {
+        // ignore (unreadable archive)
+      }
+    }
+  }
+  const indexPath = archiveIndexPath(busRoot);
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+  const tmp = `${indexPath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, rows.map((r) => JSON.stringify(r) + '\n').join(''), 'utf8');
+  await fs.rename(tmp, indexPath);
+  return { indexPath, entries: rows.length };
+}
+
+/**
+ * Returns every index row, oldest archive first. Parsed rows are cached per busRoot until the index
+ * file's mtime or size moves, so per-tick callers (the dependency gate) only pay for a stat.
+ */
+export async function readArchiveIndex({ busRoot }) {
+  const indexPath = archiveIndexPath(busRoot);
+  let st;
+  try {
+    st = await fs.stat(indexPath);
+  } catch {
+    if (!(await readDirSafe(path.join(busRoot, 'archive'))).length) return [];
+    await rebuildArchiveIndex({ busRoot });
+    st = await fs.stat(indexPath);
+  }
+  const hit = cache.get(indexPath);
+  if (hit && hit.mtimeMs === st.mtimeMs && hit.size === st.size) return hit.rows;
+
+  const rows = [];
+  for (const line of (await fs.readFile(indexPath, 'utf8')).split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      // torn line from a concurrent append
+    }
+  }
+  cache.set(indexPath, { mtimeMs: st.mtimeMs, size: st.size, rows });
+  return rows;
+}
+
+/**
+ * Finds the newest archived entry for `agentName`/`taskId` through the index (full archive line plus
+ * `archive`), or null.
+ */
+export async function readArchivedEntry({ busRoot, agentName, taskId }) {
+  const rows = await readArchiveIndex({ busRoot });
+  for (let i = rows.length - 1; i >= 0; i -= 1) {
+    const row = rows[i];
+    if (row?.agent !== agentName || row?.taskId !== taskId) continue;
+    try {
+      const entries = await readArchiveFile(path.join(busRoot, row.archive));
+      for (let j = entries.length - 1; j >= 0; j -= 1) {
+        if (entries[j].agent === agentName && entries[j].taskId === taskId) return { ...entries[j], archive: row.archive };
+      }
+    } catch {
+      // archive file gone; try an older row
+    }
+  }
+  return null;
+}
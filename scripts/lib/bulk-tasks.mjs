@@ -0,0 +1,87 @@
+/**
+ * Bulk inbox operations behind the dashboard's multi-select (`POST /api/task/bulk`).
+ *
+ * Each item is `{ agent, id }` and is handled on its own, so one bad packet does not stop the rest:
+ *   - `cancel`: close `skipped` with the same receipt shape as the single-task cancel route;
+ *   - `reprioritize`: rewrite `priority` of a queued (new/seen) packet and append an update block;
+ *   - `reassign`: `reassignTask` to `toAgent` (in_progress packets only with `force`).
+ */
+
+import { promises as fs } from 'node:fs';
+import {
+  TASK_PRIORITIES,
+  closeTask,
+  findTaskPath,
+  isSafeId,
+  parseFrontmatter,
+  reassignTask,
+  updateTask,
+} from './agentbus.mjs';
+
+export const BULK_TASK_ACTIONS = ['cancel', 'reprioritize', 'reassign'];
+export const BULK_TASK_MAX = 200;
+
+async function bulkItem({ busRoot, roster, action, agent, id, priority, toAgent, reason, by, force }) {
+  if (!isSafeId(agent) || !isSafeId(id)) throw new Error('Invalid agent or id');
+  const found = await findTaskPath({ busRoot, agentName: agent, taskId: id });
+  if (!found) throw new Error(`Task not found: agent=${agent} id=${id}`);
+  if (found.state === 'processed') throw new Error(`Task already processed: agent=${agent} id=${id}`);
+  const why = reason ? `: ${reason}` : '';
+
+  if (action === 'cancel') {
+    await closeTask({
+      busRoot,
+      roster,
+      agentName: agent,
+      taskId: id,
+      outcome: 'skipped',
+      note: `Canceled by ${by}${why}`,
+      receiptExtra: { canceledBy: by, reason: reason || null, scope: 'agentOnly', bulk: true },
+      notifyOrchestrator: false,
+    });
+    return { state: found.state };
+  }
+
+  if (action === 'reprioritize') {
+    if (found.state === 'in_progress') throw new Error(`Task is already in_progress: agent=${agent} id=${id}`);
+    const { meta } = parseFrontmatter(await fs.readFile(found.path, 'utf8'));
+    const previous = meta?.priority || null;
+    if (previous === priority) return { state: found.state, priority, unchanged: true };
+    await updateTask({
+      busRoot,
+      agentName: agent,
+      taskId: id,
+      updateFrom: by,
+      priority,
+      appendBody: `Priority changed from ${previous || '(none)'} to ${priority}${why}`,
+    });
+    return { state: found.state, priority, previousPriority: previous };
+  }
+
+  const moved = await reassignTask({ busRoot, roster, fromAgent: agent, toAgent, taskId: id, by, reason, force });
+  return { state: found.state, to: moved.to };
+}
+
+/**
+ * Applies `action` to every item. Returns one `{ agent, id, ok, ... }` per item, in order (`error` when `ok` is false).
+ */
+export async function runBulkTaskAction({ busRoot, roster, action, items, priority = null, toAgent = null, reason = '', by = 'dashboard', force = false }) {
+  if (!BULK_TASK_ACTIONS.includes(action)) throw new Error(`Unknown bulk action "${action}"`);
+  if (action === 'reprioritize' && !TASK_PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of ${TASK_PRIORITIES.join('|')}`);
+  }
+  if (action === 'reassign' && !isSafeId(toAgent || '')) throw new Error('reassign needs a target agent');
+  const why = String(reason || '').trim();
+  const results = [];
+  for (const item of items) {
+    const agent = String(item?.agent || '');
+    const id = String(item?.id || '');
+    try {
+      const res = await bulkItem({ busRoot, roster, action, agent, id, priority, toAgent, reason: why, by, force });
+      results.push({ agent, id, ok: true, ...res });
+    } catch (err) {
+      results.push({ agent, id, ok: false, error: (err && err.message) || String(err) });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,308 @@
+/**
+ * AgentBus retention and archival (`agent-bus gc`, `agent-bus archive list|search|show`).
+ *
+ * Layout:
+ *   <busRoot>/archive/<agent>/<YYYY-MM-DD>.jsonl.gz   # one JSON line per closed task, by UTC close day
+ *   <busRoot>/archive/journal/events-<first>-<last>.jsonl.gz  # rotated event journal (bus-events.mjs)
+ *   <busRoot>/archive/index.jsonl                 # one line per archived task (archive-index.mjs)
+ *
+ * Each line is `{ agent, taskId, closedAt, outcome, archivedAt, receipt, packet }` where `packet` is
+ * the processed Markdown packet (or null) and `receipt` the receipt JSON (or null). `gc` appends a new
+ * gzip member per run (readers gunzip all members) and indexes it, then removes the archived
+ * packet/receipt files and rebuilds the receipt index. Receipts that a pending packet still `dependsOn`
+ * are never archived; a `dependsOn` added later resolves through the archive index, and search,
+ * root timelines and exports read archived tasks from the search index.
+ *
+ * Retention comes from `retention` in ROSTER.json (days; `null` keeps forever). Without it, `gc`
+ * archives nothing unless `--days` is given (DEFAULT_RETENTION_DAYS):
+ *   { "days": 30, "outcomes": { "failed": 90 }, "agents": { "<agent>": { "days": 7, "outcomes": { "done": 3 } } } }
+ * The most specific rule wins: agent+outcome, then agent, then outcome, then the default.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import { isSafeId, nowIso, rebuildReceiptIndex, readTaskDependsOn } from './agentbus.mjs';
+import { appendArchiveIndex, archiveIndexRow, readArchiveFile } from './archive-index.mjs';
+import { rotateBusEvents } from './bus-events.mjs';
+import { listPendingTasks } from './task-dependencies.mjs';
+
+export { readArchiveFile };
+
+const gzip = promisify(zlib.gzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Retention is opt-in: with no `retention.days` in ROSTER.json, closed tasks are kept forever. */
+export const DEFAULT_RETENTION_DAYS = null;
+
+export function archiveRoot(busRoot) {
+  return path.join(busRoot, 'archive');
+}
+
+async function readDirSafe(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+function readDays(value) {
+  if (value === null) return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * Normalizes `roster.retention` (plus an optional `days` override for the default) into a policy.
+ */
+export function loadRetentionPolicy(roster, { days } = {}) {
+  const raw = roster?.retention && typeof roster.retention === 'object' ? roster.retention : {};
+  const pickOutcomes = (obj) => {
+    const out = {};
+    for (const [outcome, v] of Object.entries(obj && typeof obj === 'object' ? obj : {})) {
+      const d = readDays(v);
+      if (d !== undefined) out[outcome] = d;
+    }
+    return out;
+  };
+  const agents = {};
+  for (const [agent, rule] of Object.entries(raw.agents && typeof raw.agents === 'object' ? raw.agents : {})) {
+    const r = rule && typeof rule === 'object' ? rule : { days: rule };
+    agents[agent] = { days: readDays(r.days), outcomes: pickOutcomes(r.outcomes) };
+  }
+  let base = readDays(raw.days);
+  if (days !== undefined) {
+    base = readDays(days);
+    if (base === undefined) throw new Error(`Invalid retention days: ${JSON.stringify(days)}`);
+  }
+  return {
+    days: base === undefined ? DEFAULT_RETENTION_DAYS : base,
+    outcomes: pickOutcomes(raw.outcomes),
+    agents,
+  };
+}
+
+/**
+ * Retention in days for one closed task (`null` = keep forever).
+ */
+export function resolveRetentionDays(policy, { agent, outcome }) {
+  const a = policy.agents?.[agent];
+  if (a && outcome && a.outcomes?.[outcome] !== undefined) return a.outcomes[outcome];
+  if (a && a.days !== undefined) return a.days;
+  if (outcome && policy.outcomes?.[outcome] !== undefined) return policy.outcomes[outcome];
+  return policy.days;
+}
+
+async function readJsonSafe(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function protectedTaskIds(busRoot) {
+  const ids = new Set();
+  for (const task of await listPendingTasks({ busRoot })) {
+    for (const dep of readTaskDependsOn(task.meta)) ids.add(dep);
+  }
+  return ids;
+}
+
+/**
+ * Lists closed tasks for an agent: every receipt plus processed packets that have no receipt.
+ */
+async function listClosedTasks(busRoot, agent) {
+  const out = new Map();
+  const receiptsDir = path.join(busRoot, 'receipts', agent);
+  for (const f of await readDirSafe(receiptsDir)) {
+    if (!f.endsWith('.json') || f.includes('.tmp.')) continue;
+    const p = path.join(receiptsDir, f);
+    try {
+      const st = await fs.stat(p);
+      const receipt = await readJsonSafe(p);
+      const closedAt = typeof receipt?.closedAt === 'string' ? Date.parse(receipt.closedAt) : NaN;
+      out.set(f.replace(/\.json$/, ''), {
+        receiptPath: p,
+        packetPath: null,
+        closedAtMs: Number.isFinite(closedAt) ? closedAt : st.mtimeMs,
+        outcome: receipt?.outcome != null ? String(receipt.outcome) : null,
+      });
+    } catch {
+      // ignore
+    }
+  }
+  const processedDir = path.join(busRoot, 'inbox', agent, 'processed');
+  for (const f of await readDirSafe(processedDir)) {
+    if (!f.endsWith('.md') || f.includes('.tmp.')) continue;
+    const taskId = f.replace(/\.md$/, '');
+    const p = path.join(processedDir, f);
+    const existing = out.get(taskId);
+    if (existing) {
+      existing.packetPath = p;
+      continue;
+    }
+    try {
+      const st = await fs.stat(p);
+      out.set(taskId, { receiptPath: null, packetPath: p, closedAtMs: st.mtimeMs, outcome: null });
+    } catch {
+      // ignore
+    }
+  }
+  return out;
+}
+
+async function appendArchiveLines(archivePath, lines) {
+  await fs.mkdir(path.dirname(archivePath), { recursive: true });
+  const handle = await fs.open(archivePath, 'a');
+  try {
+    await handle.write(await gzip(Buffer.from(lines.map((l) => JSON.stringify(l) + '\n').join(''), 'utf8')));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Archives closed tasks past their retention into `archive/<agent>/<day>.jsonl.gz` (indexed in
+ * `archive/index.jsonl`), then removes the processed packet and receipt and rebuilds the receipt index. Journal events older than the default
+ * retention are rotated into `archive/journal/` (`journal`, null when retention is forever or the
+ * run is scoped to one agent). With `dryRun`, only reports.
+ */
+export async function gcBusRoot({ busRoot, policy, agentName = null, now = Date.now(), dryRun = false }) {
+  const protectedIds = await protectedTaskIds(busRoot);
+  const archived = [];
+  const kept = { retained: 0, forever: 0, dependedOn: 0 };
+  let agents = [agentName];
+  if (!agentName) {
+    const names = new Set(await readDirSafe(path.join(busRoot, 'receipts')));
+    for (const name of await readDirSafe(path.join(busRoot, 'inbox'))) names.add(name);
+    agents = Array.from(names).sort();
+  }
+
+  for (const agent of agents) {
+    if (!isSafeId(agent)) continue;
+    /** @type {Map<string, any[]>} */
+    const byDay = new Map();
+    const sources = [];
+    for (const [taskId, t] of await listClosedTasks(busRoot, agent)) {
+      const days = resolveRetentionDays(policy, { agent, outcome: t.outcome });
+      if (days === null) {
+        kept.forever += 1;
+        continue;
+      }
+      if (now - t.closedAtMs < days * DAY_MS) {
+        kept.retained += 1;
+        continue;
+      }
+      if (protectedIds.has(taskId)) {
+        kept.dependedOn += 1;
+        continue;
+      }
+      const closedAt = new Date(t.closedAtMs).toISOString();
+      const archivePath = path.join(archiveRoot(busRoot), agent, `${closedAt.slice(0, 10)}.jsonl.gz`);
+      archived.push({ agent, taskId, outcome: t.outcome, closedAt, archive: path.relative(busRoot, archivePath) });
+      if (dryRun) continue;
+
+      const line = {
+        agent,
+        taskId,
+        closedAt,
+        outcome: t.outcome,
+        archivedAt: nowIso(),
+        receipt: t.receiptPath ? await readJsonSafe(t.receiptPath) : null,
+        packet: t.packetPath ? await fs.readFile(t.packetPath, 'utf8').catch(() => null) : null,
+      };
+      if (!byDay.has(archivePath)) byDay.set(archivePath, []);
+      byDay.get(archivePath).push(line);
+      sources.push(t.packetPath, t.receiptPath);
+    }
+
+    // Write (and fsync) the archive and index it before deleting anything; a crash in between only
+    // duplicates lines.
+    for (const [archivePath, lines] of byDay) {
+      await appendArchiveLines(archivePath, lines);
+      await appendArchiveIndex(
+        busRoot,
+        lines.map((l) => archiveIndexRow(l, path.relative(busRoot, archivePath))),
+      );
+    }
+    for (const p of sources) if (p) await fs.rm(p, { force: true });
+  }
+
+  const index = dryRun ? null : await rebuildReceiptIndex({ busRoot });
+  const journal =
+    agentName || policy.days === null ? null : await rotateBusEvents({ busRoot, before: now - policy.days * DAY_MS, dryRun });
+  return { dryRun, archived, kept, indexEntries: index ? index.entries : null, journal };
+}
+
+/**
+ * Lists archive files, optionally for one agent, oldest day first.
+ */
+export async function listArchives({ busRoot, agentName = null }) {
+  const root = archiveRoot(busRoot);
+  const out = [];
+  for (const agent of agentName ? [agentName] : await readDirSafe(root)) {
+    for (const f of await readDirSafe(path.join(root, agent))) {
+      const m = /^(\d{4}-\d{2}-\d{2})\.jsonl\.gz$/.exec(f);
+      if (!m) continue;
+      const p = path.join(root, agent, f);
+      try {
+        const st = await fs.stat(p);
+        out.push({ agent, day: m[1], path: p, bytes: st.size });
+      } catch {
+        // ignore
+      }
+    }
+  }
+  return out.sort((a, b) => a.day.localeCompare(b.day) || a.agent.localeCompare(b.agent));
+}
+
+function summarizeEntry(entry, archivePath, busRoot) {
+  return {
+    agent: entry.agent,
+    taskId: entry.taskId,
+    closedAt: entry.closedAt,
+    outcome: entry.outcome,
+    title: entry.receipt?.task?.title ?? null,
+    rootId: entry.receipt?.task?.signals?.rootId ?? null,
+    archive: path.relative(busRoot, archivePath),
+  };
+}
+
+/**
+ * Case-insensitive substring search over archived lines (packet, receipt and ids), newest day first.
+ * `since`/`until` are `YYYY-MM-DD` bounds on the archive day.
+ */
+export async function searchArchives({ busRoot, query = '', agentName = null, since = null, until = null, limit = 50 }) {
+  const needle = String(query || '').toLowerCase();
+  const files = (await listArchives({ busRoot, agentName }))
+    .filter((a) => (!since || a.day >= since) && (!until || a.day <= until))
+    .reverse();
+  const out = [];
+  for (const file of files) {
+    const entries = await readArchiveFile(file.path);
+    for (let i = entries.length - 1; i >= 0 && out.length < limit; i -= 1) {
+      if (needle && !JSON.stringify(entries[i]).toLowerCase().includes(needle)) continue;
+      out.push(summarizeEntry(entries[i], file.path, busRoot));
+    }
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * Finds the newest archived line for `taskId` (optionally scoped to one agent), or null.
+ */
+export async function readArchivedTask({ busRoot, taskId, agentName = null }) {
+  const files = (await listArchives({ busRoot, agentName })).reverse();
+  for (const file of files) {
+    const entries = await readArchiveFile(file.path);
+    for (let i = entries.length - 1; i >= 0; i -= 1) {
+      if (entries[i].taskId === taskId) return { ...entries[i], archive: path.relative(busRoot, file.path) };
+    }
+  }
+  return null;
+}
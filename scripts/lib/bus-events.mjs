@@ -0,0 +1,462 @@
+/**
+ * Append-only AgentBus event journal (`<busRoot>/events.jsonl`) and replay.
+ *
+ * `deliverTask`, `openTask`, `claimTask`, `updateTask` and `closeTask` append one JSON line per
+ * change with a bus-wide, strictly increasing `seq`:
+ *   { seq, ts, type: 'deliver'|'open'|'claim'|'update'|'close', agent, taskId, ... }
+ * The packet moves made outside those calls are journaled too:
+ *   - `released`: pending/scheduled packet released by the dependency gate or the schedule tick;
+ *   - `requeued`: expired `in_progress` lease moved back to `new` by the reaper;
+ *   - `quarantined`: packet moved into `deadletter/` (carries `reason`/`error`);
+ *   - `retried`: deadletter packet redelivered.
+ * Packet locations are bus-root relative paths. `deliver`/`update` carry the full packet markdown,
+ * moves carry `from`/`to` (plus `markdown` when the bytes that land at `to` were never journaled:
+ * quarantined packets and deadletter retries, which are fixed in place), and `close` carries the receipt it wrote, so the journal alone is enough to
+ * rebuild the packet and receipt trees (`agent-bus replay --into <dir>`).
+ *
+ * Appends serialize on `state/events.lock` (pid/host payload; dead or stale owners are broken) so
+ * sequence numbers stay monotonic across worker processes. The next `seq` comes from the journal's
+ * last line, so the journal is its own source of truth.
+ *
+ * `agent-bus gc` rotates events past retention into gzip segments
+ *   <busRoot>/archive/journal/events-<firstSeq>-<lastSeq>.jsonl.gz
+ * (`rotateBusEvents`); replay reads those segments before the live journal.
+ *
+ * This module intentionally does not import `agentbus.mjs` so the core packet paths can use it.
+ */
+
+import { createReadStream, createWriteStream, promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import readline from 'node:readline';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+import { isPidAlive } from './process-alive.mjs';
+
+export const BUS_EVENT_TYPES = ['deliver', 'open', 'claim', 'update', 'close', 'released', 'requeued', 'quarantined', 'retried'];
+const MOVE_EVENT_TYPES = new Set(['open', 'claim', 'close', 'released', 'requeued', 'quarantined', 'retried']);
+
+const LOCK_WAIT_MS = 5_000;
+const LOCK_STALE_MS = 30_000;
+// Journal reads never allocate more than this at once (plus one partial line carried between chunks).
+const READ_CHUNK_BYTES = 256 * 1024;
+
+export function busEventsPath(busRoot) {
+  return path.join(busRoot, 'events.jsonl');
+}
+
+export function busEventsArchiveDir(busRoot) {
+  return path.join(busRoot, 'archive', 'journal');
+}
+
+function busEventsLockPath(busRoot) {
+  return path.join(busRoot, 'state', 'events.lock');
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function lockIsStale(lockPath) {
+  try {
+    const [raw, st] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+    if (Date.now() - st.mtimeMs > LOCK_STALE_MS) return true;
+    const owner = JSON.parse(raw);
+    return owner?.host === os.hostname() && !isPidAlive(owner?.pid);
+  } catch {
+    return false; // mid-write or already gone; retry
+  }
+}
+
+async function withJournalLock(busRoot, fn) {
+  const lockPath = busEventsLockPath(busRoot);
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      const fh = await fs.open(lockPath, 'wx');
+      try {
+        await fh.writeFile(JSON.stringify({ pid: process.pid, host: os.hostname() }) + '\n', 'utf8');
+      } finally {
+        await fh.close();
+      }
+      break;
+    } catch (err) {
+      if (err && err.code === 'ENOENT') {
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (!err || err.code !== 'EEXIST') throw err;
+      if (await lockIsStale(lockPath)) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for ${path.relative(busRoot, lockPath)}`);
+      await sleep(5 + Math.floor(Math.random() * 20));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+async function readLastSeq(journalPath) {
+  let handle;
+  try {
+    handle = await fs.open(journalPath, 'r');
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return 0;
+    throw err;
+  }
+  try {
+    const { size } = await handle.stat();
+    // Lines can carry whole packets; widen the window until it holds one complete line.
+    for (let window = 64 * 1024; ; window *= 4) {
+      const len = Math.min(window, size);
+      const buf = Buffer.alloc(len);
+      await handle.read(buf, 0, len, size - len);
+      const lines = buf.toString('utf8').split('\n').filter((l) => l.trim());
+      const complete = len === size ? lines : lines.slice(1);
+      for (let i = complete.length - 1; i >= 0; i -= 1) {
+        try {
+          const seq = Number(JSON.parse(complete[i]).seq);
+          if (Number.isInteger(seq)) return seq;
+        } catch {
+          // torn tail from a crashed writer; look further back
+        }
+      }
+      if (len === size) return 0;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Sequence number of the newest journaled event (0 when the journal is empty or missing).
+ */
+export async function readLastBusEventSeq(busRoot) {
+  return readLastSeq(busEventsPath(busRoot));
+}
+
+/**
+ * Appends one event and returns it with its assigned `seq` and `ts`.
+ */
+export async function appendBusEvent(busRoot, event) {
+  const journalPath = busEventsPath(busRoot);
+  return withJournalLock(busRoot, async () => {
+    const seq = (await readLastSeq(journalPath)) + 1;
+    const entry = { seq, ts: new Date().toISOString(), ...event };
+    await fs.appendFile(journalPath, JSON.stringify(entry) + '\n', 'utf8');
+    return entry;
+  });
+}
+
+/**
+ * `appendBusEvent` for packet transitions. The journal is an audit trail, not the source of truth:
+ * a failed append only warns and must not fail the transition.
+ */
+export async function recordBusEvent(busRoot, event) {
+  try {
+    await appendBusEvent(busRoot, event);
+  } catch (err) {
+    process.stderr.write(
+      `WARN: bus event journal append failed (${event.type} ${event.agent}/${event.taskId}): ${(err && err.message) || String(err)}\n`,
+    );
+  }
+}
+
+/**
+ * The `{ kind, rootId }` references events carry so consumers can filter without the markdown.
+ */
+export function busEventRefs(meta) {
+  return { kind: meta?.signals?.kind ?? null, rootId: meta?.signals?.rootId ?? null };
+}
+
+function parseEventLine(line) {
+  if (!line.trim()) return null;
+  try {
+    const ev = JSON.parse(line);
+    return ev && typeof ev === 'object' ? ev : null;
+  } catch {
+    return null; // torn line
+  }
+}
+
+/**
+ * Yields the complete (newline-terminated) lines in `[from, to)` as `{ text, start, end }`, reading
+ * `READ_CHUNK_BYTES` at a time. `from` must be a line start; a trailing partial line is not yielded.
+ */
+async function* readJournalLines(handle, from, to) {
+  let pos = from;
+  let carry = Buffer.alloc(0);
+  let carryStart = from;
+  while (pos < to) {
+    const buf = Buffer.alloc(Math.min(READ_CHUNK_BYTES, to - pos));
+    const { bytesRead } = await handle.read(buf, 0, buf.length, pos);
+    if (bytesRead === 0) break;
+    pos += bytesRead;
+    let data = carry.length ? Buffer.concat([carry, buf.subarray(0, bytesRead)]) : buf.subarray(0, bytesRead);
+    let lineStart = 0;
+    for (let nl = data.indexOf(10); nl !== -1; nl = data.indexOf(10, lineStart)) {
+      yield { text: data.toString('utf8', lineStart, nl), start: carryStart + lineStart, end: carryStart + nl + 1 };
+      lineStart = nl + 1;
+    }
+    carry = Buffer.from(data.subarray(lineStart));
+    carryStart += lineStart;
+    data = null;
+  }
+}
+
+/**
+ * First parseable event line starting at or after `pos` (torn lines are skipped, but `start` stays at
+ * the first skipped line so nothing after the seek point is lost). Null when no complete line follows.
+ */
+async function eventLineAtOrAfter(handle, pos, size) {
+  let from = pos > 0 ? null : 0;
+  if (pos > 0) {
+    // Back up one byte: if `pos` is already a line start, the previous line ends right before it.
+    for await (const line of readJournalLines(handle, pos - 1, size)) {
+      from = line.end;
+      break;
+    }
+    if (from == null) return null;
+  }
+  let start = null;
+  for await (const line of readJournalLines(handle, from, size)) {
+    if (start == null) start = line.start;
+    const ev = parseEventLine(line.text);
+    if (ev && Number.isInteger(Number(ev.seq))) return { start, end: line.end, seq: Number(ev.seq) };
+  }
+  return null;
+}
+
+/**
+ * Byte offset of the first journal line with `seq > since` (`size` when there is none). Sequence
+ * numbers increase along the file, so this is a binary search over byte positions: a reconnecting
+ * reader seeks straight to its position instead of scanning the journal from the start.
+ */
+async function findEventOffset(handle, size, since) {
+  let lo = 0;
+  let hi = size;
+  let found = size;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const line = await eventLineAtOrAfter(handle, mid, size);
+    if (!line || line.start >= hi) {
+      hi = mid;
+    } else if (line.seq > since) {
+      found = Math.min(found, line.start);
+      hi = mid;
+    } else {
+      lo = line.end;
+    }
+  }
+  return found;
+}
+
+/**
+ * Reads events with `seq > since`, oldest first.
+ */
+export async function readBusEvents({ busRoot, since = 0, limit = Infinity }) {
+  const out = [];
+  if (limit <= 0) return out;
+  for await (const ev of streamBusEvents({ busRoot, since })) {
+    out.push(ev);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * Archived journal segments, oldest first: `[{ path, firstSeq, lastSeq }]`.
+ */
+export async function listBusEventArchives(busRoot) {
+  const dir = busEventsArchiveDir(busRoot);
+  let files = [];
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const f of files) {
+    const m = /^events-(\d+)-(\d+)\.jsonl\.gz$/.exec(f);
+    if (m) out.push({ path: path.join(dir, f), firstSeq: Number(m[1]), lastSeq: Number(m[2]) });
+  }
+  return out.sort((a, b) => a.firstSeq - b.firstSeq);
+}
+
+async function* readArchivedBusEvents(busRoot, since) {
+  for (const segment of await listBusEventArchives(busRoot)) {
+    if (segment.lastSeq <= since) continue;
+    const lines = readline.createInterface({ input: createReadStream(segment.path).pipe(zlib.createGunzip()), crlfDelay: Infinity });
+    for await (const line of lines) {
+      const ev = parseEventLine(line);
+      if (ev && Number(ev.seq) > since) yield ev;
+    }
+  }
+}
+
+/**
+ * Yields events with `seq > since`, then (with `follow`) keeps tailing the journal every `pollMs`
+ * until `signal` aborts. With `includeArchive`, rotated segments are read first. Reads seek to `since` (see `findEventOffset`) and go `READ_CHUNK_BYTES` at a
+ * time, so a reader that is caught up costs one seek regardless of journal size. A journal replaced
+ * by rotation (new inode, or shorter than the read position) is re-sought by the last seq yielded.
+ */
+export async function* streamBusEvents({ busRoot, since = 0, follow = false, pollMs = 500, signal = null, includeArchive = false }) {
+  const journalPath = busEventsPath(busRoot);
+  let offset = null;
+  let inode = null;
+  let lastSeq = Number(since) || 0;
+  if (includeArchive) {
+    for await (const ev of readArchivedBusEvents(busRoot, lastSeq)) {
+      if (signal?.aborted) return;
+      lastSeq = Number(ev.seq);
+      yield ev;
+    }
+  }
+  while (!signal?.aborted) {
+    let handle = null;
+    try {
+      handle = await fs.open(journalPath, 'r');
+    } catch {
+      // no journal yet
+    }
+    if (handle) {
+      try {
+        const { size, ino } = await handle.stat();
+        if (offset == null || ino !== inode || size < offset) offset = await findEventOffset(handle, size, lastSeq);
+        inode = ino;
+        for await (const line of readJournalLines(handle, offset, size)) {
+          offset = line.end;
+          const ev = parseEventLine(line.text);
+          if (!ev || !(Number(ev.seq) > lastSeq)) continue;
+          lastSeq = Number(ev.seq);
+          yield ev;
+          if (signal?.aborted) return;
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+    if (!follow) return;
+    await sleep(pollMs);
+  }
+}
+
+/**
+ * Moves journal events with `ts` before `before` (epoch ms) into
+ * `archive/journal/events-<firstSeq>-<lastSeq>.jsonl.gz` and rewrites `events.jsonl` with the rest.
+ * The newest event always stays, so `seq` keeps counting. Runs under the journal lock, streaming both
+ * files; the segment is written before the journal is replaced, so a crash in between only leaves
+ * events in both places (readers skip them by `seq`). Returns `{ rotated, firstSeq, lastSeq, bytes, archive }`.
+ */
+export async function rotateBusEvents({ busRoot, before, dryRun = false }) {
+  const journalPath = busEventsPath(busRoot);
+  const result = { rotated: 0, firstSeq: null, lastSeq: null, bytes: 0, archive: null };
+  const rotate = async () => {
+    let handle;
+    try {
+      handle = await fs.open(journalPath, 'r');
+    } catch (err) {
+      if (err && err.code === 'ENOENT') return result;
+      throw err;
+    }
+    try {
+      const { size } = await handle.stat();
+      let pending = null;
+      for await (const line of readJournalLines(handle, 0, size)) {
+        // Commit the previous old line only once another line follows it.
+        if (pending) {
+          result.bytes = pending.line.end;
+          result.rotated += pending.ev ? 1 : 0;
+          if (Number.isInteger(Number(pending.ev?.seq))) {
+            result.firstSeq ??= Number(pending.ev.seq);
+            result.lastSeq = Number(pending.ev.seq);
+          }
+        }
+        const ev = parseEventLine(line.text);
+        if (ev && !(Date.parse(ev.ts) < before)) break;
+        pending = { line, ev };
+      }
+    } finally {
+      await handle.close();
+    }
+    if (result.bytes === 0 || result.firstSeq == null) return { ...result, rotated: 0, bytes: 0 };
+
+    const name = `events-${String(result.firstSeq).padStart(12, '0')}-${String(result.lastSeq).padStart(12, '0')}.jsonl.gz`;
+    const archivePath = path.join(busEventsArchiveDir(busRoot), name);
+    result.archive = path.relative(busRoot, archivePath);
+    if (dryRun) return result;
+
+    await fs.mkdir(path.dirname(archivePath), { recursive: true });
+    const tmpArchive = `${archivePath}.tmp.${process.pid}`;
+    await pipeline(createReadStream(journalPath, { start: 0, end: result.bytes - 1 }), zlib.createGzip(), createWriteStream(tmpArchive));
+    await fs.rename(tmpArchive, archivePath);
+    const tmpJournal = `${journalPath}.tmp.${process.pid}`;
+    await pipeline(createReadStream(journalPath, { start: result.bytes }), createWriteStream(tmpJournal));
+    await fs.rename(tmpJournal, journalPath);
+    return result;
+  };
+  return dryRun ? rotate() : withJournalLock(busRoot, rotate);
+}
+
+function resolveInside(root, rel) {
+  const p = path.resolve(root, String(rel || ''));
+  if (!rel || path.isAbsolute(String(rel)) || !p.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Refusing event path outside the bus: ${JSON.stringify(rel)}`);
+  }
+  return p;
+}
+
+async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp.${process.pid}`;
+  await fs.writeFile(tmp, content, 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+/**
+ * Applies journal events (`seq > since`, rotated segments included) to `targetRoot`, recreating packets and receipts.
+ */
+export async function replayBusEvents({ busRoot, targetRoot, since = 0 }) {
+  const result = { applied: 0, skipped: [], lastSeq: Number(since) || 0 };
+
+  for await (const ev of streamBusEvents({ busRoot, since, includeArchive: true })) {
+    result.lastSeq = ev.seq;
+    try {
+      if (ev.type === 'deliver' || ev.type === 'update') {
+        if (typeof ev.markdown !== 'string') throw new Error('missing markdown');
+        await writeFileAtomic(resolveInside(targetRoot, ev.path), ev.markdown);
+      } else if (MOVE_EVENT_TYPES.has(ev.type)) {
+        if (ev.from && ev.to && ev.from !== ev.to) {
+          const from = resolveInside(targetRoot, ev.from);
+          const to = resolveInside(targetRoot, ev.to);
+          if (typeof ev.markdown === 'string') {
+            await writeFileAtomic(to, ev.markdown);
+            await fs.rm(from, { force: true });
+          } else {
+            try {
+              await fs.access(from);
+            } catch {
+              throw new Error(`packet not found at ${ev.from}`);
+            }
+            await fs.mkdir(path.dirname(to), { recursive: true });
+            await fs.rename(from, to);
+          }
+        }
+        if (ev.type === 'close' && ev.receipt && ev.receiptPath) {
+          await writeFileAtomic(resolveInside(targetRoot, ev.receiptPath), JSON.stringify(ev.receipt, null, 2) + '\n');
+        }
+      } else {
+        throw new Error(`unknown event type ${JSON.stringify(ev.type)}`);
+      }
+      result.applied += 1;
+    } catch (err) {
+      result.skipped.push({ seq: ev.seq, type: ev.type, error: (err && err.message) || String(err) });
+    }
+  }
+  return result;
+}
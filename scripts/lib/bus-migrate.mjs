@@ -0,0 +1,141 @@
+/**
+ * In-place migration of an AgentBus root to the current packet/receipt schema (`agent-bus migrate`).
+ *
+ * Walks every packet under `inbox/<agent>/<state>/`, `pending/`, `scheduled/` and `deadletter/`,
+ * rewriting frontmatter through `upgradeTaskMeta(...)`, then every receipt under
+ * `receipts/<agent>/`, stamping `schemaVersion` and upgrading the embedded `task` snapshot.
+ * Rewrites are atomic (tmp + rename) and keep the original mtime so pickup order does not change.
+ * Run it with workers stopped: a packet moved mid-migration is reported as skipped, not rewritten.
+ */
+
+import { promises as fs } from 'node:fs';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import {
+  BUS_SCHEMA_VERSION,
+  parseFrontmatter,
+  renderTaskMarkdown,
+  upgradeTaskMeta,
+} from './agentbus.mjs';
+
+const INBOX_STATES = ['new', 'seen', 'in_progress', 'processed'];
+
+async function readDirSafe(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Upgrades one receipt object. Returns `{ receipt, changes }` (`changes` empty when current).
+ */
+export function upgradeReceipt(receipt, { agentName, taskId }) {
+  if (!isPlainObject(receipt)) return { receipt, changes: [] };
+  const next = { ...receipt };
+  const changes = [];
+  if (next.schemaVersion !== BUS_SCHEMA_VERSION) {
+    changes.push(`schemaVersion: ${next.schemaVersion ?? 1} -> ${BUS_SCHEMA_VERSION}`);
+    next.schemaVersion = BUS_SCHEMA_VERSION;
+  }
+  if (typeof next.taskId !== 'string' || !next.taskId) {
+    next.taskId = taskId;
+    changes.push('taskId: (missing) -> file name');
+  }
+  if (typeof next.agent !== 'string' || !next.agent) {
+    next.agent = agentName;
+    changes.push('agent: (missing) -> directory');
+  }
+  if (!isPlainObject(next.receiptExtra)) {
+    next.receiptExtra = {};
+    changes.push('receiptExtra: (missing) -> {}');
+  }
+  if (isPlainObject(next.task)) {
+    const upgraded = upgradeTaskMeta(next.task);
+    if (upgraded.changes.length) {
+      next.task = upgraded.meta;
+      changes.push(...upgraded.changes.map((c) => `task.${c}`));
+    }
+  }
+  return { receipt: next, changes };
+}
+
+async function rewriteInPlace(filePath, content) {
+  const st = await fs.stat(filePath);
+  const tmp = `${filePath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, content, 'utf8');
+  try {
+    await fs.access(filePath);
+    await fs.rename(tmp, filePath);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+  await fs.utimes(filePath, st.atime, st.mtime);
+}
+
+async function listPacketFiles(busRoot) {
+  const out = [];
+  const inboxRoot = path.join(busRoot, 'inbox');
+  for (const agent of await readDirSafe(inboxRoot)) {
+    for (const state of INBOX_STATES) out.push(path.join(inboxRoot, agent, state));
+  }
+  for (const area of ['pending', 'scheduled', 'deadletter']) {
+    for (const agent of await readDirSafe(path.join(busRoot, area))) out.push(path.join(busRoot, area, agent));
+  }
+  const files = [];
+  for (const dir of out) {
+    for (const f of await readDirSafe(dir)) {
+      if (f.endsWith('.md') && !f.includes('.tmp.')) files.push(path.join(dir, f));
+    }
+  }
+  return files;
+}
+
+/**
+ * Migrates every packet and receipt under `busRoot`. With `dryRun`, reports what would change
+ * without writing. Paths in the result are relative to `busRoot`.
+ */
+export async function migrateBusRoot({ busRoot, dryRun = false }) {
+  const packets = [];
+  const receipts = [];
+  const skipped = [];
+  const rel = (p) => path.relative(busRoot, p);
+
+  for (const p of await listPacketFiles(busRoot)) {
+    try {
+      const { meta, body } = parseFrontmatter(await fs.readFile(p, 'utf8'));
+      if (!meta) throw new Error('Missing JSON frontmatter');
+      const upgraded = upgradeTaskMeta(meta);
+      if (!upgraded.changes.length) continue;
+      if (!dryRun) await rewriteInPlace(p, renderTaskMarkdown(upgraded.meta, body));
+      packets.push({ path: rel(p), changes: upgraded.changes });
+    } catch (err) {
+      skipped.push({ path: rel(p), error: (err && err.message) || String(err) });
+    }
+  }
+
+  const receiptsRoot = path.join(busRoot, 'receipts');
+  for (const agent of await readDirSafe(receiptsRoot)) {
+    for (const f of await readDirSafe(path.join(receiptsRoot, agent))) {
+      if (!f.endsWith('.json') || f.includes('.tmp.')) continue;
+      const p = path.join(receiptsRoot, agent, f);
+      try {
+        const parsed = JSON.parse(await fs.readFile(p, 'utf8'));
+        const upgraded = upgradeReceipt(parsed, { agentName: agent, taskId: f.replace(/\.json$/, '') });
+        if (!upgraded.changes.length) continue;
+        if (!dryRun) await rewriteInPlace(p, JSON.stringify(upgraded.receipt, null, 2) + '\n');
+        receipts.push({ path: rel(p), changes: upgraded.changes });
+      } catch (err) {
+        skipped.push({ path: rel(p), error: (err && err.message) || String(err) });
+      }
+    }
+  }
+
+  return { dryRun, packets, receipts, skipped };
+}
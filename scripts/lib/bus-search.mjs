@@ -0,0 +1,474 @@
+/**
+ * Structured + free-text search over AgentBus packets and receipts (`agent-bus search`, `/api/search`).
+ *
+ * Layout:
+ *   <busRoot>/state/search-index/<agent>.json   # { version, agent, updatedAt, dirs: { "<rel dir>": { mtimeMs, files: { "<file>": { mtimeMs, size, doc } } } } }
+ *
+ * The index covers `inbox/<agent>/{new,seen,in_progress,processed}`, `pending/<agent>`,
+ * `scheduled/<agent>`, `receipts/<agent>` and the `gc` archives in `archive/<agent>/<day>.jsonl.gz`
+ * (one file entry holds `docs: [{ packet, receipt }]` for every archived line, packets with state
+ * `archived`). Every bus write is a create or tmp-file rename, which bumps the directory mtime, and
+ * `gc` appends to archive files, which moves their mtime/size, so a refresh only re-lists directories
+ * whose mtime moved and only re-parses files whose mtime/size moved. Files edited in place outside
+ * the bus API need `rebuild`.
+ *
+ * The index is sharded per agent, so a refresh only rewrites the shards of agents whose directories
+ * changed. Parsed shards (and the merged task list) are cached in memory until a shard file's
+ * mtime/size moves, so a long-lived process (the dashboard server) only pays for stats on an
+ * unchanged bus. The pre-shard `state/search-index.json` is removed on the first refresh.
+ *
+ * A packet doc and the receipt doc for the same agent/taskId are merged into one search result; an
+ * archived doc only fills in when no live packet/receipt exists for that agent/taskId.
+ * Free text is matched (all terms, `"quoted phrases"` kept together) against the packet title and
+ * body plus the receipt note, lowercased and capped at MAX_TEXT_CHARS per doc.
+ */
+
+import crypto from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { isSafeId, parseFrontmatter } from './agentbus.mjs';
+import { readArchiveFile } from './archive-index.mjs';
+
+export const SEARCH_INDEX_VERSION = 2;
+export const SEARCH_STATES = ['new', 'seen', 'in_progress', 'processed', 'pending', 'scheduled', 'archived'];
+
+const INBOX_STATES = ['new', 'seen', 'in_progress', 'processed'];
+const MAX_TEXT_CHARS = 32 * 1024;
+const MAX_EXTRA_DEPTH = 6;
+const MAX_EXTRA_VALUE_CHARS = 200;
+const DURATION_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+/** @type {Map<string, { mtimeMs: number, size: number, shard: any }>} */
+const shardCache = new Map();
+/** @type {Map<string, { signature: string, tasks: any[] }>} */
+const tasksCache = new Map();
+
+export function searchIndexDir(busRoot) {
+  return path.join(busRoot, 'state', 'search-index');
+}
+
+export function searchIndexShardPath(busRoot, agent) {
+  return path.join(searchIndexDir(busRoot), `${agent}.json`);
+}
+
+async function readDirSafe(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+async function indexedDirs(busRoot) {
+  const out = [];
+  for (const agent of await readDirSafe(path.join(busRoot, 'inbox'))) {
+    for (const state of INBOX_STATES) out.push({ rel: path.join('inbox', agent, state), agent, state, type: 'packet' });
+  }
+  for (const area of ['pending', 'scheduled']) {
+    for (const agent of await readDirSafe(path.join(busRoot, area))) {
+      out.push({ rel: path.join(area, agent), agent, state: area, type: 'packet' });
+    }
+  }
+  for (const agent of await readDirSafe(path.join(busRoot, 'receipts'))) {
+    out.push({ rel: path.join('receipts', agent), agent, state: null, type: 'receipt' });
+  }
+  const archived = await fs.readdir(path.join(busRoot, 'archive'), { withFileTypes: true }).catch(() => []);
+  for (const e of archived.filter((d) => d.isDirectory() && d.name !== 'journal').sort((a, b) => a.name.localeCompare(b.name))) {
+    out.push({ rel: path.join('archive', e.name), agent: e.name, state: 'archived', type: 'archive' });
+  }
+  return out;
+}
+
+const FILE_EXT = { packet: '.md', receipt: '.json', archive: '.jsonl.gz' };
+
+/**
+ * Flattens `receiptExtra` into `{ "a.b.c": ["scalar", ...] }`. Array elements share their parent's
+ * path, so `reviewClosure.threadIds=T1` matches when any element equals `T1`.
+ */
+export function flattenReceiptExtra(value, prefix = '', out = {}, depth = 0) {
+  if (value == null || depth > MAX_EXTRA_DEPTH) return out;
+  if (Array.isArray(value)) {
+    for (const v of value) flattenReceiptExtra(v, prefix, out, depth + 1);
+    return out;
+  }
+  if (typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) flattenReceiptExtra(v, prefix ? `${prefix}.${k}` : k, out, depth + 1);
+    return out;
+  }
+  if (!prefix) return out;
+  (out[prefix] ||= []).push(String(value).slice(0, MAX_EXTRA_VALUE_CHARS));
+  return out;
+}
+
+function packetDoc(raw, { agent, state, taskId, mtimeMs }) {
+  let meta = null;
+  let body = raw;
+  try {
+    ({ meta, body } = parseFrontmatter(raw));
+  } catch {
+    // unparseable frontmatter: still searchable as plain text
+  }
+  const title = typeof meta?.title === 'string' ? meta.title : '';
+  return {
+    agent,
+    taskId: typeof meta?.id === 'string' && meta.id ? meta.id : taskId,
+    state,
+    title,
+    priority: meta?.priority ?? null,
+    from: meta?.from ?? null,
+    kind: meta?.signals?.kind ?? null,
+    rootId: meta?.signals?.rootId ?? null,
+    updatedAt: new Date(mtimeMs).toISOString(),
+    text: `${title}\n${body}`.toLowerCase().slice(0, MAX_TEXT_CHARS),
+  };
+}
+
+function receiptDoc(raw, { agent, taskId, mtimeMs }) {
+  const r = JSON.parse(raw);
+  return {
+    agent,
+    taskId: typeof r?.taskId === 'string' && r.taskId ? r.taskId : taskId,
+    title: typeof r?.task?.title === 'string' ? r.task.title : '',
+    kind: r?.task?.signals?.kind ?? null,
+    rootId: r?.task?.signals?.rootId ?? null,
+    outcome: r?.outcome ?? null,
+    commitSha: r?.commitSha || null,
+    closedAt: typeof r?.closedAt === 'string' ? r.closedAt : new Date(mtimeMs).toISOString(),
+    extra: flattenReceiptExtra(r?.receiptExtra),
+    text: String(r?.note || '').toLowerCase().slice(0, MAX_TEXT_CHARS),
+  };
+}
+
+async function archiveDocs(archivePath, { agent, mtimeMs }) {
+  const docs = [];
+  for (const entry of await readArchiveFile(archivePath)) {
+    if (typeof entry?.taskId !== 'string' || !entry.taskId) continue;
+    const closedMs = Date.parse(entry.closedAt || '');
+    const ctx = { agent, state: 'archived', taskId: entry.taskId, mtimeMs: Number.isFinite(closedMs) ? closedMs : mtimeMs };
+    docs.push({
+      packet: typeof entry.packet === 'string' ? packetDoc(entry.packet, ctx) : null,
+      receipt: entry.receipt ? receiptDoc(JSON.stringify(entry.receipt), ctx) : null,
+    });
+  }
+  return docs;
+}
+
+async function readShard(shardPath) {
+  let st;
+  try {
+    st = await fs.stat(shardPath);
+  } catch {
+    shardCache.delete(shardPath);
+    return null;
+  }
+  const hit = shardCache.get(shardPath);
+  if (hit && hit.mtimeMs === st.mtimeMs && hit.size === st.size) return hit;
+  let shard = null;
+  try {
+    const parsed = JSON.parse(await fs.readFile(shardPath, 'utf8'));
+    if (parsed?.version === SEARCH_INDEX_VERSION && parsed.dirs && typeof parsed.dirs === 'object') shard = parsed;
+  } catch {
+    // corrupt or torn: rebuild this shard
+  }
+  const entry = { mtimeMs: st.mtimeMs, size: st.size, shard };
+  shardCache.set(shardPath, entry);
+  return entry;
+}
+
+async function writeShard(shardPath, shard) {
+  await fs.mkdir(path.dirname(shardPath), { recursive: true });
+  const tmp = `${shardPath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, JSON.stringify(shard) + '\n', 'utf8');
+  await fs.rename(tmp, shardPath);
+  const st = await fs.stat(shardPath);
+  const entry = { mtimeMs: st.mtimeMs, size: st.size, shard };
+  shardCache.set(shardPath, entry);
+  return entry;
+}
+
+async function refreshDir(busRoot, d, prev, stats) {
+  const dir = path.join(busRoot, d.rel);
+  let dirSt;
+  try {
+    dirSt = await fs.stat(dir);
+  } catch {
+    return null;
+  }
+  if (prev && prev.mtimeMs === dirSt.mtimeMs) {
+    stats.dirsReused += 1;
+    return prev;
+  }
+  stats.dirsScanned += 1;
+  const ext = FILE_EXT[d.type];
+  // Record the mtime read before listing so a write racing the scan forces another pass.
+  const entry = { mtimeMs: dirSt.mtimeMs, files: {} };
+  for (const file of await readDirSafe(dir)) {
+    if (!file.endsWith(ext)) continue;
+    const p = path.join(dir, file);
+    try {
+      const st = await fs.stat(p);
+      const old = prev?.files?.[file];
+      if (old && old.mtimeMs === st.mtimeMs && old.size === st.size) {
+        entry.files[file] = old;
+        continue;
+      }
+      if (d.type === 'archive') {
+        entry.files[file] = { mtimeMs: st.mtimeMs, size: st.size, docs: await archiveDocs(p, { agent: d.agent, mtimeMs: st.mtimeMs }) };
+        stats.filesParsed += 1;
+        continue;
+      }
+      const raw = await fs.readFile(p, 'utf8');
+      const ctx = { agent: d.agent, state: d.state, taskId: file.slice(0, -ext.length), mtimeMs: st.mtimeMs };
+      const doc = d.type === 'receipt' ? receiptDoc(raw, ctx) : packetDoc(raw, ctx);
+      entry.files[file] = { mtimeMs: st.mtimeMs, size: st.size, doc };
+      stats.filesParsed += 1;
+    } catch {
+      // vanished mid-scan or unreadable receipt JSON
+    }
+  }
+  return entry;
+}
+
+/**
+ * Brings the `state/search-index/<agent>.json` shards up to date, rewriting only the shards whose
+ * directories changed. Returns the merged `{ version, updatedAt, dirs }` view, refresh stats and a
+ * `signature` that only changes when some shard file changed.
+ */
+export async function refreshSearchIndex({ busRoot, rebuild = false }) {
+  const stats = { dirsScanned: 0, dirsReused: 0, filesParsed: 0, shardsWritten: 0 };
+  const byAgent = new Map();
+  for (const d of await indexedDirs(busRoot)) {
+    if (!isSafeId(d.agent)) continue;
+    if (!byAgent.has(d.agent)) byAgent.set(d.agent, []);
+    byAgent.get(d.agent).push(d);
+  }
+  const shardDir = searchIndexDir(busRoot);
+  const agents = new Set(byAgent.keys());
+  for (const f of await readDirSafe(shardDir)) {
+    if (f.endsWith('.json')) agents.add(f.slice(0, -'.json'.length));
+  }
+
+  const index = { version: SEARCH_INDEX_VERSION, updatedAt: null, dirs: {} };
+  const signature = [];
+  for (const agent of Array.from(agents).sort()) {
+    const shardPath = searchIndexShardPath(busRoot, agent);
+    const cached = rebuild ? null : await readShard(shardPath);
+    const previous = cached?.shard?.dirs || {};
+    const dirs = {};
+    let changed = !cached?.shard;
+    for (const d of byAgent.get(agent) || []) {
+      const entry = await refreshDir(busRoot, d, previous[d.rel], stats);
+      if (!entry) continue;
+      if (entry !== previous[d.rel]) changed = true;
+      dirs[d.rel] = entry;
+    }
+    if (Object.keys(previous).some((rel) => !dirs[rel])) changed = true;
+
+    if (!Object.keys(dirs).length) {
+      await fs.rm(shardPath, { force: true });
+      shardCache.delete(shardPath);
+      continue;
+    }
+    const current = changed
+      ? await writeShard(shardPath, { version: SEARCH_INDEX_VERSION, agent, updatedAt: new Date().toISOString(), dirs })
+      : cached;
+    if (changed) stats.shardsWritten += 1;
+    Object.assign(index.dirs, current.shard.dirs);
+    if (!index.updatedAt || current.shard.updatedAt > index.updatedAt) index.updatedAt = current.shard.updatedAt;
+    signature.push(`${agent}:${current.mtimeMs}:${current.size}`);
+  }
+  await fs.rm(path.join(busRoot, 'state', 'search-index.json'), { force: true });
+  return { index, stats, signature: signature.join('|') };
+}
+
+/**
+ * Parses an ISO date/time or a relative age (`30m`, `12h`, `7d`, `2w`) into epoch ms.
+ * A bare `YYYY-MM-DD` bound covers the whole UTC day when `end` is set.
+ */
+export function parseSearchTime(value, { end = false, now = Date.now() } = {}) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  const rel = /^(\d+)\s*([smhdw])$/i.exec(s);
+  if (rel) return now - Number(rel[1]) * DURATION_MS[rel[2].toLowerCase()];
+  const ms = Date.parse(s);
+  if (!Number.isFinite(ms)) throw new Error(`Invalid search time ${JSON.stringify(s)} (expected ISO date or e.g. 7d, 12h)`);
+  return end && /^\d{4}-\d{2}-\d{2}$/.test(s) ? ms + DURATION_MS.d - 1 : ms;
+}
+
+/**
+ * Splits free text into lowercase terms, keeping `"quoted phrases"` together.
+ */
+export function parseSearchTerms(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+    const term = (m[1] ?? m[2]).trim().toLowerCase();
+    if (term) out.push(term);
+  }
+  return out;
+}
+
+function parseExtraFilters(extra) {
+  const list = Array.isArray(extra) ? extra : extra ? [extra] : [];
+  return list
+    .map((e) => String(e).trim())
+    .filter(Boolean)
+    .map((e) => {
+      const eq = e.indexOf('=');
+      const key = (eq === -1 ? e : e.slice(0, eq)).trim().replace(/^receiptExtra\./, '');
+      if (!key) throw new Error(`Invalid receiptExtra filter ${JSON.stringify(e)} (expected path or path=value)`);
+      return { path: key, value: eq === -1 ? null : e.slice(eq + 1) };
+    });
+}
+
+/**
+ * Validates and normalizes search filters; throws on bad dates, states or extra paths.
+ */
+export function normalizeSearchFilters(filters = {}, { now = Date.now() } = {}) {
+  const str = (v) => (v == null ? null : String(v).trim() || null);
+  const state = str(filters.state);
+  if (state && !SEARCH_STATES.includes(state)) {
+    throw new Error(`Invalid search state ${JSON.stringify(state)} (expected: ${SEARCH_STATES.join('|')})`);
+  }
+  const limit = Number(filters.limit);
+  return {
+    terms: parseSearchTerms(filters.text),
+    agent: str(filters.agent),
+    state,
+    outcome: str(filters.outcome),
+    kind: str(filters.kind),
+    rootId: str(filters.rootId),
+    commitSha: str(filters.commitSha)?.toLowerCase() ?? null,
+    sinceMs: parseSearchTime(filters.since, { now }),
+    untilMs: parseSearchTime(filters.until, { end: true, now }),
+    extra: parseExtraFilters(filters.extra),
+    limit: Number.isFinite(limit) && limit > 0 ? Math.min(1000, Math.floor(limit)) : 50,
+  };
+}
+
+/**
+ * Refreshes the index and returns one `{ agent, taskId, packet, receipt, path, receiptPath, archive }`
+ * per agent/taskId, where `packet`/`receipt` are the indexed summaries (null when absent) and
+ * `archive` is the archive file (relative to busRoot) when either came from a `gc` archive.
+ * The list is cached per busRoot until a shard changes; callers must not mutate it.
+ */
+export async function readIndexedTasks({ busRoot, rebuild = false }) {
+  const { index, signature } = await refreshSearchIndex({ busRoot, rebuild });
+  const hit = tasksCache.get(busRoot);
+  if (!rebuild && hit?.signature === signature) return hit.tasks;
+  const tasks = Array.from(mergeDocs(index));
+  tasksCache.set(busRoot, { signature, tasks });
+  return tasks;
+}
+
+function mergeDocs(index) {
+  const byKey = new Map();
+  const hitFor = (doc) => {
+    const key = `${doc.agent}/${doc.taskId}`;
+    if (!byKey.has(key)) byKey.set(key, { agent: doc.agent, taskId: doc.taskId, packet: null, receipt: null });
+    return byKey.get(key);
+  };
+  const archives = [];
+  for (const [rel, dir] of Object.entries(index.dirs)) {
+    if (rel.startsWith(`archive${path.sep}`)) {
+      archives.push([rel, dir]);
+      continue;
+    }
+    const isReceipt = rel.startsWith(`receipts${path.sep}`);
+    for (const [file, { doc }] of Object.entries(dir.files || {})) {
+      const hit = hitFor(doc);
+      if (isReceipt) {
+        hit.receipt = doc;
+        hit.receiptPath = path.join(rel, file);
+      } else if (!hit.packet || doc.updatedAt > hit.packet.updatedAt) {
+        hit.packet = doc;
+        hit.path = path.join(rel, file);
+      }
+    }
+  }
+  // Archived docs go last so a live packet or receipt for the same agent/taskId wins.
+  for (const [rel, dir] of archives) {
+    for (const [file, { docs }] of Object.entries(dir.files || {})) {
+      for (const { packet, receipt } of docs || []) {
+        const hit = hitFor(packet || receipt);
+        let used = false;
+        if (packet && !hit.path && (!hit.packet || packet.updatedAt > hit.packet.updatedAt)) {
+          hit.packet = packet;
+          used = true;
+        }
+        if (receipt && !hit.receiptPath) {
+          hit.receipt = receipt;
+          used = true;
+        }
+        if (used) hit.archive = path.join(rel, file);
+      }
+    }
+  }
+  return byKey.values();
+}
+
+function snippetFor(text, terms) {
+  if (!terms.length) return null;
+  const at = text.indexOf(terms[0]);
+  if (at === -1) return null;
+  const start = Math.max(0, at - 60);
+  return `${start ? '…' : ''}${text.slice(start, at + terms[0].length + 60).replace(/\s+/g, ' ').trim()}…`;
+}
+
+function matches(hit, f) {
+  const { packet: p, receipt: r } = hit;
+  if (f.agent && hit.agent !== f.agent) return false;
+  if (f.state && p?.state !== f.state) return false;
+  if (f.outcome && r?.outcome !== f.outcome) return false;
+  if (f.kind && (p?.kind ?? r?.kind) !== f.kind) return false;
+  if (f.rootId && (p?.rootId ?? r?.rootId) !== f.rootId) return false;
+  if (f.commitSha && !String(r?.commitSha || '').toLowerCase().startsWith(f.commitSha)) return false;
+  for (const { path: key, value } of f.extra) {
+    const extra = r?.extra || {};
+    if (value == null) {
+      // Bare paths test presence, so `reviewClosure` matches any `reviewClosure.*` leaf.
+      if (!Object.keys(extra).some((k) => k === key || k.startsWith(`${key}.`))) return false;
+    } else if (!extra[key]?.includes(value)) {
+      return false;
+    }
+  }
+  const at = Date.parse(r?.closedAt || p?.updatedAt || '');
+  if (f.sinceMs != null && !(at >= f.sinceMs)) return false;
+  if (f.untilMs != null && !(at <= f.untilMs)) return false;
+  if (f.terms.length) {
+    const text = `${p?.text ?? r?.title?.toLowerCase() ?? ''}\n${r?.text ?? ''}`;
+    if (!f.terms.every((t) => text.includes(t))) return false;
+  }
+  return true;
+}
+
+/**
+ * Searches packets and receipts, newest first. Returns `{ total, results }` where `total` counts
+ * every match before `limit` is applied.
+ */
+export async function searchBus({ busRoot, rebuild = false, now = Date.now(), ...filters }) {
+  const f = normalizeSearchFilters(filters, { now });
+  const hits = [];
+  for (const hit of await readIndexedTasks({ busRoot, rebuild })) {
+    if (matches(hit, f)) hits.push(hit);
+  }
+  const results = hits
+    .map(({ agent, taskId, packet: p, receipt: r, path: packetPath, receiptPath, archive }) => ({
+      agent,
+      taskId,
+      state: p?.state ?? null,
+      title: p?.title || r?.title || '',
+      priority: p?.priority ?? null,
+      kind: p?.kind ?? r?.kind ?? null,
+      rootId: p?.rootId ?? r?.rootId ?? null,
+      outcome: r?.outcome ?? null,
+      commitSha: r?.commitSha ?? null,
+      closedAt: r?.closedAt ?? null,
+      updatedAt: r?.closedAt || p?.updatedAt || null,
+      path: packetPath ?? null,
+      receiptPath: receiptPath ?? null,
+      archive: archive ?? null,
+      snippet: snippetFor(`${p?.text ?? ''}\n${r?.text ?? ''}`, f.terms),
+    }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)) || a.taskId.localeCompare(b.taskId));
+  return { total: results.length, results: results.slice(0, f.limit) };
+}
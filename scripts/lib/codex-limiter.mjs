@@ -1,5 +1,6 @@
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
+import { isPidAlive } from './process-alive.mjs';
 
 function normalizeText(value) {
   return String(value ?? '').replace(/\r\n/g, '\n');
@@ -12,21 +13,6 @@ function sanitizeStateName(value, fallback) {
   return raw;
 }
 
-function isPidAlive(pid) {
-  const n = Number(pid);
-  if (!Number.isFinite(n) || n <= 0) return false;
-  try {
-    // Signal 0 performs a permission/existence check without sending a real signal.
-    process.kill(n, 0);
-    return true;
-  } catch (err) {
-    // ESRCH: pid does not exist. EINVAL: invalid signal/pid.
-    if (err && (err.code === 'ESRCH' || err.code === 'EINVAL')) return false;
-    // EPERM (or anything else): treat as alive to avoid deleting a live slot.
-    return true;
-  }
-}
-
 export function isOpenAIRateLimitText(text) {
   const t = normalizeText(text).toLowerCase();
   return (
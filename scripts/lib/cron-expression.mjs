@@ -0,0 +1,118 @@
+/**
+ * Minimal 5-field cron expressions (`minute hour day-of-month month day-of-week`) for recurring
+ * AgentBus schedules. Dependency-free on purpose.
+ *
+ * Supported per field: `*`, numbers, ranges `a-b`, steps (`/n` after `*`, a range, or a start
+ * value), and comma lists.
+ * Day-of-week accepts 0-7 (0 and 7 are Sunday). Month and weekday names are not supported.
+ * As in classic cron, when both day-of-month and day-of-week are restricted, either may match.
+ */
+
+const FIELD_SPECS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const MAX_SEARCH_MINUTES = 366 * 24 * 60 * 5;
+
+function parseCronNumber(raw, spec, expr) {
+  if (!/^\d+$/.test(raw)) throw new Error(`Invalid cron ${spec.name} value "${raw}" in "${expr}"`);
+  const n = Number(raw);
+  if (n < spec.min || n > spec.max) {
+    throw new Error(`Cron ${spec.name} value ${n} out of range ${spec.min}-${spec.max} in "${expr}"`);
+  }
+  return n;
+}
+
+function parseCronField(raw, spec, expr) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const [rangePart, stepPart, extra] = part.split('/');
+    if (extra !== undefined || !rangePart) throw new Error(`Invalid cron ${spec.name} "${raw}" in "${expr}"`);
+    const step = stepPart === undefined ? 1 : parseCronNumber(stepPart, { ...spec, min: 1, max: spec.max + 1 }, expr);
+    let lo = spec.min;
+    let hi = spec.max;
+    if (rangePart !== '*') {
+      const [a, b] = rangePart.split('-');
+      lo = parseCronNumber(a, spec, expr);
+      hi = b === undefined ? (stepPart === undefined ? lo : spec.max) : parseCronNumber(b, spec, expr);
+      if (hi < lo) throw new Error(`Invalid cron ${spec.name} range "${rangePart}" in "${expr}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  if (spec.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return { values, wildcard: raw === '*' };
+}
+
+/**
+ * Parses a cron expression; throws with a readable message on invalid input.
+ */
+export function parseCronExpression(expr) {
+  const text = typeof expr === 'string' ? expr.trim() : '';
+  const parts = text.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week): "${text}"`);
+  }
+  const fields = {};
+  FIELD_SPECS.forEach((spec, i) => {
+    fields[spec.name] = parseCronField(parts[i], spec, text);
+  });
+  return { expr: text, ...fields };
+}
+
+function readParts(date, utc) {
+  return utc
+    ? {
+        minute: date.getUTCMinutes(),
+        hour: date.getUTCHours(),
+        dayOfMonth: date.getUTCDate(),
+        month: date.getUTCMonth() + 1,
+        dayOfWeek: date.getUTCDay(),
+      }
+    : {
+        minute: date.getMinutes(),
+        hour: date.getHours(),
+        dayOfMonth: date.getDate(),
+        month: date.getMonth() + 1,
+        dayOfWeek: date.getDay(),
+      };
+}
+
+function dayMatches(cron, parts) {
+  const domOk = cron.dayOfMonth.values.has(parts.dayOfMonth);
+  const dowOk = cron.dayOfWeek.values.has(parts.dayOfWeek);
+  if (cron.dayOfMonth.wildcard) return dowOk;
+  if (cron.dayOfWeek.wildcard) return domOk;
+  return domOk || dowOk;
+}
+
+/**
+ * Returns the first matching minute strictly after `afterMs` (epoch ms), or null when none is
+ * found within ~5 years (e.g. `0 0 31 2 *`). `utc` selects UTC fields instead of local time.
+ */
+export function nextCronRunMs(exprOrParsed, afterMs, { utc = false } = {}) {
+  const cron = typeof exprOrParsed === 'string' ? parseCronExpression(exprOrParsed) : exprOrParsed;
+  const minuteMs = 60 * 1000;
+  let t = Math.floor(Number(afterMs) / minuteMs) * minuteMs + minuteMs;
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i += 1) {
+    const parts = readParts(new Date(t), utc);
+    if (!cron.month.values.has(parts.month) || !dayMatches(cron, parts)) {
+      // Skip to the next day boundary (DST-safe enough: we re-check every candidate).
+      t += (24 * 60 - parts.hour * 60 - parts.minute) * minuteMs;
+      continue;
+    }
+    if (!cron.hour.values.has(parts.hour)) {
+      t += (60 - parts.minute) * minuteMs;
+      continue;
+    }
+    if (cron.minute.values.has(parts.minute)) return t;
+    t += minuteMs;
+  }
+  return null;
+}
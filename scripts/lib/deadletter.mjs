@@ -0,0 +1,177 @@
+/**
+ * AgentBus deadletter queue.
+ *
+ * Layout:
+ *   <busRoot>/deadletter/<agent>/<taskId>.md          # quarantined packet, byte-for-byte
+ *   <busRoot>/deadletter/<agent>/<taskId>.error.json  # sidecar report (reason, error, source, retries)
+ *
+ * Packets land here via `quarantineTask(...)` in agentbus.mjs when they fail frontmatter parsing,
+ * schema validation, or the suspicious-text policy on read/claim. Operators inspect them with
+ * `agent-bus deadletter list|show`, fix the file in place, then `retry` (re-validates and redelivers)
+ * or `purge`.
+ */
+
+import { promises as fs } from 'node:fs';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import {
+  inspectTaskPacket,
+  isSafeId,
+  nowIso,
+  parseFrontmatter,
+  readTaskDependsOn,
+  readTaskNotBeforeMs,
+  renderTaskMarkdown,
+  upgradeTaskMeta,
+  writeTaskFile,
+} from './agentbus.mjs';
+import { busEventRefs, recordBusEvent } from './bus-events.mjs';
+
+export function deadletterRoot(busRoot) {
+  return path.join(busRoot, 'deadletter');
+}
+
+async function readDirSafe(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+function entryPaths(busRoot, agentName, name) {
+  if (!isSafeId(agentName)) throw new Error(`Invalid agent "${agentName}"`);
+  if (!isSafeId(name)) throw new Error(`Invalid deadletter id "${name}"`);
+  const dir = path.join(deadletterRoot(busRoot), agentName);
+  return { path: path.join(dir, `${name}.md`), reportPath: path.join(dir, `${name}.error.json`) };
+}
+
+async function readReport(reportPath) {
+  try {
+    return JSON.parse(await fs.readFile(reportPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function writeReport(reportPath, report) {
+  const tmp = `${reportPath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, reportPath);
+}
+
+/**
+ * Lists quarantined packets (optionally for one agent), newest first.
+ */
+export async function listDeadletterPackets({ busRoot, agentName = null, limit = 500 }) {
+  const out = [];
+  const agents = agentName ? [agentName] : await readDirSafe(deadletterRoot(busRoot));
+  for (const agent of agents) {
+    const dir = path.join(deadletterRoot(busRoot), agent);
+    for (const f of await readDirSafe(dir)) {
+      if (!f.endsWith('.md')) continue;
+      const id = f.replace(/\.md$/, '');
+      const p = path.join(dir, f);
+      try {
+        const st = await fs.stat(p);
+        const reportPath = path.join(dir, `${id}.error.json`);
+        out.push({ agent, id, path: p, reportPath, mtimeMs: st.mtimeMs, report: await readReport(reportPath) });
+      } catch {
+        // ignore
+      }
+    }
+  }
+  out.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  return out.slice(0, Math.max(1, Number(limit) || 500));
+}
+
+/**
+ * Reads one quarantined packet with its report and raw markdown.
+ */
+export async function readDeadletterPacket({ busRoot, agentName, id }) {
+  const paths = entryPaths(busRoot, agentName, id);
+  let markdown;
+  try {
+    markdown = await fs.readFile(paths.path, 'utf8');
+  } catch (err) {
+    if (err?.code === 'ENOENT') throw new Error(`Deadletter packet not found: agent=${agentName} id=${id}`);
+    throw err;
+  }
+  return { agent: agentName, id, ...paths, report: await readReport(paths.reportPath), markdown };
+}
+
+/**
+ * Re-validates a quarantined packet (after it was fixed in place) and redelivers it to the inbox,
+ * or to `pending/` / `scheduled/` when it is gated or delayed. Legacy (v1) frontmatter is upgraded
+ * on the way out. A packet that still fails stays put;
+ * its report records the new error and the retry count, and the call throws. A redelivery is
+ * journaled as a `retried` bus event.
+ */
+export async function retryDeadletterPacket({ busRoot, agentName, id }) {
+  const entry = await readDeadletterPacket({ busRoot, agentName, id });
+  const taskId = entry.report?.taskId && isSafeId(entry.report.taskId) ? entry.report.taskId : id;
+  const problem = inspectTaskPacket(entry.markdown, { agentName, taskId });
+  if (problem) {
+    await writeReport(entry.reportPath, {
+      ...(entry.report || { agent: agentName, taskId }),
+      reason: problem.reason,
+      error: problem.error,
+      suspiciousHits: problem.suspiciousHits,
+      retries: Number(entry.report?.retries || 0) + 1,
+      lastRetryAt: nowIso(),
+    });
+    throw new Error(`Deadletter packet still invalid (${problem.reason}): ${problem.error}`);
+  }
+
+  const parsed = parseFrontmatter(entry.markdown);
+  const { meta, changes } = upgradeTaskMeta(parsed.meta);
+  const markdown = changes.length ? renderTaskMarkdown(meta, parsed.body) : entry.markdown;
+  let dir;
+  const notBeforeMs = readTaskNotBeforeMs(meta);
+  if (readTaskDependsOn(meta).length) dir = path.join(busRoot, 'pending', agentName);
+  else if (notBeforeMs != null && notBeforeMs > Date.now()) dir = path.join(busRoot, 'scheduled', agentName);
+  const outPath = await writeTaskFile({ busRoot, agentName, taskId, markdown, dir });
+  await fs.rm(entry.path, { force: true });
+  await fs.rm(entry.reportPath, { force: true });
+  await recordBusEvent(busRoot, {
+    type: 'retried',
+    agent: agentName,
+    taskId,
+    ...busEventRefs(meta),
+    from: path.relative(busRoot, entry.path),
+    to: path.relative(busRoot, outPath),
+    markdown,
+  });
+  return { agent: agentName, id, taskId, path: outPath };
+}
+
+/**
+ * Deletes quarantined packets and their reports. Filters: one agent, one id, or entries older than
+ * `olderThanMs`. With no filter at all every entry is purged.
+ */
+export async function purgeDeadletterPackets({
+  busRoot,
+  agentName = null,
+  id = null,
+  olderThanMs = null,
+  nowMs = Date.now(),
+  dryRun = false,
+}) {
+  if (id && !agentName) throw new Error('purge by id requires an agent');
+  const entries = id
+    ? [await readDeadletterPacket({ busRoot, agentName, id })]
+    : await listDeadletterPackets({ busRoot, agentName, limit: Number.MAX_SAFE_INTEGER });
+  const purged = [];
+  for (const entry of entries) {
+    if (olderThanMs != null && !id) {
+      const st = await fs.stat(entry.path).catch(() => null);
+      if (!st || nowMs - st.mtimeMs < olderThanMs) continue;
+    }
+    if (!dryRun) {
+      await fs.rm(entry.path, { force: true });
+      await fs.rm(entry.reportPath, { force: true });
+    }
+    purged.push({ agent: entry.agent, id: entry.id, reason: entry.report?.reason ?? null });
+  }
+  return purged;
+}
@@ -0,0 +1,152 @@
+/**
+ * File-backed fixture forge for offline observer runs and tests (`watch-pr.mjs --forge fixture --fixture <file>`).
+ *
+ * The file is re-read on every call, so a test can edit it between observer cycles:
+ *
+ *   { "repos": { "acme/app": { "pulls": [{
+ *       "number": 7, "state": "open", "headRefOid": "abc123", "headRefName": "feature",
+ *       "threads": [{ "id": "T1", "resolved": false, "path": "web/a.ts", "line": 3,
+ *                     "comments": [{ "id": "C1", "author": "rev", "body": "...", "createdAt": "..." }] }],
+ *       "comments": [{ "id": 11, "author": "rev", "body": "tests failing", "createdAt": "..." }],
+ *       "ciFailures": { "abc123": [{ "name": "unit", "conclusion": "failure", "url": "..." }] } }] } } }
+ *
+ * `postReply` appends to the thread (or to `comments`) and records the call under top-level `replies`;
+ * `resolveThread` sets the thread's `resolved` and `requestReview` appends to the PR's `reviewRequests`.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { toObserverComment, toObserverThread, toPrNumbers } from './forge-shared.mjs';
+
+async function readFixture(fixturePath) {
+  return JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+}
+
+async function writeFixture(fixturePath, data) {
+  const tmp = `${fixturePath}.tmp.${Math.random().toString(16).slice(2)}`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, fixturePath);
+}
+
+function findPull(data, owner, repo, prNumber) {
+  const pulls = data?.repos?.[`${owner}/${repo}`]?.pulls;
+  const pull = Array.isArray(pulls) ? pulls.find((p) => Number(p?.number) === Number(prNumber)) : null;
+  if (!pull) throw new Error(`Fixture forge: no PR ${owner}/${repo}#${prNumber}`);
+  return pull;
+}
+
+const fixtureUrl = (owner, repo, prNumber, anchor) => `fixture://${owner}/${repo}/pull/${prNumber}#${anchor}`;
+
+/**
+ * Creates the fixture adapter over `fixturePath`.
+ */
+export function createFixtureForge({ fixturePath, now = () => new Date() }) {
+  if (!fixturePath) throw new Error('Fixture forge needs a fixture file (--fixture or AGENTIC_PR_OBSERVER_FIXTURE)');
+  const file = path.resolve(fixturePath);
+
+  return {
+    type: 'fixture',
+    webHost: 'fixture',
+
+    async listOpenPrNumbers({ owner, repo, maxPrs }) {
+      const pulls = (await readFixture(file))?.repos?.[`${owner}/${repo}`]?.pulls;
+      if (!Array.isArray(pulls)) return [];
+      return toPrNumbers(pulls.filter((p) => (p?.state || 'open') === 'open').map((p) => p.number), maxPrs);
+    },
+
+    async readHead({ owner, repo, prNumber }) {
+      const pull = findPull(await readFixture(file), owner, repo, prNumber);
+      return { headRefOid: pull.headRefOid || null, headRefName: pull.headRefName || null, url: fixtureUrl(owner, repo, prNumber, 'head') };
+    },
+
+    async readUnresolvedThreads({ owner, repo, prNumber }) {
+      const pull = findPull(await readFixture(file), owner, repo, prNumber);
+      const threads = (Array.isArray(pull.threads) ? pull.threads : [])
+        .filter((t) => t && !t.resolved)
+        .map((t) => {
+          const comments = Array.isArray(t.comments) ? t.comments : [];
+          const last = comments[comments.length - 1];
+          return toObserverThread({
+            id: t.id,
+            isOutdated: t.outdated,
+            path: t.path,
+            line: t.line,
+            lastComment: last && {
+              id: last.id,
+              login: last.author,
+              url: last.url || fixtureUrl(owner, repo, prNumber, `thread-${t.id}-${last.id}`),
+              createdAt: last.createdAt,
+              updatedAt: last.updatedAt,
+            },
+          });
+        });
+      return { headRefOid: pull.headRefOid || null, headRefName: pull.headRefName || null, threads };
+    },
+
+    async listIssueComments({ owner, repo, prNumber }) {
+      const pull = findPull(await readFixture(file), owner, repo, prNumber);
+      return (Array.isArray(pull.comments) ? pull.comments : []).map((c) =>
+        toObserverComment({
+          id: c.id,
+          body: c.body,
+          login: c.author,
+          url: c.url || fixtureUrl(owner, repo, prNumber, `comment-${c.id}`),
+          createdAt: c.createdAt,
+          updatedAt: c.updatedAt,
+        }),
+      );
+    },
+
+    async readCiFailures({ owner, repo, sha }) {
+      const pulls = (await readFixture(file))?.repos?.[`${owner}/${repo}`]?.pulls;
+      const pull = (Array.isArray(pulls) ? pulls : []).find((p) => Array.isArray(p?.ciFailures?.[sha]));
+      const failures = pull ? pull.ciFailures[sha] : [];
+      return failures.map((f) => ({
+        key: `${f.source === 'status' ? 'status' : 'check'}:${f.name}`,
+        source: f.source || 'check_run',
+        name: String(f.name),
+        conclusion: f.conclusion || 'failure',
+        url: f.url || null,
+        detailsUrl: f.detailsUrl || null,
+      }));
+    },
+
+    async postReply({ owner, repo, prNumber, threadId = null, body, author = 'agentic-cockpit' }) {
+      const data = await readFixture(file);
+      const pull = findPull(data, owner, repo, prNumber);
+      const at = now().toISOString();
+      let id;
+      if (threadId) {
+        const thread = (pull.threads || []).find((t) => String(t.id) === String(threadId));
+        if (!thread) throw new Error(`Fixture forge: no thread ${threadId} on ${owner}/${repo}#${prNumber}`);
+        thread.comments = Array.isArray(thread.comments) ? thread.comments : [];
+        id = `${threadId}-R${thread.comments.length + 1}`;
+        thread.comments.push({ id, author, body, createdAt: at, updatedAt: at });
+      } else {
+        pull.comments = Array.isArray(pull.comments) ? pull.comments : [];
+        id = pull.comments.reduce((max, c) => Math.max(max, Number(c.id) || 0), 0) + 1;
+        pull.comments.push({ id, author, body, createdAt: at, updatedAt: at });
+      }
+      data.replies = Array.isArray(data.replies) ? data.replies : [];
+      data.replies.push({ repo: `${owner}/${repo}`, prNumber, threadId, id, body, at });
+      await writeFixture(file, data);
+      return { id, url: fixtureUrl(owner, repo, prNumber, threadId ? `thread-${threadId}-${id}` : `comment-${id}`) };
+    },
+
+    async resolveThread({ owner, repo, prNumber, threadId }) {
+      const data = await readFixture(file);
+      const thread = (findPull(data, owner, repo, prNumber).threads || []).find((t) => String(t.id) === String(threadId));
+      if (!thread) throw new Error(`Fixture forge: no thread ${threadId} on ${owner}/${repo}#${prNumber}`);
+      thread.resolved = true;
+      await writeFixture(file, data);
+    },
+
+    async requestReview({ owner, repo, prNumber, reviewers }) {
+      const data = await readFixture(file);
+      const pull = findPull(data, owner, repo, prNumber);
+      pull.reviewRequests = Array.isArray(pull.reviewRequests) ? pull.reviewRequests : [];
+      pull.reviewRequests.push({ reviewers, at: now().toISOString() });
+      await writeFixture(file, data);
+    },
+  };
+}
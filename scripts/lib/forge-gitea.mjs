@@ -0,0 +1,117 @@
+/**
+ * Gitea forge adapter (API v1). Gitea has no thread objects in its API: review comments on the same
+ * review, file and line form one conversation, keyed by its first comment id, and the conversation is
+ * resolved when that comment has a `resolver`. Gitea cannot reply inside a conversation over the API,
+ * so `postReply` posts a PR comment that links the conversation, and there is no `resolveThread`.
+ * CI failures are `failure`/`error` commit statuses. `baseUrl` is the instance web URL; gitea.com by default.
+ */
+
+import { forgeFetchJson, forgeFetchPages, toObserverComment, toObserverThread, toPrNumbers } from './forge-shared.mjs';
+
+const FAILED_STATUS_STATES = new Set(['failure', 'error']);
+
+/**
+ * Creates the Gitea adapter.
+ */
+export function createGiteaForge({ token, baseUrl = null }) {
+  const origin = new URL(baseUrl || 'https://gitea.com').origin;
+  const headers = { authorization: `token ${token}`, accept: 'application/json' };
+  const api = (owner, repo, pathname) => `${origin}/api/v1/repos/${owner}/${repo}${pathname}`;
+  const json = (url, options = {}) => forgeFetchJson({ label: 'Gitea API', url, headers, ...options });
+  const pages = (url, pick) => forgeFetchPages({ label: 'Gitea API', url, headers, pageSize: 50, limitParam: 'limit', pick });
+
+  async function readHead({ owner, repo, prNumber }) {
+    const pr = await json(api(owner, repo, `/pulls/${prNumber}`));
+    return { headRefOid: pr?.head?.sha || null, headRefName: pr?.head?.ref || null, url: pr?.html_url || null };
+  }
+
+  return {
+    type: 'gitea',
+    webHost: new URL(origin).host,
+
+    async listOpenPrNumbers({ owner, repo, maxPrs }) {
+      const url = new URL(api(owner, repo, '/pulls'));
+      url.searchParams.set('state', 'open');
+      url.searchParams.set('limit', String(Math.max(1, Math.min(50, maxPrs))));
+      const pulls = await json(url.toString());
+      return Array.isArray(pulls) ? toPrNumbers(pulls.map((p) => p?.number), maxPrs) : [];
+    },
+
+    readHead,
+
+    async readUnresolvedThreads({ owner, repo, prNumber }) {
+      const head = await readHead({ owner, repo, prNumber });
+      const reviews = await pages(api(owner, repo, `/pulls/${prNumber}/reviews`));
+      const conversations = new Map();
+      for (const review of reviews) {
+        if (!review?.id || !(Number(review.comments_count) > 0)) continue;
+        const comments = await json(api(owner, repo, `/pulls/${prNumber}/reviews/${review.id}/comments`));
+        for (const c of Array.isArray(comments) ? comments : []) {
+          const line = c?.position || c?.original_position || 0;
+          const key = `${review.id}:${c?.path}:${line}`;
+          const list = conversations.get(key) || [];
+          list.push(c);
+          conversations.set(key, list);
+        }
+      }
+      const threads = [];
+      for (const list of conversations.values()) {
+        list.sort((a, b) => Number(a.id) - Number(b.id));
+        const [first] = list;
+        if (first.resolver) continue;
+        const last = list[list.length - 1];
+        threads.push(
+          toObserverThread({
+            id: first.id,
+            path: first.path,
+            line: first.position || first.original_position,
+            lastComment: {
+              id: last.id,
+              login: last.user?.login,
+              url: last.html_url,
+              createdAt: last.created_at,
+              updatedAt: last.updated_at,
+            },
+          }),
+        );
+      }
+      return { headRefOid: head.headRefOid, headRefName: head.headRefName, threads };
+    },
+
+    async listIssueComments({ owner, repo, prNumber }) {
+      const comments = await pages(api(owner, repo, `/issues/${prNumber}/comments`));
+      return comments.map((c) =>
+        toObserverComment({
+          id: c.id,
+          body: c.body,
+          login: c.user?.login,
+          url: c.html_url,
+          createdAt: c.created_at,
+          updatedAt: c.updated_at,
+        }),
+      );
+    },
+
+    async readCiFailures({ owner, repo, sha }) {
+      const combined = await json(api(owner, repo, `/commits/${sha}/status`));
+      const failures = [];
+      for (const s of Array.isArray(combined?.statuses) ? combined.statuses : []) {
+        const name = String(s?.context ?? '').trim();
+        const state = String(s?.status ?? s?.state ?? '').toLowerCase();
+        if (!name || !FAILED_STATUS_STATES.has(state) || failures.some((f) => f.name === name)) continue;
+        failures.push({ key: `status:${name}`, source: 'status', name, conclusion: state, url: s?.target_url || null, detailsUrl: null });
+      }
+      return failures;
+    },
+
+    async postReply({ owner, repo, prNumber, threadId = null, body }) {
+      const text = threadId ? `${body}\n\n(re: review comment #${threadId})` : body;
+      const comment = await json(api(owner, repo, `/issues/${prNumber}/comments`), { method: 'POST', body: { body: text } });
+      return { id: comment?.id ?? null, url: comment?.html_url || null };
+    },
+
+    async requestReview({ owner, repo, prNumber, reviewers }) {
+      await json(api(owner, repo, `/pulls/${prNumber}/requested_reviewers`), { method: 'POST', body: { reviewers } });
+    },
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * GitHub forge adapter: REST v3 for PRs, comments, CI and review requests, GraphQL for review threads
+ * (read, reply, resolve).
+ * `baseUrl` is the web URL of a GitHub Enterprise Server (`https://ghe.example.com`); github.com by default.
+ */
+
+import { forgeFetchJson, forgeFetchPages, toPrNumbers } from './forge-shared.mjs';
+
+const CI_FAILED_CHECK_CONCLUSIONS = new Set(['failure', 'timed_out', 'action_required', 'startup_failure']);
+const CI_FAILED_STATUS_STATES = new Set(['failure', 'error']);
+
+function githubEndpoints(baseUrl) {
+  const origin = baseUrl ? new URL(baseUrl).origin : 'https://github.com';
+  if (/^https?:\/\/(www\.)?github\.com$/i.test(origin)) {
+    return { restBase: 'https://api.github.com', graphqlUrl: 'https://api.github.com/graphql', webHost: 'github.com' };
+  }
+  return { restBase: `${origin}/api/v3`, graphqlUrl: `${origin}/api/graphql`, webHost: new URL(origin).host };
+}
+
+/**
+ * Collects failing CI jobs from check runs, commit statuses and workflow runs.
+ * Each failure is `{ key, source, name, conclusion, url, detailsUrl }`; `key` is stable per head SHA.
+ * Workflow runs are reduced to the newest run per workflow name so a green re-run clears a red one.
+ */
+export function collectCiFailures({ checkRuns = [], statuses = [], workflowRuns = [] }) {
+  const failures = [];
+  const push = (failure) => {
+    if (!failures.some((f) => f.key === failure.key)) failures.push(failure);
+  };
+
+  for (const run of checkRuns) {
+    const name = String(run?.name ?? '').trim();
+    const conclusion = String(run?.conclusion ?? '').toLowerCase();
+    if (!name || run?.status !== 'completed' || !CI_FAILED_CHECK_CONCLUSIONS.has(conclusion)) continue;
+    push({
+      key: `check:${name}`,
+      source: 'check_run',
+      name,
+      conclusion,
+      url: String(run?.html_url ?? '') || null,
+      detailsUrl: String(run?.details_url ?? '') || null,
+    });
+  }
+
+  for (const status of statuses) {
+    const name = String(status?.context ?? '').trim();
+    const state = String(status?.state ?? '').toLowerCase();
+    if (!name || !CI_FAILED_STATUS_STATES.has(state)) continue;
+    push({
+      key: `status:${name}`,
+      source: 'status',
+      name,
+      conclusion: state,
+      url: String(status?.target_url ?? '') || null,
+      detailsUrl: null,
+    });
+  }
+
+  const newestByWorkflow = new Map();
+  for (const run of workflowRuns) {
+    const name = String(run?.name ?? '').trim();
+    if (!name) continue;
+    const prev = newestByWorkflow.get(name);
+    if (!prev || (Number(run?.run_number) || 0) > (Number(prev?.run_number) || 0)) newestByWorkflow.set(name, run);
+  }
+  for (const [name, run] of newestByWorkflow) {
+    const conclusion = String(run?.conclusion ?? '').toLowerCase();
+    if (run?.status !== 'completed' || !CI_FAILED_CHECK_CONCLUSIONS.has(conclusion)) continue;
+    push({
+      key: `workflow:${name}`,
+      source: 'workflow_run',
+      name,
+      conclusion,
+      url: String(run?.html_url ?? '') || null,
+      detailsUrl: null,
+    });
+  }
+
+  return failures;
+}
+
+/**
+ * Creates the GitHub adapter.
+ */
+export function createGithubForge({ token, baseUrl = null }) {
+  const { restBase, graphqlUrl, webHost } = githubEndpoints(baseUrl);
+  const headers = { authorization: `bearer ${token}`, accept: 'application/vnd.github+json' };
+  const rest = (pathname) => `${restBase}${pathname}`;
+  const restJson = (url, options = {}) => forgeFetchJson({ label: 'GitHub REST', url, headers, ...options });
+
+  async function graphql(query, variables) {
+    const json = await forgeFetchJson({ label: 'GitHub GraphQL', url: graphqlUrl, headers, method: 'POST', body: { query, variables } });
+    if (Array.isArray(json?.errors) && json.errors.length > 0) {
+      throw new Error(`GitHub GraphQL errors: ${JSON.stringify(json.errors)}`);
+    }
+    return json?.data ?? null;
+  }
+
+  return {
+    type: 'github',
+    webHost,
+
+    async listOpenPrNumbers({ owner, repo, maxPrs }) {
+      const url = new URL(rest(`/repos/${owner}/${repo}/pulls`));
+      url.searchParams.set('state', 'open');
+      url.searchParams.set('per_page', String(Math.max(1, Math.min(100, maxPrs))));
+      const pulls = await restJson(url.toString());
+      return Array.isArray(pulls) ? toPrNumbers(pulls.map((p) => p?.number), maxPrs) : [];
+    },
+
+    async readHead({ owner, repo, prNumber }) {
+      const pr = await restJson(rest(`/repos/${owner}/${repo}/pulls/${prNumber}`));
+      return { headRefOid: pr?.head?.sha || null, headRefName: pr?.head?.ref || null, url: pr?.html_url || null };
+    },
+
+    async readUnresolvedThreads({ owner, repo, prNumber }) {
+      const query = `query($owner:String!,$repo:String!,$pr:Int!,$after:String){repository(owner:$owner,name:$repo){pullRequest(number:$pr){url number headRefOid headRefName reviewThreads(first:100,after:$after){pageInfo{hasNextPage endCursor} nodes{id isResolved isOutdated path line comments(last:1){nodes{id author{login} url createdAt updatedAt}}}}}}}`;
+      const threads = [];
+      let headRefOid = '';
+      let headRefName = '';
+      let after = null;
+      for (;;) {
+        const data = await graphql(query, { owner, repo, pr: prNumber, after });
+        const pr = data?.repository?.pullRequest;
+        headRefOid = typeof pr?.headRefOid === 'string' ? pr.headRefOid : headRefOid;
+        headRefName = typeof pr?.headRefName === 'string' ? pr.headRefName : headRefName;
+        threads.push(...(pr?.reviewThreads?.nodes ?? []));
+        const pageInfo = pr?.reviewThreads?.pageInfo;
+        if (!pageInfo?.hasNextPage) break;
+        after = pageInfo.endCursor;
+      }
+      return {
+        headRefOid: headRefOid || null,
+        headRefName: headRefName || null,
+        threads: threads.filter((t) => t && t.isResolved === false),
+      };
+    },
+
+    async listIssueComments({ owner, repo, prNumber }) {
+      return await forgeFetchPages({ label: 'GitHub REST', url: rest(`/repos/${owner}/${repo}/issues/${prNumber}/comments`), headers });
+    },
+
+    async readCiFailures({ owner, repo, sha }) {
+      const runsUrl = new URL(rest(`/repos/${owner}/${repo}/actions/runs`));
+      runsUrl.searchParams.set('head_sha', sha);
+      runsUrl.searchParams.set('per_page', '100');
+      const statusUrl = new URL(rest(`/repos/${owner}/${repo}/commits/${sha}/status`));
+      statusUrl.searchParams.set('per_page', '100');
+      const [checkRuns, status, runs] = await Promise.all([
+        forgeFetchPages({
+          label: 'GitHub REST',
+          url: rest(`/repos/${owner}/${repo}/commits/${sha}/check-runs`),
+          headers,
+          pick: (json) => (Array.isArray(json?.check_runs) ? json.check_runs : []),
+        }),
+        restJson(statusUrl.toString()),
+        restJson(runsUrl.toString()),
+      ]);
+      return collectCiFailures({
+        checkRuns,
+        statuses: Array.isArray(status?.statuses) ? status.statuses : [],
+        workflowRuns: Array.isArray(runs?.workflow_runs) ? runs.workflow_runs : [],
+      });
+    },
+
+    async postReply({ owner, repo, prNumber, threadId = null, body }) {
+      if (threadId) {
+        const data = await graphql(
+          'mutation($thread:ID!,$body:String!){addPullRequestReviewThreadReply(input:{pullRequestReviewThreadId:$thread,body:$body}){comment{id url}}}',
+          { thread: threadId, body },
+        );
+        const comment = data?.addPullRequestReviewThreadReply?.comment;
+        return { id: comment?.id || null, url: comment?.url || null };
+      }
+      const comment = await restJson(rest(`/repos/${owner}/${repo}/issues/${prNumber}/comments`), { method: 'POST', body: { body } });
+      return { id: comment?.id ?? null, url: comment?.html_url || null };
+    },
+
+    async resolveThread({ threadId }) {
+      await graphql('mutation($thread:ID!){resolveReviewThread(input:{threadId:$thread}){thread{id isResolved}}}', { thread: threadId });
+    },
+
+    async requestReview({ owner, repo, prNumber, reviewers }) {
+      await restJson(rest(`/repos/${owner}/${repo}/pulls/${prNumber}/requested_reviewers`), { method: 'POST', body: { reviewers } });
+    },
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * GitLab forge adapter (REST v4). Merge requests are addressed by project path (`group/sub/project`)
+ * and `iid`; review threads are resolvable MR discussions and conversation comments are the MR's
+ * non-system, non-diff notes. CI failures are failed commit statuses (jobs with `allow_failure` are skipped).
+ * GitLab has no re-request: `requestReview` adds the users to the MR's reviewers, keeping existing ones.
+ * `baseUrl` is the instance web URL; gitlab.com by default.
+ */
+
+import { forgeFetchJson, forgeFetchPages, toObserverComment, toObserverThread, toPrNumbers } from './forge-shared.mjs';
+
+/**
+ * Creates the GitLab adapter.
+ */
+export function createGitlabForge({ token, baseUrl = null }) {
+  const origin = new URL(baseUrl || 'https://gitlab.com').origin;
+  const headers = { 'private-token': token, accept: 'application/json' };
+  const project = (owner, repo) => `${origin}/api/v4/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  const mrWebUrl = (owner, repo, prNumber) => `${origin}/${owner}/${repo}/-/merge_requests/${prNumber}`;
+  const json = (url, options = {}) => forgeFetchJson({ label: 'GitLab API', url, headers, ...options });
+  const pages = (url) => forgeFetchPages({ label: 'GitLab API', url, headers });
+
+  async function readHead({ owner, repo, prNumber }) {
+    const mr = await json(`${project(owner, repo)}/merge_requests/${prNumber}`);
+    return { headRefOid: mr?.sha || null, headRefName: mr?.source_branch || null, url: mr?.web_url || null };
+  }
+
+  return {
+    type: 'gitlab',
+    webHost: new URL(origin).host,
+
+    async listOpenPrNumbers({ owner, repo, maxPrs }) {
+      const url = new URL(`${project(owner, repo)}/merge_requests`);
+      url.searchParams.set('state', 'opened');
+      url.searchParams.set('per_page', String(Math.max(1, Math.min(100, maxPrs))));
+      const mrs = await json(url.toString());
+      return Array.isArray(mrs) ? toPrNumbers(mrs.map((mr) => mr?.iid), maxPrs) : [];
+    },
+
+    readHead,
+
+    async readUnresolvedThreads({ owner, repo, prNumber }) {
+      const head = await readHead({ owner, repo, prNumber });
+      const discussions = await pages(`${project(owner, repo)}/merge_requests/${prNumber}/discussions`);
+      const threads = [];
+      for (const d of discussions) {
+        const notes = Array.isArray(d?.notes) ? d.notes.filter((n) => n && !n.system) : [];
+        const first = notes[0];
+        if (!first?.resolvable || notes.every((n) => n.resolved)) continue;
+        const last = notes[notes.length - 1];
+        const position = first.position || {};
+        threads.push(
+          toObserverThread({
+            id: d.id,
+            path: position.new_path || position.old_path,
+            line: position.new_line ?? position.old_line,
+            lastComment: {
+              id: last.id,
+              login: last.author?.username,
+              url: `${mrWebUrl(owner, repo, prNumber)}#note_${last.id}`,
+              createdAt: last.created_at,
+              updatedAt: last.updated_at,
+            },
+          }),
+        );
+      }
+      return { headRefOid: head.headRefOid, headRefName: head.headRefName, threads };
+    },
+
+    async listIssueComments({ owner, repo, prNumber }) {
+      const notes = await pages(`${project(owner, repo)}/merge_requests/${prNumber}/notes?sort=asc&order_by=created_at`);
+      return notes
+        .filter((n) => n && !n.system && !n.resolvable && n.type !== 'DiffNote' && n.type !== 'DiscussionNote')
+        .map((n) =>
+          toObserverComment({
+            id: n.id,
+            body: n.body,
+            login: n.author?.username,
+            url: `${mrWebUrl(owner, repo, prNumber)}#note_${n.id}`,
+            createdAt: n.created_at,
+            updatedAt: n.updated_at,
+          }),
+        );
+    },
+
+    async readCiFailures({ owner, repo, sha }) {
+      const statuses = await pages(`${project(owner, repo)}/repository/commits/${sha}/statuses`);
+      const failures = [];
+      for (const s of statuses) {
+        const name = String(s?.name ?? '').trim();
+        if (!name || s?.status !== 'failed' || s?.allow_failure || failures.some((f) => f.name === name)) continue;
+        failures.push({ key: `status:${name}`, source: 'status', name, conclusion: 'failed', url: s?.target_url || null, detailsUrl: null });
+      }
+      return failures;
+    },
+
+    async postReply({ owner, repo, prNumber, threadId = null, body }) {
+      const base = `${project(owner, repo)}/merge_requests/${prNumber}`;
+      const note = threadId
+        ? await json(`${base}/discussions/${encodeURIComponent(threadId)}/notes`, { method: 'POST', body: { body } })
+        : await json(`${base}/notes`, { method: 'POST', body: { body } });
+      return { id: note?.id ?? null, url: note?.id ? `${mrWebUrl(owner, repo, prNumber)}#note_${note.id}` : null };
+    },
+
+    async resolveThread({ owner, repo, prNumber, threadId }) {
+      const url = new URL(`${project(owner, repo)}/merge_requests/${prNumber}/discussions/${encodeURIComponent(threadId)}`);
+      url.searchParams.set('resolved', 'true');
+      await json(url.toString(), { method: 'PUT' });
+    },
+
+    async requestReview({ owner, repo, prNumber, reviewers }) {
+      const base = `${project(owner, repo)}/merge_requests/${prNumber}`;
+      const mr = await json(base);
+      const ids = new Set((Array.isArray(mr?.reviewers) ? mr.reviewers : []).map((r) => r?.id).filter(Boolean));
+      for (const username of reviewers) {
+        const url = new URL(`${origin}/api/v4/users`);
+        url.searchParams.set('username', username);
+        const [user] = (await json(url.toString())) || [];
+        if (!user?.id) throw new Error(`GitLab API error: unknown reviewer ${username}`);
+        ids.add(user.id);
+      }
+      await json(base, { method: 'PUT', body: { reviewer_ids: Array.from(ids) } });
+    },
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * HTTP and shape helpers shared by the forge adapters (`forge-github.mjs`, `forge-gitlab.mjs`, `forge-gitea.mjs`).
+ */
+
+export const FORGE_USER_AGENT = 'agentic-cockpit-pr-observer';
+
+/**
+ * Fetches JSON from a forge API. Throws `<label> error: <status> <statusText> (<url>)` on non-2xx.
+ */
+export async function forgeFetchJson({ label, url, headers = {}, method = 'GET', body = undefined }) {
+  const res = await fetch(url, {
+    method,
+    headers: {
+      'user-agent': FORGE_USER_AGENT,
+      ...(body === undefined ? {} : { 'content-type': 'application/json' }),
+      ...headers,
+    },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  });
+  if (!res.ok) {
+    throw new Error(`${label} error: ${res.status} ${res.statusText} (${url})`);
+  }
+  if (res.status === 204) return null;
+  return await res.json();
+}
+
+/**
+ * Fetches every page of a list endpoint (`page`/`per_page`-style, or `page`/`limit` with `limitParam`).
+ */
+export async function forgeFetchPages({ label, url, headers, pageSize = 100, limitParam = 'per_page', pick = (json) => json }) {
+  const all = [];
+  for (let page = 1; ; page += 1) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set(limitParam, String(pageSize));
+    pageUrl.searchParams.set('page', String(page));
+    const items = pick(await forgeFetchJson({ label, url: pageUrl.toString(), headers }));
+    if (!Array.isArray(items)) break;
+    all.push(...items);
+    if (items.length < pageSize) break;
+  }
+  return all;
+}
+
+/**
+ * Keeps positive integer PR numbers, in order, capped at `max`.
+ */
+export function toPrNumbers(values, max = Infinity) {
+  return values
+    .map((n) => Number(n))
+    .filter((n) => Number.isInteger(n) && n > 0)
+    .slice(0, max);
+}
+
+/**
+ * Builds a review thread in the observer's shape (the GitHub GraphQL `reviewThreads` node,
+ * with only the latest comment under `comments.nodes`).
+ */
+export function toObserverThread({ id, isResolved = false, isOutdated = false, path, line, lastComment }) {
+  return {
+    id: String(id),
+    isResolved: Boolean(isResolved),
+    isOutdated: Boolean(isOutdated),
+    path: path || null,
+    line: Number.isInteger(Number(line)) && Number(line) > 0 ? Number(line) : null,
+    comments: {
+      nodes: lastComment
+        ? [
+            {
+              id: String(lastComment.id),
+              author: { login: String(lastComment.login || 'unknown') },
+              url: lastComment.url || null,
+              createdAt: lastComment.createdAt || null,
+              updatedAt: lastComment.updatedAt || lastComment.createdAt || null,
+            },
+          ]
+        : [],
+    },
+  };
+}
+
+/**
+ * Builds a PR conversation comment in the observer's shape (the GitHub REST issue comment).
+ */
+export function toObserverComment({ id, body, login, url, createdAt, updatedAt }) {
+  return {
+    id: Number(id),
+    body: String(body ?? ''),
+    user: { login: String(login || 'unknown') },
+    html_url: url || '',
+    created_at: createdAt || null,
+    updated_at: updatedAt || createdAt || null,
+  };
+}
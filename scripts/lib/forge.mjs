@@ -0,0 +1,62 @@
+/**
+ * Forge adapters for the PR observer (`scripts/observers/watch-pr.mjs --forge <type>`).
+ *
+ * An adapter is a plain object with `type`, `webHost` (host matched against the git remote) and:
+ *   - `listOpenPrNumbers({ owner, repo, maxPrs })` -> PR/MR numbers (GitLab `iid`s)
+ *   - `readHead({ owner, repo, prNumber })` -> `{ headRefOid, headRefName, url }`
+ *   - `readUnresolvedThreads({ owner, repo, prNumber })` -> `{ headRefOid, headRefName, threads }`
+ *   - `listIssueComments({ owner, repo, prNumber })` -> PR conversation comments
+ *   - `readCiFailures({ owner, repo, sha })` -> `[{ key, source, name, conclusion, url, detailsUrl }]`
+ *   - `postReply({ owner, repo, prNumber, threadId?, body })` -> `{ id, url }`
+ *   - `resolveThread({ owner, repo, prNumber, threadId })` (optional; absent on Gitea)
+ *   - `requestReview({ owner, repo, prNumber, reviewers })` (optional; `reviewers` are logins)
+ * Threads and comments come back in the GitHub shapes (GraphQL review thread, REST issue comment) so
+ * the observer's task builders and state dedup do not depend on the forge.
+ */
+
+import { safeExecText } from './safe-exec.mjs';
+import { createFixtureForge } from './forge-fixture.mjs';
+import { createGiteaForge } from './forge-gitea.mjs';
+import { createGithubForge } from './forge-github.mjs';
+import { createGitlabForge } from './forge-gitlab.mjs';
+
+export const FORGE_TYPES = ['github', 'gitlab', 'gitea', 'fixture'];
+
+export const FORGE_TOKEN_HINTS = {
+  github: 'set GITHUB_TOKEN/GH_TOKEN or gh auth login',
+  gitlab: 'set GITLAB_TOKEN',
+  gitea: 'set GITEA_TOKEN',
+  fixture: '',
+};
+
+/**
+ * Normalizes a forge name; empty means `github`. Throws on unknown names.
+ */
+export function normalizeForgeType(raw) {
+  const type = String(raw ?? '').trim().toLowerCase();
+  if (!type) return 'github';
+  if (!FORGE_TYPES.includes(type)) throw new Error(`Unknown forge "${raw}" (expected ${FORGE_TYPES.join('|')})`);
+  return type;
+}
+
+/**
+ * Resolves the API token for `type`: the explicit value, then the forge's env vars (and `gh auth token`
+ * for GitHub). The fixture forge needs none and gets `'fixture'`; otherwise returns null when missing.
+ */
+export function resolveForgeToken({ type, explicit = '' }) {
+  if (explicit) return explicit;
+  if (type === 'fixture') return 'fixture';
+  if (type === 'gitlab') return process.env.GITLAB_TOKEN || null;
+  if (type === 'gitea') return process.env.GITEA_TOKEN || null;
+  return process.env.GITHUB_TOKEN || process.env.GH_TOKEN || safeExecText('gh', ['auth', 'token']) || null;
+}
+
+/**
+ * Creates the adapter for `type`. `baseUrl` points GitHub/GitLab/Gitea at a self-hosted instance.
+ */
+export function createForge({ type, token, baseUrl = null, fixturePath = null }) {
+  if (type === 'fixture') return createFixtureForge({ fixturePath });
+  if (type === 'gitlab') return createGitlabForge({ token, baseUrl });
+  if (type === 'gitea') return createGiteaForge({ token, baseUrl });
+  return createGithubForge({ token, baseUrl });
+}
@@ -0,0 +1,113 @@
+/**
+ * Priority-aware, age-fair inbox scheduling shared by every AgentBus consumer.
+ *
+ * `listInboxTasks` / `listInboxTaskIds` stay in plain filename order (inspection tools rely on that);
+ * workers pick their next packet through this module instead:
+ *   1) effective rank ascending (parsed `P0..P3`, promoted one level per aging step while queued),
+ *   2) inbox state (`new` before `seen`, the legacy pickup order),
+ *   3) queue age descending (oldest first),
+ *   4) task id (stable tie-break).
+ *
+ * Starvation protection: a packet gains one priority level per `agingStepMs` spent waiting, so old
+ * P3 work eventually competes with fresh P1/P2 packets instead of sitting behind them forever.
+ * Queue age runs from `deliveredAtMs` (the delivery stamp written on entry to `inbox/<agent>/new`,
+ * see `readTaskDeliveredAtMs`), falling back to the file mtime for packets delivered before it existed.
+ */
+
+import {
+  DEFAULT_TASK_PRIORITY,
+  TASK_PRIORITIES,
+  listInboxTasks,
+  parseTaskPriority,
+} from './agentbus.mjs';
+
+export const DEFAULT_SCHEDULABLE_STATES = Object.freeze(['new', 'seen']);
+export const DEFAULT_AGING_STEP_MS = 15 * 60 * 1000;
+
+const STATE_RANK = { new: 0, seen: 1 };
+
+/**
+ * Resolves the aging step from explicit value or env (`AGENTIC_INBOX_AGING_MS`); `0` disables aging.
+ */
+export function resolveAgingStepMs(value = null) {
+  const raw = value ?? process.env.AGENTIC_INBOX_AGING_MS ?? process.env.VALUA_INBOX_AGING_MS ?? '';
+  if (raw === '' || raw == null) return DEFAULT_AGING_STEP_MS;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) return DEFAULT_AGING_STEP_MS;
+  return Math.floor(n);
+}
+
+/**
+ * Computes scheduling fields for one listed packet.
+ */
+export function describeScheduledTask(task, { nowMs = Date.now(), agingStepMs = DEFAULT_AGING_STEP_MS } = {}) {
+  const parsedRank = parseTaskPriority(task?.meta?.priority);
+  const priorityRank = parsedRank ?? parseTaskPriority(DEFAULT_TASK_PRIORITY);
+  const queuedAtMs = Number.isFinite(task?.deliveredAtMs) ? task.deliveredAtMs : Number.isFinite(task?.mtimeMs) ? task.mtimeMs : nowMs;
+  const ageMs = Math.max(0, nowMs - queuedAtMs);
+  const promotedLevels = agingStepMs > 0 ? Math.floor(ageMs / agingStepMs) : 0;
+  const effectiveRank = Math.max(0, priorityRank - promotedLevels);
+  return {
+    priority: TASK_PRIORITIES[priorityRank],
+    priorityRank,
+    priorityKnown: parsedRank != null,
+    effectiveRank,
+    ageMs,
+  };
+}
+
+/**
+ * Comparator over `describeScheduledTask(...)`-annotated packets.
+ */
+export function compareScheduledTasks(a, b) {
+  if (a.schedule.effectiveRank !== b.schedule.effectiveRank) {
+    return a.schedule.effectiveRank - b.schedule.effectiveRank;
+  }
+  const stateDelta = (STATE_RANK[a.state] ?? 0) - (STATE_RANK[b.state] ?? 0);
+  if (stateDelta !== 0) return stateDelta;
+  if (a.schedule.ageMs !== b.schedule.ageMs) return b.schedule.ageMs - a.schedule.ageMs;
+  return String(a.taskId).localeCompare(String(b.taskId));
+}
+
+/**
+ * Orders listed packets for pickup. Returns new objects with a `schedule` field; input is not mutated.
+ */
+export function orderInboxTasks(tasks, { nowMs = Date.now(), agingStepMs = resolveAgingStepMs() } = {}) {
+  const list = Array.isArray(tasks) ? tasks : [];
+  return list
+    .map((task) => ({ ...task, schedule: describeScheduledTask(task, { nowMs, agingStepMs }) }))
+    .sort(compareScheduledTasks);
+}
+
+/**
+ * Lists every packet in the schedulable states and returns them in pickup order.
+ * Each entry keeps the `listInboxTasks` shape plus `state` and `schedule`.
+ */
+export async function listScheduledInboxTasks({
+  busRoot,
+  agentName,
+  states = DEFAULT_SCHEDULABLE_STATES,
+  nowMs = Date.now(),
+  agingStepMs = resolveAgingStepMs(),
+}) {
+  const all = [];
+  const seenIds = new Set();
+  for (const state of states) {
+    // Pickup path: invalid packets waiting here are quarantined instead of being skipped forever.
+    const tasks = await listInboxTasks({ busRoot, agentName, state, limit: 'all', quarantine: true });
+    for (const task of tasks) {
+      // A packet id present in several states (mid-move race) is scheduled once, from the earliest state.
+      if (seenIds.has(task.taskId)) continue;
+      seenIds.add(task.taskId);
+      all.push({ ...task, state });
+    }
+  }
+  return orderInboxTasks(all, { nowMs, agingStepMs });
+}
+
+/**
+ * Convenience wrapper returning only task ids in pickup order.
+ */
+export async function listScheduledInboxTaskIds(opts) {
+  return (await listScheduledInboxTasks(opts)).map((task) => task.taskId);
+}
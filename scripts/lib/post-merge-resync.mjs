@@ -8,6 +8,7 @@ import {
   resolveWorkdirOptions,
   resolveWorkerRuntimeWorkdir,
 } from './agent-workdir.mjs';
+import { isPidAlive } from './process-alive.mjs';
 
 function trim(value) {
   return String(value ?? '').trim();
@@ -79,18 +80,6 @@ function normalizeBranchName(raw) {
   return branch;
 }
 
-function isPidAlive(pid) {
-  const n = Number(pid);
-  if (!Number.isFinite(n) || n <= 0) return false;
-  try {
-    process.kill(n, 0);
-    return true;
-  } catch (err) {
-    if (err && (err.code === 'ESRCH' || err.code === 'EINVAL')) return false;
-    return true;
-  }
-}
-
 function resolveAgentRuntimeWorkdir({
   agent,
   workdirOptions,
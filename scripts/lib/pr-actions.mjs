@@ -0,0 +1,179 @@
+/**
+ * Review-closure actions run by the PR observer from `receiptExtra.reviewClosure` on `done` receipts
+ * (the `docs/agentic/PR_REVIEW_CLOSURE.md` sequence: reply "Fixed in <sha>", optionally resolve, ask for re-check):
+ *
+ *   "reviewClosure": {
+ *     "threadIds": ["PRRT_x"],          // reply on each thread
+ *     "commentIds": [123],              // conversation comments answered by one PR comment
+ *     "summary": "renamed the helper",  // optional brief change summary
+ *     "resolve": false,                 // resolve threads after replying (default false)
+ *     "requestReview": ["alice"],       // re-request review from these logins
+ *     "commitSha": "1a2b3c4",           // default: the receipt commitSha
+ *     "pr": { "owner": "acme", "repo": "app", "number": 7 }  // default: the task's references.pr
+ *   }
+ *
+ * Progress is recorded per `<threadId>@<sha>` (and `pr@<sha>` for PR-level steps) in the observer's PR
+ * state, so re-reading the same receipt never repeats a step. A failing step is retried on later cycles
+ * up to `REVIEW_CLOSURE_MAX_ATTEMPTS` times.
+ */
+
+export const REVIEW_CLOSURE_MAX_ATTEMPTS = 3;
+
+const COMMIT_SHA_RE = /^[0-9a-f]{7,40}$/i;
+
+function toIdList(value) {
+  const raw = Array.isArray(value) ? value : value == null ? [] : [value];
+  return Array.from(new Set(raw.map((v) => String(v ?? '').trim()).filter(Boolean)));
+}
+
+/**
+ * Builds the reply text: commit SHA, optional summary, explicit re-check request.
+ */
+export function buildFixedReply({ commitSha, summary = '' }) {
+  const text = String(summary ?? '').trim().replace(/[.\s]+$/, '');
+  return `Fixed in ${commitSha}${text ? `: ${text}` : ''}. Please re-check.`;
+}
+
+/**
+ * Idempotency key for a closure step target (`threadId`, or `pr` for PR-level steps) at `commitSha`.
+ */
+export function reviewClosureKey(target, commitSha) {
+  return `${target}@${commitSha}`;
+}
+
+/**
+ * Reads `receiptExtra.reviewClosure` from a receipt. Returns
+ * `{ owner, repo, prNumber, commitSha, threadIds, commentIds, summary, resolve, requestReview, taskId }`,
+ * or null unless the receipt is `done` and names a PR, a commit and at least one action.
+ */
+export function readReviewClosure(receipt) {
+  const block = receipt?.receiptExtra?.reviewClosure;
+  if (receipt?.outcome !== 'done' || !block || typeof block !== 'object' || Array.isArray(block)) return null;
+  const refs = receipt?.task?.references || {};
+  const pr = block.pr || refs.pr || refs.sourceReferences?.pr || {};
+  const prNumber = Number(pr.number);
+  const commitSha = String(block.commitSha || receipt.commitSha || '').trim();
+  if (!pr.owner || !pr.repo || !Number.isInteger(prNumber) || prNumber <= 0 || !COMMIT_SHA_RE.test(commitSha)) return null;
+
+  const closure = {
+    owner: String(pr.owner),
+    repo: String(pr.repo),
+    prNumber,
+    commitSha,
+    threadIds: toIdList(block.threadIds),
+    commentIds: toIdList(block.commentIds),
+    summary: typeof block.summary === 'string' ? block.summary.slice(0, 500) : '',
+    resolve: block.resolve === true,
+    requestReview: toIdList(block.requestReview),
+    taskId: receipt.taskId || null,
+  };
+  const hasAction = closure.threadIds.length || closure.commentIds.length || closure.requestReview.length;
+  return hasAction ? closure : null;
+}
+
+/**
+ * Runs one step unless already recorded or out of attempts. `apply()` returns the value to record.
+ */
+async function runStep({ entry, field, action, key, results, now, apply }) {
+  if (entry[field]) return;
+  if ((entry.attempts || 0) >= REVIEW_CLOSURE_MAX_ATTEMPTS) return;
+  try {
+    const value = await apply();
+    entry[field] = value;
+    results.push({ key, action, status: value === 'unsupported' ? 'unsupported' : 'done' });
+  } catch (err) {
+    entry.attempts = (entry.attempts || 0) + 1;
+    entry.lastError = (err && err.message) || String(err);
+    entry.lastErrorAt = now().toISOString();
+    const status = entry.attempts >= REVIEW_CLOSURE_MAX_ATTEMPTS ? 'gave_up' : 'failed';
+    results.push({ key, action, status, error: entry.lastError });
+  }
+}
+
+/**
+ * Applies `closure` through `forge`, recording progress into `closures` (the PR state map, mutated
+ * and returned). Returns `{ closures, results }` with one result per step attempted in this run.
+ */
+export async function runReviewClosure({ forge, closure, closures = {}, now = () => new Date() }) {
+  const { owner, repo, prNumber, commitSha } = closure;
+  const body = buildFixedReply(closure);
+  const results = [];
+  const entryFor = (key) => {
+    closures[key] = closures[key] && typeof closures[key] === 'object' ? closures[key] : { taskId: closure.taskId };
+    return closures[key];
+  };
+
+  for (const threadId of closure.threadIds) {
+    const key = reviewClosureKey(threadId, commitSha);
+    const entry = entryFor(key);
+    await runStep({
+      entry,
+      field: 'replied',
+      action: 'reply',
+      key,
+      results,
+      now,
+      apply: async () => ({ ...(await forge.postReply({ owner, repo, prNumber, threadId, body })), at: now().toISOString() }),
+    });
+    if (!closure.resolve || !entry.replied) continue;
+    await runStep({
+      entry,
+      field: 'resolved',
+      action: 'resolve',
+      key,
+      results,
+      now,
+      apply: async () => {
+        if (typeof forge.resolveThread !== 'function') return 'unsupported';
+        await forge.resolveThread({ owner, repo, prNumber, threadId });
+        return now().toISOString();
+      },
+    });
+  }
+
+  const prKey = reviewClosureKey('pr', commitSha);
+  if (closure.commentIds.length) {
+    const refs = closure.commentIds.map((id) => `#${id}`).join(', ');
+    await runStep({
+      entry: entryFor(prKey),
+      field: 'commented',
+      action: 'comment',
+      key: prKey,
+      results,
+      now,
+      apply: async () => ({
+        ...(await forge.postReply({ owner, repo, prNumber, body: `${body}\n\n(re: comment ${refs})` })),
+        at: now().toISOString(),
+      }),
+    });
+  }
+  if (closure.requestReview.length) {
+    await runStep({
+      entry: entryFor(prKey),
+      field: 'reviewRequested',
+      action: 'request_review',
+      key: prKey,
+      results,
+      now,
+      apply: async () => {
+        if (typeof forge.requestReview !== 'function') return 'unsupported';
+        await forge.requestReview({ owner, repo, prNumber, reviewers: closure.requestReview });
+        return now().toISOString();
+      },
+    });
+  }
+  return { closures, results };
+}
+
+/**
+ * Ids of the replies and comments the closure runner posted, so the observer can ignore its own activity.
+ */
+export function closureReplyIds(closures) {
+  const ids = new Set();
+  for (const entry of Object.values(closures || {})) {
+    for (const posted of [entry?.replied, entry?.commented]) {
+      if (posted && typeof posted === 'object' && posted.id != null) ids.add(String(posted.id));
+    }
+  }
+  return ids;
+}
@@ -0,0 +1,148 @@
+/**
+ * PR feedback routing for the PR observer (`scripts/observers/watch-pr.mjs`), configured under
+ * `prObserver` in the project's `ROSTER.json`:
+ *
+ *   "prObserver": {
+ *     "routes": [{ "paths": ["web/**", "*.css"], "agents": ["frontend"] }],
+ *     "codeowners": { "owners": { "@acme/web-team": "frontend" } },
+ *     "defaultAgent": "autopilot",
+ *     "botLogins": ["coderabbitai"],
+ *     "actionableKeywords": ["must fix", "regression"]
+ *   }
+ *
+ * A review thread's file is routed by the first `routes` entry with a matching glob (`*`, `?`, `**`),
+ * else by the last matching CODEOWNERS rule (`.github/CODEOWNERS`, `CODEOWNERS`, `docs/CODEOWNERS`)
+ * whose owners map to agents (`codeowners.owners`, or an owner handle equal to a roster agent name),
+ * else to `defaultAgent`. `botLogins` and `actionableKeywords` replace the built-in lists when set.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { matchRepoPathRule, normalizeRepoPath } from './code-quality-modularity-shared.mjs';
+import { ACTIONABLE_COMMENT_KEYWORDS } from './review-fix-comment.mjs';
+
+export const DEFAULT_BOT_LOGINS = ['coderabbitai', 'greptile-apps', 'copilot-pull-request-reviewer'];
+export const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+function toStringList(value) {
+  const raw = Array.isArray(value) ? value : typeof value === 'string' ? [value] : [];
+  return Array.from(new Set(raw.map((v) => String(v ?? '').trim()).filter(Boolean)));
+}
+
+/**
+ * Normalizes `roster.prObserver` into `{ routes, codeowners, defaultAgent, botLogins, actionableKeywords }`.
+ */
+export function loadPrObserverConfig(roster) {
+  const raw = roster?.prObserver && typeof roster.prObserver === 'object' ? roster.prObserver : {};
+  const routes = [];
+  for (const rule of Array.isArray(raw.routes) ? raw.routes : []) {
+    const paths = toStringList(rule?.paths ?? rule?.path);
+    const agents = toStringList(rule?.agents ?? rule?.agent);
+    if (paths.length && agents.length) routes.push({ paths, agents });
+  }
+  const codeownersRaw = raw.codeowners && typeof raw.codeowners === 'object' ? raw.codeowners : {};
+  const ownersRaw = codeownersRaw.owners && typeof codeownersRaw.owners === 'object' ? codeownersRaw.owners : {};
+  const owners = {};
+  for (const [owner, agents] of Object.entries(ownersRaw)) {
+    const list = toStringList(agents);
+    if (list.length) owners[owner.trim().toLowerCase()] = list;
+  }
+  const botLogins = toStringList(raw.botLogins).map((l) => l.toLowerCase());
+  const keywords = toStringList(raw.actionableKeywords).map((k) => k.toLowerCase());
+  return {
+    routes,
+    codeowners: {
+      enabled: codeownersRaw.enabled !== false,
+      path: typeof codeownersRaw.path === 'string' && codeownersRaw.path.trim() ? codeownersRaw.path.trim() : null,
+      owners,
+    },
+    defaultAgent: typeof raw.defaultAgent === 'string' && raw.defaultAgent.trim() ? raw.defaultAgent.trim() : null,
+    botLogins: botLogins.length ? botLogins : DEFAULT_BOT_LOGINS,
+    actionableKeywords: keywords.length ? keywords : ACTIONABLE_COMMENT_KEYWORDS,
+  };
+}
+
+/**
+ * Parses CODEOWNERS text into `[{ pattern, owners }]` in file order.
+ */
+export function parseCodeowners(text) {
+  const rules = [];
+  for (const line of String(text ?? '').split(/\r?\n/)) {
+    const trimmed = line.replace(/(^|\s)#.*$/, '').trim();
+    if (!trimmed) continue;
+    const [pattern, ...owners] = trimmed.split(/\s+/);
+    rules.push({ pattern, owners });
+  }
+  return rules;
+}
+
+/**
+ * Reads the project's CODEOWNERS rules (`config.codeowners.path`, else the GitHub locations).
+ * Returns `{ path, rules }`, or `{ path: null, rules: [] }` when there is none or it is disabled.
+ */
+export async function readCodeowners({ projectRoot, config }) {
+  if (!projectRoot || config?.codeowners?.enabled === false) return { path: null, rules: [] };
+  const candidates = config?.codeowners?.path ? [config.codeowners.path] : CODEOWNERS_PATHS;
+  for (const rel of candidates) {
+    const abs = path.resolve(projectRoot, rel);
+    try {
+      return { path: abs, rules: parseCodeowners(await fs.readFile(abs, 'utf8')) };
+    } catch {
+      // try the next location
+    }
+  }
+  return { path: null, rules: [] };
+}
+
+/**
+ * Returns whether `filePath` matches a CODEOWNERS (gitignore-style) pattern.
+ */
+export function matchCodeownersPattern(filePath, pattern) {
+  let p = normalizeRepoPath(pattern);
+  if (!p) return false;
+  const anchored = p.startsWith('/');
+  p = p.replace(/^\/+/, '');
+  const dirOnly = p.endsWith('/');
+  p = p.replace(/\/+$/, '');
+  if (!p) return true;
+  if (!anchored && !p.includes('/')) p = `**/${p}`;
+  if (dirOnly) return matchRepoPathRule(filePath, `${p}/**`);
+  return matchRepoPathRule(filePath, p) || matchRepoPathRule(filePath, `${p}/**`);
+}
+
+function ownerAgents(owner, config, agentNames) {
+  const key = String(owner).toLowerCase();
+  if (config.codeowners.owners[key]) return config.codeowners.owners[key];
+  const handle = key.replace(/^@/, '').split('/').pop();
+  return agentNames && agentNames.has(handle) ? [handle] : [];
+}
+
+/**
+ * Routes a PR file to agents. Returns `{ agents, source }` with `source` one of
+ * `route` | `codeowners` | `default`, or `{ agents: [], source: null }` when nothing applies.
+ */
+export function routeByPath({ filePath, config, codeowners = [], agentNames = null }) {
+  const file = normalizeRepoPath(filePath).replace(/^\/+/, '');
+  const cfg = config || loadPrObserverConfig(null);
+  if (file) {
+    const rule = cfg.routes.find((r) => r.paths.some((glob) => matchRepoPathRule(file, glob)));
+    if (rule) return { agents: rule.agents, source: 'route' };
+
+    for (let i = codeowners.length - 1; i >= 0; i -= 1) {
+      if (!matchCodeownersPattern(file, codeowners[i].pattern)) continue;
+      const agents = Array.from(new Set(codeowners[i].owners.flatMap((o) => ownerAgents(o, cfg, agentNames))));
+      if (agents.length) return { agents, source: 'codeowners' };
+      break;
+    }
+  }
+  return cfg.defaultAgent ? { agents: [cfg.defaultAgent], source: 'default' } : { agents: [], source: null };
+}
+
+/**
+ * Returns whether `login` is a review bot (`*[bot]` or one of the configured bot logins).
+ */
+export function isBotLogin(login, botLogins = DEFAULT_BOT_LOGINS) {
+  const s = String(login ?? '').trim().toLowerCase();
+  if (!s) return false;
+  return s.endsWith('[bot]') || botLogins.includes(s);
+}
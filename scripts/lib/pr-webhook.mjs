@@ -0,0 +1,217 @@
+/**
+ * GitHub webhook receiver for the PR observer (`scripts/observers/watch-pr.mjs --webhook-port`).
+ *
+ * Deliveries are verified against `X-Hub-Signature-256` (HMAC-SHA256 of the raw body), deduped by
+ * `X-GitHub-Delivery`, and reduced to `{ repo, prNumbers }` scan requests. Webhook payloads do not carry
+ * review-thread ids or resolution state, so the observer answers a request by scanning just those PRs
+ * through the regular `scanPr` pipeline (same task builders and state dedup) instead of building
+ * packets from the payload. Polling keeps running at the reconcile interval to catch missed deliveries.
+ */
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+export const PR_WEBHOOK_EVENTS = ['pull_request_review', 'pull_request_review_comment', 'issue_comment', 'check_run'];
+export const DEFAULT_WEBHOOK_PATH = '/github/webhook';
+// GitHub caps webhook payloads at 25 MB.
+const MAX_WEBHOOK_BODY_BYTES = 25 * 1024 * 1024;
+const RECENT_DELIVERY_LIMIT = 500;
+const QUIET_CHECK_CONCLUSIONS = new Set(['success', 'neutral', 'skipped', 'cancelled', 'stale']);
+
+/**
+ * Returns the `X-Hub-Signature-256` header value for `body`.
+ */
+export function signWebhookBody(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', String(secret)).update(body).digest('hex')}`;
+}
+
+/**
+ * Returns whether `signature` is the HMAC-SHA256 of `body` under `secret` (constant-time compare).
+ */
+export function verifyWebhookSignature({ secret, body, signature }) {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+  const expected = Buffer.from(signWebhookBody(secret, body), 'utf8');
+  const actual = Buffer.from(signature.trim(), 'utf8');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function positivePrNumbers(values) {
+  return Array.from(new Set(values.map(Number).filter((n) => Number.isInteger(n) && n > 0))).sort((a, b) => a - b);
+}
+
+/**
+ * Reduces a webhook payload to `{ event, action, repo, prNumbers }`, or null when it cannot change
+ * observer output (non-PR issue comments, deletions, dismissed reviews, unfinished or passing checks).
+ */
+export function parseWebhookEvent({ event, payload }) {
+  if (!PR_WEBHOOK_EVENTS.includes(event) || !payload || typeof payload !== 'object') return null;
+  const action = String(payload.action ?? '');
+  const repo = String(payload.repository?.full_name ?? '');
+  if (!repo.includes('/')) return null;
+
+  let prNumbers = [];
+  if (event === 'issue_comment') {
+    if (!payload.issue?.pull_request || !['created', 'edited'].includes(action)) return null;
+    prNumbers = [payload.issue.number];
+  } else if (event === 'pull_request_review') {
+    if (!['submitted', 'edited'].includes(action)) return null;
+    prNumbers = [payload.pull_request?.number];
+  } else if (event === 'pull_request_review_comment') {
+    if (!['created', 'edited'].includes(action)) return null;
+    prNumbers = [payload.pull_request?.number];
+  } else {
+    const run = payload.check_run;
+    if (action !== 'completed' || QUIET_CHECK_CONCLUSIONS.has(String(run?.conclusion ?? ''))) return null;
+    prNumbers = (Array.isArray(run?.pull_requests) ? run.pull_requests : []).map((pr) => pr?.number);
+  }
+  prNumbers = positivePrNumbers(prNumbers);
+  return prNumbers.length ? { event, action, repo, prNumbers } : null;
+}
+
+/**
+ * Pending PR scans from webhook deliveries. `wait(ms)` resolves after `ms`, or as soon as scans are queued.
+ */
+export function createPrScanQueue() {
+  const pending = new Map();
+  let wake = null;
+  return {
+    push({ repo, prNumbers }) {
+      const key = String(repo).toLowerCase();
+      const set = pending.get(key) || new Set();
+      for (const n of prNumbers) set.add(n);
+      pending.set(key, set);
+      if (wake) wake();
+    },
+    /** Returns and clears the queued PR numbers for `repo`; queued scans for other repos are dropped. */
+    take(repo) {
+      const set = pending.get(String(repo).toLowerCase());
+      pending.clear();
+      return set ? positivePrNumbers(Array.from(set)) : [];
+    },
+    get size() {
+      return pending.size;
+    },
+    wait(ms) {
+      if (pending.size > 0) return Promise.resolve();
+      return new Promise((resolve) => {
+        const done = () => {
+          clearTimeout(timer);
+          wake = null;
+          resolve();
+        };
+        const timer = setTimeout(done, Math.max(0, ms));
+        wake = done;
+      });
+    },
+  };
+}
+
+function reply(res, statusCode, obj) {
+  res.writeHead(statusCode, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' });
+  res.end(JSON.stringify(obj) + '\n');
+}
+
+async function readRawBody(req, maxBytes) {
+  const chunks = [];
+  let bytes = 0;
+  for await (const chunk of req) {
+    bytes += chunk.length;
+    if (bytes > maxBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Builds the request handler. `onDelivery(parsed, { deliveryId })` is called for each accepted
+ * delivery. Replies: 202 queued, 200 ping/ignored/duplicate, 401 bad signature, 400 bad JSON,
+ * 404 wrong path, 405 non-POST, 413 oversized body.
+ */
+export function createPrWebhookHandler({ secret, path: webhookPath = DEFAULT_WEBHOOK_PATH, onDelivery, maxBodyBytes = MAX_WEBHOOK_BODY_BYTES }) {
+  if (!secret) throw new Error('PR webhook receiver needs a secret');
+  const recentDeliveries = new Set();
+  return async (req, res) => {
+    try {
+      const pathname = new URL(req.url || '/', 'http://localhost').pathname;
+      if (pathname !== webhookPath) return reply(res, 404, { ok: false, error: 'Not found' });
+      if (req.method !== 'POST') return reply(res, 405, { ok: false, error: 'Method not allowed' });
+
+      const body = await readRawBody(req, maxBodyBytes);
+      if (!body) return reply(res, 413, { ok: false, error: 'Payload too large' });
+      if (!verifyWebhookSignature({ secret, body, signature: req.headers['x-hub-signature-256'] })) {
+        return reply(res, 401, { ok: false, error: 'Invalid signature' });
+      }
+
+      const event = String(req.headers['x-github-event'] || '');
+      const deliveryId = String(req.headers['x-github-delivery'] || '');
+      if (event === 'ping') return reply(res, 200, { ok: true, pong: true });
+      if (deliveryId && recentDeliveries.has(deliveryId)) return reply(res, 200, { ok: true, duplicate: true });
+
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch {
+        return reply(res, 400, { ok: false, error: 'Invalid JSON body' });
+      }
+      if (deliveryId) {
+        recentDeliveries.add(deliveryId);
+        if (recentDeliveries.size > RECENT_DELIVERY_LIMIT) recentDeliveries.delete(recentDeliveries.values().next().value);
+      }
+
+      const parsed = parseWebhookEvent({ event, payload });
+      if (!parsed) return reply(res, 200, { ok: true, ignored: true, event });
+      await onDelivery(parsed, { deliveryId });
+      return reply(res, 202, { ok: true, event, repo: parsed.repo, prNumbers: parsed.prNumbers });
+    } catch (err) {
+      return reply(res, 500, { ok: false, error: (err && err.message) || String(err) });
+    }
+  };
+}
+
+/**
+ * Starts the receiver. Returns `{ server, host, port, url }`; port 0 picks a free port.
+ */
+export async function startPrWebhookServer({ host = '127.0.0.1', port, ...handlerOptions }) {
+  const server = http.createServer(createPrWebhookHandler(handlerOptions));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve());
+  });
+  const addr = server.address();
+  const actualPort = typeof addr === 'object' && addr ? addr.port : port;
+  const webhookPath = handlerOptions.path || DEFAULT_WEBHOOK_PATH;
+  return { server, host, port: actualPort, url: `http://${host}:${actualPort}${webhookPath}` };
+}
+
+/**
+ * Replay harness: POSTs recorded deliveries (`{ event, delivery?, payload }`) to `url`, signed with
+ * `secret` the way GitHub signs them. Returns `[{ event, delivery, status, response }]` in order.
+ */
+export async function replayWebhookDeliveries({ url, secret, deliveries }) {
+  const results = [];
+  for (const [index, item] of deliveries.entries()) {
+    const event = String(item?.event || '');
+    const delivery = String(item?.delivery || `replay-${Date.now()}-${index}`);
+    const body = Buffer.from(JSON.stringify(item?.payload ?? {}), 'utf8');
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'GitHub-Hookshot/replay',
+        'x-github-event': event,
+        'x-github-delivery': delivery,
+        'x-hub-signature-256': signWebhookBody(secret, body),
+      },
+      body,
+    });
+    const text = await res.text();
+    let response = text;
+    try {
+      response = JSON.parse(text);
+    } catch {
+      // keep the raw text
+    }
+    results.push({ event, delivery, status: res.status, response });
+  }
+  return results;
+}
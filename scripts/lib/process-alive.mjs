@@ -0,0 +1,16 @@
+/**
+ * Returns whether the pid refers to a live process.
+ *
+ * Signal 0 only performs the existence/permission check. EPERM means the process exists but belongs
+ * to another user, so it counts as alive; any other error (ESRCH, EINVAL, ...) counts as gone.
+ */
+export function isPidAlive(pid) {
+  const n = Number(pid);
+  if (!Number.isInteger(n) || n <= 0) return false;
+  try {
+    process.kill(n, 0);
+    return true;
+  } catch (err) {
+    return err?.code === 'EPERM';
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * Receipt browser for the dashboard (`/api/receipts`, `/api/receipt`, `/api/receipt/artifact`).
+ *
+ * Listing pages over the receipt docs in the search index (`state/search-index/<agent>.json`), newest
+ * `closedAt` first. Reason codes are every `receiptExtra` leaf whose last path segment is
+ * `reasonCode` or `reasonCodes` (top-level, `runtimeGuard.*Gate`, `autopilotRecovery`, ...).
+ *
+ * Artifacts are the string leaves of `receiptExtra` that name a file:
+ *   - `artifacts/...` resolves against the bus root (review/consult/preflight-clean artifacts),
+ *   - `.codex/...` resolves against the worker checkout in `receiptExtra.git.workdir`
+ *     (quality-gate and skill-ops logs).
+ * Only paths a receipt links can be read back, and never outside their base directory.
+ *
+ * `readReceiptCommit` renders the receipt's `commitSha` (diffstat + unified diff against its first
+ * parent) from the worker checkout in `receiptExtra.git.workdir`, falling back to the project
+ * checkout: worktrees share one object store, so any checkout of the repo can show the commit.
+ */
+
+import childProcess from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { isSafeId } from './agentbus.mjs';
+import { readArchivedEntry } from './archive-index.mjs';
+import { readIndexedTasks } from './bus-search.mjs';
+
+export const RECEIPT_PAGE_MAX = 200;
+const MAX_ARTIFACT_BYTES = 256 * 1024;
+const MAX_DIFF_BYTES = 1024 * 1024;
+const GIT_TIMEOUT_MS = 15_000;
+const EMPTY_TREE_SHA = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+const MAX_EXTRA_DEPTH = 8;
+
+/**
+ * Collects reason codes from a flattened `receiptExtra` (see flattenReceiptExtra), de-duplicated.
+ */
+export function receiptReasonCodes(flatExtra) {
+  const out = new Set();
+  for (const [key, values] of Object.entries(flatExtra || {})) {
+    const leaf = key.slice(key.lastIndexOf('.') + 1);
+    if (leaf !== 'reasonCode' && leaf !== 'reasonCodes') continue;
+    for (const v of values) if (v) out.add(v);
+  }
+  return Array.from(out);
+}
+
+function clampInt(value, { min, max, fallback }) {
+  const n = Number(value);
+  if (!Number.isInteger(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Lists receipts newest first. Returns `{ total, offset, limit, reasonCodes, receipts }` where
+ * `reasonCodes` counts codes across the agent/outcome matches (before the reasonCode filter) so the
+ * UI can offer them as choices.
+ */
+export async function listReceipts({ busRoot, agent = '', outcome = '', reasonCode = '', offset = 0, limit = 25 }) {
+  const pageOffset = clampInt(offset, { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 });
+  const pageLimit = clampInt(limit, { min: 1, max: RECEIPT_PAGE_MAX, fallback: 25 });
+  const reasonCounts = {};
+  const rows = [];
+  for (const { agent: a, taskId, receipt: r, receiptPath, archive } of await readIndexedTasks({ busRoot })) {
+    if (!r) continue;
+    if (agent && a !== agent) continue;
+    if (outcome && r.outcome !== outcome) continue;
+    const codes = receiptReasonCodes(r.extra);
+    for (const code of codes) reasonCounts[code] = (reasonCounts[code] || 0) + 1;
+    if (reasonCode && !codes.includes(reasonCode)) continue;
+    rows.push({
+      agent: a,
+      taskId,
+      title: r.title,
+      kind: r.kind,
+      rootId: r.rootId,
+      outcome: r.outcome,
+      commitSha: r.commitSha,
+      closedAt: r.closedAt,
+      reasonCodes: codes,
+      receiptPath,
+      archive: receiptPath ? null : archive ?? null,
+    });
+  }
+  rows.sort((x, y) => String(y.closedAt).localeCompare(String(x.closedAt)) || x.taskId.localeCompare(y.taskId));
+  return {
+    total: rows.length,
+    offset: pageOffset,
+    limit: pageLimit,
+    reasonCodes: reasonCounts,
+    receipts: rows.slice(pageOffset, pageOffset + pageLimit),
+  };
+}
+
+function artifactBase(relPath) {
+  if (relPath.startsWith('artifacts/')) return 'bus';
+  if (relPath.startsWith('.codex/')) return 'workdir';
+  return null;
+}
+
+function collectArtifactLeaves(value, prefix, out, depth) {
+  if (value == null || depth > MAX_EXTRA_DEPTH) return;
+  if (Array.isArray(value)) {
+    for (const v of value) collectArtifactLeaves(v, prefix, out, depth + 1);
+    return;
+  }
+  if (typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) collectArtifactLeaves(v, prefix ? `${prefix}.${k}` : k, out, depth + 1);
+    return;
+  }
+  if (typeof value !== 'string') return;
+  const rel = path.posix.normalize(value.trim().replace(/\\/g, '/'));
+  const base = artifactBase(rel);
+  if (base && !out.some((a) => a.path === rel)) out.push({ key: prefix, path: rel, base });
+}
+
+function resolveArtifact({ busRoot, receipt, artifact }) {
+  const workdir = receipt?.receiptExtra?.git?.workdir;
+  const root = artifact.base === 'bus' ? busRoot : typeof workdir === 'string' && path.isAbsolute(workdir) ? workdir : null;
+  if (!root) return null;
+  const rootAbs = path.resolve(root);
+  const abs = path.resolve(rootAbs, artifact.path);
+  return abs.startsWith(`${rootAbs}${path.sep}`) ? abs : null;
+}
+
+/**
+ * Lists the artifact files a receipt links, with whether each one still exists on disk.
+ */
+export async function receiptArtifacts({ busRoot, receipt }) {
+  const found = [];
+  collectArtifactLeaves(receipt?.receiptExtra, '', found, 0);
+  for (const artifact of found) {
+    const abs = resolveArtifact({ busRoot, receipt, artifact });
+    artifact.exists = Boolean(abs && (await fs.stat(abs).then((st) => st.isFile(), () => false)));
+  }
+  return found;
+}
+
+/**
+ * Reads `receipts/<agent>/<taskId>.json` with its linked artifacts, falling back to the receipt `gc`
+ * archived (then `archive` names the archive file). Returns null when neither exists.
+ */
+export async function readReceiptDetail({ busRoot, agent, taskId }) {
+  if (!isSafeId(agent) || !isSafeId(taskId)) throw new Error('Invalid agent or taskId');
+  let receipt;
+  try {
+    receipt = JSON.parse(await fs.readFile(path.join(busRoot, 'receipts', agent, `${taskId}.json`), 'utf8'));
+  } catch {
+    const archived = await readArchivedEntry({ busRoot, agentName: agent, taskId }).catch(() => null);
+    if (!archived?.receipt) return null;
+    return { receipt: archived.receipt, artifacts: await receiptArtifacts({ busRoot, receipt: archived.receipt }), archive: archived.archive };
+  }
+  return { receipt, artifacts: await receiptArtifacts({ busRoot, receipt }) };
+}
+
+/**
+ * Reads one artifact linked from a receipt (capped at 256 KiB). Returns null when the receipt does
+ * not link `artifactPath` or the file is gone.
+ */
+export async function readReceiptArtifact({ busRoot, agent, taskId, artifactPath }) {
+  const detail = await readReceiptDetail({ busRoot, agent, taskId });
+  const wanted = path.posix.normalize(String(artifactPath || '').trim());
+  const artifact = detail?.artifacts.find((a) => a.path === wanted && a.exists);
+  if (!artifact) return null;
+  const abs = resolveArtifact({ busRoot, receipt: detail.receipt, artifact });
+  const handle = await fs.open(abs, 'r');
+  try {
+    const { size } = await handle.stat();
+    const buf = Buffer.alloc(Math.min(size, MAX_ARTIFACT_BYTES));
+    const { bytesRead } = await handle.read(buf, 0, buf.length, 0);
+    return {
+      path: artifact.path,
+      base: artifact.base,
+      size,
+      truncated: size > bytesRead,
+      text: buf.subarray(0, bytesRead).toString('utf8'),
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Runs git and collects stdout up to `maxBytes` (the process is stopped there). Resolves
+ * `{ ok, text, truncated }`; `ok` is false on a non-zero exit, spawn error or timeout.
+ */
+function gitCapture(args, { cwd, maxBytes = MAX_DIFF_BYTES }) {
+  return new Promise((resolve) => {
+    let child;
+    try {
+      child = childProcess.spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      resolve({ ok: false, text: '', truncated: false });
+      return;
+    }
+    const chunks = [];
+    let bytes = 0;
+    let truncated = false;
+    const timer = setTimeout(() => child.kill('SIGTERM'), GIT_TIMEOUT_MS);
+    child.stdout.on('data', (chunk) => {
+      if (truncated) return;
+      const room = maxBytes - bytes;
+      if (chunk.length > room) {
+        chunks.push(chunk.subarray(0, room));
+        bytes = maxBytes;
+        truncated = true;
+        child.kill('SIGTERM');
+        return;
+      }
+      chunks.push(chunk);
+      bytes += chunk.length;
+    });
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve({ ok: false, text: '', truncated: false });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ ok: truncated || code === 0, text: Buffer.concat(chunks).toString('utf8'), truncated });
+    });
+  });
+}
+
+function parseNumstat(text) {
+  const files = [];
+  for (const line of text.split('\n')) {
+    const m = /^(-|\d+)\t(-|\d+)\t(.+)$/.exec(line);
+    if (!m) continue;
+    const binary = m[1] === '-' && m[2] === '-';
+    files.push({ path: m[3], added: binary ? 0 : Number(m[1]), deleted: binary ? 0 : Number(m[2]), binary });
+  }
+  return files;
+}
+
+/**
+ * Diffstat and unified diff of the receipt's `commitSha` (first parent, renames detected; the diff is
+ * capped at 1 MiB). Tries `receiptExtra.git.workdir`, then each of `fallbackCwds`. Returns null when
+ * the receipt is missing, else `{ commitSha, commit, reason }` where `commit` is null with `reason`
+ * `no_commit_sha` or `commit_not_found`.
+ */
+export async function readReceiptCommit({ busRoot, agent, taskId, fallbackCwds = [] }) {
+  const detail = await readReceiptDetail({ busRoot, agent, taskId });
+  if (!detail) return null;
+  const commitSha = String(detail.receipt.commitSha || '').trim();
+  if (!/^[0-9a-f]{4,64}$/i.test(commitSha)) return { commitSha: commitSha || null, commit: null, reason: 'no_commit_sha' };
+
+  const workdir = detail.receipt.receiptExtra?.git?.workdir;
+  const candidates = [
+    ...(typeof workdir === 'string' && path.isAbsolute(workdir) ? [{ cwd: workdir, source: 'receipt' }] : []),
+    ...fallbackCwds.filter(Boolean).map((cwd) => ({ cwd: path.resolve(cwd), source: 'project' })),
+  ];
+  for (const { cwd, source } of candidates) {
+    const header = await gitCapture(['show', '-s', '--format=%H%x00%P%x00%an%x00%ae%x00%aI%x00%s', `${commitSha}^{commit}`], {
+      cwd,
+      maxBytes: 64 * 1024,
+    });
+    if (!header.ok || !header.text.trim()) continue;
+    const [sha, parents, author, authorEmail, authoredAt, subject] = header.text.trim().split('\0');
+    const parentList = parents ? parents.split(' ').filter(Boolean) : [];
+    const range = [parentList[0] || EMPTY_TREE_SHA, sha];
+    const numstat = await gitCapture(['diff', '--numstat', '-M', ...range], { cwd });
+    const diff = await gitCapture(['diff', '--no-color', '--no-ext-diff', '-M', ...range], { cwd });
+    const files = parseNumstat(numstat.text);
+    return {
+      commitSha,
+      reason: null,
+      commit: {
+        sha,
+        parents: parentList,
+        author,
+        authorEmail,
+        authoredAt,
+        subject,
+        cwd,
+        cwdSource: source,
+        files,
+        totals: {
+          files: files.length,
+          added: files.reduce((n, f) => n + f.added, 0),
+          deleted: files.reduce((n, f) => n + f.deleted, 0),
+        },
+        diff: diff.text,
+        diffTruncated: diff.truncated,
+      },
+    };
+  }
+  return { commitSha, commit: null, reason: 'commit_not_found' };
+}
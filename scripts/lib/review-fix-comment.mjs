@@ -1,6 +1,6 @@
 import crypto from 'node:crypto';
 
-const ACTIONABLE_COMMENT_KEYWORDS = [
+export const ACTIONABLE_COMMENT_KEYWORDS = [
   'blocking',
   'must fix',
   'regression',
@@ -28,11 +28,12 @@ export function normalizeActionableCommentBody(body) {
 
 /**
  * Returns whether issue comment text is actionable for review-fix dispatch.
+ * `keywords` (lower-case) defaults to the built-in list; projects override it via `prObserver.actionableKeywords`.
  */
-export function isActionableComment(body) {
+export function isActionableComment(body, keywords = ACTIONABLE_COMMENT_KEYWORDS) {
   const normalized = normalizeActionableCommentBody(body);
   if (!normalized) return false;
-  return ACTIONABLE_COMMENT_KEYWORDS.some((keyword) => normalized.includes(keyword));
+  return keywords.some((keyword) => normalized.includes(keyword));
 }
 
 /**
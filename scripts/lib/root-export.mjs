@@ -0,0 +1,379 @@
+/**
+ * Root workflow export (`agent-bus export-root`, `/api/root/:rootId/export`): one self-contained
+ * report of everything that happened under a `signals.rootId`.
+ *
+ * Builds on `buildRootTimeline` for membership, threading and timings, then adds per task:
+ *   - the packet body split into the original text and its `### Update (...) from ...` blocks,
+ *   - the receipt (outcome, note, commitSha, receiptExtra),
+ *   - every artifact the receipt links (quality-gate logs, review and Opus consult transcripts),
+ *     read through the receipt browser so the same path rules and 256 KiB cap apply,
+ *   - Opus verdicts: the pre-exec gate (`opusConsult`), the post-review gate (`opusPostReview`) and
+ *     the consult agent's own `verdict`.
+ * Tasks are ordered depth-first along the timeline tree (siblings by delivery time).
+ *
+ * Retries per task are the gate retries a worker consumed (`runtimeGuard.gateRetryBudget.consumed`)
+ * plus one for each autopilot blocked-recovery packet.
+ */
+
+import { promises as fs } from 'node:fs';
+import { findTaskPath, parseFrontmatter } from './agentbus.mjs';
+import { readArchivedEntry } from './archive-index.mjs';
+import { readReceiptArtifact, readReceiptDetail } from './receipt-browser.mjs';
+import { buildRootTimeline } from './root-timeline.mjs';
+
+export const ROOT_EXPORT_FORMATS = ['md', 'html', 'json'];
+
+const UPDATE_BLOCK_RE = /\n\n---\n\n### Update \((.+?)\) from (.*)\n\n/;
+
+/**
+ * Splits a packet body into `{ body, updates: [{ at, by, body }] }` along `updateTask` blocks.
+ */
+export function splitTaskUpdates(text) {
+  const parts = String(text ?? '').split(new RegExp(UPDATE_BLOCK_RE.source, 'g'));
+  const updates = [];
+  for (let i = 1; i + 2 < parts.length; i += 3) {
+    updates.push({ at: parts[i], by: parts[i + 1], body: parts[i + 2].replace(/\n+$/, '') });
+  }
+  return { body: parts[0].replace(/\n+$/, ''), updates };
+}
+
+function opusVerdicts(extra) {
+  const out = [];
+  for (const [source, ev] of [['opusConsult', extra?.opusConsult], ['opusPostReview', extra?.opusPostReview]]) {
+    if (!ev || typeof ev !== 'object' || (!ev.verdict && ev.status === 'skipped')) continue;
+    out.push({
+      source,
+      phase: ev.phase ?? null,
+      verdict: ev.verdict ?? null,
+      status: ev.status ?? null,
+      reasonCode: ev.reasonCode ?? null,
+      consultId: ev.consultId ?? null,
+    });
+  }
+  if (typeof extra?.verdict === 'string' && extra.verdict && extra.consultId) {
+    out.push({
+      source: 'consult',
+      phase: null,
+      verdict: extra.verdict,
+      status: null,
+      reasonCode: extra.reasonCode ?? null,
+      consultId: extra.consultId,
+    });
+  }
+  return out;
+}
+
+function taskRetries(meta, extra) {
+  const gate = Number(extra?.runtimeGuard?.gateRetryBudget?.consumed);
+  return {
+    gate: Number.isInteger(gate) && gate > 0 ? gate : 0,
+    recovery: meta?.signals?.sourceKind === 'AUTOPILOT_BLOCKED_RECOVERY' ? 1 : 0,
+  };
+}
+
+function orderedNodes(timeline) {
+  const byKey = new Map(timeline.nodes.map((n) => [n.key, n]));
+  const out = [];
+  const seen = new Set();
+  const visit = (key, depth) => {
+    const n = byKey.get(key);
+    if (!n || seen.has(key)) return;
+    seen.add(key);
+    out.push({ node: n, depth });
+    for (const child of n.children) visit(child, depth + 1);
+  };
+  for (const key of timeline.roots) visit(key, 0);
+  for (const n of timeline.nodes) visit(n.key, 0);
+  return out;
+}
+
+async function readTaskBody({ busRoot, agent, taskId, archived = false }) {
+  const found = await findTaskPath({ busRoot, agentName: agent, taskId }).catch(() => null);
+  let raw = null;
+  if (found) raw = await fs.readFile(found.path, 'utf8').catch(() => null);
+  else if (archived) raw = (await readArchivedEntry({ busRoot, agentName: agent, taskId }).catch(() => null))?.packet ?? null;
+  if (typeof raw !== 'string') return { meta: null, text: null };
+  try {
+    const { meta, body } = parseFrontmatter(raw);
+    return { meta, text: body };
+  } catch {
+    return { meta: null, text: null };
+  }
+}
+
+function summarize(timeline, tasks) {
+  const agents = new Map();
+  const retries = { total: 0, gate: 0, recovery: 0 };
+  let workMs = 0;
+  for (const t of tasks) {
+    const a = agents.get(t.agent) || { agent: t.agent, packets: 0, outcomes: {}, open: 0, workMs: 0, retries: 0 };
+    a.packets += 1;
+    if (t.outcome) a.outcomes[t.outcome] = (a.outcomes[t.outcome] || 0) + 1;
+    else a.open += 1;
+    a.workMs += t.durations.workMs || 0;
+    a.retries += t.retries.gate + t.retries.recovery;
+    agents.set(t.agent, a);
+    workMs += t.durations.workMs || 0;
+    retries.gate += t.retries.gate;
+    retries.recovery += t.retries.recovery;
+  }
+  retries.total = retries.gate + retries.recovery;
+  return {
+    packets: tasks.length,
+    agents: Array.from(agents.values()).sort((x, y) => x.agent.localeCompare(y.agent)),
+    outcomes: timeline.counts.outcomes,
+    open: timeline.counts.open,
+    startedAt: timeline.startedAt,
+    endedAt: timeline.endedAt,
+    wallTimeMs: timeline.durationMs,
+    workMs,
+    retries,
+    commits: timeline.commits,
+  };
+}
+
+/**
+ * Collects the export for `rootId`. Returns null when no packet or receipt carries it.
+ */
+export async function buildRootExport({ busRoot, rootId, now = () => new Date() }) {
+  const timeline = await buildRootTimeline({ busRoot, rootId });
+  if (!timeline) return null;
+
+  const tasks = [];
+  for (const { node: n, depth } of orderedNodes(timeline)) {
+    const packet = await readTaskBody({ busRoot, agent: n.agent, taskId: n.taskId, archived: Boolean(n.archive) });
+    const detail = await readReceiptDetail({ busRoot, agent: n.agent, taskId: n.taskId });
+    const receipt = detail?.receipt || null;
+    const extra = receipt?.receiptExtra || null;
+    const artifacts = [];
+    for (const a of detail?.artifacts || []) {
+      const read = a.exists
+        ? await readReceiptArtifact({ busRoot, agent: n.agent, taskId: n.taskId, artifactPath: a.path }).catch(() => null)
+        : null;
+      artifacts.push({
+        key: a.key,
+        path: a.path,
+        base: a.base,
+        exists: Boolean(read),
+        size: read?.size ?? null,
+        truncated: read?.truncated ?? false,
+        text: read?.text ?? null,
+      });
+    }
+    const { body, updates } = packet.text == null ? { body: null, updates: [] } : splitTaskUpdates(packet.text);
+    tasks.push({
+      key: n.key,
+      agent: n.agent,
+      taskId: n.taskId,
+      parentKey: n.parentKey,
+      depth,
+      kind: n.kind,
+      title: n.title,
+      from: n.from,
+      priority: n.priority,
+      state: n.state,
+      outcome: n.outcome,
+      commitSha: n.commitSha,
+      deliveredAt: n.deliveredAt,
+      claimedAt: n.claimedAt,
+      closedAt: n.closedAt,
+      durations: n.durations,
+      retries: taskRetries(packet.meta || receipt?.task, extra),
+      body,
+      updates,
+      receipt: receipt
+        ? {
+            outcome: receipt.outcome,
+            note: receipt.note ?? '',
+            commitSha: receipt.commitSha || null,
+            closedAt: receipt.closedAt,
+            receiptExtra: extra,
+          }
+        : null,
+      opus: opusVerdicts(extra),
+      artifacts,
+    });
+  }
+
+  return { rootId, generatedAt: now().toISOString(), summary: summarize(timeline, tasks), tasks };
+}
+
+function formatMs(ms) {
+  if (ms == null || !Number.isFinite(ms)) return '—';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${String(s % 60).padStart(2, '0')}s`;
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m`;
+}
+
+function outcomeText(counts, open) {
+  const parts = Object.entries(counts || {}).map(([k, v]) => `${k}=${v}`);
+  if (open) parts.push(`open=${open}`);
+  return parts.join(' ') || '—';
+}
+
+function verdictText(v) {
+  return [v.source, v.phase, v.verdict || v.status, v.reasonCode].filter(Boolean).join(' · ');
+}
+
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map((m) => m.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${lang}\n${String(text).replace(/\n+$/, '')}\n${ticks}`;
+}
+
+function mdCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function renderMarkdown(report) {
+  const s = report.summary;
+  const out = [
+    `# Workflow ${report.rootId}`,
+    '',
+    `Generated ${report.generatedAt}.`,
+    '',
+    '## Summary',
+    '',
+    `- Packets: ${s.packets} (${outcomeText(s.outcomes, s.open)})`,
+    `- Started: ${s.startedAt || '—'}`,
+    `- Ended: ${s.endedAt || 'in flight'}`,
+    `- Wall time: ${s.endedAt ? formatMs(s.wallTimeMs) : 'in flight'} (agent work ${formatMs(s.workMs)})`,
+    `- Retries: ${s.retries.total} (gate ${s.retries.gate}, recovery ${s.retries.recovery})`,
+    `- Commits: ${s.commits.length ? s.commits.map((c) => `\`${c}\``).join(', ') : '—'}`,
+    '',
+    '| Agent | Packets | Outcomes | Work time | Retries |',
+    '| --- | ---: | --- | ---: | ---: |',
+    ...s.agents.map((a) => `| ${mdCell(a.agent)} | ${a.packets} | ${mdCell(outcomeText(a.outcomes, a.open))} | ${formatMs(a.workMs)} | ${a.retries} |`),
+    '',
+    '## Tasks',
+  ];
+  report.tasks.forEach((t, i) => {
+    out.push(
+      '',
+      `### ${i + 1}. ${t.kind || '—'} · ${t.title || t.taskId}`,
+      '',
+      `- Task: \`${t.agent}/${t.taskId}\`${t.parentKey ? ` (after \`${t.parentKey}\`)` : ''}`,
+      `- From: ${t.from || '—'} · priority ${t.priority || '—'} · ${t.outcome || t.state || 'open'}`,
+      `- Delivered ${t.deliveredAt || '—'} · claimed ${t.claimedAt || '—'} · closed ${t.closedAt || '—'}`,
+      `- Queued ${formatMs(t.durations.queuedMs)} · worked ${formatMs(t.durations.workMs)} · retries ${t.retries.gate + t.retries.recovery}`,
+    );
+    if (t.commitSha) out.push(`- Commit: \`${t.commitSha}\``);
+    for (const v of t.opus) out.push(`- Opus verdict: ${verdictText(v)}`);
+    out.push('', '#### Packet', '', t.body == null ? '_Packet file not found._' : fence(t.body, 'markdown'));
+    for (const u of t.updates) out.push('', `#### Update (${u.at}) from ${u.by}`, '', fence(u.body, 'markdown'));
+    if (t.receipt) {
+      out.push('', '#### Receipt', '', `- Outcome: ${t.receipt.outcome} · closed ${t.receipt.closedAt || '—'}`);
+      if (t.receipt.note) out.push('', fence(t.receipt.note));
+      if (t.receipt.receiptExtra) out.push('', fence(JSON.stringify(t.receipt.receiptExtra, null, 2), 'json'));
+    }
+    for (const a of t.artifacts) {
+      out.push('', `#### Artifact \`${a.path}\` (${a.key})`, '');
+      if (!a.exists) out.push('_Missing on disk._');
+      else out.push(fence(a.text), ...(a.truncated ? ['', `_Truncated; ${a.size} bytes on disk._`] : []));
+    }
+  });
+  return out.join('\n') + '\n';
+}
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body{font:14px/1.45 system-ui,sans-serif;margin:2rem auto;max-width:70rem;padding:0 1rem;color:#1d2330}
+table{border-collapse:collapse;margin:.75rem 0}th,td{border:1px solid #ccd3de;padding:.3rem .6rem;text-align:left}
+th{background:#eef1f6}td.num{text-align:right}code,pre{font-family:ui-monospace,monospace;font-size:12px}
+pre{background:#f5f7fa;border:1px solid #dde2ea;padding:.6rem;overflow:auto;white-space:pre-wrap}
+section.task{border-top:2px solid #ccd3de;margin-top:1.5rem}.meta{color:#5a6578;margin:.2rem 0}
+summary{cursor:pointer;font-weight:600;margin:.4rem 0}`;
+
+function renderHtml(report) {
+  const s = report.summary;
+  const pre = (text) => `<pre>${esc(text)}</pre>`;
+  const rows = s.agents
+    .map(
+      (a) =>
+        `<tr><td>${esc(a.agent)}</td><td class="num">${a.packets}</td><td>${esc(outcomeText(a.outcomes, a.open))}</td>` +
+        `<td class="num">${esc(formatMs(a.workMs))}</td><td class="num">${a.retries}</td></tr>`,
+    )
+    .join('\n');
+  const tasks = report.tasks
+    .map((t, i) => {
+      const parts = [
+        `<section class="task" id="${esc(t.key)}">`,
+        `<h3>${i + 1}. ${esc(t.kind || '—')} · ${esc(t.title || t.taskId)}</h3>`,
+        `<p class="meta"><code>${esc(t.agent)}/${esc(t.taskId)}</code>` +
+          (t.parentKey ? ` after <a href="#${esc(t.parentKey)}"><code>${esc(t.parentKey)}</code></a>` : '') +
+          ` · from ${esc(t.from || '—')} · ${esc(t.priority || '—')} · <strong>${esc(t.outcome || t.state || 'open')}</strong></p>`,
+        `<p class="meta">delivered ${esc(t.deliveredAt || '—')} · claimed ${esc(t.claimedAt || '—')} · closed ${esc(t.closedAt || '—')}` +
+          ` · queued ${esc(formatMs(t.durations.queuedMs))} · worked ${esc(formatMs(t.durations.workMs))} · retries ${t.retries.gate + t.retries.recovery}</p>`,
+      ];
+      if (t.commitSha) parts.push(`<p class="meta">commit <code>${esc(t.commitSha)}</code></p>`);
+      for (const v of t.opus) parts.push(`<p class="meta">Opus verdict: ${esc(verdictText(v))}</p>`);
+      parts.push('<h4>Packet</h4>', t.body == null ? '<p class="meta">Packet file not found.</p>' : pre(t.body));
+      for (const u of t.updates) parts.push(`<h4>Update (${esc(u.at)}) from ${esc(u.by)}</h4>`, pre(u.body));
+      if (t.receipt) {
+        parts.push('<h4>Receipt</h4>', `<p class="meta">${esc(t.receipt.outcome)} · closed ${esc(t.receipt.closedAt || '—')}</p>`);
+        if (t.receipt.note) parts.push(pre(t.receipt.note));
+        if (t.receipt.receiptExtra) {
+          parts.push(`<details><summary>receiptExtra</summary>${pre(JSON.stringify(t.receipt.receiptExtra, null, 2))}</details>`);
+        }
+      }
+      for (const a of t.artifacts) {
+        const body = !a.exists
+          ? '<p class="meta">Missing on disk.</p>'
+          : pre(a.text) + (a.truncated ? `<p class="meta">Truncated; ${a.size} bytes on disk.</p>` : '');
+        parts.push(`<details><summary>Artifact <code>${esc(a.path)}</code> (${esc(a.key)})</summary>${body}</details>`);
+      }
+      parts.push('</section>');
+      return parts.join('\n');
+    })
+    .join('\n');
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Workflow ${esc(report.rootId)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>Workflow <code>${esc(report.rootId)}</code></h1>
+<p class="meta">Generated ${esc(report.generatedAt)}.</p>
+<h2>Summary</h2>
+<ul>
+<li>Packets: ${s.packets} (${esc(outcomeText(s.outcomes, s.open))})</li>
+<li>Started: ${esc(s.startedAt || '—')}</li>
+<li>Ended: ${esc(s.endedAt || 'in flight')}</li>
+<li>Wall time: ${esc(s.endedAt ? formatMs(s.wallTimeMs) : 'in flight')} (agent work ${esc(formatMs(s.workMs))})</li>
+<li>Retries: ${s.retries.total} (gate ${s.retries.gate}, recovery ${s.retries.recovery})</li>
+<li>Commits: ${s.commits.length ? s.commits.map((c) => `<code>${esc(c)}</code>`).join(', ') : '—'}</li>
+</ul>
+<table>
+<thead><tr><th>Agent</th><th>Packets</th><th>Outcomes</th><th>Work time</th><th>Retries</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<h2>Tasks</h2>
+${tasks}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a `buildRootExport` report as `md`, `html` (self-contained page) or `json`.
+ */
+export function renderRootExport(report, format = 'md') {
+  if (format === 'json') return JSON.stringify(report, null, 2) + '\n';
+  if (format === 'html') return renderHtml(report);
+  if (format === 'md') return renderMarkdown(report);
+  throw new Error(`Unknown export format "${format}" (expected: ${ROOT_EXPORT_FORMATS.join('|')})`);
+}
@@ -0,0 +1,206 @@
+/**
+ * Root workflow timeline (`/api/root/:rootId`): every packet sharing `signals.rootId`, across all
+ * agents, arranged as a tree with outcomes, commit SHAs and timings.
+ *
+ * Members are found through the search index (`state/search-index/<agent>.json`), then each packet and
+ * receipt is read for its full meta. A node's parent is, in order:
+ *   - `signals.completedTaskId` (TASK_COMPLETE → the task it completes, on `completedBy`),
+ *   - `references.sourceTaskId` (orchestrator-forwarded ORCHESTRATOR_UPDATE/REVIEW packets hang off
+ *     the TASK_COMPLETE digest they were forwarded from, else off the source task),
+ *   - `signals.parentId`,
+ *   - the root task itself.
+ * When a parent taskId went to several agents, the copy held by the child's sender wins.
+ *
+ * Timings come from `events.jsonl` (first `deliver`, first `claim`) and the receipt `closedAt`;
+ * without a journal, delivery falls back to the packet file mtime. Tasks archived by `gc` are read
+ * from their archive line (`archive` on the node); they have no file mtime to fall back to.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { parseFrontmatter } from './agentbus.mjs';
+import { readArchiveFile } from './archive-index.mjs';
+import { streamBusEvents } from './bus-events.mjs';
+import { readIndexedTasks } from './bus-search.mjs';
+
+async function readPacketSafe(filePath) {
+  try {
+    const [raw, st] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+    return { meta: parseFrontmatter(raw).meta || {}, mtimeMs: st.mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+async function readJsonSafe(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the newest archive line for a member, caching each archive file for one timeline build.
+ */
+async function readArchivedMember(busRoot, m, archives) {
+  if (!archives.has(m.archive)) archives.set(m.archive, await readArchiveFile(path.join(busRoot, m.archive)).catch(() => []));
+  const entries = archives.get(m.archive);
+  for (let i = entries.length - 1; i >= 0; i -= 1) {
+    if (entries[i].agent === m.agent && entries[i].taskId === m.taskId) return entries[i];
+  }
+  return null;
+}
+
+async function readRootEventTimes(busRoot, rootId) {
+  const times = new Map();
+  for await (const ev of streamBusEvents({ busRoot })) {
+    if (ev.rootId !== rootId) continue;
+    const key = `${ev.agent}/${ev.taskId}`;
+    const t = times.get(key) || { deliveredAt: null, claimedAt: null };
+    if (ev.type === 'deliver' && !t.deliveredAt) t.deliveredAt = ev.ts;
+    if (ev.type === 'claim' && !t.claimedAt) t.claimedAt = ev.ts;
+    times.set(key, t);
+  }
+  return times;
+}
+
+function spanMs(from, to) {
+  const a = Date.parse(from || '');
+  const b = Date.parse(to || '');
+  return Number.isFinite(a) && Number.isFinite(b) && b >= a ? b - a : null;
+}
+
+function parentRef(meta) {
+  const s = meta?.signals || {};
+  if (typeof s.completedTaskId === 'string' && s.completedTaskId) {
+    return { taskId: s.completedTaskId, agent: typeof s.completedBy === 'string' ? s.completedBy : null };
+  }
+  const sourceTaskId = meta?.references?.sourceTaskId;
+  if (typeof sourceTaskId === 'string' && sourceTaskId) {
+    const sourceAgent = meta?.references?.sourceAgent;
+    return { taskId: sourceTaskId, agent: typeof sourceAgent === 'string' ? sourceAgent : null, forwarded: true };
+  }
+  if (typeof s.parentId === 'string' && s.parentId) return { taskId: s.parentId, agent: null };
+  return null;
+}
+
+/**
+ * Builds the timeline for one rootId. Returns null when no packet or receipt carries it.
+ */
+export async function buildRootTimeline({ busRoot, rootId }) {
+  const members = (await readIndexedTasks({ busRoot })).filter(
+    (t) => (t.packet?.rootId ?? t.receipt?.rootId) === rootId,
+  );
+  if (!members.length) return null;
+  const times = await readRootEventTimes(busRoot, rootId);
+
+  const nodes = [];
+  const completions = new Map();
+  const archives = new Map();
+  for (const m of members) {
+    let packet = m.path ? await readPacketSafe(path.join(busRoot, m.path)) : null;
+    let receipt = m.receiptPath ? await readJsonSafe(path.join(busRoot, m.receiptPath)) : null;
+    if (m.archive && (!packet || !receipt)) {
+      const entry = await readArchivedMember(busRoot, m, archives);
+      if (!packet && typeof entry?.packet === 'string') {
+        try {
+          packet = { meta: parseFrontmatter(entry.packet).meta || {}, mtimeMs: null };
+        } catch {
+          // unparseable archived packet: fall back to the receipt's task snapshot
+        }
+      }
+      receipt ||= entry?.receipt ?? null;
+    }
+    const meta = packet?.meta || receipt?.task || {};
+    const key = `${m.agent}/${m.taskId}`;
+    const t = times.get(key) || {};
+    const deliveredAt = t.deliveredAt || (packet?.mtimeMs != null ? new Date(packet.mtimeMs).toISOString() : null);
+    const closedAt = receipt?.closedAt ?? null;
+    nodes.push({
+      key,
+      agent: m.agent,
+      taskId: m.taskId,
+      kind: meta?.signals?.kind ?? null,
+      title: meta?.title ?? '',
+      from: meta?.from ?? null,
+      priority: meta?.priority ?? null,
+      state: m.packet?.state ?? null,
+      archive: m.archive ?? null,
+      parentKey: null,
+      children: [],
+      outcome: receipt?.outcome ?? null,
+      commitSha: receipt?.commitSha || null,
+      note: receipt?.note ? String(receipt.note).slice(0, 500) : null,
+      deliveredAt,
+      claimedAt: t.claimedAt ?? null,
+      closedAt,
+      durations: {
+        queuedMs: spanMs(deliveredAt, t.claimedAt),
+        workMs: spanMs(t.claimedAt, closedAt),
+        totalMs: spanMs(deliveredAt, closedAt),
+      },
+      _parent: parentRef(meta),
+    });
+    const signals = meta?.signals || {};
+    if (signals.kind === 'TASK_COMPLETE' && signals.completedTaskId) {
+      completions.set(`${signals.completedBy}/${signals.completedTaskId}`, nodes[nodes.length - 1]);
+    }
+  }
+
+  const byTaskId = new Map();
+  for (const n of nodes) byTaskId.set(n.taskId, [...(byTaskId.get(n.taskId) || []), n]);
+  const pick = (taskId, agent) => {
+    const candidates = byTaskId.get(taskId) || [];
+    return candidates.find((c) => c.agent === agent) || candidates[0] || null;
+  };
+  for (const n of nodes) {
+    const ref = n._parent;
+    let parent = ref?.forwarded ? completions.get(`${ref.agent}/${ref.taskId}`) || null : null;
+    if (!parent && ref && ref.taskId !== n.taskId) parent = pick(ref.taskId, ref.agent || n.from);
+    if (!parent && n.taskId !== rootId) parent = pick(rootId, n.from);
+    if (parent && parent !== n) n.parentKey = parent.key;
+    delete n._parent;
+  }
+
+  // Break any parent cycle (e.g. hand-edited parentIds) so every node stays reachable.
+  const byKey = new Map(nodes.map((n) => [n.key, n]));
+  for (const n of nodes) {
+    const seen = new Set([n.key]);
+    for (let p = byKey.get(n.parentKey); p; p = byKey.get(p.parentKey)) {
+      if (seen.has(p.key)) {
+        n.parentKey = null;
+        break;
+      }
+      seen.add(p.key);
+    }
+  }
+
+  const at = (n) => Date.parse(n.deliveredAt || n.closedAt || '') || 0;
+  nodes.sort((a, b) => at(a) - at(b) || a.key.localeCompare(b.key));
+  for (const n of nodes) {
+    if (n.parentKey) byKey.get(n.parentKey).children.push(n.key);
+  }
+
+  const starts = nodes.map((n) => n.deliveredAt).filter(Boolean).sort();
+  const ends = nodes.map((n) => n.closedAt).filter(Boolean).sort();
+  const startedAt = starts[0] ?? null;
+  const endedAt = nodes.every((n) => n.closedAt) ? ends[ends.length - 1] ?? null : null;
+  const counts = { kinds: {}, outcomes: {}, open: 0 };
+  for (const n of nodes) {
+    counts.kinds[n.kind || 'unknown'] = (counts.kinds[n.kind || 'unknown'] || 0) + 1;
+    if (n.outcome) counts.outcomes[n.outcome] = (counts.outcomes[n.outcome] || 0) + 1;
+    else counts.open += 1;
+  }
+
+  return {
+    rootId,
+    startedAt,
+    endedAt,
+    durationMs: spanMs(startedAt, endedAt),
+    counts,
+    commits: Array.from(new Set(nodes.map((n) => n.commitSha).filter(Boolean))),
+    roots: nodes.filter((n) => !n.parentKey).map((n) => n.key),
+    nodes,
+  };
+}
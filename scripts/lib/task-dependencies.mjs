@@ -0,0 +1,285 @@
+/**
+ * Dependency-gated AgentBus delivery (`signals.dependsOn`).
+ *
+ * `deliverTask` parks gated packets in `<busRoot>/pending/<agent>/`. The orchestrator tick calls
+ * `releaseReadyPendingTasks(...)`, which:
+ *   - releases a packet into `inbox/<agent>/new` (or `scheduled/` for a future `notBefore`) once
+ *     every dependency has a `done` receipt under `receipts/<agent>/<taskId>.json` (or archived by
+ *     `gc`, found through `archive/index.jsonl`);
+ *   - fails it fast with a synthesized `failed` receipt as soon as any dependency ends `failed`
+ *     or `blocked` (this cascades to its own dependents on the next tick);
+ *   - otherwise leaves it waiting (other outcomes such as `needs_review` do not release).
+ *
+ * Both moves are journaled as `released` bus events.
+ *
+ * `buildRootDependencyGraph(...)` resolves the DAG for a rootId for `agent-bus deps`.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import {
+  closeTask,
+  listInboxTasks,
+  parseFrontmatter,
+  readTaskDependsOn,
+  readTaskNotBeforeMs,
+  writeTaskFile,
+} from './agentbus.mjs';
+import { readArchiveIndex } from './archive-index.mjs';
+import { busEventRefs, recordBusEvent } from './bus-events.mjs';
+
+const FAILING_OUTCOMES = new Set(['failed', 'blocked']);
+const INBOX_STATES = ['new', 'seen', 'in_progress', 'processed'];
+
+export function pendingTasksRoot(busRoot) {
+  return path.join(busRoot, 'pending');
+}
+
+async function readDirSafe(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Reads every receipt for `taskId` (one per recipient agent, live or archived) and folds them into a
+ * status: `failed` if any receipt is failed/blocked, `done` if any is done, otherwise `waiting`.
+ */
+export async function readDependencyStatus({ busRoot, taskId }) {
+  const receipts = [];
+  const receiptsRoot = path.join(busRoot, 'receipts');
+  for (const agent of await readDirSafe(receiptsRoot)) {
+    try {
+      const parsed = JSON.parse(await fs.readFile(path.join(receiptsRoot, agent, `${taskId}.json`), 'utf8'));
+      receipts.push({ agent, outcome: String(parsed?.outcome || '') });
+    } catch {
+      // no receipt from this agent
+    }
+  }
+  for (const row of await readArchiveIndex({ busRoot })) {
+    if (row?.taskId !== taskId || receipts.some((r) => r.agent === row.agent)) continue;
+    receipts.push({ agent: row.agent, outcome: String(row.outcome || ''), archived: true });
+  }
+  let status = 'waiting';
+  if (receipts.some((r) => FAILING_OUTCOMES.has(r.outcome))) status = 'failed';
+  else if (receipts.some((r) => r.outcome === 'done')) status = 'done';
+  return { taskId, status, receipts };
+}
+
+/**
+ * Lists gated packets waiting in `pending/`.
+ */
+export async function listPendingTasks({ busRoot }) {
+  const out = [];
+  const root = pendingTasksRoot(busRoot);
+  for (const agent of await readDirSafe(root)) {
+    for (const f of await readDirSafe(path.join(root, agent))) {
+      if (!f.endsWith('.md')) continue;
+      const p = path.join(root, agent, f);
+      try {
+        const markdown = await fs.readFile(p, 'utf8');
+        const { meta } = parseFrontmatter(markdown);
+        out.push({ agent, taskId: f.replace(/\.md$/, ''), path: p, markdown, meta });
+      } catch {
+        // ignore unreadable packets; they stay put for inspection
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Orchestrator tick: release or fail gated packets whose dependencies have settled.
+ */
+export async function releaseReadyPendingTasks({ busRoot, roster }) {
+  const released = [];
+  const failed = [];
+  const statusCache = new Map();
+  const statusOf = async (taskId) => {
+    if (!statusCache.has(taskId)) statusCache.set(taskId, await readDependencyStatus({ busRoot, taskId }));
+    return statusCache.get(taskId);
+  };
+
+  for (const task of await listPendingTasks({ busRoot })) {
+    const deps = await Promise.all(readTaskDependsOn(task.meta).map(statusOf));
+    const failing = deps.filter((d) => d.status === 'failed');
+
+    if (failing.length) {
+      const processedPath = path.join(busRoot, 'inbox', task.agent, 'processed', path.basename(task.path));
+      await fs.mkdir(path.dirname(processedPath), { recursive: true });
+      await fs.rename(task.path, processedPath);
+      await recordBusEvent(busRoot, {
+        type: 'released',
+        agent: task.agent,
+        taskId: task.taskId,
+        ...busEventRefs(task.meta),
+        from: path.relative(busRoot, task.path),
+        to: path.relative(busRoot, processedPath),
+      });
+      const summary = failing
+        .map((d) => `${d.taskId}=${d.receipts.map((r) => `${r.agent}:${r.outcome}`).join('+')}`)
+        .join(', ');
+      await closeTask({
+        busRoot,
+        roster,
+        agentName: task.agent,
+        taskId: task.taskId,
+        outcome: 'failed',
+        note: `dependency failed before delivery: ${summary}`,
+        receiptExtra: {
+          dependencyGate: {
+            status: 'failed',
+            dependsOn: deps.map((d) => ({ taskId: d.taskId, status: d.status, receipts: d.receipts })),
+          },
+        },
+      });
+      failed.push({ agent: task.agent, taskId: task.taskId, failedDependencies: failing.map((d) => d.taskId) });
+      continue;
+    }
+
+    if (deps.every((d) => d.status === 'done')) {
+      const notBeforeMs = readTaskNotBeforeMs(task.meta);
+      const dir =
+        notBeforeMs != null && notBeforeMs > Date.now() ? path.join(busRoot, 'scheduled', task.agent) : undefined;
+      const outPath = await writeTaskFile({
+        busRoot,
+        agentName: task.agent,
+        taskId: task.taskId,
+        markdown: task.markdown,
+        dir,
+      });
+      await fs.rm(task.path, { force: true });
+      await recordBusEvent(busRoot, {
+        type: 'released',
+        agent: task.agent,
+        taskId: task.taskId,
+        ...busEventRefs(task.meta),
+        from: path.relative(busRoot, task.path),
+        to: path.relative(busRoot, outPath),
+      });
+      released.push({ agent: task.agent, taskId: task.taskId, path: outPath });
+    }
+  }
+  return { released, failed };
+}
+
+async function collectRootNodes({ busRoot, rootId }) {
+  const nodes = new Map();
+  const add = (taskId, agent, state, meta) => {
+    const key = `${agent}/${taskId}`;
+    if (!nodes.has(key)) nodes.set(key, { taskId, agent, state, meta });
+  };
+  for (const area of ['pending', 'scheduled']) {
+    const root = path.join(busRoot, area);
+    for (const agent of await readDirSafe(root)) {
+      for (const f of await readDirSafe(path.join(root, agent))) {
+        if (!f.endsWith('.md')) continue;
+        try {
+          const { meta } = parseFrontmatter(await fs.readFile(path.join(root, agent, f), 'utf8'));
+          if (meta?.signals?.rootId === rootId) add(f.replace(/\.md$/, ''), agent, area, meta);
+        } catch {
+          // ignore
+        }
+      }
+    }
+  }
+  for (const agent of await readDirSafe(path.join(busRoot, 'inbox'))) {
+    for (const state of INBOX_STATES) {
+      for (const t of await listInboxTasks({ busRoot, agentName: agent, state, limit: 'all' })) {
+        if (t.meta?.signals?.rootId === rootId) add(t.taskId, agent, state, t.meta);
+      }
+    }
+  }
+  return Array.from(nodes.values());
+}
+
+/**
+ * Resolves the dependency DAG for a rootId: nodes (packets + external dependencies), edges
+ * (`from` must finish before `to`), a topological order, and any cycle members.
+ */
+export async function buildRootDependencyGraph({ busRoot, rootId }) {
+  const packets = await collectRootNodes({ busRoot, rootId });
+  const byTaskId = new Map();
+  for (const p of packets) {
+    const dep = await readDependencyStatus({ busRoot, taskId: p.taskId });
+    const existing = byTaskId.get(p.taskId);
+    const node = existing || {
+      taskId: p.taskId,
+      agents: [],
+      states: [],
+      kind: p.meta?.signals?.kind ?? null,
+      title: p.meta?.title ?? '',
+      dependsOn: readTaskDependsOn(p.meta),
+      status: dep.status,
+      receipts: dep.receipts,
+      external: false,
+    };
+    node.agents.push(p.agent);
+    node.states.push(p.state);
+    byTaskId.set(p.taskId, node);
+  }
+
+  const edges = [];
+  for (const node of Array.from(byTaskId.values())) {
+    for (const depId of node.dependsOn) {
+      edges.push({ from: depId, to: node.taskId });
+      if (!byTaskId.has(depId)) {
+        const dep = await readDependencyStatus({ busRoot, taskId: depId });
+        byTaskId.set(depId, {
+          taskId: depId,
+          agents: dep.receipts.map((r) => r.agent),
+          states: [],
+          kind: null,
+          title: '',
+          dependsOn: [],
+          status: dep.status,
+          receipts: dep.receipts,
+          external: true,
+        });
+      }
+    }
+  }
+
+  // Kahn's algorithm; whatever remains has a cycle and can never release.
+  const indegree = new Map(Array.from(byTaskId.keys()).map((id) => [id, 0]));
+  for (const e of edges) indegree.set(e.to, (indegree.get(e.to) || 0) + 1);
+  const queue = Array.from(indegree.entries()).filter(([, n]) => n === 0).map(([id]) => id).sort();
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    for (const e of edges) {
+      if (e.from !== id) continue;
+      indegree.set(e.to, indegree.get(e.to) - 1);
+      if (indegree.get(e.to) === 0) queue.push(e.to);
+    }
+  }
+  const cycle = Array.from(indegree.entries()).filter(([, n]) => n > 0).map(([id]) => id).sort();
+
+  return {
+    rootId,
+    nodes: order.concat(cycle).map((id) => byTaskId.get(id)),
+    edges,
+    order,
+    cycle,
+  };
+}
+
+/**
+ * Renders a graph from `buildRootDependencyGraph` as one line per node in topological order.
+ */
+export function formatDependencyGraphLines(graph) {
+  const statusOf = new Map(graph.nodes.map((n) => [n.taskId, n.status]));
+  const lines = [`rootId=${graph.rootId} nodes=${graph.nodes.length} edges=${graph.edges.length}`];
+  for (const n of graph.nodes) {
+    const where = n.external ? 'external' : `${n.agents.join(',')}:${n.states.join(',')}`;
+    const deps = n.dependsOn.length
+      ? ` <- ${n.dependsOn.map((d) => `${d}(${statusOf.get(d) || 'waiting'})`).join(', ')}`
+      : '';
+    lines.push(`[${n.status}] ${n.taskId} ${where} ${n.kind || ''}${n.title ? ` — ${n.title}` : ''}${deps}`);
+  }
+  if (graph.cycle.length) lines.push(`CYCLE: ${graph.cycle.join(', ')} (these packets can never release)`);
+  return lines.join('\n');
+}
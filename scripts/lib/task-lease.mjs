@@ -0,0 +1,257 @@
+/**
+ * Task leases for claimed (`in_progress`) AgentBus packets.
+ *
+ * A lease file `inbox/<agent>/in_progress/<taskId>.lease.json` sits next to the claimed packet and
+ * records the owning process (pid + host), when the claim started, and the last heartbeat.
+ * Workers refresh the heartbeat while a turn runs; the reaper (each orchestrator tick, or `agent-bus reap-leases`) moves
+ * packets whose lease expired back to `new`, journals a `requeued` bus event and appends an audit
+ * entry to `state/task-lease-requeue.jsonl`.
+ *
+ * This module intentionally does not import `agentbus.mjs` so the core claim/close paths can use it.
+ */
+
+import { promises as fs } from 'node:fs';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+
+import { recordBusEvent } from './bus-events.mjs';
+import { isPidAlive } from './process-alive.mjs';
+
+export const TASK_LEASE_SCHEMA_VERSION = 1;
+export const DEFAULT_TASK_LEASE_TTL_MS = 10 * 60 * 1000;
+export const DEFAULT_TASK_LEASE_HEARTBEAT_MS = 30 * 1000;
+
+/**
+ * Resolves lease TTL from explicit value or env (`AGENTIC_TASK_LEASE_TTL_MS`).
+ */
+export function resolveTaskLeaseTtlMs(value = null) {
+  const raw = value ?? process.env.AGENTIC_TASK_LEASE_TTL_MS ?? process.env.VALUA_TASK_LEASE_TTL_MS ?? '';
+  const n = Number(raw);
+  if (raw === '' || raw == null || !Number.isFinite(n) || n <= 0) return DEFAULT_TASK_LEASE_TTL_MS;
+  return Math.floor(n);
+}
+
+export function taskLeasePath({ busRoot, agentName, taskId }) {
+  return path.join(busRoot, 'inbox', agentName, 'in_progress', `${taskId}.lease.json`);
+}
+
+export function taskLeaseAuditPath(busRoot) {
+  return path.join(busRoot, 'state', 'task-lease-requeue.jsonl');
+}
+
+async function writeJsonAtomic(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+/**
+ * Writes (or takes over) the lease for a claimed packet, owned by the current process.
+ */
+export async function writeTaskLease({ busRoot, agentName, taskId, ttlMs = null }) {
+  const at = new Date().toISOString();
+  const lease = {
+    schemaVersion: TASK_LEASE_SCHEMA_VERSION,
+    taskId,
+    agent: agentName,
+    ownerPid: process.pid,
+    host: os.hostname(),
+    startedAt: at,
+    heartbeatAt: at,
+    ttlMs: resolveTaskLeaseTtlMs(ttlMs),
+  };
+  await writeJsonAtomic(taskLeasePath({ busRoot, agentName, taskId }), lease);
+  return lease;
+}
+
+/**
+ * Reads a lease file; returns null when missing or unreadable.
+ */
+export async function readTaskLease({ busRoot, agentName, taskId }) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(taskLeasePath({ busRoot, agentName, taskId }), 'utf8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the lease of an in_progress packet and evaluates it (see `evaluateTaskLease`).
+ * Returns `{ lease, verdict }`.
+ */
+export async function inspectTaskLease({ busRoot, agentName, taskId, packetMtimeMs = 0, nowMs = Date.now(), ttlMs = null }) {
+  const lease = await readTaskLease({ busRoot, agentName, taskId });
+  let leaseExists = lease != null;
+  if (!leaseExists) {
+    try {
+      await fs.access(taskLeasePath({ busRoot, agentName, taskId }));
+      leaseExists = true;
+    } catch {
+      // no lease file: legacy claim
+    }
+  }
+  return { lease, verdict: evaluateTaskLease({ lease, leaseExists, packetMtimeMs, nowMs, ttlMs }) };
+}
+
+/**
+ * Returns whether the lease is owned by the current process on this host.
+ */
+export function isOwnTaskLease(lease) {
+  return Boolean(lease) && Number(lease.ownerPid) === process.pid && lease.host === os.hostname();
+}
+
+/**
+ * Refreshes `heartbeatAt` on a lease owned by this process. Returns the updated lease, or null when
+ * the lease is missing or owned by someone else (the caller lost it to a reaper or another worker).
+ */
+export async function heartbeatTaskLease({ busRoot, agentName, taskId }) {
+  const lease = await readTaskLease({ busRoot, agentName, taskId });
+  if (!isOwnTaskLease(lease)) return null;
+  const next = { ...lease, heartbeatAt: new Date().toISOString() };
+  await writeJsonAtomic(taskLeasePath({ busRoot, agentName, taskId }), next);
+  return next;
+}
+
+export async function releaseTaskLease({ busRoot, agentName, taskId }) {
+  await fs.rm(taskLeasePath({ busRoot, agentName, taskId }), { force: true });
+}
+
+async function listInProgressTaskIds(busRoot, agentName) {
+  try {
+    const files = await fs.readdir(path.join(busRoot, 'inbox', agentName, 'in_progress'));
+    return files.filter((f) => f.endsWith('.md')).sort().map((f) => f.replace(/\.md$/, ''));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Starts a background heartbeat for every in_progress lease this process owns for `agentName`.
+ * Returns a `stop()` function. The timer is unref'd so it never keeps a worker alive.
+ */
+export function startTaskLeaseHeartbeat({ busRoot, agentName, intervalMs = DEFAULT_TASK_LEASE_HEARTBEAT_MS }) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const taskId of await listInProgressTaskIds(busRoot, agentName)) {
+        try {
+          await heartbeatTaskLease({ busRoot, agentName, taskId });
+        } catch {
+          // ignore (packet may have just been closed)
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(() => {
+    void tick();
+  }, Math.max(1_000, Number(intervalMs) || DEFAULT_TASK_LEASE_HEARTBEAT_MS));
+  timer.unref?.();
+  return { tick, stop: () => clearInterval(timer) };
+}
+
+/**
+ * Decides whether an in_progress packet's lease has expired.
+ * Only a packet with no lease file at all (`leaseExists: false`: a pre-lease claim, or a crash between
+ * the claim and the lease write) falls back to the packet mtime as its heartbeat. A lease file that
+ * exists but cannot be read is `invalid_lease` and expired, since its owner cannot heartbeat it either.
+ */
+export function evaluateTaskLease({
+  lease,
+  leaseExists = lease != null,
+  packetMtimeMs = 0,
+  nowMs = Date.now(),
+  ttlMs = null,
+  hostname = os.hostname(),
+}) {
+  const effectiveTtlMs = ttlMs ?? resolveTaskLeaseTtlMs(lease?.ttlMs ?? null);
+  if (!lease && leaseExists) {
+    return { expired: true, reason: 'invalid_lease', heartbeatAgeMs: null, ttlMs: effectiveTtlMs };
+  }
+  if (!lease) {
+    const ageMs = Math.max(0, nowMs - Number(packetMtimeMs || 0));
+    return { expired: ageMs > effectiveTtlMs, reason: 'missing_lease', heartbeatAgeMs: ageMs, ttlMs: effectiveTtlMs };
+  }
+  const heartbeatMs = Date.parse(lease.heartbeatAt || lease.startedAt || '');
+  const heartbeatAgeMs = Number.isFinite(heartbeatMs) ? Math.max(0, nowMs - heartbeatMs) : Number.POSITIVE_INFINITY;
+  if (lease.host === hostname && !isPidAlive(lease.ownerPid)) {
+    return { expired: true, reason: 'owner_dead', heartbeatAgeMs, ttlMs: effectiveTtlMs };
+  }
+  if (heartbeatAgeMs > effectiveTtlMs) {
+    return { expired: true, reason: 'heartbeat_expired', heartbeatAgeMs, ttlMs: effectiveTtlMs };
+  }
+  return { expired: false, reason: 'active', heartbeatAgeMs, ttlMs: effectiveTtlMs };
+}
+
+/**
+ * Moves packets with expired leases from `in_progress` back to `new` and records one audit line
+ * per requeue. With `dryRun`, only reports what would move.
+ */
+export async function reapExpiredTaskLeases({
+  busRoot,
+  agentNames,
+  ttlMs = null,
+  nowMs = Date.now(),
+  dryRun = false,
+  reapedBy = 'agent-bus',
+}) {
+  const results = [];
+  for (const agentName of agentNames) {
+    for (const taskId of await listInProgressTaskIds(busRoot, agentName)) {
+      const packetPath = path.join(busRoot, 'inbox', agentName, 'in_progress', `${taskId}.md`);
+      let packetMtimeMs = 0;
+      try {
+        packetMtimeMs = (await fs.stat(packetPath)).mtimeMs;
+      } catch {
+        continue;
+      }
+      const { lease, verdict } = await inspectTaskLease({ busRoot, agentName, taskId, packetMtimeMs, nowMs, ttlMs });
+      if (!verdict.expired) continue;
+
+      const entry = {
+        at: new Date(nowMs).toISOString(),
+        action: 'requeue',
+        agent: agentName,
+        taskId,
+        reason: verdict.reason,
+        heartbeatAgeMs: Number.isFinite(verdict.heartbeatAgeMs) ? verdict.heartbeatAgeMs : null,
+        ttlMs: verdict.ttlMs,
+        ownerPid: lease?.ownerPid ?? null,
+        host: lease?.host ?? null,
+        startedAt: lease?.startedAt ?? null,
+        heartbeatAt: lease?.heartbeatAt ?? null,
+        reapedBy,
+      };
+      if (!dryRun) {
+        const newDir = path.join(busRoot, 'inbox', agentName, 'new');
+        await fs.mkdir(newDir, { recursive: true });
+        const requeuedPath = path.join(newDir, `${taskId}.md`);
+        try {
+          await fs.rename(packetPath, requeuedPath);
+        } catch (err) {
+          if (err?.code === 'ENOENT') continue; // closed or moved while we looked
+          throw err;
+        }
+        await releaseTaskLease({ busRoot, agentName, taskId });
+        await recordBusEvent(busRoot, {
+          type: 'requeued',
+          agent: agentName,
+          taskId,
+          from: path.relative(busRoot, packetPath),
+          to: path.relative(busRoot, requeuedPath),
+          reason: verdict.reason,
+        });
+        await fs.mkdir(path.dirname(taskLeaseAuditPath(busRoot)), { recursive: true });
+        await fs.appendFile(taskLeaseAuditPath(busRoot), JSON.stringify(entry) + '\n', 'utf8');
+      }
+      results.push(entry);
+    }
+  }
+  return results;
+}
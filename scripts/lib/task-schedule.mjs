@@ -0,0 +1,428 @@
+/**
+ * Scheduled and recurring AgentBus delivery.
+ *
+ * Layout:
+ *   <busRoot>/scheduled/<agent>/<taskId>.md   # delayed packets (future `signals.notBefore`)
+ *   <busRoot>/schedules/<scheduleId>.json     # recurring cron definitions
+ *
+ * `runScheduledDelivery(...)` is the scheduler tick: it promotes due delayed packets into
+ * `inbox/<agent>/new` and materializes due recurring schedules as fresh packets. The orchestrator
+ * worker runs it on every wake-up and sleeps until `nextScheduledRunMs`; `agent-bus schedule run-due`
+ * runs it once by hand.
+ */
+
+import { promises as fs } from 'node:fs';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import {
+  deliverTask,
+  findTaskPath,
+  isSafeId,
+  makeId,
+  nowIso,
+  parseFrontmatter,
+  readTaskNotBeforeMs,
+  validateTaskMeta,
+  writeTaskFile,
+} from './agentbus.mjs';
+import { busEventRefs, recordBusEvent } from './bus-events.mjs';
+import { nextCronRunMs, parseCronExpression } from './cron-expression.mjs';
+
+export const SCHEDULE_SCHEMA_VERSION = 1;
+
+const RELATIVE_UNITS_MS = { s: 1_000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+export function scheduledTasksRoot(busRoot) {
+  return path.join(busRoot, 'scheduled');
+}
+
+export function schedulesDir(busRoot) {
+  return path.join(busRoot, 'schedules');
+}
+
+function schedulePath(busRoot, scheduleId) {
+  return path.join(schedulesDir(busRoot), `${scheduleId}.json`);
+}
+
+async function readDirSafe(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+async function writeJsonAtomic(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+/**
+ * Resolves a `--not-before` value: an ISO timestamp or a relative offset like `+30m`, `+2h`, `+1d`.
+ * Returns an ISO string.
+ */
+export function resolveNotBefore(value, { nowMs = Date.now() } = {}) {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  const rel = /^\+(\d+)([smhd])$/.exec(raw);
+  if (rel) return new Date(nowMs + Number(rel[1]) * RELATIVE_UNITS_MS[rel[2]]).toISOString();
+  const ms = Date.parse(raw);
+  if (!raw || !Number.isFinite(ms)) {
+    throw new Error(`Invalid notBefore "${raw}" (expected ISO timestamp or +<n>{s|m|h|d})`);
+  }
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Lists delayed packets waiting in `scheduled/`, soonest first.
+ */
+export async function listScheduledTasks({ busRoot }) {
+  const out = [];
+  const root = scheduledTasksRoot(busRoot);
+  for (const agentName of await readDirSafe(root)) {
+    const dir = path.join(root, agentName);
+    for (const f of await readDirSafe(dir)) {
+      if (!f.endsWith('.md')) continue;
+      const p = path.join(dir, f);
+      try {
+        const { meta } = parseFrontmatter(await fs.readFile(p, 'utf8'));
+        out.push({ agent: agentName, taskId: f.replace(/\.md$/, ''), path: p, notBeforeMs: readTaskNotBeforeMs(meta), meta });
+      } catch {
+        // ignore unreadable packets; they stay put for inspection
+      }
+    }
+  }
+  return out.sort((a, b) => (a.notBeforeMs ?? 0) - (b.notBeforeMs ?? 0));
+}
+
+const PROMOTING_STALE_MS = 5 * 60_000;
+
+/**
+ * Moves delayed packets whose `notBefore` has passed into `inbox/<agent>/new`.
+ *
+ * Each packet is claimed first by renaming it to `<taskId>.md.promoting.<claimMs>.<rand>` (like `claimTask`
+ * claims into `in_progress/`), so two concurrent ticks cannot both deliver it: the loser's rename
+ * fails with ENOENT. A staging file left by a crashed tick is renamed back once its claim time is
+ * `PROMOTING_STALE_MS` old.
+ */
+export async function promoteDueScheduledTasks({ busRoot, nowMs = Date.now() }) {
+  await recoverStalePromotions({ busRoot, nowMs });
+  const promoted = [];
+  for (const task of await listScheduledTasks({ busRoot })) {
+    if (task.notBeforeMs != null && task.notBeforeMs > nowMs) continue;
+    const stagingPath = `${task.path}.promoting.${nowMs}.${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      await fs.rename(task.path, stagingPath);
+    } catch (err) {
+      if (err?.code === 'ENOENT') continue;
+      throw err;
+    }
+    let inboxPath;
+    try {
+      const markdown = await fs.readFile(stagingPath, 'utf8');
+      inboxPath = await writeTaskFile({ busRoot, agentName: task.agent, taskId: task.taskId, markdown });
+    } catch (err) {
+      await fs.rename(stagingPath, task.path).catch(() => {});
+      throw err;
+    }
+    await fs.rm(stagingPath, { force: true });
+    await recordBusEvent(busRoot, {
+      type: 'released',
+      agent: task.agent,
+      taskId: task.taskId,
+      ...busEventRefs(task.meta),
+      from: path.relative(busRoot, task.path),
+      to: path.relative(busRoot, inboxPath),
+    });
+    promoted.push({ agent: task.agent, taskId: task.taskId, path: inboxPath });
+  }
+  return promoted;
+}
+
+async function recoverStalePromotions({ busRoot, nowMs }) {
+  const root = scheduledTasksRoot(busRoot);
+  for (const agentName of await readDirSafe(root)) {
+    const dir = path.join(root, agentName);
+    for (const f of await readDirSafe(dir)) {
+      const m = /^(.+\.md)\.promoting\.(\d+)\.[0-9a-f]+$/.exec(f);
+      if (!m || nowMs - Number(m[2]) < PROMOTING_STALE_MS) continue;
+      try {
+        await fs.rename(path.join(dir, f), path.join(dir, m[1]));
+      } catch {
+        // claimed or finished by another tick
+      }
+    }
+  }
+}
+
+/**
+ * Creates (or replaces) a recurring schedule. `template` is the packet meta minus `id`.
+ */
+export async function createRecurringSchedule({
+  busRoot,
+  scheduleId = makeId('sched'),
+  cron,
+  utc = false,
+  template,
+  body = '',
+  nowMs = Date.now(),
+}) {
+  if (!isSafeId(scheduleId)) throw new Error(`Invalid schedule id "${scheduleId}"`);
+  const parsed = parseCronExpression(cron);
+  validateTaskMeta({ ...template, id: scheduleId });
+  const nextRunMs = nextCronRunMs(parsed, nowMs, { utc });
+  if (nextRunMs == null) throw new Error(`Cron expression never fires: "${parsed.expr}"`);
+  const schedule = {
+    schemaVersion: SCHEDULE_SCHEMA_VERSION,
+    id: scheduleId,
+    cron: parsed.expr,
+    utc: Boolean(utc),
+    template,
+    body,
+    createdAt: new Date(nowMs).toISOString(),
+    lastRunAt: null,
+    lastTaskId: null,
+    lastError: null,
+    failures: 0,
+    retryFor: null,
+    nextRunAt: new Date(nextRunMs).toISOString(),
+  };
+  await writeJsonAtomic(schedulePath(busRoot, scheduleId), schedule);
+  return schedule;
+}
+
+export async function listRecurringSchedules({ busRoot }) {
+  const out = [];
+  for (const f of await readDirSafe(schedulesDir(busRoot))) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      out.push(JSON.parse(await fs.readFile(path.join(schedulesDir(busRoot), f), 'utf8')));
+    } catch {
+      // ignore
+    }
+  }
+  return out.sort((a, b) => String(a.nextRunAt).localeCompare(String(b.nextRunAt)));
+}
+
+export async function removeRecurringSchedule({ busRoot, scheduleId }) {
+  if (!isSafeId(scheduleId)) throw new Error(`Invalid schedule id "${scheduleId}"`);
+  try {
+    await fs.rm(schedulePath(busRoot, scheduleId));
+    return true;
+  } catch (err) {
+    if (err?.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+const RETRY_BASE_MS = 60_000;
+const RETRY_MAX_MS = 60 * 60_000;
+const CLAIM_STALE_MS = 5 * 60_000;
+
+/**
+ * Deterministic packet id for one schedule slot, so a retried slot never delivers twice.
+ */
+export function recurringSlotTaskId(scheduleId, scheduledFor) {
+  return `${scheduleId}_${new Date(scheduledFor).toISOString().replace(/[-:.]/g, '')}`;
+}
+
+async function pathExists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function slotAlreadyDelivered({ busRoot, meta }) {
+  for (const to of meta.to) {
+    if (await findTaskPath({ busRoot, agentName: to, taskId: meta.id })) return true;
+    for (const area of ['pending', 'scheduled']) {
+      if (await pathExists(path.join(busRoot, area, to, `${meta.id}.md`))) return true;
+    }
+    if (await pathExists(path.join(busRoot, 'receipts', to, `${meta.id}.json`))) return true;
+  }
+  return false;
+}
+
+async function recoverStaleScheduleClaims({ busRoot, nowMs }) {
+  const dir = schedulesDir(busRoot);
+  for (const f of await readDirSafe(dir)) {
+    const m = /^(.+\.json)\.claim\.(\d+)\.[0-9a-f]+$/.exec(f);
+    if (!m || nowMs - Number(m[2]) < CLAIM_STALE_MS) continue;
+    try {
+      await fs.rename(path.join(dir, f), path.join(dir, m[1]));
+    } catch {
+      // released by its tick meanwhile
+    }
+  }
+}
+
+function retryAfterMs(schedule, failures, nowMs) {
+  let retryMs = nowMs + Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (failures - 1));
+  try {
+    const nextRunMs = nextCronRunMs(schedule.cron, nowMs, { utc: schedule.utc });
+    if (nextRunMs != null) retryMs = Math.min(retryMs, nextRunMs);
+  } catch {
+    // unparseable cron: keep backing off
+  }
+  return retryMs;
+}
+
+/**
+ * Delivers one packet per due schedule and advances `nextRunAt` past `nowMs`.
+ * Missed runs (scheduler down) collapse into a single delivery instead of a burst.
+ *
+ * A due schedule is claimed by renaming its file to `<id>.json.claim.<claimMs>.<rand>` (the loser of
+ * two overlapping ticks gets ENOENT), and the advanced `nextRunAt` is written back before the packet
+ * is delivered. The packet id is derived from the slot (`recurringSlotTaskId`), so a retried slot that
+ * already reached an inbox is not delivered again. A failed delivery records `lastError`/`failures`,
+ * keeps the slot in `retryFor` and backs `nextRunAt` off (1m doubling to 1h, never past the next cron
+ * run); other schedules still run. Returns `{ delivered, failed }`.
+ */
+export async function runDueRecurringSchedules({ busRoot, nowMs = Date.now() }) {
+  await recoverStaleScheduleClaims({ busRoot, nowMs });
+  const delivered = [];
+  const failed = [];
+  for (const listed of await listRecurringSchedules({ busRoot })) {
+    const listedDueMs = Date.parse(listed.nextRunAt);
+    if (!Number.isFinite(listedDueMs) || listedDueMs > nowMs || !isSafeId(listed.id)) continue;
+
+    const filePath = schedulePath(busRoot, listed.id);
+    const claimPath = `${filePath}.claim.${nowMs}.${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      await fs.rename(filePath, claimPath);
+    } catch (err) {
+      if (err?.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    let schedule = listed;
+    let prevFailures = Number(listed.failures) || 0;
+    let scheduledFor = null;
+    let meta = null;
+    try {
+      schedule = JSON.parse(await fs.readFile(claimPath, 'utf8'));
+      prevFailures = Number(schedule.failures) || 0;
+      const dueMs = Date.parse(schedule.nextRunAt);
+      if (!Number.isFinite(dueMs) || dueMs > nowMs) {
+        await fs.rename(claimPath, filePath);
+        continue;
+      }
+      scheduledFor = new Date(Date.parse(schedule.retryFor ?? '') || dueMs).toISOString();
+      const taskId = recurringSlotTaskId(schedule.id, scheduledFor);
+      const template = schedule.template || {};
+      const signals = {
+        ...(template.signals || {}),
+        rootId: template.signals?.rootId || taskId,
+        scheduleId: schedule.id,
+        scheduledFor,
+      };
+      delete signals.notBefore;
+      meta = { ...template, id: taskId, signals };
+
+      const nextRunMs = nextCronRunMs(schedule.cron, nowMs, { utc: schedule.utc });
+      schedule = {
+        ...schedule,
+        lastRunAt: nowIso(),
+        lastTaskId: taskId,
+        lastError: null,
+        failures: 0,
+        retryFor: null,
+        nextRunAt: nextRunMs == null ? null : new Date(nextRunMs).toISOString(),
+      };
+      await writeJsonAtomic(filePath, schedule);
+      await fs.rm(claimPath, { force: true });
+    } catch (err) {
+      // Nothing was delivered: put the claimed file back untouched and report.
+      await fs.rename(claimPath, filePath).catch(() => {});
+      const error = (err && err.message) || String(err);
+      failed.push({ scheduleId: listed.id, error, failures: prevFailures, nextRunAt: listed.nextRunAt });
+      continue;
+    }
+
+    try {
+      if (await slotAlreadyDelivered({ busRoot, meta })) continue;
+      const result = await deliverTask({ busRoot, meta, body: schedule.body || '' });
+      delivered.push({ scheduleId: schedule.id, taskId: meta.id, paths: result.paths });
+    } catch (err) {
+      const error = (err && err.message) || String(err);
+      const failures = prevFailures + 1;
+      const nextRunAt = new Date(retryAfterMs(schedule, failures, nowMs)).toISOString();
+      try {
+        await writeJsonAtomic(filePath, {
+          ...schedule,
+          lastError: { at: nowIso(), message: error },
+          failures,
+          retryFor: scheduledFor,
+          nextRunAt,
+        });
+      } catch {
+        // the schedule already moved on to its next cron run; the failure is still reported below
+      }
+      failed.push({ scheduleId: schedule.id, error, failures, nextRunAt });
+    }
+  }
+  return { delivered, failed };
+}
+
+/**
+ * Scheduler tick: promote due delayed packets, then fire due recurring schedules.
+ * `failed` lists schedules whose delivery threw this tick.
+ */
+export async function runScheduledDelivery({ busRoot, nowMs = Date.now() }) {
+  const promoted = await promoteDueScheduledTasks({ busRoot, nowMs });
+  const { delivered: recurring, failed } = await runDueRecurringSchedules({ busRoot, nowMs });
+  return { promoted, recurring, failed };
+}
+
+/**
+ * Epoch ms of the soonest delayed packet `notBefore` or recurring `nextRunAt`, or null when nothing
+ * is scheduled. The orchestrator sleeps until then instead of ticking on a fixed interval.
+ */
+export async function nextScheduledRunMs({ busRoot }) {
+  let soonest = null;
+  const consider = (ms) => {
+    if (Number.isFinite(ms) && (soonest == null || ms < soonest)) soonest = ms;
+  };
+  for (const t of await listScheduledTasks({ busRoot })) consider(t.notBeforeMs ?? Number.NaN);
+  for (const s of await listRecurringSchedules({ busRoot })) consider(Date.parse(s.nextRunAt ?? ''));
+  return soonest;
+}
+
+/**
+ * Upcoming scheduled work (delayed packets + next recurring runs), soonest first.
+ */
+export async function listUpcomingScheduledWork({ busRoot, limit = 50 }) {
+  const items = [];
+  for (const t of await listScheduledTasks({ busRoot })) {
+    items.push({
+      type: 'delayed',
+      id: t.taskId,
+      agent: t.agent,
+      title: t.meta?.title ?? '',
+      kind: t.meta?.signals?.kind ?? null,
+      priority: t.meta?.priority ?? null,
+      runAt: t.notBeforeMs == null ? null : new Date(t.notBeforeMs).toISOString(),
+      cron: null,
+    });
+  }
+  for (const s of await listRecurringSchedules({ busRoot })) {
+    items.push({
+      type: 'recurring',
+      id: s.id,
+      agent: Array.isArray(s.template?.to) ? s.template.to.join(',') : '',
+      title: s.template?.title ?? '',
+      kind: s.template?.signals?.kind ?? null,
+      priority: s.template?.priority ?? null,
+      runAt: s.nextRunAt ?? null,
+      cron: s.cron,
+      utc: Boolean(s.utc),
+      lastRunAt: s.lastRunAt ?? null,
+    });
+  }
+  items.sort((a, b) => String(a.runAt ?? '9999').localeCompare(String(b.runAt ?? '9999')));
+  return items.slice(0, Math.max(1, Number(limit) || 50));
+}
@@ -0,0 +1,160 @@
+/**
+ * Named task templates and the structured composer behind the dashboard "Send task" form and
+ * `agent-bus send-text --template`.
+ *
+ * Templates live in `TASK_TEMPLATES.json` next to the roster (the project's
+ * `docs/agentic/agent-bus/`), falling back to the cockpit's bundled copy. Each template sets
+ * `priority`, `signals` (kind/phase), an optional `git` contract for `references.git`, the fields it
+ * `required`s, and a markdown `body` (string or array of lines). `{{placeholder}}`s in `git` and
+ * `body`: `id`, `title`, `body` (the composer's free text), `rootId`, `agent` (first recipient) and
+ * `headSha` (current HEAD of the project checkout).
+ *
+ * `composeTask` never throws on bad input: it returns every validation error alongside the exact
+ * frontmatter and markdown `deliverTask` would write, so the UI can preview before sending.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import {
+  TASK_PACKET_SCHEMA_VERSION,
+  detectSuspiciousText,
+  makeId,
+  renderTaskMarkdown,
+  validateTaskMeta,
+} from './agentbus.mjs';
+import { safeExecText } from './safe-exec.mjs';
+
+export const TASK_TEMPLATES_FILE = 'TASK_TEMPLATES.json';
+const GIT_FIELDS = ['baseBranch', 'baseSha', 'workBranch', 'integrationBranch'];
+
+/**
+ * Template file candidates, most specific first: next to the roster, then the cockpit default.
+ */
+export function taskTemplatePaths({ rosterPath, cockpitRoot }) {
+  const out = [];
+  if (rosterPath) out.push(path.join(path.dirname(rosterPath), TASK_TEMPLATES_FILE));
+  if (cockpitRoot) out.push(path.join(cockpitRoot, 'docs', 'agentic', 'agent-bus', TASK_TEMPLATES_FILE));
+  return Array.from(new Set(out.map((p) => path.resolve(p))));
+}
+
+/**
+ * Loads the first template file that exists. Returns `{ path, templates }` (empty when none).
+ */
+export async function loadTaskTemplates({ rosterPath, cockpitRoot }) {
+  for (const candidate of taskTemplatePaths({ rosterPath, cockpitRoot })) {
+    let raw;
+    try {
+      raw = await fs.readFile(candidate, 'utf8');
+    } catch {
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Invalid task templates JSON: ${candidate} (${(err && err.message) || String(err)})`);
+    }
+    const templates = (Array.isArray(parsed?.templates) ? parsed.templates : []).filter(
+      (t) => t && typeof t.name === 'string' && t.name.trim(),
+    );
+    const names = new Set();
+    for (const t of templates) {
+      if (names.has(t.name)) throw new Error(`Duplicate task template "${t.name}" in ${candidate}`);
+      names.add(t.name);
+    }
+    return { path: candidate, templates };
+  }
+  return { path: null, templates: [] };
+}
+
+/**
+ * Current HEAD commit of `cwd`, or null outside a git checkout.
+ */
+export function readHeadSha(cwd) {
+  return safeExecText('git', ['rev-parse', 'HEAD'], { cwd, timeoutMs: 5000 });
+}
+
+function fill(text, vars) {
+  return String(text ?? '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (vars[key] == null ? '' : String(vars[key])));
+}
+
+function clean(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return Array.from(new Set(raw.map((v) => String(v).trim()).filter(Boolean)));
+}
+
+/**
+ * Builds a packet from `template` + composer `fields` (`id`, `to`, `from`, `priority`, `title`,
+ * `body`, `kind`, `phase`, `rootId`, `parentId`, `notBefore`, `smoke`, and the git contract fields
+ * `baseBranch`/`baseSha`/`workBranch`/`integrationBranch`). Blank fields take the template default.
+ * Returns `{ meta, body, markdown, errors, suspiciousHits }`; `meta` is what to pass to `deliverTask`.
+ */
+export function composeTask({ template, fields = {}, headSha = null, agentNames = null }) {
+  const errors = [];
+  const t = template || {};
+  const id = clean(fields.id) || makeId('msg');
+  const to = toList(fields.to);
+  const title = clean(fields.title);
+  const rootId = clean(fields.rootId) || id;
+  const kind = clean(fields.kind) || clean(t.signals?.kind) || 'USER_REQUEST';
+  const vars = { id, title, body: String(fields.body ?? '').trim(), rootId, agent: to[0] || '', headSha: headSha || '' };
+
+  if (!to.length) errors.push('"to" needs at least one agent');
+  if (agentNames) {
+    const unknown = to.filter((a) => !agentNames.includes(a));
+    if (unknown.length) errors.push(`Unknown agent(s): ${unknown.join(', ')}`);
+  }
+  if (!title) errors.push('"title" is required');
+
+  const signals = { ...(t.signals || {}), kind, rootId };
+  const phase = clean(fields.phase) || clean(t.signals?.phase);
+  if (phase) signals.phase = phase;
+  else delete signals.phase;
+  const parentId = clean(fields.parentId) || (kind !== 'USER_REQUEST' ? rootId : '');
+  if (parentId) signals.parentId = parentId;
+  const notBefore = clean(fields.notBefore);
+  if (notBefore) signals.notBefore = notBefore;
+  if (fields.smoke === true) signals.smoke = true;
+
+  const references = {};
+  if (t.git && typeof t.git === 'object') {
+    const git = {};
+    for (const key of GIT_FIELDS) {
+      const value = clean(fields[key]) || clean(fill(t.git[key], vars));
+      if (value) git[key] = value;
+    }
+    references.git = git;
+  }
+
+  for (const key of Array.isArray(t.required) ? t.required : []) {
+    const value = GIT_FIELDS.includes(key) ? references.git?.[key] : clean(fields[key]);
+    if (value) continue;
+    const hint = key === 'baseSha' && !headSha ? ' (HEAD of the project checkout is unavailable; enter it by hand)' : '';
+    errors.push(`"${key}" is required for template ${t.name}${hint}`);
+  }
+
+  const meta = {
+    id,
+    to,
+    from: clean(fields.from) || 'daddy',
+    priority: clean(fields.priority) || clean(t.priority) || 'P2',
+    title,
+    signals,
+    references,
+  };
+  try {
+    validateTaskMeta({ schemaVersion: TASK_PACKET_SCHEMA_VERSION, ...meta });
+  } catch (err) {
+    const message = (err && err.message) || String(err);
+    errors.push(...message.replace(/^Invalid task frontmatter: /, '').split('; '));
+  }
+
+  const templateBody = Array.isArray(t.body) ? t.body.join('\n') : typeof t.body === 'string' ? t.body : '{{body}}';
+  const body = fill(templateBody, vars);
+  const markdown = renderTaskMarkdown({ schemaVersion: TASK_PACKET_SCHEMA_VERSION, ...meta }, body);
+  return { meta, body, markdown, errors: Array.from(new Set(errors)), suspiciousHits: detectSuspiciousText(markdown) };
+}
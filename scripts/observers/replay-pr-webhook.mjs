@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'node:util';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_WEBHOOK_PATH, replayWebhookDeliveries } from '../lib/pr-webhook.mjs';
+
+/**
+ * Parses a delivery file: one `{ event, delivery?, payload }` object, an array of them, or JSONL.
+ */
+function parseDeliveryFile(text, file) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return [];
+  try {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return trimmed
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          throw new Error(`${file}:${i + 1}: invalid JSON delivery`);
+        }
+      });
+  }
+}
+
+/**
+ * CLI entrypoint for this script.
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      port: { type: 'string' },
+      secret: { type: 'string' },
+    },
+  });
+  const secret = values.secret || process.env.AGENTIC_PR_OBSERVER_WEBHOOK_SECRET || '';
+  const url =
+    values.url ||
+    (values.port ? `http://127.0.0.1:${values.port}${process.env.AGENTIC_PR_OBSERVER_WEBHOOK_PATH || DEFAULT_WEBHOOK_PATH}` : '');
+  if (!url || !secret || positionals.length === 0) {
+    throw new Error('Usage: replay-pr-webhook.mjs (--url <url> | --port <port>) [--secret <secret>] <delivery.json|.jsonl>...');
+  }
+
+  const deliveries = [];
+  for (const file of positionals) {
+    deliveries.push(...parseDeliveryFile(await fs.readFile(path.resolve(file), 'utf8'), file));
+  }
+  const results = await replayWebhookDeliveries({ url, secret, deliveries });
+  for (const r of results) process.stdout.write(JSON.stringify(r) + '\n');
+  if (results.some((r) => r.status >= 300)) process.exitCode = 1;
+}
+
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  main().catch((err) => {
+    process.stderr.write(`${(err && err.message) || String(err)}\n`);
+    process.exit(1);
+  });
+}
+
+export { parseDeliveryFile };